@@ -5,12 +5,981 @@ import {
   json,
   normalizeEmail,
   normalizePhone,
+  slugify,
   sha256Hex,
+  randomToken,
+  hashPassword,
+  verifyPassword,
+  dummyPasswordHash,
+  passwordNeedsRehash,
+  timingSafeEqual,
   encryptText,
   decryptText,
   parseCookies,
-  getAuthFromRequest
+  getAuthFromRequest,
+  enqueueOutboxMessage,
+  recordAudit,
+  API_TOKEN_PREFIX,
+  API_TOKEN_SCOPES,
+  activeKeyId,
+  encryptionKeyIds,
+  ciphertextKeyId,
+  csrfGuard,
+  impersonationGuard,
+  requirePermission,
+  getRolePermissions,
+  productKey,
+  bumpProductListVersion,
+  CSRF_COOKIE
 } from './common.js';
+import { PERMISSIONS, ROLES, DEFAULT_ROLE_PERMISSIONS } from './permissions.js';
+
+// Password reset links are valid for 30 minutes
+const PASSWORD_RESET_TTL_MS = 30 * 60 * 1000;
+
+const SESSION_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+// Role requires 2FA but the user hasn't enrolled: a session good only for enrolling
+const TWO_FACTOR_SETUP_SESSION_TTL_SECONDS = 30 * 60;
+
+// Email verification links last a day; resends are rate limited per user
+const EMAIL_VERIFY_TTL_MS = 24 * 60 * 60 * 1000;
+const EMAIL_VERIFY_RESEND_INTERVAL_MS = 60 * 1000;
+
+// Password accepted, second factor pending: 5 minutes and 5 tries per challenge
+const LOGIN_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+const LOGIN_CHALLENGE_MAX_ATTEMPTS = 5;
+
+const TOTP_ISSUER = 'Week1 Store';
+const TOTP_PERIOD_SECONDS = 30;
+const RECOVERY_CODE_COUNT = 10;
+
+// Data export download links stay valid for a day
+const DATA_EXPORT_TTL_MS = 24 * 60 * 60 * 1000;
+// A job that has not reported progress for this long was evicted or crashed
+const DATA_EXPORT_STALE_MS = 15 * 60 * 1000;
+const DATA_EXPORT_PURGE_BATCH_SIZE = 100;
+
+// Account deletion: self-deleted accounts can be restored by logging in until
+// the grace period ends, then the cron purges them
+const ACCOUNT_DELETION_GRACE_DAYS_DEFAULT = 30;
+const ACCOUNT_PURGE_BATCH_SIZE = 25;
+
+// Key rotation: every table/column holding encryptText() output
+const ENCRYPTED_COLUMNS = [
+  { table: 'users', columns: ['email_cipher', 'phone_cipher', 'name_cipher', 'totp_secret_cipher'] },
+  { table: 'addresses', columns: ['name_cipher', 'line1_cipher', 'line2_cipher', 'city_cipher', 'state_cipher', 'postal_cipher'] },
+  { table: 'seller_applications', columns: ['contact_name_cipher', 'contact_email_cipher', 'contact_phone_cipher'] },
+  { table: 'outbox_messages', columns: ['to_cipher', 'body_cipher'] }
+];
+const KEY_ROTATION_BATCH_SIZE = 100;
+
+// Seller application documents (stored in USER_FILES_BUCKET)
+const SELLER_DOC_MAX_FILES = 5;
+const SELLER_DOC_MAX_BYTES = 10 * 1024 * 1024;
+const SELLER_DOC_TYPES = ['application/pdf', 'image/jpeg', 'image/png', 'image/webp'];
+
+// Login throttling: free attempts before backoff kicks in, then 2^n seconds.
+// Per-IP allowance is higher since many users can share one address (NAT).
+const LOGIN_FREE_ATTEMPTS_ACCOUNT = 3;
+const LOGIN_FREE_ATTEMPTS_IP = 20;
+const LOGIN_MAX_BACKOFF_SECONDS = 15 * 60;
+const LOGIN_FAILURE_WINDOW_MS = 24 * 60 * 60 * 1000; // counters reset after a quiet day
+
+// Admin "view as user" sessions are short and read-only unless asked otherwise
+const IMPERSONATION_DEFAULT_MINUTES = 30;
+const IMPERSONATION_MAX_MINUTES = 120;
+const ADMIN_SID_COOKIE = 'admin_sid'; // the admin's own session, parked while impersonating
+
+// ---------- Local helpers ----------
+// sid stays HttpOnly; the CSRF cookie is readable so page scripts can send it
+// back as x-csrf-token
+function sessionCookies(sessionId, csrfToken, maxAgeSeconds) {
+  const cookieParts = [
+    `sid=${encodeURIComponent(sessionId)}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    `Max-Age=${maxAgeSeconds}`
+    // 'Secure'
+  ];
+
+  const csrfCookie = [
+    `${CSRF_COOKIE}=${csrfToken}`,
+    'Path=/',
+    'SameSite=Lax',
+    `Max-Age=${maxAgeSeconds}`
+  ].join('; ');
+
+  return { setCookie: cookieParts.join('; '), csrfCookie };
+}
+
+async function createSession(
+  env,
+  request,
+  userId,
+  {
+    ttlSeconds = SESSION_TTL_SECONDS,
+    impersonatorUserId = null,
+    impersonationWrite = false,
+    twoFactorSetupOnly = false
+  } = {}
+) {
+  const sessionId = crypto.randomUUID();
+  const now = new Date();
+  const expires = new Date(now.getTime() + ttlSeconds * 1000);
+  const csrfToken = randomToken();
+  const publicId = randomToken(16);
+
+  await env.DB.prepare(
+    `INSERT INTO sessions (
+      id, user_id, issued_at, expires_at, revoked, ip, user_agent,
+      public_id, last_seen_at, csrf_token, impersonator_user_id, impersonation_write,
+      two_factor_setup_only
+    ) VALUES (?, ?, ?, ?, 0, ?, ?, ?, ?, ?, ?, ?, ?)`
+  )
+    .bind(
+      sessionId,
+      userId,
+      now.toISOString(),
+      expires.toISOString(),
+      request.headers.get('cf-connecting-ip') || null,
+      request.headers.get('user-agent') || null,
+      publicId,
+      now.toISOString(),
+      csrfToken,
+      impersonatorUserId,
+      impersonationWrite ? 1 : 0,
+      twoFactorSetupOnly ? 1 : 0
+    )
+    .run();
+
+  return {
+    sessionId,
+    publicId,
+    expiresAt: expires.toISOString(),
+    ...sessionCookies(sessionId, csrfToken, ttlSeconds)
+  };
+}
+
+// Invalidates older verification links and mails a fresh one
+async function sendVerificationEmail(env, request, userId, emailNorm) {
+  const now = new Date().toISOString();
+
+  await env.DB.prepare(
+    `UPDATE auth_tokens
+     SET used_at = ?
+     WHERE user_id = ? AND purpose = 'email_verify' AND used_at IS NULL`
+  )
+    .bind(now, userId)
+    .run();
+
+  const token = randomToken();
+  const expiresIso = new Date(Date.now() + EMAIL_VERIFY_TTL_MS).toISOString();
+
+  await env.DB.prepare(
+    `INSERT INTO auth_tokens (
+      id, user_id, purpose, token_hash, expires_at, used_at, created_at
+    ) VALUES (?, ?, 'email_verify', ?, ?, NULL, ?)`
+  )
+    .bind(crypto.randomUUID(), userId, await sha256Hex(token), expiresIso, now)
+    .run();
+
+  const verifyUrl = new URL('/verify-email', request.url);
+  verifyUrl.searchParams.set('token', token);
+
+  await enqueueOutboxMessage(env, {
+    userId,
+    to: emailNorm,
+    template: 'email_verify',
+    subject: 'Confirm your Week1 Store email address',
+    body: [
+      'Welcome to Week1 Store!',
+      '',
+      'Open this link within 24 hours to confirm your email address:',
+      verifyUrl.toString(),
+      '',
+      'If you did not create an account, you can ignore this email.'
+    ].join('\n')
+  });
+}
+
+// Every role change goes through here so it always lands in audit_logs
+async function setUserRole(env, { userId, role, actorUserId, reason, request = null }) {
+  const user = await env.DB.prepare(`SELECT id, role FROM users WHERE id = ?`)
+    .bind(userId)
+    .first();
+  if (!user) return null;
+  if (user.role === role) return user;
+
+  await env.DB.prepare(
+    `UPDATE users SET role = ?, updated_at = ? WHERE id = ?`
+  )
+    .bind(role, new Date().toISOString(), userId)
+    .run();
+
+  await recordAudit(env, {
+    actorUserId,
+    action: 'user.role_change',
+    resource: `user:${userId}`,
+    before: { role: user.role },
+    after: { role },
+    meta: { reason },
+    request
+  });
+
+  return { ...user, role };
+}
+
+// Queues an email to a user's address on file (skipped if there is none)
+async function notifyUser(env, userId, { template, subject, body }) {
+  const row = await env.DB.prepare(`SELECT email_cipher FROM users WHERE id = ?`)
+    .bind(userId)
+    .first();
+  const email = row && row.email_cipher ? await decryptText(env, row.email_cipher) : null;
+  if (!email) return null;
+  return enqueueOutboxMessage(env, { userId, to: email, template, subject, body });
+}
+
+async function adminUserToJson(env, row) {
+  let name = null;
+  let email = null;
+  let phone = null;
+  try {
+    if (row.name_cipher) name = await decryptText(env, row.name_cipher);
+    if (row.email_cipher) email = await decryptText(env, row.email_cipher);
+    if (row.phone_cipher) phone = await decryptText(env, row.phone_cipher);
+  } catch {
+    // undecryptable fields stay null
+  }
+  return {
+    id: row.id,
+    name,
+    email,
+    phone,
+    role: row.role,
+    status: row.status,
+    locked_until: row.locked_until,
+    email_verified_at: row.email_verified_at,
+    two_factor_enabled: !!row.totp_enabled_at,
+    avatar_url: row.avatar_url,
+    deleted_at: row.deleted_at,
+    purged_at: row.purged_at,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+async function revokeAllCredentials(env, userId) {
+  const now = new Date().toISOString();
+  const sessions = await env.DB.prepare(
+    `UPDATE sessions SET revoked = 1 WHERE user_id = ? AND revoked = 0`
+  )
+    .bind(userId)
+    .run();
+  await env.DB.prepare(
+    `UPDATE api_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL`
+  )
+    .bind(now, userId)
+    .run();
+  return (sessions.meta && sessions.meta.changes) || 0;
+}
+
+async function sellerApplicationToJson(env, row, { includeContact = false } = {}) {
+  const app = {
+    id: row.id,
+    user_id: row.user_id,
+    business_name: row.business_name,
+    description: row.description,
+    documents: JSON.parse(row.documents || '[]'),
+    status: row.status,
+    review_note: row.review_note,
+    reviewed_at: row.reviewed_at,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+  if (includeContact) {
+    app.contact_name = row.contact_name_cipher ? await decryptText(env, row.contact_name_cipher) : null;
+    app.contact_email = row.contact_email_cipher ? await decryptText(env, row.contact_email_cipher) : null;
+    app.contact_phone = row.contact_phone_cipher ? await decryptText(env, row.contact_phone_cipher) : null;
+    app.reviewed_by = row.reviewed_by;
+  }
+  return app;
+}
+
+async function roleRequires2fa(env, role) {
+  const row = await env.DB.prepare(
+    `SELECT require_2fa FROM role_policies WHERE role = ?`
+  )
+    .bind(role)
+    .first();
+  return !!(row && row.require_2fa);
+}
+
+// --- Data export ---
+async function setExportProgress(env, exportId, fields) {
+  const keys = Object.keys(fields);
+  await env.DB.prepare(
+    `UPDATE data_exports SET ${keys.map((k) => `${k} = ?`).join(', ')}, updated_at = ? WHERE id = ?`
+  )
+    .bind(...keys.map((k) => fields[k]), new Date().toISOString(), exportId)
+    .run();
+}
+
+// Runs from ctx.waitUntil: collects every section, reporting progress as it
+// goes, then writes one JSON file to R2.
+async function buildDataExport(env, exportId, userId) {
+  const bundle = { format: 'week1-data-export/1', generated_at: null, user_id: userId };
+
+  const steps = [
+    ['profile', async () => {
+      const row = await env.DB.prepare(`SELECT * FROM users WHERE id = ?`).bind(userId).first();
+      return {
+        id: row.id,
+        name: await decryptText(env, row.name_cipher),
+        email: await decryptText(env, row.email_cipher),
+        phone: await decryptText(env, row.phone_cipher),
+        role: row.role,
+        status: row.status,
+        avatar_url: row.avatar_url,
+        email_verified_at: row.email_verified_at,
+        two_factor_enabled: !!row.totp_enabled_at,
+        created_at: row.created_at,
+        updated_at: row.updated_at
+      };
+    }],
+    ['addresses', async () => {
+      const { results } = await env.DB.prepare(
+        `SELECT * FROM addresses WHERE user_id = ? ORDER BY created_at`
+      )
+        .bind(userId)
+        .all();
+      const out = [];
+      for (const row of results || []) {
+        out.push({
+          id: row.id,
+          name: await decryptText(env, row.name_cipher),
+          line1: await decryptText(env, row.line1_cipher),
+          line2: await decryptText(env, row.line2_cipher),
+          city: await decryptText(env, row.city_cipher),
+          state: await decryptText(env, row.state_cipher),
+          postal: await decryptText(env, row.postal_cipher),
+          country: row.country,
+          is_default_shipping: !!row.is_default_shipping,
+          is_default_billing: !!row.is_default_billing,
+          created_at: row.created_at,
+          updated_at: row.updated_at
+        });
+      }
+      return out;
+    }],
+    ['orders', async () => {
+      const { results: orders } = await env.DB.prepare(
+        `SELECT * FROM orders WHERE user_id = ? ORDER BY created_at`
+      )
+        .bind(userId)
+        .all();
+      const { results: items } = await env.DB.prepare(
+        `SELECT oi.* FROM order_items oi
+         JOIN orders o ON o.id = oi.order_id
+         WHERE o.user_id = ?`
+      )
+        .bind(userId)
+        .all();
+      const byOrder = new Map();
+      for (const item of items || []) {
+        if (!byOrder.has(item.order_id)) byOrder.set(item.order_id, []);
+        byOrder.get(item.order_id).push({
+          id: item.id,
+          product_id: item.product_id,
+          title: item.title_snapshot,
+          price_cents: item.price_cents,
+          qty: item.qty
+        });
+      }
+      return (orders || []).map((o) => ({ ...o, items: byOrder.get(o.id) || [] }));
+    }],
+    ['cart', async () => {
+      const { results } = await env.DB.prepare(
+        `SELECT product_id, qty, updated_at FROM cart_items WHERE user_id = ?`
+      )
+        .bind(userId)
+        .all();
+      return results || [];
+    }],
+    ['sessions', async () => {
+      const { results } = await env.DB.prepare(
+        `SELECT public_id, name, ip, user_agent, issued_at, expires_at, last_seen_at, revoked
+         FROM sessions WHERE user_id = ? ORDER BY issued_at`
+      )
+        .bind(userId)
+        .all();
+      return (results || []).map((s) => ({
+        id: s.public_id,
+        name: s.name,
+        ip: s.ip,
+        user_agent: s.user_agent,
+        issued_at: s.issued_at,
+        expires_at: s.expires_at,
+        last_seen_at: s.last_seen_at,
+        revoked: !!s.revoked
+      }));
+    }]
+  ];
+
+  try {
+    await setExportProgress(env, exportId, { status: 'running', progress: 0 });
+
+    for (let i = 0; i < steps.length; i++) {
+      const [name, collect] = steps[i];
+      await setExportProgress(env, exportId, { step: name });
+      bundle[name] = await collect();
+      // The upload below is the last 10%
+      await setExportProgress(env, exportId, { progress: Math.round(((i + 1) / steps.length) * 90) });
+    }
+
+    bundle.generated_at = new Date().toISOString();
+    const body = JSON.stringify(bundle, null, 2);
+    const objectKey = `exports/${userId}/${exportId}.json`;
+
+    await setExportProgress(env, exportId, { step: 'upload' });
+    await env.USER_FILES_BUCKET.put(objectKey, body, {
+      httpMetadata: { contentType: 'application/json' }
+    });
+
+    const now = new Date();
+    await setExportProgress(env, exportId, {
+      status: 'ready',
+      progress: 100,
+      step: null,
+      object_key: objectKey,
+      size_bytes: new TextEncoder().encode(body).length,
+      expires_at: new Date(now.getTime() + DATA_EXPORT_TTL_MS).toISOString(),
+      completed_at: now.toISOString()
+    });
+  } catch (err) {
+    await setExportProgress(env, exportId, { status: 'failed', error: String(err) });
+  }
+}
+
+// Marks the user's pending/running jobs that stopped reporting progress as
+// failed so a new export can be started.
+async function failStaleExports(env, userId) {
+  const now = new Date();
+  await env.DB.prepare(
+    `UPDATE data_exports SET status = 'failed', error = 'Export timed out', updated_at = ?
+     WHERE user_id = ? AND status IN ('pending', 'running') AND updated_at <= ?`
+  )
+    .bind(now.toISOString(), userId, new Date(now.getTime() - DATA_EXPORT_STALE_MS).toISOString())
+    .run();
+}
+
+// Cron: removes export files whose download window has closed. The row stays
+// so the profile page can still say the export expired.
+async function purgeExpiredExports(env) {
+  if (!env.USER_FILES_BUCKET) return;
+
+  const now = new Date().toISOString();
+  const { results } = await env.DB.prepare(
+    `SELECT id, object_key FROM data_exports
+     WHERE object_key IS NOT NULL AND expires_at <= ?
+     LIMIT ?`
+  )
+    .bind(now, DATA_EXPORT_PURGE_BATCH_SIZE)
+    .all();
+  if (!results || !results.length) return;
+
+  await env.USER_FILES_BUCKET.delete(results.map((r) => r.object_key));
+  await env.DB.batch(
+    results.map((r) =>
+      env.DB.prepare(
+        `UPDATE data_exports SET object_key = NULL, download_token_hash = NULL, updated_at = ? WHERE id = ?`
+      ).bind(now, r.id)
+    )
+  );
+}
+
+function dataExportToJson(row, downloadUrl) {
+  return {
+    id: row.id,
+    status: row.status,
+    progress: row.progress,
+    step: row.step,
+    size_bytes: row.size_bytes,
+    expires_at: row.expires_at,
+    error: row.error,
+    created_at: row.created_at,
+    completed_at: row.completed_at,
+    download_url: downloadUrl || null
+  };
+}
+
+// --- Account deletion & purge ---
+function deletionGraceMs(env) {
+  const days = Number(env.ACCOUNT_DELETION_GRACE_DAYS);
+  return (Number.isFinite(days) && days >= 0 ? days : ACCOUNT_DELETION_GRACE_DAYS_DEFAULT) * 24 * 60 * 60 * 1000;
+}
+
+function restoreDeadline(env, deletedAt) {
+  return new Date(Date.parse(deletedAt) + deletionGraceMs(env)).toISOString();
+}
+
+// Only the owner's own deletion can be undone, and only inside the grace period
+function canRestoreAccount(env, user) {
+  return (
+    user.status === 'deleted' &&
+    !user.purged_at &&
+    !!user.deleted_at &&
+    user.deleted_by === user.id &&
+    Date.now() < Date.parse(user.deleted_at) + deletionGraceMs(env)
+  );
+}
+
+async function restoreDeletedAccount(env, userId, request = null) {
+  const now = new Date().toISOString();
+  const res = await env.DB.prepare(
+    `UPDATE users SET status = 'active', deleted_at = NULL, deleted_by = NULL, updated_at = ?
+     WHERE id = ? AND status = 'deleted' AND purged_at IS NULL`
+  )
+    .bind(now, userId)
+    .run();
+
+  if (res.meta && res.meta.changes === 1) {
+    await recordAudit(env, { actorUserId: userId, action: 'user.restore', resource: `user:${userId}`, request });
+  }
+}
+
+// Shreds one account past its grace period. The users row stays as an
+// anonymous tombstone because orders and audit logs reference it.
+async function purgeAccount(env, userId) {
+  const now = new Date().toISOString();
+
+  if (env.AVATAR_BUCKET) {
+    await env.AVATAR_BUCKET.delete(`avatars/${userId}`);
+  }
+
+  const store = await env.DB.prepare(`SELECT id FROM stores WHERE seller_id = ?`)
+    .bind(userId)
+    .first();
+  if (store && env.PRODUCT_IMAGE_BUCKET) {
+    await env.PRODUCT_IMAGE_BUCKET.delete(`stores/${store.id}`);
+  }
+
+  // A purged seller's listings go with the store; orders still reference the rows
+  const { results: products } = await env.DB.prepare(
+    `SELECT id FROM products WHERE seller_id = ? AND status != 'deleted'`
+  )
+    .bind(userId)
+    .all();
+
+  if (env.USER_FILES_BUCKET) {
+    const { results: exports } = await env.DB.prepare(
+      `SELECT object_key FROM data_exports WHERE user_id = ? AND object_key IS NOT NULL`
+    )
+      .bind(userId)
+      .all();
+    const { results: applications } = await env.DB.prepare(
+      `SELECT id, documents FROM seller_applications WHERE user_id = ?`
+    )
+      .bind(userId)
+      .all();
+
+    const keys = (exports || []).map((r) => r.object_key);
+    for (const app of applications || []) {
+      for (const doc of JSON.parse(app.documents || '[]')) {
+        keys.push(`seller-applications/${app.id}/${doc.id}`);
+      }
+    }
+    if (keys.length) await env.USER_FILES_BUCKET.delete(keys);
+  }
+
+  // Orders keep their totals and line items; only the links to personal data go
+  await env.DB.batch([
+    env.DB.prepare(
+      `UPDATE orders SET shipping_address_id = NULL, billing_address_id = NULL WHERE user_id = ?`
+    ).bind(userId),
+    env.DB.prepare(`DELETE FROM addresses WHERE user_id = ?`).bind(userId),
+    env.DB.prepare(`DELETE FROM cart_items WHERE user_id = ?`).bind(userId),
+    env.DB.prepare(`DELETE FROM sessions WHERE user_id = ?`).bind(userId),
+    env.DB.prepare(`DELETE FROM api_tokens WHERE user_id = ?`).bind(userId),
+    env.DB.prepare(`DELETE FROM auth_tokens WHERE user_id = ?`).bind(userId),
+    env.DB.prepare(`DELETE FROM user_recovery_codes WHERE user_id = ?`).bind(userId),
+    env.DB.prepare(`DELETE FROM data_exports WHERE user_id = ?`).bind(userId),
+    env.DB.prepare(`DELETE FROM outbox_messages WHERE user_id = ?`).bind(userId),
+    env.DB.prepare(`DELETE FROM product_reviews WHERE user_id = ?`).bind(userId),
+    env.DB.prepare(`DELETE FROM stores WHERE seller_id = ?`).bind(userId),
+    env.DB.prepare(
+      `UPDATE products SET status = 'deleted', updated_at = ? WHERE seller_id = ? AND status != 'deleted'`
+    ).bind(now, userId),
+    env.DB.prepare(
+      `DELETE FROM products_fts WHERE product_id IN (SELECT id FROM products WHERE seller_id = ?)`
+    ).bind(userId),
+    env.DB.prepare(
+      `UPDATE seller_applications
+       SET contact_name_cipher = NULL, contact_email_cipher = NULL, contact_phone_cipher = NULL,
+           documents = '[]', updated_at = ?
+       WHERE user_id = ?`
+    ).bind(now, userId),
+    env.DB.prepare(
+      `UPDATE users
+       SET email_hash = ?, email_cipher = NULL, phone_hash = NULL, phone_cipher = NULL,
+           name_cipher = NULL, password_hash = '!', avatar_url = NULL,
+           totp_secret_cipher = NULL, totp_enabled_at = NULL, totp_last_step = NULL,
+           purged_at = ?, updated_at = ?
+       WHERE id = ?`
+    ).bind(`purged:${userId}`, now, now, userId)
+  ]);
+
+  if (products && products.length && env.PRODUCT_CACHE) {
+    await Promise.all([
+      bumpProductListVersion(env),
+      ...products.map((p) => env.PRODUCT_CACHE.delete(productKey(p.id)))
+    ]);
+  }
+
+  await recordAudit(env, { action: 'user.purge', resource: `user:${userId}` });
+}
+
+async function purgeDeletedAccounts(env) {
+  const cutoff = new Date(Date.now() - deletionGraceMs(env)).toISOString();
+  const { results } = await env.DB.prepare(
+    `SELECT id FROM users
+     WHERE status = 'deleted' AND purged_at IS NULL AND deleted_at IS NOT NULL AND deleted_at <= ?
+     ORDER BY deleted_at
+     LIMIT ?`
+  )
+    .bind(cutoff, ACCOUNT_PURGE_BATCH_SIZE)
+    .all();
+
+  for (const row of results || []) {
+    try {
+      await purgeAccount(env, row.id);
+    } catch (err) {
+      // Left unpurged; the next cron run retries it
+      await recordAudit(env, {
+        action: 'user.purge_failed',
+        resource: `user:${row.id}`,
+        meta: { error: String(err) }
+      });
+    }
+  }
+}
+
+// --- Key rotation ---
+// Processes one batch of the current table and moves the job cursor forward.
+// Returns the updated job row.
+async function runKeyRotationBatch(env, job) {
+  const target = ENCRYPTED_COLUMNS[job.table_index];
+  const now = new Date().toISOString();
+
+  if (!target) {
+    await env.DB.prepare(
+      `UPDATE key_rotation_jobs SET status = 'completed', updated_at = ?, completed_at = ? WHERE id = ?`
+    )
+      .bind(now, now, job.id)
+      .run();
+    return { ...job, status: 'completed', completed_at: now };
+  }
+
+  const { results } = await env.DB.prepare(
+    `SELECT id, ${target.columns.join(', ')} FROM ${target.table}
+     WHERE id > ?
+     ORDER BY id
+     LIMIT ?`
+  )
+    .bind(job.cursor || '', KEY_ROTATION_BATCH_SIZE)
+    .all();
+
+  let reencrypted = 0;
+  for (const row of results || []) {
+    for (const column of target.columns) {
+      const value = row[column];
+      if (!value || ciphertextKeyId(value) === job.target_key_id) continue;
+      const rewritten = await encryptText(env, await decryptText(env, value), { keyId: job.target_key_id });
+      // Only replace what we read; a concurrent write already used the active key
+      await env.DB.prepare(
+        `UPDATE ${target.table} SET ${column} = ? WHERE id = ? AND ${column} = ?`
+      )
+        .bind(rewritten, row.id, value)
+        .run();
+      reencrypted++;
+    }
+  }
+
+  const rows = results || [];
+  const tableDone = rows.length < KEY_ROTATION_BATCH_SIZE;
+  const next = {
+    table_index: tableDone ? job.table_index + 1 : job.table_index,
+    cursor: tableDone ? null : rows[rows.length - 1].id,
+    rows_scanned: job.rows_scanned + rows.length,
+    values_reencrypted: job.values_reencrypted + reencrypted
+  };
+
+  await env.DB.prepare(
+    `UPDATE key_rotation_jobs
+     SET table_index = ?, cursor = ?, rows_scanned = ?, values_reencrypted = ?, updated_at = ?
+     WHERE id = ?`
+  )
+    .bind(next.table_index, next.cursor, next.rows_scanned, next.values_reencrypted, now, job.id)
+    .run();
+
+  return { ...job, ...next, updated_at: now };
+}
+
+// Advances the running job (if any) for up to `maxBatches` batches
+async function continueKeyRotation(env, maxBatches) {
+  let job = await env.DB.prepare(
+    `SELECT * FROM key_rotation_jobs WHERE status = 'running' ORDER BY created_at LIMIT 1`
+  ).first();
+
+  try {
+    for (let i = 0; job && job.status === 'running' && i < maxBatches; i++) {
+      job = await runKeyRotationBatch(env, job);
+    }
+  } catch (err) {
+    await env.DB.prepare(
+      `UPDATE key_rotation_jobs SET status = 'failed', error = ?, updated_at = ? WHERE id = ?`
+    )
+      .bind(String(err), new Date().toISOString(), job.id)
+      .run();
+  }
+  return job;
+}
+
+// --- Login throttling ---
+// Returns seconds until `key` may try again, or 0 when not blocked.
+async function loginRetryAfter(env, key) {
+  const row = await env.DB.prepare(
+    `SELECT blocked_until FROM login_attempts WHERE key = ?`
+  )
+    .bind(key)
+    .first();
+  if (!row || !row.blocked_until) return 0;
+  const ms = Date.parse(row.blocked_until) - Date.now();
+  return ms > 0 ? Math.ceil(ms / 1000) : 0;
+}
+
+// Bumps the failure counter and sets the next backoff; returns the new count
+async function recordLoginFailure(env, key, freeAttempts) {
+  const now = new Date();
+  const windowStart = new Date(now.getTime() - LOGIN_FAILURE_WINDOW_MS).toISOString();
+
+  const row = await env.DB.prepare(
+    `INSERT INTO login_attempts (key, failures, last_failed_at, blocked_until)
+     VALUES (?, 1, ?, NULL)
+     ON CONFLICT(key) DO UPDATE SET
+       failures = CASE WHEN last_failed_at < ? THEN 1 ELSE failures + 1 END,
+       last_failed_at = excluded.last_failed_at
+     RETURNING failures`
+  )
+    .bind(key, now.toISOString(), windowStart)
+    .first();
+
+  const failures = Number(row.failures);
+  if (failures > freeAttempts) {
+    const delay = Math.min(2 ** (failures - freeAttempts), LOGIN_MAX_BACKOFF_SECONDS);
+    await env.DB.prepare(
+      `UPDATE login_attempts SET blocked_until = ? WHERE key = ?`
+    )
+      .bind(new Date(now.getTime() + delay * 1000).toISOString(), key)
+      .run();
+  }
+  return failures;
+}
+
+async function clearLoginFailures(env, key) {
+  await env.DB.prepare(`DELETE FROM login_attempts WHERE key = ?`).bind(key).run();
+}
+
+// Throttle keys of a sign-in attempt: the account (by email hash) and the client IP
+function loginKeys(emailHash, request) {
+  const ip = request.headers.get('cf-connecting-ip');
+  return { accountKey: `acct:${emailHash}`, ipKey: ip ? `ip:${ip}` : null, ip };
+}
+
+// Seconds until either key may try again (0 when neither is blocked)
+async function loginKeysRetryAfter(env, { accountKey, ipKey }) {
+  return Math.max(
+    await loginRetryAfter(env, accountKey),
+    ipKey ? await loginRetryAfter(env, ipKey) : 0
+  );
+}
+
+// A wrong password or 2FA code: counts against both keys and locks the account
+// once it reaches LOGIN_LOCKOUT_THRESHOLD failures
+async function recordSignInFailure(env, request, user, { accountKey, ipKey, ip }) {
+  const failures = await recordLoginFailure(env, accountKey, LOGIN_FREE_ATTEMPTS_ACCOUNT);
+  if (ipKey) await recordLoginFailure(env, ipKey, LOGIN_FREE_ATTEMPTS_IP);
+
+  const threshold = Number(env.LOGIN_LOCKOUT_THRESHOLD || 10);
+  if (user && user.status === 'active' && failures >= threshold) {
+    const now = new Date().toISOString();
+    const lockMinutes = Number(env.LOGIN_LOCKOUT_MINUTES || 30);
+    const lockedUntil = new Date(Date.now() + lockMinutes * 60 * 1000).toISOString();
+    await env.DB.prepare(
+      `UPDATE users SET status = 'locked', locked_until = ?, updated_at = ?
+       WHERE id = ? AND status = 'active'`
+    )
+      .bind(lockedUntil, now, user.id)
+      .run();
+    await recordAudit(env, {
+      action: 'auth.lockout',
+      resource: `user:${user.id}`,
+      meta: { failures, locked_until: lockedUntil, ip },
+      request
+    });
+  }
+}
+
+function throttled(retryAfter, error = 'Too many login attempts, try again later') {
+  return json(
+    { ok: false, error, retry_after: retryAfter },
+    { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+  );
+}
+
+// --- TOTP (RFC 6238, HMAC-SHA1, 6 digits, 30s) ---
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(bytes) {
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of bytes) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    out += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return out;
+}
+
+function base32Decode(str) {
+  const clean = (str || '').toUpperCase().replace(/[^A-Z2-7]/g, '');
+  let bits = 0;
+  let value = 0;
+  const out = [];
+  for (const ch of clean) {
+    value = (value << 5) | BASE32_ALPHABET.indexOf(ch);
+    bits += 5;
+    if (bits >= 8) {
+      out.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return new Uint8Array(out);
+}
+
+async function totpCodeAt(secretBytes, step) {
+  const counter = new Uint8Array(8);
+  let n = step;
+  for (let i = 7; i >= 0; i--) {
+    counter[i] = n & 255;
+    n = Math.floor(n / 256);
+  }
+
+  const key = await crypto.subtle.importKey(
+    'raw',
+    secretBytes,
+    { name: 'HMAC', hash: 'SHA-1' },
+    false,
+    ['sign']
+  );
+  const mac = new Uint8Array(await crypto.subtle.sign('HMAC', key, counter));
+  const offset = mac[mac.length - 1] & 15;
+  const binary =
+    ((mac[offset] & 127) << 24) |
+    (mac[offset + 1] << 16) |
+    (mac[offset + 2] << 8) |
+    mac[offset + 3];
+
+  return String(binary % 1000000).padStart(6, '0');
+}
+
+// Returns the matched time step (accepting +/- one step of clock drift), or null.
+// Steps at or before lastStep were already used and are rejected.
+async function verifyTotp(secretB32, code, lastStep) {
+  if (!/^\d{6}$/.test(code || '')) return null;
+  const secretBytes = base32Decode(secretB32);
+  const current = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+  for (const step of [current - 1, current, current + 1]) {
+    if (lastStep != null && step <= Number(lastStep)) continue;
+    if (timingSafeEqual(await totpCodeAt(secretBytes, step), code)) {
+      return step;
+    }
+  }
+  return null;
+}
+
+function normalizeRecoveryCode(code) {
+  return (code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+// Issues a fresh set of recovery codes, replacing any previous ones
+async function regenerateRecoveryCodes(env, userId) {
+  const now = new Date().toISOString();
+  const codes = [];
+
+  await env.DB.prepare(`DELETE FROM user_recovery_codes WHERE user_id = ?`)
+    .bind(userId)
+    .run();
+
+  for (let i = 0; i < RECOVERY_CODE_COUNT; i++) {
+    const raw = randomToken(5); // 10 hex chars
+    const code = `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    codes.push(code);
+
+    await env.DB.prepare(
+      `INSERT INTO user_recovery_codes (id, user_id, code_hash, used_at, created_at)
+       VALUES (?, ?, ?, NULL, ?)`
+    )
+      .bind(crypto.randomUUID(), userId, await sha256Hex(normalizeRecoveryCode(code)), now)
+      .run();
+  }
+
+  return codes;
+}
+
+async function consumeRecoveryCode(env, userId, code) {
+  const codeHash = await sha256Hex(normalizeRecoveryCode(code));
+  const result = await env.DB.prepare(
+    `UPDATE user_recovery_codes
+     SET used_at = ?
+     WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`
+  )
+    .bind(new Date().toISOString(), userId, codeHash)
+    .run();
+  return !!(result.meta && result.meta.changes === 1);
+}
+
+// Checks a 6-digit TOTP code or, failing that, a one-time recovery code
+async function verifySecondFactor(env, userRow, code) {
+  if (!userRow.totp_secret_cipher || !userRow.totp_enabled_at) return false;
+
+  const secret = await decryptText(env, userRow.totp_secret_cipher);
+  const step = await verifyTotp(secret, code, userRow.totp_last_step);
+  if (step != null) {
+    // Claim the step atomically so concurrent requests can't both use one code
+    const claimed = await env.DB.prepare(
+      `UPDATE users SET totp_last_step = ?
+       WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)`
+    )
+      .bind(step, userRow.id, step)
+      .run();
+    return !!(claimed.meta && claimed.meta.changes === 1);
+  }
+
+  if (!/^\d{6}$/.test(code || '')) {
+    return consumeRecoveryCode(env, userRow.id, code);
+  }
+  return false;
+}
 
 // ---------- Joi schemas ----------
 const userRegisterSchema = Joi.object({
@@ -18,7 +987,6 @@ const userRegisterSchema = Joi.object({
   email: Joi.string().email().required(),
   phone: Joi.string().min(5).max(50).optional().allow('', null),
   password: Joi.string().min(8).max(72).required(),
-  role: Joi.string().valid('buyer', 'seller', 'admin').default('buyer'),
   avatar_url: Joi.string().uri().optional().allow('', null)
 });
 
@@ -28,15 +996,92 @@ const loginSchema = Joi.object({
 });
 
 const forgotPasswordSchema = Joi.object({
-  email: Joi.string().email().required(),
+  email: Joi.string().email().required()
+});
+
+const resetPasswordSchema = Joi.object({
+  token: Joi.string().hex().length(64).required(),
   new_password: Joi.string().min(8).max(72).required()
 });
 
+const verifyEmailSchema = Joi.object({
+  token: Joi.string().hex().length(64).required()
+});
+
+const loginTwoFactorSchema = Joi.object({
+  challenge: Joi.string().hex().length(64).required(),
+  code: Joi.string().min(6).max(32).required() // TOTP code or recovery code
+});
+
+const twoFactorCodeSchema = Joi.object({
+  code: Joi.string().min(6).max(32).required()
+});
+
+const rolePermissionsSchema = Joi.object({
+  permissions: Joi.array()
+    .items(Joi.string().valid(...Object.keys(PERMISSIONS)))
+    .unique()
+    .required()
+});
+
+const twoFactorPolicySchema = Joi.object({
+  role: Joi.string().valid('buyer', 'seller', 'admin').required(),
+  require_2fa: Joi.boolean().required()
+});
+
+const sessionRenameSchema = Joi.object({
+  name: Joi.string().trim().max(60).allow('', null).required()
+});
+
+const apiTokenCreateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(60).required(),
+  scopes: Joi.array()
+    .items(Joi.string().valid(...API_TOKEN_SCOPES))
+    .min(1)
+    .unique()
+    .required(),
+  expires_in_days: Joi.number().integer().min(1).max(365).default(90)
+});
+
+const sellerApplicationSchema = Joi.object({
+  business_name: Joi.string().trim().min(1).max(200).required(),
+  contact_name: Joi.string().trim().min(1).max(200).required(),
+  contact_email: Joi.string().email().required(),
+  contact_phone: Joi.string().min(5).max(50).required(),
+  description: Joi.string().allow('').max(2000).optional()
+});
+
+// A note is optional when approving but required when rejecting
+const sellerApplicationReviewSchema = Joi.object({
+  note: Joi.string().trim().max(1000).allow('').when('$decision', {
+    is: 'reject',
+    then: Joi.required().invalid(''),
+    otherwise: Joi.optional()
+  })
+});
+
+const adminUserSearchSchema = Joi.object({
+  q: Joi.string().trim().max(200).allow(''),
+  role: Joi.string().valid('buyer', 'seller', 'admin'),
+  status: Joi.string().valid('active', 'locked', 'deleted'),
+  limit: Joi.number().integer().min(1).max(100).default(20),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+const impersonationStartSchema = Joi.object({
+  reason: Joi.string().trim().min(3).max(500).required(),
+  minutes: Joi.number().integer().min(1).max(IMPERSONATION_MAX_MINUTES).default(IMPERSONATION_DEFAULT_MINUTES),
+  allow_write: Joi.boolean().default(false)
+});
+
+const userRoleSchema = Joi.object({
+  role: Joi.string().valid('buyer', 'seller', 'admin').required()
+});
+
 const userUpdateSchema = Joi.object({
   name: Joi.string().min(1).max(200),
   phone: Joi.string().min(5).max(50),
-  avatar_url: Joi.string().uri().optional().allow('', null),
-  role: Joi.string().valid('buyer', 'seller', 'admin').default('buyer')
+  avatar_url: Joi.string().uri().optional().allow('', null)
 }).min(1);
 
 const addressUpsertSchema = Joi.object({
@@ -69,7 +1114,7 @@ const addressDeleteSchema = Joi.object({
 });
 
 // ---------- Router ----------
-const router = Router();
+const router = Router({ before: [csrfGuard, impersonationGuard] });
 
 // Debug DB
 router.get('/debug/db', async (request, env, ctx) => {
@@ -130,17 +1175,11 @@ router.post('/api/users/register', async (request, env, ctx) => {
 
     const nameCipher = await encryptText(env, name);
 
-    const pepper = env.PASSWORD_PEPPER || 'dev-pepper';
-    const passwordHash = await sha256Hex(value.password + '|' + pepper);
+    const passwordHash = await hashPassword(env, value.password);
     const userId = crypto.randomUUID();
 
-    const requestedRole = value.role || 'buyer';
-    let finalRole = value.role;
-    if (requestedRole === 'seller') {
-      if (env.ALLOW_SELLER_SELF_REGISTER === '1') {
-        finalRole = 'seller';
-      }
-    }
+    // Everyone starts as a buyer; selling goes through /api/users/me/seller-application
+    const finalRole = 'buyer';
 
     await env.DB.prepare(
       `INSERT INTO users (
@@ -174,6 +1213,8 @@ router.post('/api/users/register', async (request, env, ctx) => {
       )
       .run();
 
+    await sendVerificationEmail(env, request, userId, emailNorm);
+
     return json(
       {
         ok: true,
@@ -184,6 +1225,7 @@ router.post('/api/users/register', async (request, env, ctx) => {
           phone: phoneNorm,
           role: finalRole,
           avatar_url: avatarUrl,
+          email_verified: false,
           created_at: now
         }
       },
@@ -288,6 +1330,7 @@ router.get('/api/users/me/profile', async (request, env, ctx) => {
          role,
          status,
          avatar_url,
+         email_verified_at,
          created_at,
          updated_at
        FROM users
@@ -326,6 +1369,7 @@ router.get('/api/users/me/profile', async (request, env, ctx) => {
         role: row.role,
         status: row.status,
         avatar_url: row.avatar_url,
+        email_verified_at: row.email_verified_at,
         created_at: row.created_at,
         updated_at: row.updated_at
       }
@@ -360,6 +1404,22 @@ router.get('/health', async (request, env, ctx) => {
   }
 });
 
+// Plaintext view of an address for audit diffs; recordAudit redacts the PII fields
+async function addressAuditSnapshot(env, row) {
+  if (!row) return null;
+  return {
+    name: (await decryptText(env, row.name_cipher)) || null,
+    line1: (await decryptText(env, row.line1_cipher)) || null,
+    line2: (await decryptText(env, row.line2_cipher)) || null,
+    city: (await decryptText(env, row.city_cipher)) || null,
+    state: (await decryptText(env, row.state_cipher)) || null,
+    postal: (await decryptText(env, row.postal_cipher)) || null,
+    country: row.country,
+    is_default_shipping: !!row.is_default_shipping,
+    is_default_billing: !!row.is_default_billing
+  };
+}
+
 router.put('/api/addresses', async (request, env, ctx) => {
   const auth = await getAuthFromRequest(request, env);
   if (!auth) {
@@ -400,7 +1460,7 @@ router.put('/api/addresses', async (request, env, ctx) => {
 
   try {
     const existing = await env.DB.prepare(
-      `SELECT id FROM addresses
+      `SELECT * FROM addresses
        WHERE id = ? AND user_id = ?`
     )
       .bind(addressId, auth.user.id)
@@ -499,6 +1559,20 @@ router.put('/api/addresses', async (request, env, ctx) => {
 
     await env.DB.prepare(sql).bind(...binds).run();
 
+    const before = await addressAuditSnapshot(env, existing);
+    const after = { ...before };
+    for (const key of Object.keys(before)) {
+      if (value[key] !== undefined) after[key] = value[key] === '' ? null : value[key];
+    }
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'address.update',
+      resource: `address:${addressId}`,
+      before,
+      after,
+      request
+    });
+
     return json({
       ok: true,
       address: {
@@ -551,6 +1625,12 @@ router.delete('/api/addresses', async (request, env, ctx) => {
   }
 
   try {
+    const existing = await env.DB.prepare(
+      `SELECT * FROM addresses WHERE id = ? AND user_id = ?`
+    )
+      .bind(value.id, auth.user.id)
+      .first();
+
     const result = await env.DB.prepare(
       `DELETE FROM addresses
        WHERE id = ? AND user_id = ?`
@@ -558,6 +1638,16 @@ router.delete('/api/addresses', async (request, env, ctx) => {
       .bind(value.id, auth.user.id)
       .run();
 
+    if (existing) {
+      await recordAudit(env, {
+        actorUserId: auth.user.id,
+        action: 'address.delete',
+        resource: `address:${value.id}`,
+        before: await addressAuditSnapshot(env, existing),
+        request
+      });
+    }
+
     return json({ ok: true });
   } catch (err) {
     return json(
@@ -567,6 +1657,7 @@ router.delete('/api/addresses', async (request, env, ctx) => {
   }
 });
 
+// ---- Password reset, step 1: mail a single-use reset link ----
 router.post('/api/auth/forgot-password', async (request, env, ctx) => {
   let body;
   try {
@@ -601,36 +1692,54 @@ router.post('/api/auth/forgot-password', async (request, env, ctx) => {
     const emailHash = await sha256Hex(emailNorm);
 
     const user = await env.DB.prepare(
-      `SELECT id FROM users WHERE email_hash = ?`
+      `SELECT id, status FROM users WHERE email_hash = ?`
     )
       .bind(emailHash)
       .first();
 
-    // You *can* choose to always return ok=true even if user not found
-    if (!user) {
-      return json({ ok: true }); // avoid leaking which emails exist
+    // Always answer ok=true so the endpoint doesn't leak which emails exist
+    if (!user || user.status !== 'active') {
+      return json({ ok: true });
     }
 
-    const pepper = env.PASSWORD_PEPPER || 'dev-pepper';
-    const newHash = await sha256Hex(value.new_password + '|' + pepper);
-
+    // Only the newest link stays usable
     await env.DB.prepare(
-      `UPDATE users
-       SET password_hash = ?, updated_at = ?
-       WHERE id = ?`
+      `UPDATE auth_tokens
+       SET used_at = ?
+       WHERE user_id = ? AND purpose = 'password_reset' AND used_at IS NULL`
     )
-      .bind(newHash, now, user.id)
+      .bind(now, user.id)
       .run();
 
-    // optional: revoke existing sessions for this user
+    const token = randomToken();
+    const expiresIso = new Date(Date.now() + PASSWORD_RESET_TTL_MS).toISOString();
+
     await env.DB.prepare(
-      `UPDATE sessions
-       SET revoked = 1
-       WHERE user_id = ?`
+      `INSERT INTO auth_tokens (
+        id, user_id, purpose, token_hash, expires_at, used_at, created_at
+      ) VALUES (?, ?, 'password_reset', ?, ?, NULL, ?)`
     )
-      .bind(user.id)
+      .bind(crypto.randomUUID(), user.id, await sha256Hex(token), expiresIso, now)
       .run();
 
+    const resetUrl = new URL('/reset-password', request.url);
+    resetUrl.searchParams.set('token', token);
+
+    await enqueueOutboxMessage(env, {
+      userId: user.id,
+      to: emailNorm,
+      template: 'password_reset',
+      subject: 'Reset your Week1 Store password',
+      body: [
+        'Someone asked to reset the password for your Week1 Store account.',
+        '',
+        'Open this link within 30 minutes to choose a new password:',
+        resetUrl.toString(),
+        '',
+        'If this was not you, you can ignore this email.'
+      ].join('\n')
+    });
+
     return json({ ok: true });
   } catch (err) {
     return json(
@@ -640,71 +1749,281 @@ router.post('/api/auth/forgot-password', async (request, env, ctx) => {
   }
 });
 
-// ---- Update current user ----
-router.put('/api/users/me', async (request, env, ctx) => {
-  const auth = await getAuthFromRequest(request, env);
-  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
-
+// ---- Password reset, step 2: consume token and set the new password ----
+router.post('/api/auth/reset-password', async (request, env, ctx) => {
   let body;
   try {
     body = await request.json();
-  } catch {
-    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
+  } catch (err) {
+    return json(
+      { ok: false, error: 'Invalid JSON body' },
+      { status: 400 }
+    );
   }
 
-  const { error, value } = userUpdateSchema.validate(body, {
+  const { error, value } = resetPasswordSchema.validate(body, {
     abortEarly: false,
     stripUnknown: true
   });
 
   if (error) {
     return json(
-      { ok: false, error: 'Validation failed', details: error.details.map((d) => d.message) },
+      {
+        ok: false,
+        error: 'Validation failed',
+        details: error.details.map((d) => d.message)
+      },
       { status: 400 }
     );
   }
 
-  try {
-    const now = new Date().toISOString();
-    const fields = [];
-    const binds = [];
+  const now = new Date().toISOString();
 
-    if (value.name !== undefined) {
-      const nameCipher = await encryptText(env, value.name);
-      fields.push('name_cipher = ?');
-      binds.push(nameCipher);
-    }
+  try {
+    const tokenHash = await sha256Hex(value.token);
 
-    if (value.phone !== undefined) {
-      const phoneNorm = normalizePhone(value.phone);
-      const phoneHash = phoneNorm ? await sha256Hex(phoneNorm) : null;
-      const phoneCipher = phoneNorm ? await encryptText(env, phoneNorm) : null;
-      fields.push('phone_hash = ?');
-      binds.push(phoneHash);
-      fields.push('phone_cipher = ?');
-      binds.push(phoneCipher);
-    }
+    const row = await env.DB.prepare(
+      `SELECT id, user_id
+       FROM auth_tokens
+       WHERE token_hash = ? AND purpose = 'password_reset'
+         AND used_at IS NULL AND expires_at > ?`
+    )
+      .bind(tokenHash, now)
+      .first();
 
-    if (value.avatar_url !== undefined) {
-      fields.push('avatar_url = ?');
-      binds.push(value.avatar_url || null);
+    if (!row) {
+      return json(
+        { ok: false, error: 'Reset link is invalid or has expired' },
+        { status: 400 }
+      );
     }
 
-    if (value.role !== undefined) {
-      fields.push('role = ?');
-      binds.push(value.role || 'buyer');
-    }
+    // Claim the token; a concurrent request that loses the race gets 0 changes
+    const claimed = await env.DB.prepare(
+      `UPDATE auth_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL`
+    )
+      .bind(now, row.id)
+      .run();
 
-    if (fields.length === 0) {
-      return json({ ok: false, error: 'No fields to update' }, { status: 400 });
+    if (!claimed.meta || claimed.meta.changes !== 1) {
+      return json(
+        { ok: false, error: 'Reset link is invalid or has expired' },
+        { status: 400 }
+      );
     }
 
-    fields.push('updated_at = ?');
-    binds.push(now);
-    binds.push(auth.user.id);
-
-    const sql = `UPDATE users SET ${fields.join(', ')} WHERE id = ?`;
-    await env.DB.prepare(sql).bind(...binds).run();
+    const newHash = await hashPassword(env, value.new_password);
+
+    await env.DB.prepare(
+      `UPDATE users
+       SET password_hash = ?, updated_at = ?
+       WHERE id = ?`
+    )
+      .bind(newHash, now, row.user_id)
+      .run();
+
+    // Sign out every device that still holds a session, and drop API tokens
+    await env.DB.prepare(
+      `UPDATE sessions
+       SET revoked = 1
+       WHERE user_id = ?`
+    )
+      .bind(row.user_id)
+      .run();
+
+    await env.DB.prepare(
+      `UPDATE api_tokens SET revoked_at = ? WHERE user_id = ? AND revoked_at IS NULL`
+    )
+      .bind(now, row.user_id)
+      .run();
+
+    await recordAudit(env, {
+      actorUserId: row.user_id,
+      action: 'auth.password_reset',
+      resource: `user:${row.user_id}`,
+      meta: { sessions_revoked: true },
+      request
+    });
+
+    return json({ ok: true });
+  } catch (err) {
+    return json(
+      { ok: false, error: String(err) },
+      { status: 500 }
+    );
+  }
+});
+
+// ---- Email verification: consume the emailed token ----
+router.get('/api/auth/verify-email', async (request, env, ctx) => {
+  const url = new URL(request.url);
+  const { error, value } = verifyEmailSchema.validate(
+    { token: url.searchParams.get('token') || '' },
+    { abortEarly: false, stripUnknown: true }
+  );
+
+  if (error) {
+    return json(
+      {
+        ok: false,
+        error: 'Validation failed',
+        details: error.details.map((d) => d.message)
+      },
+      { status: 400 }
+    );
+  }
+
+  const now = new Date().toISOString();
+
+  try {
+    const tokenRow = await env.DB.prepare(
+      `SELECT id, user_id FROM auth_tokens
+       WHERE token_hash = ? AND purpose = 'email_verify'
+         AND used_at IS NULL AND expires_at > ?`
+    )
+      .bind(await sha256Hex(value.token), now)
+      .first();
+
+    if (!tokenRow) {
+      return json(
+        { ok: false, error: 'Verification link is invalid or has expired' },
+        { status: 400 }
+      );
+    }
+
+    const claim = await env.DB.prepare(
+      `UPDATE auth_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL`
+    )
+      .bind(now, tokenRow.id)
+      .run();
+
+    if (!claim.meta || claim.meta.changes !== 1) {
+      return json(
+        { ok: false, error: 'Verification link is invalid or has expired' },
+        { status: 400 }
+      );
+    }
+
+    await env.DB.prepare(
+      `UPDATE users
+       SET email_verified_at = COALESCE(email_verified_at, ?), updated_at = ?
+       WHERE id = ?`
+    )
+      .bind(now, now, tokenRow.user_id)
+      .run();
+
+    return json({ ok: true, email_verified: true });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Email verification: send a new link to the logged-in user ----
+router.post('/api/auth/verify-email/resend', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+
+  if (auth.user.email_verified_at) {
+    return json({ ok: true, email_verified: true });
+  }
+
+  try {
+    const last = await env.DB.prepare(
+      `SELECT MAX(created_at) AS created_at FROM auth_tokens
+       WHERE user_id = ? AND purpose = 'email_verify'`
+    )
+      .bind(auth.user.id)
+      .first();
+
+    const waitMs = last && last.created_at
+      ? Date.parse(last.created_at) + EMAIL_VERIFY_RESEND_INTERVAL_MS - Date.now()
+      : 0;
+    if (waitMs > 0) {
+      const retryAfter = Math.ceil(waitMs / 1000);
+      return json(
+        { ok: false, error: 'Please wait before requesting another email', retry_after: retryAfter },
+        { status: 429, headers: { 'Retry-After': String(retryAfter) } }
+      );
+    }
+
+    const row = await env.DB.prepare(
+      `SELECT email_cipher FROM users WHERE id = ?`
+    )
+      .bind(auth.user.id)
+      .first();
+    const email = row && row.email_cipher ? await decryptText(env, row.email_cipher) : null;
+    if (!email) {
+      return json({ ok: false, error: 'No email address on file' }, { status: 400 });
+    }
+
+    await sendVerificationEmail(env, request, auth.user.id, email);
+
+    return json({ ok: true, email_verified: false, sent: true });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Update current user ----
+router.put('/api/users/me', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const { error, value } = userUpdateSchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return json(
+      { ok: false, error: 'Validation failed', details: error.details.map((d) => d.message) },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const now = new Date().toISOString();
+    const fields = [];
+    const binds = [];
+
+    if (value.name !== undefined) {
+      const nameCipher = await encryptText(env, value.name);
+      fields.push('name_cipher = ?');
+      binds.push(nameCipher);
+    }
+
+    if (value.phone !== undefined) {
+      const phoneNorm = normalizePhone(value.phone);
+      const phoneHash = phoneNorm ? await sha256Hex(phoneNorm) : null;
+      const phoneCipher = phoneNorm ? await encryptText(env, phoneNorm) : null;
+      fields.push('phone_hash = ?');
+      binds.push(phoneHash);
+      fields.push('phone_cipher = ?');
+      binds.push(phoneCipher);
+    }
+
+    if (value.avatar_url !== undefined) {
+      fields.push('avatar_url = ?');
+      binds.push(value.avatar_url || null);
+    }
+
+    if (fields.length === 0) {
+      return json({ ok: false, error: 'No fields to update' }, { status: 400 });
+    }
+
+    fields.push('updated_at = ?');
+    binds.push(now);
+    binds.push(auth.user.id);
+
+    const sql = `UPDATE users SET ${fields.join(', ')} WHERE id = ?`;
+    await env.DB.prepare(sql).bind(...binds).run();
 
     const updated = await env.DB.prepare(
       `SELECT id, role, status, created_at, updated_at FROM users WHERE id = ?`
@@ -712,173 +2031,2293 @@ router.put('/api/users/me', async (request, env, ctx) => {
       .bind(auth.user.id)
       .first();
 
-    return json({ ok: true, user: updated });
+    return json({ ok: true, user: updated });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Data export: start building a "download my data" bundle ----
+router.post('/api/users/me/export', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+
+  if (!env.USER_FILES_BUCKET) {
+    return json({ ok: false, error: 'USER_FILES_BUCKET is not configured' }, { status: 500 });
+  }
+
+  try {
+    await failStaleExports(env, auth.user.id);
+
+    const running = await env.DB.prepare(
+      `SELECT id FROM data_exports
+       WHERE user_id = ? AND status IN ('pending', 'running')`
+    )
+      .bind(auth.user.id)
+      .first();
+
+    if (running) {
+      return json(
+        { ok: false, error: 'An export is already being prepared', id: running.id },
+        { status: 409 }
+      );
+    }
+
+    // Only the newest export is kept around
+    const { results: old } = await env.DB.prepare(
+      `SELECT id, object_key FROM data_exports WHERE user_id = ?`
+    )
+      .bind(auth.user.id)
+      .all();
+    const oldKeys = (old || []).map((r) => r.object_key).filter(Boolean);
+    if (oldKeys.length) await env.USER_FILES_BUCKET.delete(oldKeys);
+    await env.DB.prepare(`DELETE FROM data_exports WHERE user_id = ?`)
+      .bind(auth.user.id)
+      .run();
+
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+
+    await env.DB.prepare(
+      `INSERT INTO data_exports (id, user_id, status, progress, created_at, updated_at)
+       VALUES (?, ?, 'pending', 0, ?, ?)`
+    )
+      .bind(id, auth.user.id, now, now)
+      .run();
+
+    ctx.waitUntil(buildDataExport(env, id, auth.user.id));
+
+    return json(
+      { ok: true, export: dataExportToJson({ id, status: 'pending', progress: 0, created_at: now }) },
+      { status: 202 }
+    );
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Data export: progress of my latest export ----
+router.get('/api/users/me/export', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+
+  try {
+    await failStaleExports(env, auth.user.id);
+
+    const row = await env.DB.prepare(
+      `SELECT * FROM data_exports
+       WHERE user_id = ?
+       ORDER BY created_at DESC
+       LIMIT 1`
+    )
+      .bind(auth.user.id)
+      .first();
+
+    return json({ ok: true, export: row ? dataExportToJson(row) : null });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Data export: mint a download link for my ready export ----
+// Each call replaces the previous link (older links stop working).
+router.post('/api/users/me/export/link', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+
+  try {
+    const row = await env.DB.prepare(
+      `SELECT * FROM data_exports
+       WHERE user_id = ?
+       ORDER BY created_at DESC
+       LIMIT 1`
+    )
+      .bind(auth.user.id)
+      .first();
+
+    if (!row || row.status !== 'ready' || !row.object_key || row.expires_at <= new Date().toISOString()) {
+      return json({ ok: false, error: 'No export is ready to download' }, { status: 404 });
+    }
+
+    const token = randomToken();
+    await env.DB.prepare(
+      `UPDATE data_exports SET download_token_hash = ? WHERE id = ?`
+    )
+      .bind(await sha256Hex(token), row.id)
+      .run();
+    const downloadUrl = `/api/data-exports/${row.id}/download?token=${token}`;
+
+    return json({ ok: true, export: dataExportToJson(row, downloadUrl) });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Data export: time-limited download (link from POST /api/users/me/export/link) ----
+router.get('/api/data-exports/:id/download', async (request, env, ctx) => {
+  const token = new URL(request.url).searchParams.get('token') || '';
+  if (!/^[a-f0-9]{64}$/.test(token)) {
+    return json({ ok: false, error: 'Invalid download link' }, { status: 400 });
+  }
+
+  try {
+    const row = await env.DB.prepare(
+      `SELECT * FROM data_exports WHERE id = ? AND status = 'ready'`
+    )
+      .bind(request.params.id)
+      .first();
+
+    const valid =
+      row &&
+      row.download_token_hash &&
+      timingSafeEqual(row.download_token_hash, await sha256Hex(token)) &&
+      row.expires_at > new Date().toISOString();
+
+    if (!valid) {
+      return json({ ok: false, error: 'Download link is invalid or has expired' }, { status: 404 });
+    }
+
+    const object = await env.USER_FILES_BUCKET.get(row.object_key);
+    if (!object) {
+      return json({ ok: false, error: 'Export file not found' }, { status: 404 });
+    }
+
+    return new Response(object.body, {
+      headers: {
+        'content-type': 'application/json; charset=utf-8',
+        'content-disposition': `attachment; filename="week1-data-export-${row.id}.json"`,
+        'cache-control': 'private, no-store'
+      }
+    });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Delete current user ----
+router.delete('/api/users/me', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+
+  try {
+    const now = new Date().toISOString();
+
+    await env.DB.prepare(
+      `UPDATE users SET status = 'deleted', deleted_at = ?, deleted_by = ?, updated_at = ? WHERE id = ?`
+    )
+      .bind(now, auth.user.id, now, auth.user.id)
+      .run();
+
+    await revokeAllCredentials(env, auth.user.id);
+
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'user.delete',
+      resource: `user:${auth.user.id}`,
+      request
+    });
+
+    const clearCookie = [
+      'sid=',
+      'Path=/',
+      'HttpOnly',
+      'SameSite=Lax',
+      'Max-Age=0'
+    ].join('; ');
+
+    return json(
+      { ok: true, restore_until: restoreDeadline(env, now) },
+      { status: 200, headers: { 'Set-Cookie': clearCookie } }
+    );
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Login ----
+router.post('/api/auth/login', async (request, env, ctx) => {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const { error, value } = loginSchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return json(
+      { error: 'Validation failed', details: error.details.map((d) => d.message) },
+      { status: 400 }
+    );
+  }
+
+  const emailNorm = normalizeEmail(value.email);
+  const now = new Date().toISOString();
+
+  try {
+    const emailHash = await sha256Hex(emailNorm);
+    const keys = loginKeys(emailHash, request);
+    const { accountKey } = keys;
+
+    const retryAfter = await loginKeysRetryAfter(env, keys);
+    if (retryAfter > 0) return throttled(retryAfter);
+
+    const user = await env.DB.prepare(
+      `SELECT id, password_hash, role, status, locked_until, totp_enabled_at,
+              deleted_at, deleted_by, purged_at, created_at, updated_at
+       FROM users WHERE email_hash = ?`
+    )
+      .bind(emailHash)
+      .first();
+
+    const failLogin = async () => {
+      await recordSignInFailure(env, request, user, keys);
+      return json({ ok: false, error: 'Invalid email or password' }, { status: 401 });
+    };
+
+    if (!user) {
+      await verifyPassword(env, value.password, dummyPasswordHash(env));
+      return failLogin();
+    }
+
+    // Temporary lockouts expire on their own; a lock without locked_until is manual
+    if (user.status === 'locked' && user.locked_until) {
+      const lockedMs = Date.parse(user.locked_until) - Date.now();
+      if (lockedMs > 0) {
+        return throttled(Math.ceil(lockedMs / 1000), 'Account temporarily locked, try again later');
+      }
+      await env.DB.prepare(
+        `UPDATE users SET status = 'active', locked_until = NULL, updated_at = ?
+         WHERE id = ? AND status = 'locked'`
+      )
+        .bind(now, user.id)
+        .run();
+      await clearLoginFailures(env, accountKey);
+      user.status = 'active';
+    }
+
+    // Password first, so the account status is only revealed to its owner
+    const passwordOk = await verifyPassword(env, value.password, user.password_hash);
+    if (!passwordOk) return failLogin();
+
+    // A self-deleted account inside its grace period is restored by signing in
+    const restoring = canRestoreAccount(env, user);
+    if (user.status !== 'active' && !restoring) {
+      return json({ ok: false, error: 'Account is not active' }, { status: 403 });
+    }
+
+    // Transparently move legacy / outdated hashes to the current scheme
+    if (passwordNeedsRehash(env, user.password_hash)) {
+      const upgradedHash = await hashPassword(env, value.password);
+      await env.DB.prepare(
+        `UPDATE users SET password_hash = ?, updated_at = ? WHERE id = ?`
+      )
+        .bind(upgradedHash, now, user.id)
+        .run();
+    }
+
+    // Second factor enrolled: hand out a short-lived challenge instead of a session
+    if (user.totp_enabled_at) {
+      const challenge = randomToken();
+      const challengeExpires = new Date(Date.now() + LOGIN_CHALLENGE_TTL_MS).toISOString();
+
+      await env.DB.prepare(
+        `INSERT INTO auth_tokens (
+          id, user_id, purpose, token_hash, expires_at, used_at, attempts, created_at
+        ) VALUES (?, ?, 'login_2fa', ?, ?, NULL, 0, ?)`
+      )
+        .bind(crypto.randomUUID(), user.id, await sha256Hex(challenge), challengeExpires, now)
+        .run();
+
+      return json({
+        ok: true,
+        two_factor_required: true,
+        challenge,
+        expires_at: challengeExpires
+      });
+    }
+
+    if (restoring) await restoreDeletedAccount(env, user.id, request);
+
+    // Role requires 2FA but none is enrolled: the session can only be used to enrol
+    const setupRequired = await roleRequires2fa(env, user.role);
+
+    // Failures only reset once a session is issued (not after the password alone)
+    await clearLoginFailures(env, accountKey);
+    const { publicId, setCookie, csrfCookie } = await createSession(
+      env,
+      request,
+      user.id,
+      setupRequired
+        ? { ttlSeconds: TWO_FACTOR_SETUP_SESSION_TTL_SECONDS, twoFactorSetupOnly: true }
+        : {}
+    );
+    await recordAudit(env, {
+      actorUserId: user.id,
+      action: 'auth.login',
+      resource: `user:${user.id}`,
+      meta: { method: 'password', session: publicId, two_factor_setup_only: setupRequired },
+      request
+    });
+
+    const res = json(
+      {
+        ok: true,
+        user: {
+          id: user.id,
+          email: emailNorm,
+          role: user.role,
+          created_at: user.created_at
+        },
+        restored: restoring,
+        two_factor_setup_required: setupRequired
+      },
+      { status: 200, headers: { 'Set-Cookie': setCookie } }
+    );
+    res.headers.append('Set-Cookie', csrfCookie);
+    return res;
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Login, step 2: complete a pending 2FA challenge ----
+router.post('/api/auth/login/2fa', async (request, env, ctx) => {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const { error, value } = loginTwoFactorSchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return json(
+      { ok: false, error: 'Validation failed', details: error.details.map((d) => d.message) },
+      { status: 400 }
+    );
+  }
+
+  const now = new Date().toISOString();
+
+  try {
+    const challenge = await env.DB.prepare(
+      `SELECT id, user_id, attempts
+       FROM auth_tokens
+       WHERE token_hash = ? AND purpose = 'login_2fa'
+         AND used_at IS NULL AND expires_at > ?`
+    )
+      .bind(await sha256Hex(value.challenge), now)
+      .first();
+
+    if (!challenge || challenge.attempts >= LOGIN_CHALLENGE_MAX_ATTEMPTS) {
+      return json(
+        { ok: false, error: 'Login challenge expired. Please sign in again.' },
+        { status: 401 }
+      );
+    }
+
+    const user = await env.DB.prepare(
+      `SELECT id, email_hash, role, status, deleted_at, deleted_by, purged_at, created_at,
+              totp_secret_cipher, totp_enabled_at, totp_last_step
+       FROM users WHERE id = ?`
+    )
+      .bind(challenge.user_id)
+      .first();
+
+    const restoring = !!user && canRestoreAccount(env, user);
+    if (!user || (user.status !== 'active' && !restoring)) {
+      return json({ ok: false, error: 'Account is not active' }, { status: 403 });
+    }
+
+    // Codes share the password's throttle, so fresh challenges can't reset the count
+    const keys = loginKeys(user.email_hash, request);
+    const retryAfter = await loginKeysRetryAfter(env, keys);
+    if (retryAfter > 0) return throttled(retryAfter);
+
+    const verified = await verifySecondFactor(env, user, value.code.trim());
+    if (!verified) {
+      await env.DB.prepare(
+        `UPDATE auth_tokens SET attempts = attempts + 1 WHERE id = ?`
+      )
+        .bind(challenge.id)
+        .run();
+      await recordSignInFailure(env, request, user, keys);
+      return json({ ok: false, error: 'Invalid authentication code' }, { status: 401 });
+    }
+
+    const claimed = await env.DB.prepare(
+      `UPDATE auth_tokens SET used_at = ? WHERE id = ? AND used_at IS NULL`
+    )
+      .bind(now, challenge.id)
+      .run();
+
+    if (!claimed.meta || claimed.meta.changes !== 1) {
+      return json(
+        { ok: false, error: 'Login challenge expired. Please sign in again.' },
+        { status: 401 }
+      );
+    }
+
+    if (restoring) await restoreDeletedAccount(env, user.id, request);
+
+    await clearLoginFailures(env, keys.accountKey);
+    const { publicId, setCookie, csrfCookie } = await createSession(env, request, user.id);
+    await recordAudit(env, {
+      actorUserId: user.id,
+      action: 'auth.login',
+      resource: `user:${user.id}`,
+      meta: { method: '2fa', session: publicId },
+      request
+    });
+
+    const res = json(
+      {
+        ok: true,
+        user: {
+          id: user.id,
+          role: user.role,
+          created_at: user.created_at
+        },
+        restored: restoring
+      },
+      { status: 200, headers: { 'Set-Cookie': setCookie } }
+    );
+    res.headers.append('Set-Cookie', csrfCookie);
+    return res;
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ================== Two-factor authentication ==================
+
+// ---- 2FA: status for current user ----
+router.get('/api/users/me/2fa', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env, { allowTwoFactorSetup: true });
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+
+  try {
+    const row = await env.DB.prepare(
+      `SELECT totp_secret_cipher, totp_enabled_at FROM users WHERE id = ?`
+    )
+      .bind(auth.user.id)
+      .first();
+
+    const codes = await env.DB.prepare(
+      `SELECT COUNT(*) AS cnt FROM user_recovery_codes
+       WHERE user_id = ? AND used_at IS NULL`
+    )
+      .bind(auth.user.id)
+      .first();
+
+    return json({
+      ok: true,
+      enabled: !!(row && row.totp_enabled_at),
+      pending: !!(row && row.totp_secret_cipher && !row.totp_enabled_at),
+      enabled_at: row ? row.totp_enabled_at : null,
+      required_for_role: await roleRequires2fa(env, auth.user.role),
+      recovery_codes_remaining: Number((codes && codes.cnt) || 0)
+    });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- 2FA: start enrollment (new secret + otpauth URI) ----
+router.post('/api/users/me/2fa/setup', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env, { allowTwoFactorSetup: true });
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+
+  try {
+    const row = await env.DB.prepare(
+      `SELECT email_cipher, totp_enabled_at FROM users WHERE id = ?`
+    )
+      .bind(auth.user.id)
+      .first();
+
+    if (!row) return json({ ok: false, error: 'User not found' }, { status: 404 });
+    if (row.totp_enabled_at) {
+      return json(
+        { ok: false, error: 'Two-factor authentication is already enabled' },
+        { status: 409 }
+      );
+    }
+
+    const secret = base32Encode(crypto.getRandomValues(new Uint8Array(20)));
+    const now = new Date().toISOString();
+
+    await env.DB.prepare(
+      `UPDATE users
+       SET totp_secret_cipher = ?, totp_last_step = NULL, updated_at = ?
+       WHERE id = ?`
+    )
+      .bind(await encryptText(env, secret), now, auth.user.id)
+      .run();
+
+    let email = auth.user.id;
+    try {
+      if (row.email_cipher) email = await decryptText(env, row.email_cipher);
+    } catch {
+      // fall back to the user id as account label
+    }
+
+    const label = encodeURIComponent(`${TOTP_ISSUER}:${email}`);
+    const otpauthUri =
+      `otpauth://totp/${label}?secret=${secret}` +
+      `&issuer=${encodeURIComponent(TOTP_ISSUER)}&algorithm=SHA1&digits=6&period=${TOTP_PERIOD_SECONDS}`;
+
+    return json({ ok: true, secret, otpauth_uri: otpauthUri });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- 2FA: confirm enrollment with a code, returns recovery codes once ----
+router.post('/api/users/me/2fa/confirm', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env, { allowTwoFactorSetup: true });
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const { error, value } = twoFactorCodeSchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return json(
+      { ok: false, error: 'Validation failed', details: error.details.map((d) => d.message) },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const row = await env.DB.prepare(
+      `SELECT totp_secret_cipher, totp_enabled_at FROM users WHERE id = ?`
+    )
+      .bind(auth.user.id)
+      .first();
+
+    if (!row || !row.totp_secret_cipher) {
+      return json({ ok: false, error: 'Start 2FA setup first' }, { status: 400 });
+    }
+    if (row.totp_enabled_at) {
+      return json(
+        { ok: false, error: 'Two-factor authentication is already enabled' },
+        { status: 409 }
+      );
+    }
+
+    const secret = await decryptText(env, row.totp_secret_cipher);
+    const step = await verifyTotp(secret, value.code.trim(), null);
+    if (step == null) {
+      return json({ ok: false, error: 'Invalid authentication code' }, { status: 400 });
+    }
+
+    const now = new Date().toISOString();
+    await env.DB.prepare(
+      `UPDATE users
+       SET totp_enabled_at = ?, totp_last_step = ?, updated_at = ?
+       WHERE id = ?`
+    )
+      .bind(now, step, now, auth.user.id)
+      .run();
+
+    const recoveryCodes = await regenerateRecoveryCodes(env, auth.user.id);
+
+    if (!auth.session.two_factor_setup_only) {
+      return json({ ok: true, enabled_at: now, recovery_codes: recoveryCodes });
+    }
+
+    // Enrolled from a setup-only session: swap it for a full one
+    await env.DB.prepare(`UPDATE sessions SET revoked = 1 WHERE id = ?`)
+      .bind(auth.session.id)
+      .run();
+    const { publicId, setCookie, csrfCookie } = await createSession(env, request, auth.user.id);
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'auth.login',
+      resource: `user:${auth.user.id}`,
+      meta: { method: '2fa_setup', session: publicId },
+      request
+    });
+
+    const res = json(
+      { ok: true, enabled_at: now, recovery_codes: recoveryCodes, session_upgraded: true },
+      { status: 200, headers: { 'Set-Cookie': setCookie } }
+    );
+    res.headers.append('Set-Cookie', csrfCookie);
+    return res;
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- 2FA: new recovery codes (needs a valid code) ----
+router.post('/api/users/me/2fa/recovery-codes', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const { error, value } = twoFactorCodeSchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return json(
+      { ok: false, error: 'Validation failed', details: error.details.map((d) => d.message) },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const row = await env.DB.prepare(
+      `SELECT id, totp_secret_cipher, totp_enabled_at, totp_last_step FROM users WHERE id = ?`
+    )
+      .bind(auth.user.id)
+      .first();
+
+    if (!row || !row.totp_enabled_at) {
+      return json({ ok: false, error: 'Two-factor authentication is not enabled' }, { status: 400 });
+    }
+
+    if (!(await verifySecondFactor(env, row, value.code.trim()))) {
+      return json({ ok: false, error: 'Invalid authentication code' }, { status: 400 });
+    }
+
+    const recoveryCodes = await regenerateRecoveryCodes(env, auth.user.id);
+    return json({ ok: true, recovery_codes: recoveryCodes });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- 2FA: disable (needs a valid code; not allowed when the role requires 2FA) ----
+router.post('/api/users/me/2fa/disable', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const { error, value } = twoFactorCodeSchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return json(
+      { ok: false, error: 'Validation failed', details: error.details.map((d) => d.message) },
+      { status: 400 }
+    );
+  }
+
+  try {
+    if (await roleRequires2fa(env, auth.user.role)) {
+      return json(
+        { ok: false, error: 'Two-factor authentication is required for your role' },
+        { status: 403 }
+      );
+    }
+
+    const row = await env.DB.prepare(
+      `SELECT id, totp_secret_cipher, totp_enabled_at, totp_last_step FROM users WHERE id = ?`
+    )
+      .bind(auth.user.id)
+      .first();
+
+    if (!row || !row.totp_enabled_at) {
+      return json({ ok: false, error: 'Two-factor authentication is not enabled' }, { status: 400 });
+    }
+
+    if (!(await verifySecondFactor(env, row, value.code.trim()))) {
+      return json({ ok: false, error: 'Invalid authentication code' }, { status: 400 });
+    }
+
+    const now = new Date().toISOString();
+    await env.DB.prepare(
+      `UPDATE users
+       SET totp_secret_cipher = NULL, totp_enabled_at = NULL, totp_last_step = NULL, updated_at = ?
+       WHERE id = ?`
+    )
+      .bind(now, auth.user.id)
+      .run();
+
+    await env.DB.prepare(`DELETE FROM user_recovery_codes WHERE user_id = ?`)
+      .bind(auth.user.id)
+      .run();
+
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'auth.2fa_disable',
+      resource: `user:${auth.user.id}`,
+      request
+    });
+
+    return json({ ok: true });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Admin: per-role 2FA policy ----
+router.get('/api/admin/2fa-policy', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'admin.security');
+  if (permissionError) return permissionError;
+
+  try {
+    const { results } = await env.DB.prepare(
+      `SELECT role, require_2fa, updated_at FROM role_policies`
+    ).all();
+
+    const byRole = new Map((results || []).map((r) => [r.role, r]));
+    const roles = ['admin', 'seller', 'buyer'].map((role) => ({
+      role,
+      require_2fa: !!(byRole.get(role) && byRole.get(role).require_2fa),
+      updated_at: byRole.get(role) ? byRole.get(role).updated_at : null
+    }));
+
+    return json({ ok: true, roles });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+router.put('/api/admin/2fa-policy', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'admin.security');
+  if (permissionError) return permissionError;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const { error, value } = twoFactorPolicySchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return json(
+      { ok: false, error: 'Validation failed', details: error.details.map((d) => d.message) },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const previous = await roleRequires2fa(env, value.role);
+
+    const now = new Date().toISOString();
+    await env.DB.prepare(
+      `INSERT INTO role_policies (role, require_2fa, updated_at)
+       VALUES (?, ?, ?)
+       ON CONFLICT(role)
+       DO UPDATE SET require_2fa = excluded.require_2fa, updated_at = excluded.updated_at`
+    )
+      .bind(value.role, value.require_2fa ? 1 : 0, now)
+      .run();
+
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'role_policy.update',
+      resource: `role:${value.role}`,
+      before: { require_2fa: previous },
+      after: { require_2fa: value.require_2fa },
+      request
+    });
+
+    return json({ ok: true, role: value.role, require_2fa: value.require_2fa, updated_at: now });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Admin: role -> permission mappings ----
+router.get('/api/admin/permissions', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'admin.permissions');
+  if (permissionError) return permissionError;
+
+  try {
+    const { results } = await env.DB.prepare(
+      `SELECT role, permissions, updated_at FROM role_policies`
+    ).all();
+
+    const byRole = new Map((results || []).map((r) => [r.role, r]));
+    const roles = [];
+    for (const role of ROLES) {
+      const row = byRole.get(role);
+      roles.push({
+        role,
+        permissions: await getRolePermissions(env, role),
+        customized: !!(row && row.permissions),
+        updated_at: row ? row.updated_at : null
+      });
+    }
+
+    return json({
+      ok: true,
+      permissions: Object.entries(PERMISSIONS).map(([name, description]) => ({ name, description })),
+      roles
+    });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+router.put('/api/admin/permissions/:role', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'admin.permissions');
+  if (permissionError) return permissionError;
+
+  const role = request.params.role;
+  if (!ROLES.includes(role)) {
+    return json({ ok: false, error: 'Unknown role' }, { status: 404 });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const { error, value } = rolePermissionsSchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return json(
+      { ok: false, error: 'Validation failed', details: error.details.map((d) => d.message) },
+      { status: 400 }
+    );
+  }
+
+  // Nobody could undo it if admins lost the right to edit permissions
+  if (role === 'admin' && !value.permissions.includes('admin.permissions')) {
+    return json(
+      { ok: false, error: "The admin role must keep 'admin.permissions'" },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const before = await getRolePermissions(env, role);
+    const now = new Date().toISOString();
+
+    await env.DB.prepare(
+      `INSERT INTO role_policies (role, require_2fa, permissions, updated_at)
+       VALUES (?, 0, ?, ?)
+       ON CONFLICT(role)
+       DO UPDATE SET permissions = excluded.permissions, updated_at = excluded.updated_at`
+    )
+      .bind(role, JSON.stringify(value.permissions), now)
+      .run();
+
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'permissions.update',
+      resource: `role:${role}`,
+      meta: {
+        added: value.permissions.filter((p) => !before.includes(p)),
+        removed: before.filter((p) => !value.permissions.includes(p))
+      },
+      request
+    });
+
+    return json({ ok: true, role, permissions: value.permissions, customized: true, updated_at: now });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// Back to the defaults from permissions.js
+router.delete('/api/admin/permissions/:role', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'admin.permissions');
+  if (permissionError) return permissionError;
+
+  const role = request.params.role;
+  if (!ROLES.includes(role)) {
+    return json({ ok: false, error: 'Unknown role' }, { status: 404 });
+  }
+
+  try {
+    const now = new Date().toISOString();
+    await env.DB.prepare(
+      `UPDATE role_policies SET permissions = NULL, updated_at = ? WHERE role = ?`
+    )
+      .bind(now, role)
+      .run();
+
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'permissions.reset',
+      resource: `role:${role}`,
+      request
+    });
+
+    return json({
+      ok: true,
+      role,
+      permissions: DEFAULT_ROLE_PERMISSIONS[role],
+      customized: false,
+      updated_at: now
+    });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Admin: search / list users ----
+// q matches an email or phone through the blind indexes, or an exact user id
+router.get('/api/admin/users', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'admin.users');
+  if (permissionError) return permissionError;
+
+  const url = new URL(request.url);
+  const { error, value } = adminUserSearchSchema.validate(
+    Object.fromEntries(url.searchParams),
+    { abortEarly: false, stripUnknown: true }
+  );
+
+  if (error) {
+    return json(
+      {
+        ok: false,
+        error: 'Validation failed',
+        details: error.details.map((d) => d.message)
+      },
+      { status: 400 }
+    );
+  }
+
+  const where = [];
+  const binds = [];
+
+  if (value.q) {
+    if (value.q.includes('@')) {
+      where.push('email_hash = ?');
+      binds.push(await sha256Hex(normalizeEmail(value.q)));
+    } else if (/^[\d+()\s.-]{5,}$/.test(value.q)) {
+      where.push('phone_hash = ?');
+      binds.push(await sha256Hex(normalizePhone(value.q)));
+    } else {
+      where.push('id = ?');
+      binds.push(value.q);
+    }
+  }
+  if (value.role) {
+    where.push('role = ?');
+    binds.push(value.role);
+  }
+  if (value.status) {
+    where.push('status = ?');
+    binds.push(value.status);
+  }
+
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  try {
+    const total = await env.DB.prepare(`SELECT COUNT(*) AS cnt FROM users ${whereSql}`)
+      .bind(...binds)
+      .first();
+
+    const { results } = await env.DB.prepare(
+      `SELECT * FROM users ${whereSql}
+       ORDER BY created_at DESC
+       LIMIT ? OFFSET ?`
+    )
+      .bind(...binds, value.limit, value.offset)
+      .all();
+
+    const users = [];
+    for (const row of results || []) users.push(await adminUserToJson(env, row));
+
+    return json({
+      ok: true,
+      users,
+      total: Number((total && total.cnt) || 0),
+      limit: value.limit,
+      offset: value.offset
+    });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Admin: single user with active sessions ----
+router.get('/api/admin/users/:id', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'admin.users');
+  if (permissionError) return permissionError;
+
+  try {
+    const row = await env.DB.prepare(`SELECT * FROM users WHERE id = ?`)
+      .bind(request.params.id)
+      .first();
+
+    if (!row) {
+      return json({ ok: false, error: 'User not found' }, { status: 404 });
+    }
+
+    const { results } = await env.DB.prepare(
+      `SELECT public_id, name, ip, user_agent, issued_at, expires_at, last_seen_at, impersonator_user_id
+       FROM sessions
+       WHERE user_id = ? AND revoked = 0 AND expires_at > ?
+       ORDER BY COALESCE(last_seen_at, issued_at) DESC`
+    )
+      .bind(row.id, new Date().toISOString())
+      .all();
+
+    const sessions = (results || []).map((s) => ({
+      id: s.public_id,
+      name: s.name,
+      ip: s.ip,
+      user_agent: s.user_agent,
+      issued_at: s.issued_at,
+      expires_at: s.expires_at,
+      last_seen_at: s.last_seen_at || s.issued_at,
+      impersonator_user_id: s.impersonator_user_id
+    }));
+
+    return json({ ok: true, user: await adminUserToJson(env, row), sessions });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Admin: lock an account (manual lock, only an admin can lift it) ----
+router.post('/api/admin/users/:id/lock', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'admin.users');
+  if (permissionError) return permissionError;
+
+  if (request.params.id === auth.user.id) {
+    return json({ ok: false, error: 'You cannot lock your own account' }, { status: 400 });
+  }
+
+  try {
+    const now = new Date().toISOString();
+    const res = await env.DB.prepare(
+      `UPDATE users SET status = 'locked', locked_until = NULL, updated_at = ?
+       WHERE id = ? AND status != 'deleted'`
+    )
+      .bind(now, request.params.id)
+      .run();
+
+    if (!res.meta || res.meta.changes !== 1) {
+      return json({ ok: false, error: 'User not found' }, { status: 404 });
+    }
+
+    const revokedSessions = await revokeAllCredentials(env, request.params.id);
+
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'auth.lock',
+      resource: `user:${request.params.id}`,
+      meta: { revoked_sessions: revokedSessions },
+      request
+    });
+
+    return json({ ok: true, id: request.params.id, status: 'locked' });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Admin: delete an account ----
+router.delete('/api/admin/users/:id', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'admin.users');
+  if (permissionError) return permissionError;
+
+  if (request.params.id === auth.user.id) {
+    return json({ ok: false, error: 'You cannot delete your own account here' }, { status: 400 });
+  }
+
+  try {
+    const now = new Date().toISOString();
+    const res = await env.DB.prepare(
+      `UPDATE users SET status = 'deleted', deleted_at = ?, deleted_by = ?, updated_at = ?
+       WHERE id = ? AND status != 'deleted'`
+    )
+      .bind(now, auth.user.id, now, request.params.id)
+      .run();
+
+    if (!res.meta || res.meta.changes !== 1) {
+      return json({ ok: false, error: 'User not found' }, { status: 404 });
+    }
+
+    await revokeAllCredentials(env, request.params.id);
+
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'user.delete',
+      resource: `user:${request.params.id}`,
+      request
+    });
+
+    return json({ ok: true, id: request.params.id, status: 'deleted' });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Admin: force-revoke one session of a user ----
+router.delete('/api/admin/users/:id/sessions/:sessionId', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'admin.users');
+  if (permissionError) return permissionError;
+
+  try {
+    const res = await env.DB.prepare(
+      `UPDATE sessions SET revoked = 1
+       WHERE public_id = ? AND user_id = ? AND revoked = 0`
+    )
+      .bind(request.params.sessionId, request.params.id)
+      .run();
+
+    if (!res.meta || res.meta.changes !== 1) {
+      return json({ ok: false, error: 'Session not found' }, { status: 404 });
+    }
+
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'session.revoke',
+      resource: `user:${request.params.id}`,
+      meta: { session: request.params.sessionId },
+      request
+    });
+
+    return json({ ok: true, revoked: request.params.sessionId });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Admin: force-revoke every session of a user ----
+router.post('/api/admin/users/:id/sessions/revoke-all', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'admin.users');
+  if (permissionError) return permissionError;
+
+  try {
+    const res = await env.DB.prepare(
+      `UPDATE sessions SET revoked = 1 WHERE user_id = ? AND revoked = 0`
+    )
+      .bind(request.params.id)
+      .run();
+
+    const revoked = (res.meta && res.meta.changes) || 0;
+
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'session.revoke_all',
+      resource: `user:${request.params.id}`,
+      meta: { revoked },
+      request
+    });
+
+    return json({ ok: true, revoked });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Admin: encryption key rotation progress ----
+router.get('/api/admin/key-rotation', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'admin.security');
+  if (permissionError) return permissionError;
+
+  try {
+    const job = await env.DB.prepare(
+      `SELECT * FROM key_rotation_jobs ORDER BY created_at DESC LIMIT 1`
+    ).first();
+
+    // Live count of values not yet on the active key, per table
+    const activeKid = activeKeyId(env);
+    const tables = [];
+    for (const { table, columns } of ENCRYPTED_COLUMNS) {
+      const stale = columns
+        .map((c) => `SUM(CASE WHEN ${c} IS NOT NULL AND ${c} NOT LIKE ? THEN 1 ELSE 0 END)`)
+        .join(' + ');
+      const row = await env.DB.prepare(
+        `SELECT COUNT(*) AS total_rows, COALESCE(${stale}, 0) AS stale_values FROM ${table}`
+      )
+        .bind(...columns.map(() => `${activeKid}:%`))
+        .first();
+      tables.push({
+        table,
+        total_rows: Number(row.total_rows || 0),
+        values_on_old_keys: Number(row.stale_values || 0)
+      });
+    }
+
+    return json({
+      ok: true,
+      active_key_id: activeKid,
+      key_ids: encryptionKeyIds(env),
+      job: job
+        ? {
+            id: job.id,
+            target_key_id: job.target_key_id,
+            status: job.status,
+            current_table: (ENCRYPTED_COLUMNS[job.table_index] || {}).table || null,
+            tables_done: Math.min(job.table_index, ENCRYPTED_COLUMNS.length),
+            tables_total: ENCRYPTED_COLUMNS.length,
+            rows_scanned: job.rows_scanned,
+            values_reencrypted: job.values_reencrypted,
+            error: job.error,
+            created_at: job.created_at,
+            updated_at: job.updated_at,
+            completed_at: job.completed_at
+          }
+        : null,
+      tables
+    });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Admin: start re-encrypting everything with the active key ----
+router.post('/api/admin/key-rotation', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'admin.security');
+  if (permissionError) return permissionError;
+
+  const targetKid = activeKeyId(env);
+  if (!encryptionKeyIds(env).includes(targetKid)) {
+    return json(
+      { ok: false, error: `Active key '${targetKid}' is not in the key ring` },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const running = await env.DB.prepare(
+      `SELECT id FROM key_rotation_jobs WHERE status = 'running'`
+    ).first();
+
+    if (running) {
+      return json(
+        { ok: false, error: 'A key rotation is already running', id: running.id },
+        { status: 409 }
+      );
+    }
+
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+
+    await env.DB.prepare(
+      `INSERT INTO key_rotation_jobs (
+        id, target_key_id, status, table_index, cursor, rows_scanned, values_reencrypted,
+        started_by, created_at, updated_at
+      ) VALUES (?, ?, 'running', 0, NULL, 0, 0, ?, ?, ?)`
+    )
+      .bind(id, targetKid, auth.user.id, now, now)
+      .run();
+
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'key_rotation.start',
+      resource: `key_rotation_job:${id}`,
+      meta: { target_key_id: targetKid },
+      request
+    });
+
+    // Kick off the first few batches now; the cron picks up the rest
+    ctx.waitUntil(continueKeyRotation(env, 10));
+
+    return json({ ok: true, id, target_key_id: targetKid, status: 'running' }, { status: 202 });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Admin: start a "view as user" session ----
+// The admin's cookie is swapped for a short session of the target user; the
+// admin's own session is parked in admin_sid and restored when it ends.
+router.post('/api/admin/users/:id/impersonate', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'admin.impersonate');
+  if (permissionError) return permissionError;
+  if (auth.session.impersonator_user_id) {
+    return json({ ok: false, error: 'Forbidden' }, { status: 403 });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const { error, value } = impersonationStartSchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return json(
+      { ok: false, error: 'Validation failed', details: error.details.map((d) => d.message) },
+      { status: 400 }
+    );
+  }
+
+  if (request.params.id === auth.user.id) {
+    return json({ ok: false, error: 'You cannot impersonate yourself' }, { status: 400 });
+  }
+
+  try {
+    const target = await env.DB.prepare(
+      `SELECT id, role, status FROM users WHERE id = ?`
+    )
+      .bind(request.params.id)
+      .first();
+
+    if (!target) {
+      return json({ ok: false, error: 'User not found' }, { status: 404 });
+    }
+    if (target.status !== 'active') {
+      return json({ ok: false, error: 'Only active accounts can be impersonated' }, { status: 400 });
+    }
+    if (target.role === 'admin') {
+      return json({ ok: false, error: 'Admins cannot be impersonated' }, { status: 403 });
+    }
+
+    const ttlSeconds = value.minutes * 60;
+    const session = await createSession(env, request, target.id, {
+      ttlSeconds,
+      impersonatorUserId: auth.user.id,
+      impersonationWrite: value.allow_write
+    });
+
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'impersonation.start',
+      resource: `user:${target.id}`,
+      meta: {
+        reason: value.reason,
+        allow_write: value.allow_write,
+        expires_at: session.expiresAt,
+        session: session.publicId
+      },
+      request
+    });
+
+    const res = json({
+      ok: true,
+      impersonation: {
+        user_id: target.id,
+        read_only: !value.allow_write,
+        expires_at: session.expiresAt
+      }
+    });
+    res.headers.append('Set-Cookie', session.setCookie);
+    res.headers.append('Set-Cookie', session.csrfCookie);
+    res.headers.append(
+      'Set-Cookie',
+      `${ADMIN_SID_COOKIE}=${encodeURIComponent(auth.session.id)}; Path=/; HttpOnly; SameSite=Lax; Max-Age=${SESSION_TTL_SECONDS}`
+    );
+    return res;
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Impersonation: end it and switch back to the admin's session ----
+// Works after the impersonation session expired, so the admin can always get back.
+router.post('/api/auth/impersonation/end', async (request, env, ctx) => {
+  const cookies = parseCookies(request);
+
+  try {
+    const session = cookies.sid
+      ? await env.DB.prepare(
+          `SELECT id, user_id, public_id, revoked, impersonator_user_id FROM sessions WHERE id = ?`
+        )
+          .bind(cookies.sid)
+          .first()
+      : null;
+
+    if (!session || !session.impersonator_user_id) {
+      return json({ ok: false, error: 'Not impersonating' }, { status: 400 });
+    }
+
+    const now = new Date().toISOString();
+
+    await env.DB.prepare(`UPDATE sessions SET revoked = 1 WHERE id = ?`)
+      .bind(session.id)
+      .run();
+
+    if (!session.revoked) {
+      await recordAudit(env, {
+        actorUserId: session.impersonator_user_id,
+        action: 'impersonation.end',
+        resource: `user:${session.user_id}`,
+        meta: { session: session.public_id },
+        request
+      });
+    }
+
+    const adminSession = cookies[ADMIN_SID_COOKIE]
+      ? await env.DB.prepare(
+          `SELECT id, csrf_token, expires_at FROM sessions
+           WHERE id = ? AND user_id = ? AND revoked = 0 AND expires_at > ?`
+        )
+          .bind(cookies[ADMIN_SID_COOKIE], session.impersonator_user_id, now)
+          .first()
+      : null;
+
+    const res = json({ ok: true, user_id: session.user_id, restored: !!adminSession });
+    if (adminSession) {
+      const maxAge = Math.floor((Date.parse(adminSession.expires_at) - Date.now()) / 1000);
+      const { setCookie, csrfCookie } = sessionCookies(adminSession.id, adminSession.csrf_token, maxAge);
+      res.headers.append('Set-Cookie', setCookie);
+      res.headers.append('Set-Cookie', csrfCookie);
+    } else {
+      res.headers.append('Set-Cookie', 'sid=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0');
+    }
+    res.headers.append('Set-Cookie', `${ADMIN_SID_COOKIE}=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0`);
+    return res;
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Admin: lift a login lockout ----
+router.post('/api/admin/users/:id/unlock', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'admin.users');
+  if (permissionError) return permissionError;
+
+  try {
+    const user = await env.DB.prepare(
+      `SELECT id, email_hash, status, locked_until FROM users WHERE id = ?`
+    )
+      .bind(request.params.id)
+      .first();
+
+    if (!user) {
+      return json({ ok: false, error: 'User not found' }, { status: 404 });
+    }
+
+    const now = new Date().toISOString();
+
+    await env.DB.prepare(
+      `UPDATE users SET status = 'active', locked_until = NULL, updated_at = ?
+       WHERE id = ? AND status = 'locked'`
+    )
+      .bind(now, user.id)
+      .run();
+    await clearLoginFailures(env, `acct:${user.email_hash}`);
+
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'auth.unlock',
+      resource: `user:${user.id}`,
+      meta: { previous_status: user.status, locked_until: user.locked_until },
+      request
+    });
+
+    return json({ ok: true, id: user.id, status: user.status === 'locked' ? 'active' : user.status });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Seller application: current user's latest application ----
+router.get('/api/users/me/seller-application', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+
+  try {
+    const row = await env.DB.prepare(
+      `SELECT * FROM seller_applications
+       WHERE user_id = ?
+       ORDER BY created_at DESC
+       LIMIT 1`
+    )
+      .bind(auth.user.id)
+      .first();
+
+    return json({
+      ok: true,
+      role: auth.user.role,
+      application: row ? await sellerApplicationToJson(env, row, { includeContact: true }) : null
+    });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Seller application: apply (multipart: fields + optional `documents` files) ----
+router.post('/api/users/me/seller-application', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+
+  if (auth.user.role !== 'buyer') {
+    return json({ ok: false, error: 'Only buyer accounts can apply to become sellers' }, { status: 409 });
+  }
+
+  if (!env.USER_FILES_BUCKET) {
+    return json({ ok: false, error: 'USER_FILES_BUCKET is not configured' }, { status: 500 });
+  }
+
+  let form;
+  try {
+    form = await request.formData();
+  } catch {
+    return json({ ok: false, error: 'Expected multipart/form-data' }, { status: 400 });
+  }
+
+  const fields = {};
+  for (const key of ['business_name', 'contact_name', 'contact_email', 'contact_phone', 'description']) {
+    const v = form.get(key);
+    if (typeof v === 'string') fields[key] = v;
+  }
+
+  const { error, value } = sellerApplicationSchema.validate(fields, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return json(
+      {
+        ok: false,
+        error: 'Validation failed',
+        details: error.details.map((d) => d.message)
+      },
+      { status: 400 }
+    );
+  }
+
+  const files = form.getAll('documents').filter((f) => f instanceof File && f.size > 0);
+  if (files.length > SELLER_DOC_MAX_FILES) {
+    return json({ ok: false, error: `At most ${SELLER_DOC_MAX_FILES} documents allowed` }, { status: 400 });
+  }
+  for (const file of files) {
+    if (!SELLER_DOC_TYPES.includes(file.type)) {
+      return json({ ok: false, error: `Unsupported document type: ${file.type || 'unknown'}` }, { status: 400 });
+    }
+    if (file.size > SELLER_DOC_MAX_BYTES) {
+      return json({ ok: false, error: `Document too large: ${file.name}` }, { status: 400 });
+    }
+  }
+
+  try {
+    const pending = await env.DB.prepare(
+      `SELECT id FROM seller_applications WHERE user_id = ? AND status = 'pending'`
+    )
+      .bind(auth.user.id)
+      .first();
+
+    if (pending) {
+      return json(
+        { ok: false, error: 'You already have a pending application', id: pending.id },
+        { status: 409 }
+      );
+    }
+
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+
+    const documents = [];
+    for (const file of files) {
+      const docId = crypto.randomUUID();
+      await env.USER_FILES_BUCKET.put(`seller-applications/${id}/${docId}`, file, {
+        httpMetadata: { contentType: file.type }
+      });
+      documents.push({ id: docId, filename: file.name, content_type: file.type, size: file.size });
+    }
+
+    await env.DB.prepare(
+      `INSERT INTO seller_applications (
+        id, user_id, business_name, contact_name_cipher, contact_email_cipher,
+        contact_phone_cipher, description, documents, status, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, 'pending', ?, ?)`
+    )
+      .bind(
+        id,
+        auth.user.id,
+        value.business_name,
+        await encryptText(env, value.contact_name),
+        await encryptText(env, normalizeEmail(value.contact_email)),
+        await encryptText(env, normalizePhone(value.contact_phone)),
+        value.description || null,
+        JSON.stringify(documents),
+        now,
+        now
+      )
+      .run();
+
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'seller_application.submit',
+      resource: `seller_application:${id}`,
+      meta: { business_name: value.business_name, documents: documents.length },
+      request
+    });
+
+    return json(
+      {
+        ok: true,
+        application: {
+          id,
+          business_name: value.business_name,
+          description: value.description || null,
+          documents,
+          status: 'pending',
+          created_at: now
+        }
+      },
+      { status: 201 }
+    );
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Admin: list seller applications (?status=pending&limit=&offset=) ----
+router.get('/api/admin/seller-applications', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'admin.seller_applications');
+  if (permissionError) return permissionError;
+
+  const url = new URL(request.url);
+  const status = url.searchParams.get('status') || 'pending';
+  const limit = Math.min(Math.max(parseInt(url.searchParams.get('limit') || '20', 10) || 20, 1), 100);
+  const offset = Math.max(parseInt(url.searchParams.get('offset') || '0', 10) || 0, 0);
+
+  if (!['pending', 'approved', 'rejected', 'all'].includes(status)) {
+    return json({ ok: false, error: 'Invalid status filter' }, { status: 400 });
+  }
+
+  try {
+    const { results } = await env.DB.prepare(
+      `SELECT * FROM seller_applications
+       WHERE (? = 'all' OR status = ?)
+       ORDER BY created_at ASC
+       LIMIT ? OFFSET ?`
+    )
+      .bind(status, status, limit, offset)
+      .all();
+
+    const applications = [];
+    for (const row of results || []) {
+      applications.push(await sellerApplicationToJson(env, row, { includeContact: true }));
+    }
+
+    return json({ ok: true, applications, limit, offset });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Admin: single seller application ----
+router.get('/api/admin/seller-applications/:id', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'admin.seller_applications');
+  if (permissionError) return permissionError;
+
+  try {
+    const row = await env.DB.prepare(`SELECT * FROM seller_applications WHERE id = ?`)
+      .bind(request.params.id)
+      .first();
+
+    if (!row) {
+      return json({ ok: false, error: 'Application not found' }, { status: 404 });
+    }
+
+    return json({ ok: true, application: await sellerApplicationToJson(env, row, { includeContact: true }) });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Admin: download an application document from R2 ----
+router.get('/api/admin/seller-applications/:id/documents/:docId', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'admin.seller_applications');
+  if (permissionError) return permissionError;
+
+  if (!env.USER_FILES_BUCKET) {
+    return json({ ok: false, error: 'USER_FILES_BUCKET is not configured' }, { status: 500 });
+  }
+
+  try {
+    const row = await env.DB.prepare(`SELECT documents FROM seller_applications WHERE id = ?`)
+      .bind(request.params.id)
+      .first();
+    const doc = row && JSON.parse(row.documents || '[]').find((d) => d.id === request.params.docId);
+
+    if (!doc) {
+      return json({ ok: false, error: 'Document not found' }, { status: 404 });
+    }
+
+    const object = await env.USER_FILES_BUCKET.get(`seller-applications/${request.params.id}/${doc.id}`);
+    if (!object) {
+      return json({ ok: false, error: 'Document not found' }, { status: 404 });
+    }
+
+    return new Response(object.body, {
+      headers: {
+        'content-type': doc.content_type || 'application/octet-stream',
+        'content-disposition': `attachment; filename="${String(doc.filename || doc.id).replace(/["\\\r\n]/g, '_')}"`,
+        'cache-control': 'private, no-store'
+      }
+    });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Admin: approve / reject a seller application ----
+async function reviewSellerApplication(request, env, decision) {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'admin.seller_applications');
+  if (permissionError) return permissionError;
+
+  let body = {};
+  try {
+    body = await request.json();
+  } catch {
+    // a body is only required for rejections; validation below reports it
+  }
+
+  const { error, value } = sellerApplicationReviewSchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true,
+    context: { decision }
+  });
+
+  if (error) {
+    return json(
+      {
+        ok: false,
+        error: 'Validation failed',
+        details: error.details.map((d) => d.message)
+      },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const app = await env.DB.prepare(`SELECT * FROM seller_applications WHERE id = ?`)
+      .bind(request.params.id)
+      .first();
+
+    if (!app) {
+      return json({ ok: false, error: 'Application not found' }, { status: 404 });
+    }
+
+    const now = new Date().toISOString();
+    const status = decision === 'approve' ? 'approved' : 'rejected';
+
+    // Claim the pending application so two admins can't both decide it
+    const claim = await env.DB.prepare(
+      `UPDATE seller_applications
+       SET status = ?, review_note = ?, reviewed_by = ?, reviewed_at = ?, updated_at = ?
+       WHERE id = ? AND status = 'pending'`
+    )
+      .bind(status, value.note || null, auth.user.id, now, now, app.id)
+      .run();
+
+    if (!claim.meta || claim.meta.changes !== 1) {
+      return json({ ok: false, error: `Application is already ${app.status}` }, { status: 409 });
+    }
+
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: `seller_application.${decision}`,
+      resource: `seller_application:${app.id}`,
+      meta: { user_id: app.user_id, note: value.note || null },
+      request
+    });
+
+    if (decision === 'approve') {
+      const user = await env.DB.prepare(`SELECT role FROM users WHERE id = ?`)
+        .bind(app.user_id)
+        .first();
+      // Never downgrade an admin who happened to apply
+      if (user && user.role === 'buyer') {
+        await setUserRole(env, {
+          userId: app.user_id,
+          role: 'seller',
+          actorUserId: auth.user.id,
+          reason: `seller_application:${app.id}`,
+          request
+        });
+      }
+
+      // Start the shop profile from the application; the seller can edit it later
+      const now = new Date().toISOString();
+      await env.DB.prepare(
+        `INSERT INTO stores (id, seller_id, slug, name, description, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON CONFLICT DO NOTHING`
+      )
+        .bind(
+          crypto.randomUUID(),
+          app.user_id,
+          `${slugify(app.business_name) || 'shop'}-${app.user_id.slice(0, 6)}`,
+          app.business_name,
+          app.description || null,
+          now,
+          now
+        )
+        .run();
+    }
+
+    await notifyUser(env, app.user_id, {
+      template: `seller_application_${status}`,
+      subject: decision === 'approve'
+        ? 'Your Week1 Store seller application was approved'
+        : 'Your Week1 Store seller application was not approved',
+      body: [
+        `Your application to sell on Week1 Store as "${app.business_name}" was ${status}.`,
+        value.note ? '' : null,
+        value.note ? `Reviewer note: ${value.note}` : null,
+        '',
+        decision === 'approve'
+          ? 'You can now list products from the seller dashboard.'
+          : 'You can submit a new application from your profile at any time.'
+      ].filter((line) => line !== null).join('\n')
+    });
+
+    return json({ ok: true, id: app.id, status, reviewed_at: now });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+}
+
+router.post('/api/admin/seller-applications/:id/approve', (request, env, ctx) =>
+  reviewSellerApplication(request, env, 'approve')
+);
+router.post('/api/admin/seller-applications/:id/reject', (request, env, ctx) =>
+  reviewSellerApplication(request, env, 'reject')
+);
+
+// ---- Admin: change a user's role directly ----
+router.put('/api/admin/users/:id/role', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'admin.users');
+  if (permissionError) return permissionError;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const { error, value } = userRoleSchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return json(
+      {
+        ok: false,
+        error: 'Validation failed',
+        details: error.details.map((d) => d.message)
+      },
+      { status: 400 }
+    );
+  }
+
+  if (request.params.id === auth.user.id) {
+    return json({ ok: false, error: 'You cannot change your own role' }, { status: 400 });
+  }
+
+  try {
+    const updated = await setUserRole(env, {
+      userId: request.params.id,
+      role: value.role,
+      actorUserId: auth.user.id,
+      reason: 'admin',
+      request
+    });
+
+    if (!updated) {
+      return json({ ok: false, error: 'User not found' }, { status: 404 });
+    }
+
+    return json({ ok: true, id: updated.id, role: updated.role });
   } catch (err) {
     return json({ ok: false, error: String(err) }, { status: 500 });
   }
 });
 
-// ---- Delete current user ----
-router.delete('/api/users/me', async (request, env, ctx) => {
+// ---- Logout ----
+router.post('/api/auth/logout', async (request, env, ctx) => {
+  const cookies = parseCookies(request);
+  const sid = cookies.sid;
+
+  if (sid) {
+    try {
+      await env.DB.prepare(
+        `UPDATE sessions SET revoked = 1 WHERE id = ?`
+      )
+        .bind(sid)
+        .run();
+    } catch {
+      // ignore
+    }
+  }
+
+  const clearCookie = [
+    'sid=',
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Lax',
+    'Max-Age=0'
+  ].join('; ');
+
+  return json(
+    { ok: true },
+    { status: 200, headers: { 'Set-Cookie': clearCookie } }
+  );
+});
+
+// ---- Sessions: list my active sessions ----
+router.get('/api/users/me/sessions', async (request, env, ctx) => {
   const auth = await getAuthFromRequest(request, env);
   if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
 
   try {
-    const now = new Date().toISOString();
-
-    await env.DB.prepare(
-      `UPDATE users SET status = 'deleted', updated_at = ? WHERE id = ?`
-    )
-      .bind(now, auth.user.id)
-      .run();
-
-    await env.DB.prepare(
-      `UPDATE sessions SET revoked = 1 WHERE user_id = ?`
+    const { results } = await env.DB.prepare(
+      `SELECT id, public_id, name, ip, user_agent, issued_at, expires_at, last_seen_at
+       FROM sessions
+       WHERE user_id = ? AND revoked = 0 AND expires_at > ?
+       ORDER BY COALESCE(last_seen_at, issued_at) DESC`
     )
-      .bind(auth.user.id)
-      .run();
-
-    const clearCookie = [
-      'sid=',
-      'Path=/',
-      'HttpOnly',
-      'SameSite=Lax',
-      'Max-Age=0'
-    ].join('; ');
+      .bind(auth.user.id, new Date().toISOString())
+      .all();
 
-    return json(
-      { ok: true },
-      { status: 200, headers: { 'Set-Cookie': clearCookie } }
-    );
+    const sessions = (results || []).map((s) => ({
+      id: s.public_id,
+      name: s.name,
+      ip: s.ip,
+      user_agent: s.user_agent,
+      issued_at: s.issued_at,
+      expires_at: s.expires_at,
+      last_seen_at: s.last_seen_at || s.issued_at,
+      current: s.id === auth.session.id
+    }));
+
+    return json({ ok: true, sessions });
   } catch (err) {
     return json({ ok: false, error: String(err) }, { status: 500 });
   }
 });
 
-// ---- Login ----
-router.post('/api/auth/login', async (request, env, ctx) => {
+// ---- Sessions: name a device ----
+router.put('/api/users/me/sessions/:id', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+
   let body;
   try {
     body = await request.json();
   } catch {
-    return json({ error: 'Invalid JSON body' }, { status: 400 });
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
   }
 
-  const { error, value } = loginSchema.validate(body, {
+  const { error, value } = sessionRenameSchema.validate(body, {
     abortEarly: false,
     stripUnknown: true
   });
 
   if (error) {
     return json(
-      { error: 'Validation failed', details: error.details.map((d) => d.message) },
+      {
+        ok: false,
+        error: 'Validation failed',
+        details: error.details.map((d) => d.message)
+      },
       { status: 400 }
     );
   }
 
-  const emailNorm = normalizeEmail(value.email);
-  const now = new Date().toISOString();
-
   try {
-    const emailHash = await sha256Hex(emailNorm);
+    const res = await env.DB.prepare(
+      `UPDATE sessions SET name = ?
+       WHERE public_id = ? AND user_id = ? AND revoked = 0`
+    )
+      .bind(value.name || null, request.params.id, auth.user.id)
+      .run();
 
-    const user = await env.DB.prepare(
-      `SELECT id, password_hash, role, status, created_at, updated_at
-       FROM users WHERE email_hash = ?`
+    if (!res.meta || res.meta.changes !== 1) {
+      return json({ ok: false, error: 'Session not found' }, { status: 404 });
+    }
+
+    return json({ ok: true, id: request.params.id, name: value.name || null });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Sessions: revoke one (revoking the current one logs this device out) ----
+router.delete('/api/users/me/sessions/:id', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+
+  try {
+    const row = await env.DB.prepare(
+      `SELECT id FROM sessions
+       WHERE public_id = ? AND user_id = ? AND revoked = 0`
     )
-      .bind(emailHash)
+      .bind(request.params.id, auth.user.id)
       .first();
 
-    if (!user) {
-      return json({ ok: false, error: 'Invalid email or password' }, { status: 401 });
+    if (!row) {
+      return json({ ok: false, error: 'Session not found' }, { status: 404 });
     }
 
-    if (user.status !== 'active') {
-      return json({ ok: false, error: 'Account is not active' }, { status: 403 });
+    await env.DB.prepare(
+      `UPDATE sessions SET revoked = 1 WHERE id = ?`
+    )
+      .bind(row.id)
+      .run();
+
+    const current = row.id === auth.session.id;
+    const headers = {};
+    if (current) {
+      headers['Set-Cookie'] = [
+        'sid=',
+        'Path=/',
+        'HttpOnly',
+        'SameSite=Lax',
+        'Max-Age=0'
+      ].join('; ');
     }
 
-    const pepper = env.PASSWORD_PEPPER || 'dev-pepper';
-    const suppliedHash = await sha256Hex(value.password + '|' + pepper);
+    return json({ ok: true, revoked: request.params.id, current }, { headers });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
 
-    if (suppliedHash !== user.password_hash) {
-      return json({ ok: false, error: 'Invalid email or password' }, { status: 401 });
-    }
+// ---- Sessions: log out everywhere else ----
+router.post('/api/users/me/sessions/revoke-others', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+
+  try {
+    const res = await env.DB.prepare(
+      `UPDATE sessions SET revoked = 1
+       WHERE user_id = ? AND id != ? AND revoked = 0`
+    )
+      .bind(auth.user.id, auth.session.id)
+      .run();
+
+    return json({ ok: true, revoked: (res.meta && res.meta.changes) || 0 });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- API tokens: list mine (never returns the secret) ----
+router.get('/api/users/me/tokens', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+
+  try {
+    const { results } = await env.DB.prepare(
+      `SELECT id, name, token_prefix, scopes, expires_at, last_used_at, revoked_at, created_at
+       FROM api_tokens
+       WHERE user_id = ?
+       ORDER BY created_at DESC`
+    )
+      .bind(auth.user.id)
+      .all();
+
+    const now = new Date().toISOString();
+    const tokens = (results || []).map((t) => ({
+      id: t.id,
+      name: t.name,
+      token_prefix: t.token_prefix,
+      scopes: JSON.parse(t.scopes || '[]'),
+      expires_at: t.expires_at,
+      last_used_at: t.last_used_at,
+      revoked_at: t.revoked_at,
+      created_at: t.created_at,
+      active: !t.revoked_at && t.expires_at > now
+    }));
+
+    return json({ ok: true, tokens, available_scopes: API_TOKEN_SCOPES });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- API tokens: create (needs api_tokens.create; the token is shown once) ----
+router.post('/api/users/me/tokens', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'api_tokens.create');
+  if (permissionError) return permissionError;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const { error, value } = apiTokenCreateSchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return json(
+      {
+        ok: false,
+        error: 'Validation failed',
+        details: error.details.map((d) => d.message)
+      },
+      { status: 400 }
+    );
+  }
 
-    const sessionId = crypto.randomUUID();
-    const expires = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000);
-    const expiresIso = expires.toISOString();
+  const id = crypto.randomUUID();
+  const token = API_TOKEN_PREFIX + randomToken();
+  const tokenPrefix = token.slice(0, API_TOKEN_PREFIX.length + 6);
+  const now = new Date().toISOString();
+  const expiresAt = new Date(Date.now() + value.expires_in_days * 24 * 60 * 60 * 1000).toISOString();
 
+  try {
     await env.DB.prepare(
-      `INSERT INTO sessions (
-        id, user_id, issued_at, expires_at, revoked, ip, user_agent
-      ) VALUES (?, ?, ?, ?, 0, ?, ?)`
+      `INSERT INTO api_tokens (
+        id, user_id, name, token_prefix, token_hash, scopes, expires_at, created_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
     )
       .bind(
-        sessionId,
-        user.id,
-        now,
-        expiresIso,
-        request.headers.get('cf-connecting-ip') || null,
-        request.headers.get('user-agent') || null
+        id,
+        auth.user.id,
+        value.name,
+        tokenPrefix,
+        await sha256Hex(token),
+        JSON.stringify(value.scopes),
+        expiresAt,
+        now
       )
       .run();
 
-    const cookieParts = [
-      `sid=${encodeURIComponent(sessionId)}`,
-      'Path=/',
-      'HttpOnly',
-      'SameSite=Lax',
-      `Max-Age=${7 * 24 * 60 * 60}`
-      // 'Secure'
-    ];
-    const setCookie = cookieParts.join('; ');
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'api_token.create',
+      resource: `api_token:${id}`,
+      meta: { name: value.name, scopes: value.scopes, expires_at: expiresAt },
+      request
+    });
 
     return json(
       {
         ok: true,
-        user: {
-          id: user.id,
-          email: emailNorm,
-          role: user.role,
-          created_at: user.created_at
+        token,
+        api_token: {
+          id,
+          name: value.name,
+          token_prefix: tokenPrefix,
+          scopes: value.scopes,
+          expires_at: expiresAt,
+          created_at: now
         }
       },
-      { status: 200, headers: { 'Set-Cookie': setCookie } }
+      { status: 201 }
     );
   } catch (err) {
     return json({ ok: false, error: String(err) }, { status: 500 });
   }
 });
 
-// ---- Logout ----
-router.post('/api/auth/logout', async (request, env, ctx) => {
-  const cookies = parseCookies(request);
-  const sid = cookies.sid;
+// ---- API tokens: revoke ----
+router.delete('/api/users/me/tokens/:id', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
 
-  if (sid) {
-    try {
-      await env.DB.prepare(
-        `UPDATE sessions SET revoked = 1 WHERE id = ?`
-      )
-        .bind(sid)
-        .run();
-    } catch {
-      // ignore
+  try {
+    const now = new Date().toISOString();
+    const res = await env.DB.prepare(
+      `UPDATE api_tokens SET revoked_at = ?
+       WHERE id = ? AND user_id = ? AND revoked_at IS NULL`
+    )
+      .bind(now, request.params.id, auth.user.id)
+      .run();
+
+    if (!res.meta || res.meta.changes !== 1) {
+      return json({ ok: false, error: 'Token not found' }, { status: 404 });
     }
-  }
 
-  const clearCookie = [
-    'sid=',
-    'Path=/',
-    'HttpOnly',
-    'SameSite=Lax',
-    'Max-Age=0'
-  ].join('; ');
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'api_token.revoke',
+      resource: `api_token:${request.params.id}`,
+      request
+    });
 
-  return json(
-    { ok: true },
-    { status: 200, headers: { 'Set-Cookie': clearCookie } }
-  );
+    return json({ ok: true, id: request.params.id, revoked_at: now });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
 });
 
 // ---- /api/me (current user minimal info) ----
@@ -889,14 +4328,31 @@ router.get('/api/me', async (request, env, ctx) => {
       return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
     }
 
+    // Lets the SSR layout show the "viewing as" banner
+    let impersonation = null;
+    if (auth.session && auth.session.impersonator_user_id) {
+      const row = await env.DB.prepare(`SELECT email_cipher FROM users WHERE id = ?`)
+        .bind(auth.user.id)
+        .first();
+      impersonation = {
+        impersonator_user_id: auth.session.impersonator_user_id,
+        email: row && row.email_cipher ? await decryptText(env, row.email_cipher) : null,
+        read_only: !auth.session.impersonation_write,
+        expires_at: auth.session.expires_at
+      };
+    }
+
     return json({
       ok: true,
       user: {
         id: auth.user.id,
         role: auth.user.role,
         status: auth.user.status,
+        email_verified: !!auth.user.email_verified_at,
         created_at: auth.user.created_at,
-        updated_at: auth.user.updated_at
+        updated_at: auth.user.updated_at,
+        permissions: await getRolePermissions(env, auth.user.role),
+        impersonation
       }
     });
   } catch (err) {
@@ -1037,6 +4493,24 @@ router.post('/api/addresses', async (request, env, ctx) => {
       )
       .run();
 
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'address.create',
+      resource: `address:${id}`,
+      after: {
+        name: value.name,
+        line1: value.line1,
+        line2: value.line2 || null,
+        city: value.city,
+        state: value.state,
+        postal: value.postal,
+        country: value.country,
+        is_default_shipping: !!value.is_default_shipping,
+        is_default_billing: !!value.is_default_billing
+      },
+      request
+    });
+
     return json(
       {
         ok: true,
@@ -1095,7 +4569,7 @@ router.put('/api/addresses/:id', async (request, env, ctx) => {
 
   try {
     const existing = await env.DB.prepare(
-      `SELECT id FROM addresses WHERE id = ? AND user_id = ?`
+      `SELECT * FROM addresses WHERE id = ? AND user_id = ?`
     )
       .bind(addressId, auth.user.id)
       .first();
@@ -1151,6 +4625,25 @@ router.put('/api/addresses/:id', async (request, env, ctx) => {
       )
       .run();
 
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'address.update',
+      resource: `address:${addressId}`,
+      before: await addressAuditSnapshot(env, existing),
+      after: {
+        name: value.name,
+        line1: value.line1,
+        line2: value.line2 || null,
+        city: value.city,
+        state: value.state,
+        postal: value.postal,
+        country: value.country,
+        is_default_shipping: !!value.is_default_shipping,
+        is_default_billing: !!value.is_default_billing
+      },
+      request
+    });
+
     return json({
       ok: true,
       address: {
@@ -1177,12 +4670,28 @@ router.delete('/api/addresses/:id', async (request, env, ctx) => {
   }
 
   try {
+    const existing = await env.DB.prepare(
+      `SELECT * FROM addresses WHERE id = ? AND user_id = ?`
+    )
+      .bind(addressId, auth.user.id)
+      .first();
+
     await env.DB.prepare(
       `DELETE FROM addresses WHERE id = ? AND user_id = ?`
     )
       .bind(addressId, auth.user.id)
       .run();
 
+    if (existing) {
+      await recordAudit(env, {
+        actorUserId: auth.user.id,
+        action: 'address.delete',
+        resource: `address:${addressId}`,
+        before: await addressAuditSnapshot(env, existing),
+        request
+      });
+    }
+
     return json({ ok: true });
   } catch (err) {
     return json({ ok: false, error: String(err) }, { status: 500 });
@@ -1247,5 +4756,12 @@ router.delete('/api/users/me/avatar', async (request, env, ctx) => {
 router.all('*', () => json({ error: 'Not found (auth worker)' }, { status: 404 }));
 
 export default {
-  fetch: (request, env, ctx) => router.fetch(request, env, ctx)
+  fetch: (request, env, ctx) => router.fetch(request, env, ctx),
+
+  // Cron: background maintenance jobs
+  scheduled: (event, env, ctx) => {
+    ctx.waitUntil(continueKeyRotation(env, 50));
+    ctx.waitUntil(purgeDeletedAccounts(env));
+    ctx.waitUntil(purgeExpiredExports(env));
+  }
 };
@@ -1,6 +1,25 @@
 import { Router } from 'itty-router';
 import Joi from 'joi';
-import { json, getAuthFromRequest, decryptText } from './common.js';
+import {
+  json,
+  getAuthFromRequest,
+  requireScope,
+  requirePermission,
+  hasPermission,
+  decryptText,
+  csrfGuard,
+  impersonationGuard,
+  recordAudit,
+  auditDiff,
+  sha256Hex,
+  csvCell,
+  parseCsv,
+  ACTIVE_SALE_JOIN_SQL,
+  EFFECTIVE_PRICE_SQL,
+  PRODUCTS_LIST_VERSION_KEY,
+  productKey,
+  bumpProductListVersion
+} from './common.js';
 
 // ---------- Local helpers ----------
 function slugify(str) {
@@ -12,9 +31,1044 @@ function slugify(str) {
     .slice(0, 80);
 }
 
-// KV keys
-const PRODUCTS_LIST_KEY = 'products:all';
-const productKey = (id) => `product:${id}`;
+// Price columns for productToJson (needs ACTIVE_SALE_JOIN_SQL): price_cents is what a
+// buyer pays now, regular_price_cents the list price
+const PRODUCT_PRICE_COLUMNS_SQL = `${EFFECTIVE_PRICE_SQL} AS price_cents,
+       p.price_cents AS regular_price_cents,
+       sale.sale_price_cents,
+       sale.starts_at AS sale_starts_at,
+       sale.ends_at AS sale_ends_at`;
+
+// Public product shape; the seller is shown through their store profile
+// (sellers without one fall back to their own name, see addSellerNames)
+function productToJson(row) {
+  return {
+    id: row.id,
+    slug: row.slug,
+    title: row.title,
+    description: row.description,
+    image_url: row.image_url,
+    price_cents: row.price_cents,
+    regular_price_cents: row.regular_price_cents ?? row.price_cents,
+    sale:
+      row.sale_price_cents != null
+        ? {
+            price_cents: row.sale_price_cents,
+            starts_at: row.sale_starts_at,
+            ends_at: row.sale_ends_at
+          }
+        : null,
+    currency: row.currency,
+    status: row.status,
+    stock: row.stock,
+    reserved: row.reserved,
+    seller: row.seller_id
+      ? {
+          id: row.seller_id,
+          name: row.store_name || row.seller_name || null
+        }
+      : null,
+    store: row.store_slug
+      ? {
+          slug: row.store_slug,
+          name: row.store_name
+        }
+      : null,
+    category: row.category_slug
+      ? {
+          id: row.category_id,
+          slug: row.category_slug,
+          name: row.category_name
+        }
+      : null
+  };
+}
+
+// Sellers who never set up a store (e.g. from before stores existed) keep being
+// shown by their own name. Needs seller_name_cipher; sets seller_name in place.
+async function addSellerNames(env, rows) {
+  const names = new Map();
+  for (const row of rows) {
+    if (row.store_name || !row.seller_name_cipher) continue;
+    if (!names.has(row.seller_id)) {
+      let name = null;
+      try {
+        name = await decryptText(env, row.seller_name_cipher);
+      } catch {
+        name = null;
+      }
+      names.set(row.seller_id, name);
+    }
+    row.seller_name = names.get(row.seller_id);
+  }
+  return rows;
+}
+
+function storeToJson(row) {
+  return {
+    id: row.id,
+    slug: row.slug,
+    name: row.name,
+    description: row.description,
+    logo_url: row.logo_url,
+    return_policy: row.return_policy,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+// Store name/slug are embedded in cached product payloads
+async function bustSellerProductCache(env, ctx, sellerId) {
+  if (!env.PRODUCT_CACHE) return;
+  const { results } = await env.DB.prepare(`SELECT id FROM products WHERE seller_id = ?`)
+    .bind(sellerId)
+    .all();
+  ctx.waitUntil(
+    Promise.all([
+      bumpProductListVersion(env),
+      ...(results || []).map((r) => env.PRODUCT_CACHE.delete(productKey(r.id)))
+    ])
+  );
+}
+
+// Nested { id, name, slug, parent_id, children } from flat category rows
+function buildCategoryTree(rows) {
+  const nodes = new Map();
+  for (const row of rows) {
+    nodes.set(row.id, { id: row.id, name: row.name, slug: row.slug, parent_id: row.parent_id, children: [] });
+  }
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parent_id ? nodes.get(node.parent_id) : null;
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+  return roots;
+}
+
+async function categoryExists(env, id) {
+  return !!(await env.DB.prepare(`SELECT 1 AS ok FROM categories WHERE id = ?`).bind(id).first());
+}
+
+// A category and everything below it; UNION stops on accidental cycles
+const CATEGORY_SUBTREE_SQL = `
+  WITH RECURSIVE subtree(id) AS (
+    SELECT id FROM categories WHERE id = ?
+    UNION
+    SELECT c.id FROM categories c JOIN subtree s ON c.parent_id = s.id
+  )`;
+
+// Category names/slugs are embedded in the category tree and cached product payloads
+async function bustCategoryCaches(env, ctx, categoryIds) {
+  if (!env.PRODUCT_CACHE) return;
+  const ids = [...new Set(categoryIds.filter(Boolean))];
+  let productIds = [];
+  if (ids.length) {
+    const { results } = await env.DB.prepare(
+      `SELECT id FROM products WHERE category_id IN (${ids.map(() => '?').join(', ')})`
+    )
+      .bind(...ids)
+      .all();
+    productIds = (results || []).map((r) => r.id);
+  }
+  ctx.waitUntil(
+    Promise.all([
+      env.PRODUCT_CACHE.delete(CATEGORY_TREE_KEY),
+      bumpProductListVersion(env),
+      ...productIds.map((id) => env.PRODUCT_CACHE.delete(productKey(id)))
+    ])
+  );
+}
+
+function productImageToJson(row) {
+  return {
+    id: row.id,
+    url: productImageUrl(row.id),
+    alt: row.alt || '',
+    sort: row.sort
+  };
+}
+
+async function listProductImages(env, productId) {
+  const { results } = await env.DB.prepare(
+    `SELECT id, product_id, r2_key, alt, sort FROM product_images
+     WHERE product_id = ?
+     ORDER BY sort, created_at, id`
+  )
+    .bind(productId)
+    .all();
+  return results || [];
+}
+
+// Listings show products.image_url, so keep it pointing at the primary gallery image
+async function syncPrimaryImage(env, productId) {
+  const [primary] = await listProductImages(env, productId);
+  const now = new Date().toISOString();
+  if (primary) {
+    await env.DB.prepare(`UPDATE products SET image_url = ?, updated_at = ? WHERE id = ?`)
+      .bind(productImageUrl(primary.id), now, productId)
+      .run();
+  } else {
+    // Leave external image URLs alone; only clear ones that pointed into the gallery
+    await env.DB.prepare(
+      `UPDATE products SET image_url = NULL, updated_at = ?
+       WHERE id = ? AND image_url LIKE '/product-images/%'`
+    )
+      .bind(now, productId)
+      .run();
+  }
+}
+
+// Before galleries a product had one object at products/<productId>, served as
+// /product-images/<productId>. Adopt it as a gallery row (same id, so the URL holds).
+async function adoptLegacyImage(env, product) {
+  if (product.image_url !== productImageUrl(product.id)) return;
+  await env.DB.prepare(
+    `INSERT INTO product_images (id, product_id, r2_key, alt, sort, created_at)
+     VALUES (?, ?, ?, NULL, 0, ?)
+     ON CONFLICT(id) DO NOTHING`
+  )
+    .bind(product.id, product.id, `products/${product.id}`, new Date().toISOString())
+    .run();
+}
+
+// Rewrites `sort` to follow the given id order
+async function writeImageOrder(env, imageIds) {
+  if (!imageIds.length) return;
+  await env.DB.batch(
+    imageIds.map((id, index) =>
+      env.DB.prepare(`UPDATE product_images SET sort = ? WHERE id = ?`).bind(index, id)
+    )
+  );
+}
+
+async function bustProductCache(env, ctx, productId) {
+  if (!env.PRODUCT_CACHE) return;
+  ctx.waitUntil(
+    Promise.all([
+      bumpProductListVersion(env),
+      env.PRODUCT_CACHE.delete(productKey(productId))
+    ])
+  );
+}
+
+// Auth + permission + ownership for per-product seller routes; returns { auth, product } or { error }
+async function loadWritableProduct(request, env, productId) {
+  const auth = await getAuthFromRequest(request, env, { scope: 'catalog:write' });
+  if (!auth) return { error: json({ ok: false, error: 'Not authenticated' }, { status: 401 }) };
+  const scopeError = requireScope(auth, 'catalog:write');
+  if (scopeError) return { error: scopeError };
+  const permissionError = await requirePermission(env, auth, 'product.write.own');
+  if (permissionError) return { error: permissionError };
+
+  const product = await env.DB.prepare(
+    `SELECT id, seller_id, image_url, price_cents, currency, status FROM products WHERE id = ?`
+  )
+    .bind(productId)
+    .first();
+
+  if (!product) {
+    return { error: json({ ok: false, error: 'Product not found' }, { status: 404 }) };
+  }
+  if (
+    product.seller_id &&
+    product.seller_id !== auth.user.id &&
+    !(await hasPermission(env, auth, 'product.write.any'))
+  ) {
+    return {
+      error: json({ ok: false, error: 'You can only modify your own products' }, { status: 403 })
+    };
+  }
+  return { auth, product };
+}
+
+// Stores uploaded files as new gallery images, appended (or, with `primary`, put first)
+async function addProductImages(env, product, files, alts, { primary = false } = {}) {
+  for (const file of files) {
+    if (!PRODUCT_IMAGE_TYPES.includes(file.type)) {
+      return { error: 'Images must be PNG, JPEG, WebP or GIF' };
+    }
+    if (file.size > PRODUCT_IMAGE_MAX_BYTES) {
+      return { error: 'Each image must be 5 MB or smaller' };
+    }
+  }
+
+  await adoptLegacyImage(env, product);
+  const existing = await listProductImages(env, product.id);
+  if (existing.length + files.length > PRODUCT_IMAGES_MAX) {
+    return { error: `A product can have at most ${PRODUCT_IMAGES_MAX} images` };
+  }
+
+  const now = new Date().toISOString();
+  const added = [];
+  for (let i = 0; i < files.length; i++) {
+    const id = crypto.randomUUID();
+    const key = `products/${product.id}/${id}`;
+    await env.PRODUCT_IMAGE_BUCKET.put(key, files[i], {
+      httpMetadata: { contentType: files[i].type }
+    });
+    await env.DB.prepare(
+      `INSERT INTO product_images (id, product_id, r2_key, alt, sort, created_at)
+       VALUES (?, ?, ?, ?, ?, ?)`
+    )
+      .bind(id, product.id, key, String(alts[i] || '').slice(0, 300) || null, existing.length + i, now)
+      .run();
+    added.push(id);
+  }
+
+  if (primary) {
+    await writeImageOrder(env, [...added, ...existing.map((img) => img.id)]);
+  }
+  await syncPrimaryImage(env, product.id);
+
+  return { added };
+}
+
+// ---------- Variants ----------
+async function listProductOptions(env, productId) {
+  const { results } = await env.DB.prepare(
+    `SELECT name, option_values FROM product_options WHERE product_id = ? ORDER BY sort`
+  )
+    .bind(productId)
+    .all();
+  return (results || []).map((row) => ({ name: row.name, values: JSON.parse(row.option_values) }));
+}
+
+// Active variants with their effective price (a running sale applies to variants
+// without their own price) and stock
+async function listProductVariants(env, productId) {
+  const { results } = await env.DB.prepare(
+    `SELECT
+       v.id,
+       v.sku,
+       v.options,
+       v.option_key,
+       v.price_cents,
+       ${EFFECTIVE_PRICE_SQL} AS product_price_cents,
+       vi.stock,
+       vi.reserved
+     FROM product_variants v
+     JOIN products p ON p.id = v.product_id
+     ${ACTIVE_SALE_JOIN_SQL}
+     LEFT JOIN variant_inventory vi ON vi.variant_id = v.id
+     WHERE v.product_id = ? AND v.status = 'active'
+     ORDER BY v.created_at, v.id`
+  )
+    .bind(productId)
+    .all();
+  return results || [];
+}
+
+function variantToJson(row) {
+  return {
+    id: row.id,
+    sku: row.sku,
+    options: JSON.parse(row.options),
+    price_cents: row.price_cents ?? row.product_price_cents,
+    price_override_cents: row.price_cents,
+    stock: Number(row.stock || 0),
+    reserved: Number(row.reserved || 0)
+  };
+}
+
+// { key, values } for a variant's option values (reordered like the product's options),
+// or { error } when they don't match the product's options
+function variantOptionKey(options, values) {
+  if (!options.length) {
+    return { error: 'Define the product options before adding variants' };
+  }
+  const names = Object.keys(values);
+  if (names.length !== options.length || !options.every((o) => names.includes(o.name))) {
+    return { error: `A variant must set exactly these options: ${options.map((o) => o.name).join(', ')}` };
+  }
+  const invalid = options.find((o) => !o.values.includes(values[o.name]));
+  if (invalid) {
+    return { error: `Invalid value for option ${invalid.name}` };
+  }
+  return {
+    key: options.map((o) => values[o.name]).join('/'),
+    values: Object.fromEntries(options.map((o) => [o.name, values[o.name]]))
+  };
+}
+
+// Another active variant already using this SKU / option combination
+async function findVariantConflict(env, productId, { sku, optionKey }, exceptId = '') {
+  if (sku !== undefined) {
+    const taken = await env.DB.prepare(
+      `SELECT 1 AS ok FROM product_variants WHERE sku = ? AND status = 'active' AND id != ?`
+    )
+      .bind(sku, exceptId)
+      .first();
+    if (taken) return 'SKU is already in use';
+  }
+  if (optionKey !== undefined) {
+    const taken = await env.DB.prepare(
+      `SELECT 1 AS ok FROM product_variants
+       WHERE product_id = ? AND option_key = ? AND status = 'active' AND id != ?`
+    )
+      .bind(productId, optionKey, exceptId)
+      .first();
+    if (taken) return 'A variant with these options already exists';
+  }
+  return null;
+}
+
+// The product's inventory row carries the total over its active variants
+async function syncVariantStockTotal(env, productId) {
+  await env.DB.prepare(
+    `INSERT INTO inventory (product_id, stock, reserved, updated_at)
+     SELECT ?, COALESCE(SUM(vi.stock), 0), COALESCE(SUM(vi.reserved), 0), ?
+     FROM product_variants v
+     LEFT JOIN variant_inventory vi ON vi.variant_id = v.id
+     WHERE v.product_id = ? AND v.status = 'active'
+     ON CONFLICT(product_id)
+     DO UPDATE SET stock = excluded.stock, reserved = excluded.reserved, updated_at = excluded.updated_at`
+  )
+    .bind(productId, new Date().toISOString(), productId)
+    .run();
+}
+
+async function productVariantsResponse(env, productId, init) {
+  const [options, variants] = await Promise.all([
+    listProductOptions(env, productId),
+    listProductVariants(env, productId)
+  ]);
+  return json({ ok: true, options, variants: variants.map(variantToJson) }, init);
+}
+
+// ---------- Sale prices & price history ----------
+
+// product_price_history row for a new regular price; variantId when it's a variant's own price
+function priceHistoryStatement(
+  env,
+  { productId, variantId = null, priceCents, currency, source, changedBy, now = new Date().toISOString() }
+) {
+  return env.DB.prepare(
+    `INSERT INTO product_price_history
+       (id, product_id, variant_id, price_cents, currency, source, changed_by, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+  ).bind(crypto.randomUUID(), productId, variantId, priceCents, currency, source, changedBy, now);
+}
+
+function priceScheduleToJson(row, now) {
+  let state = 'ended';
+  if (row.cancelled_at) state = 'cancelled';
+  else if (now < row.starts_at) state = 'scheduled';
+  else if (now < row.ends_at) state = 'running';
+  return {
+    id: row.id,
+    sale_price_cents: row.sale_price_cents,
+    starts_at: row.starts_at,
+    ends_at: row.ends_at,
+    cancelled_at: row.cancelled_at,
+    created_at: row.created_at,
+    state
+  };
+}
+
+// Another live sale of the product overlapping [startsAt, endsAt)
+async function findOverlappingSale(env, productId, startsAt, endsAt) {
+  return env.DB.prepare(
+    `SELECT id, starts_at, ends_at FROM product_price_schedules
+     WHERE product_id = ? AND cancelled_at IS NULL AND starts_at < ? AND ends_at > ?
+     LIMIT 1`
+  )
+    .bind(productId, endsAt, startsAt)
+    .first();
+}
+
+// Seller view of a product's pricing: regular price, every sale (newest first) and
+// the latest regular price changes
+async function productPricesResponse(env, product, init) {
+  const [sales, history] = await Promise.all([
+    env.DB.prepare(
+      `SELECT id, sale_price_cents, starts_at, ends_at, cancelled_at, created_at
+       FROM product_price_schedules
+       WHERE product_id = ?
+       ORDER BY starts_at DESC`
+    )
+      .bind(product.id)
+      .all(),
+    env.DB.prepare(
+      `SELECT variant_id, price_cents, currency, source, changed_by, created_at
+       FROM product_price_history
+       WHERE product_id = ?
+       ORDER BY created_at DESC, rowid DESC
+       LIMIT ?`
+    )
+      .bind(product.id, PRICE_HISTORY_LIMIT)
+      .all()
+  ]);
+  const now = new Date().toISOString();
+  return json(
+    {
+      ok: true,
+      product: { id: product.id, price_cents: product.price_cents, currency: product.currency },
+      sales: (sales.results || []).map((row) => priceScheduleToJson(row, now)),
+      history: history.results || []
+    },
+    init
+  );
+}
+
+// ---------- Reviews ----------
+
+// Only buyers whose order containing the product was completed may review it
+async function hasCompletedPurchase(env, userId, productId) {
+  const row = await env.DB.prepare(
+    `SELECT 1 AS ok
+     FROM order_items oi
+     JOIN orders o ON o.id = oi.order_id
+     WHERE o.user_id = ? AND oi.product_id = ? AND o.status = 'completed'
+     LIMIT 1`
+  )
+    .bind(userId, productId)
+    .first();
+  return !!row;
+}
+
+async function productRating(env, productId) {
+  const row = await env.DB.prepare(
+    `SELECT COUNT(*) AS count, AVG(rating) AS average FROM product_reviews WHERE product_id = ?`
+  )
+    .bind(productId)
+    .first();
+  const count = Number(row?.count || 0);
+  return { average: count ? Math.round(row.average * 10) / 10 : null, count };
+}
+
+const REVIEW_SELECT_SQL = `
+  SELECT r.id, r.product_id, r.user_id, r.rating, r.title, r.body, r.seller_reply,
+         r.seller_reply_at, r.created_at, r.updated_at, u.name_cipher AS author_name_cipher
+  FROM product_reviews r
+  LEFT JOIN users u ON u.id = r.user_id`;
+
+// Reviewers are shown by first name only
+async function reviewToJson(env, row, viewerId) {
+  let author = 'Customer';
+  if (row.author_name_cipher) {
+    try {
+      author = (await decryptText(env, row.author_name_cipher)).trim().split(/\s+/)[0] || author;
+    } catch {
+      // keep the generic name
+    }
+  }
+  return {
+    id: row.id,
+    product_id: row.product_id,
+    rating: row.rating,
+    title: row.title || '',
+    body: row.body || '',
+    author: { name: author },
+    verified_purchase: true,
+    mine: !!viewerId && row.user_id === viewerId,
+    seller_reply: row.seller_reply ? { body: row.seller_reply, created_at: row.seller_reply_at } : null,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+async function loadReview(env, productId, reviewId) {
+  return env.DB.prepare(`${REVIEW_SELECT_SQL} WHERE r.id = ? AND r.product_id = ?`)
+    .bind(reviewId, productId)
+    .first();
+}
+
+// ---------- CSV import ----------
+
+// Raw CSV body, or a multipart upload with a `file` field
+async function readImportCsv(request) {
+  const type = request.headers.get('content-type') || '';
+  let text;
+  if (type.includes('multipart/form-data')) {
+    const file = (await request.formData()).get('file');
+    if (!(file instanceof File)) return { error: 'Missing file field' };
+    if (file.size > PRODUCT_IMPORT_MAX_BYTES) return { error: 'CSV must be 2 MB or smaller' };
+    text = await file.text();
+  } else {
+    text = await request.text();
+    if (text.length > PRODUCT_IMPORT_MAX_BYTES) return { error: 'CSV must be 2 MB or smaller' };
+  }
+  return { text };
+}
+
+// Existing products by slug (D1 caps bound parameters, so look them up in chunks)
+async function productsBySlug(env, slugs) {
+  const found = new Map();
+  for (let i = 0; i < slugs.length; i += 90) {
+    const chunk = slugs.slice(i, i + 90);
+    const { results } = await env.DB.prepare(
+      `SELECT
+         p.id,
+         p.slug,
+         p.seller_id,
+         p.status,
+         p.price_cents,
+         p.currency,
+         i.stock,
+         (SELECT COUNT(*) FROM product_variants v
+          WHERE v.product_id = p.id AND v.status = 'active') AS variant_count
+       FROM products p
+       LEFT JOIN inventory i ON i.product_id = p.id
+       WHERE p.slug IN (${chunk.map(() => '?').join(', ')})`
+    )
+      .bind(...chunk)
+      .all();
+    for (const row of results || []) found.set(row.slug, row);
+  }
+  return found;
+}
+
+// Validates every row against the product schemas and decides create vs update.
+// Returns { error } for problems with the file itself, else { rows } where each row
+// is { row, slug, action, errors?, ... } (`row` is the line number in the file).
+async function planProductImport(env, auth, text) {
+  const [header, ...data] = parseCsv(text);
+  if (!header) return { error: 'CSV is empty' };
+
+  const columns = header.map((h) => h.trim().toLowerCase());
+  const unknown = columns.filter((c) => !PRODUCT_CSV_COLUMNS.includes(c));
+  if (unknown.length) {
+    return { error: `Unknown column(s): ${unknown.join(', ')}. Expected: ${PRODUCT_CSV_COLUMNS.join(', ')}` };
+  }
+  if (new Set(columns).size !== columns.length) return { error: 'Duplicate column names' };
+  if (!columns.includes('slug') && !columns.includes('title')) {
+    return { error: 'CSV needs a slug or title column' };
+  }
+  if (!data.length) return { error: 'CSV has no rows' };
+  if (data.length > PRODUCT_IMPORT_MAX_ROWS) {
+    return { error: `At most ${PRODUCT_IMPORT_MAX_ROWS} rows per import` };
+  }
+
+  // Empty cells mean "not provided"
+  const parsed = data.map((cells, i) => {
+    const fields = {};
+    columns.forEach((col, c) => {
+      const cell = (cells[c] ?? '').trim();
+      if (cell !== '') fields[col] = cell;
+    });
+    const { error, value } = productImportKeysSchema.validate(
+      { slug: fields.slug, stock: fields.stock },
+      { abortEarly: false }
+    );
+    return {
+      row: i + 2,
+      fields,
+      errors: error ? error.details.map((d) => d.message) : [],
+      slug: value.slug || (fields.title ? slugify(fields.title) : ''),
+      stock: value.stock
+    };
+  });
+
+  const existing = await productsBySlug(env, [...new Set(parsed.map((r) => r.slug).filter(Boolean))]);
+  const canWriteAny = await hasPermission(env, auth, 'product.write.any');
+  const publishAllowed = await canPublish(env, auth);
+  const seen = new Set();
+
+  return {
+    rows: parsed.map(({ row, fields, errors, slug, stock }) => {
+      const { title, description, price_cents, currency, status } = fields;
+      const result = { row, slug, action: 'error', errors };
+
+      if (!slug) {
+        errors.push('Either slug or title is required');
+        return result;
+      }
+      if (seen.has(slug)) errors.push('Slug appears more than once in this file');
+      seen.add(slug);
+
+      const product = existing.get(slug);
+      if (product) {
+        if (product.seller_id !== auth.user.id && !canWriteAny) {
+          errors.push("Slug is used by another seller's product");
+          return result;
+        }
+        if (product.status === 'deleted') {
+          errors.push('Slug belongs to a deleted product');
+          return result;
+        }
+        const changes = { title, description, price_cents, currency, status };
+        Object.keys(changes).forEach((k) => changes[k] === undefined && delete changes[k]);
+        let value = {};
+        if (Object.keys(changes).length) {
+          const validation = productUpdateSchema.validate(changes, { abortEarly: false, stripUnknown: true });
+          if (validation.error) errors.push(...validation.error.details.map((d) => d.message));
+          value = validation.value;
+        }
+        if (value.status === 'active' && !publishAllowed) errors.push(PUBLISH_REQUIRES_VERIFIED_EMAIL);
+        if (stock !== undefined && product.variant_count > 0) {
+          errors.push('Stock of a product with variants is managed per variant');
+        }
+        if (errors.length) return result;
+        return { ...result, action: 'update', product, value, stock };
+      }
+
+      const validation = productCreateSchema.validate(
+        { title, description, price_cents, currency, stock },
+        { abortEarly: false, stripUnknown: true }
+      );
+      if (validation.error) errors.push(...validation.error.details.map((d) => d.message));
+      if (status !== undefined && !['active', 'inactive'].includes(status)) {
+        errors.push('"status" of a new product must be one of [active, inactive]');
+      }
+      if (status === 'active' && !publishAllowed) errors.push(PUBLISH_REQUIRES_VERIFIED_EMAIL);
+      if (errors.length) return result;
+      return {
+        ...result,
+        action: 'create',
+        value: validation.value,
+        status: status || (publishAllowed ? 'active' : 'inactive')
+      };
+    })
+  };
+}
+
+// Writes a fully valid plan in one batch (all rows or none)
+async function applyProductImport(env, auth, plan) {
+  const now = new Date().toISOString();
+  const statements = [];
+
+  for (const item of plan) {
+    if (item.action === 'create') {
+      const id = crypto.randomUUID();
+      const { value } = item;
+      item.id = id;
+      statements.push(
+        env.DB.prepare(
+          `INSERT INTO products (
+            id, seller_id, slug, title, description, image_url, price_cents,
+            currency, status, category_id, created_at, updated_at
+          ) VALUES (?, ?, ?, ?, ?, NULL, ?, ?, ?, NULL, ?, ?)`
+        ).bind(id, auth.user.id, item.slug, value.title, value.description || '', value.price_cents, value.currency, item.status, now, now),
+        env.DB.prepare(
+          `INSERT INTO inventory (product_id, stock, reserved, updated_at) VALUES (?, ?, 0, ?)`
+        ).bind(id, value.stock, now),
+        priceHistoryStatement(env, {
+          productId: id,
+          priceCents: value.price_cents,
+          currency: value.currency,
+          source: 'import',
+          changedBy: auth.user.id,
+          now
+        }),
+        ...productSearchStatements(env, id)
+      );
+    } else {
+      const { product, value, stock } = item;
+      item.id = product.id;
+      const fields = Object.keys(value);
+      if (fields.length) {
+        statements.push(
+          env.DB.prepare(
+            `UPDATE products SET ${fields.map((f) => `${f} = ?`).join(', ')}, updated_at = ? WHERE id = ?`
+          ).bind(...fields.map((f) => value[f]), now, product.id)
+        );
+      }
+      const priceCents = value.price_cents ?? product.price_cents;
+      const currency = value.currency ?? product.currency;
+      if (priceCents !== product.price_cents || currency !== product.currency) {
+        statements.push(
+          priceHistoryStatement(env, {
+            productId: product.id,
+            priceCents,
+            currency,
+            source: 'import',
+            changedBy: auth.user.id,
+            now
+          })
+        );
+      }
+      if (stock !== undefined) {
+        statements.push(
+          env.DB.prepare(
+            `INSERT INTO inventory (product_id, stock, reserved, updated_at)
+             VALUES (?, ?, 0, ?)
+             ON CONFLICT(product_id)
+             DO UPDATE SET stock = excluded.stock, updated_at = excluded.updated_at`
+          ).bind(product.id, stock, now)
+        );
+      }
+      statements.push(...productSearchStatements(env, product.id));
+    }
+  }
+
+  await env.DB.batch(statements);
+}
+
+// ---------- Search (products_fts) ----------
+const SEARCH_MAX_TERMS = 8;
+const SEARCH_RESULTS_LIMIT = 50;
+// snippet()/highlight() markers, swapped for <mark> once the text is HTML-escaped
+const MATCH_START = '\u0002';
+const MATCH_END = '\u0003';
+
+// Mirrors one product into products_fts; deleted products drop out of search
+function productSearchStatements(env, productId) {
+  return [
+    env.DB.prepare(`DELETE FROM products_fts WHERE product_id = ?`).bind(productId),
+    env.DB.prepare(
+      `INSERT INTO products_fts (product_id, title, description)
+       SELECT id, title, COALESCE(description, '') FROM products
+       WHERE id = ? AND status != 'deleted'`
+    ).bind(productId)
+  ];
+}
+
+async function syncProductSearch(env, productId) {
+  await env.DB.batch(productSearchStatements(env, productId));
+}
+
+// Free text -> FTS5 query: every word must match as a prefix ("run sho" finds "running shoes").
+// Quoting each word keeps FTS5 operators in user input from being interpreted.
+function toFtsQuery(q) {
+  const terms = (String(q).match(/[\p{L}\p{N}]+/gu) || []).slice(0, SEARCH_MAX_TERMS);
+  return terms.map((term) => `"${term}"*`).join(' ');
+}
+
+function escapeHtml(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function markMatches(text) {
+  return escapeHtml(text || '')
+    .split(MATCH_START).join('<mark>')
+    .split(MATCH_END).join('</mark>');
+}
+
+// Active products matching `q`, best bm25 match first (title hits weigh 10x description hits)
+async function searchProducts(env, q, category) {
+  const ftsQuery = toFtsQuery(q);
+  if (!ftsQuery) {
+    return json({ ok: true, query: q, products: [], cached: false });
+  }
+
+  const { results } = await env.DB.prepare(
+    `${category ? CATEGORY_SUBTREE_SQL : ''}
+     SELECT
+       p.id,
+       p.slug,
+       p.title,
+       p.description,
+       p.image_url,
+       ${PRODUCT_PRICE_COLUMNS_SQL},
+       p.currency,
+       p.status,
+       p.seller_id,
+       st.slug AS store_slug,
+       st.name AS store_name,
+       u.name_cipher AS seller_name_cipher,
+       p.category_id,
+       c.slug AS category_slug,
+       c.name AS category_name,
+       i.stock,
+       i.reserved,
+       bm25(products_fts, 0.0, 10.0, 1.0) AS rank,
+       highlight(products_fts, 1, '${MATCH_START}', '${MATCH_END}') AS title_match,
+       snippet(products_fts, 2, '${MATCH_START}', '${MATCH_END}', '…', 16) AS description_match
+     FROM products_fts
+     JOIN products p ON p.id = products_fts.product_id
+     ${ACTIVE_SALE_JOIN_SQL}
+     LEFT JOIN stores st ON st.seller_id = p.seller_id
+     LEFT JOIN users u ON u.id = p.seller_id
+     LEFT JOIN categories c ON c.id = p.category_id
+     LEFT JOIN inventory i ON i.product_id = p.id
+     WHERE products_fts MATCH ?
+       AND p.status = 'active'
+       ${category ? 'AND p.category_id IN (SELECT id FROM subtree)' : ''}
+     ORDER BY rank
+     LIMIT ?`
+  )
+    .bind(...(category ? [category.id] : []), ftsQuery, SEARCH_RESULTS_LIMIT)
+    .all();
+
+  const products = (await addSellerNames(env, results || [])).map((row) => ({
+    ...productToJson(row),
+    // HTML-escaped, matches wrapped in <mark>
+    search: {
+      rank: row.rank,
+      title_html: markMatches(row.title_match),
+      snippet_html: markMatches(row.description_match)
+    }
+  }));
+
+  return json({ ok: true, query: q, products, cached: false });
+}
+
+// Public listing: keyset pagination over (sort column, id) so pages stay stable while products change.
+// Price sorts and filters use the current (sale) price.
+const PRODUCT_LIST_DEFAULT_LIMIT = 24;
+const PRODUCT_LIST_MAX_LIMIT = 100;
+const PRODUCT_LIST_SORTS = {
+  newest: { column: 'p.created_at', field: 'created_at', dir: 'DESC' },
+  price_asc: { column: EFFECTIVE_PRICE_SQL, field: 'price_cents', dir: 'ASC' },
+  price_desc: { column: EFFECTIVE_PRICE_SQL, field: 'price_cents', dir: 'DESC' },
+  title: { column: 'p.title COLLATE NOCASE', field: 'title', dir: 'ASC' }
+};
+
+// Opaque cursor: base64url of [sort, last sort value, last id]
+function encodeListCursor(sort, row) {
+  const bytes = new TextEncoder().encode(JSON.stringify([sort, row[PRODUCT_LIST_SORTS[sort].field], row.id]));
+  let binary = '';
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+// { value, id } or null when the cursor is malformed or belongs to another sort order
+function decodeListCursor(sort, cursor) {
+  try {
+    const binary = atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+    const parsed = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, (c) => c.charCodeAt(0))));
+    if (!Array.isArray(parsed) || parsed.length !== 3) return null;
+    const [cursorSort, value, id] = parsed;
+    if (cursorSort !== sort || typeof id !== 'string') return null;
+    if (typeof value !== (PRODUCT_LIST_SORTS[sort].field === 'price_cents' ? 'number' : 'string')) return null;
+    return { value, id };
+  } catch {
+    return null;
+  }
+}
+
+// One page of active products for a validated productListQuerySchema value
+async function listProducts(env, query, category, after) {
+  const { column, dir } = PRODUCT_LIST_SORTS[query.sort];
+  const where = [`p.status = 'active'`];
+  const binds = category ? [category.id] : [];
+
+  if (category) where.push('p.category_id IN (SELECT id FROM subtree)');
+  if (query.seller) {
+    where.push('p.seller_id = ?');
+    binds.push(query.seller);
+  }
+  if (query.currency) {
+    where.push('p.currency = ?');
+    binds.push(query.currency);
+  }
+  if (query.min_price !== undefined) {
+    where.push(`${EFFECTIVE_PRICE_SQL} >= ?`);
+    binds.push(query.min_price);
+  }
+  if (query.max_price !== undefined) {
+    where.push(`${EFFECTIVE_PRICE_SQL} <= ?`);
+    binds.push(query.max_price);
+  }
+  if (query.in_stock) {
+    where.push('COALESCE(i.stock, 0) - COALESCE(i.reserved, 0) > 0');
+  }
+  if (after) {
+    const op = dir === 'DESC' ? '<' : '>';
+    where.push(`(${column} ${op} ? OR (${column} = ? AND p.id ${op} ?))`);
+    binds.push(after.value, after.value, after.id);
+  }
+
+  const { results } = await env.DB.prepare(
+    `${category ? CATEGORY_SUBTREE_SQL : ''}
+     SELECT
+       p.id,
+       p.slug,
+       p.title,
+       p.description,
+       p.image_url,
+       ${PRODUCT_PRICE_COLUMNS_SQL},
+       p.currency,
+       p.status,
+       p.seller_id,
+       p.created_at,
+       st.slug AS store_slug,
+       st.name AS store_name,
+       u.name_cipher AS seller_name_cipher,
+       p.category_id,
+       c.slug AS category_slug,
+       c.name AS category_name,
+       i.stock,
+       i.reserved
+     FROM products p
+     ${ACTIVE_SALE_JOIN_SQL}
+     LEFT JOIN stores st ON st.seller_id = p.seller_id
+     LEFT JOIN users u ON u.id = p.seller_id
+     LEFT JOIN categories c ON c.id = p.category_id
+     LEFT JOIN inventory i ON i.product_id = p.id
+     WHERE ${where.join(' AND ')}
+     ORDER BY ${column} ${dir}, p.id ${dir}
+     LIMIT ?`
+  )
+    .bind(...binds, query.limit + 1)
+    .all();
+
+  // One extra row tells us whether there is a next page
+  const rows = results || [];
+  const page = await addSellerNames(env, rows.slice(0, query.limit));
+  return {
+    products: page.map(productToJson),
+    next_cursor: rows.length > query.limit ? encodeListCursor(query.sort, page[page.length - 1]) : null
+  };
+}
+
+// Sellers need a verified email before their products can go live
+async function canPublish(env, auth) {
+  return !!auth.user.email_verified_at || hasPermission(env, auth, 'product.publish.unverified');
+}
+const PUBLISH_REQUIRES_VERIFIED_EMAIL = 'Verify your email address before publishing products';
+
+// Store logos live next to product images in R2
+const STORE_LOGO_MAX_BYTES = 2 * 1024 * 1024;
+const STORE_LOGO_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+// Product galleries (product_images); the first image by `sort` is the primary one
+const PRODUCT_IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+const PRODUCT_IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+const PRODUCT_IMAGES_MAX = 10;
+const productImageUrl = (id) => `/product-images/${id}`;
+
+// Seller pricing view: newest regular price changes shown
+const PRICE_HISTORY_LIMIT = 100;
+
+// CSV import/export of a seller's catalog; rows are matched to products by slug
+const PRODUCT_CSV_COLUMNS = ['slug', 'title', 'description', 'price_cents', 'currency', 'stock', 'status'];
+const PRODUCT_IMPORT_MAX_ROWS = 500;
+const PRODUCT_IMPORT_MAX_BYTES = 2 * 1024 * 1024;
+const PRODUCT_EXPORT_PAGE_SIZE = 200;
+
+// Reviews (product_reviews), newest first
+const REVIEWS_DEFAULT_LIMIT = 10;
+const REVIEWS_MAX_LIMIT = 50;
+
+// Variants (product_options / product_variants / variant_inventory)
+const PRODUCT_OPTIONS_MAX = 3;
+const PRODUCT_OPTION_VALUES_MAX = 30;
+const PRODUCT_VARIANTS_MAX = 100;
+
+// KV keys. Listing pages are cached per query shape (see bumpProductListVersion)
+const productsListKey = (version, queryHash) => `products:list:${version}:${queryHash}`;
+const CATEGORY_TREE_KEY = 'categories:tree';
+
+// Seconds products and listing pages stay in KV (also KV's minimum expirationTtl)
+const PRODUCT_CACHE_TTL = 60;
+
+// True when a sale of the product (of any product without productId) starts or ends
+// within the next `seconds`; such prices must not be cached past that moment.
+async function saleChangesWithin(env, seconds, productId = null) {
+  const now = new Date();
+  const until = new Date(now.getTime() + seconds * 1000).toISOString();
+  const productFilter = productId ? 'AND product_id = ?' : '';
+  const binds = productId ? [now.toISOString(), until, productId] : [now.toISOString(), until];
+  const row = await env.DB.prepare(
+    `SELECT EXISTS (
+       SELECT 1 FROM product_price_schedules
+       WHERE cancelled_at IS NULL AND starts_at > ? AND starts_at <= ? ${productFilter}
+     ) OR EXISTS (
+       SELECT 1 FROM product_price_schedules
+       WHERE cancelled_at IS NULL AND ends_at > ? AND ends_at <= ? ${productFilter}
+     ) AS soon`
+  )
+    .bind(...binds, ...binds)
+    .first();
+  return !!row?.soon;
+}
 
 // ---------- Joi schemas ----------
 const productCreateSchema = Joi.object({
@@ -23,28 +1077,125 @@ const productCreateSchema = Joi.object({
   price_cents: Joi.number().integer().min(0).required(),
   currency: Joi.string().length(3).uppercase().default('USD'),
   stock: Joi.number().integer().min(0).default(0),
-  image_url: Joi.string().uri().optional().allow('', null)
+  image_url: Joi.string().uri().optional().allow('', null),
+  category_id: Joi.string().max(100).allow(null).default(null)
+});
+
+// GET /api/products (without ?q). Prices are in cents; seller is a seller user id.
+const productListQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(PRODUCT_LIST_MAX_LIMIT).default(PRODUCT_LIST_DEFAULT_LIMIT),
+  cursor: Joi.string().max(1024),
+  sort: Joi.string().valid(...Object.keys(PRODUCT_LIST_SORTS)).default('newest'),
+  min_price: Joi.number().integer().min(0),
+  max_price: Joi.number()
+    .integer()
+    .min(0)
+    .when('min_price', { is: Joi.exist(), then: Joi.number().min(Joi.ref('min_price')) }),
+  seller: Joi.string().max(100),
+  category: Joi.string().max(100),
+  currency: Joi.string().length(3).uppercase(),
+  in_stock: Joi.boolean().truthy('1', 'on').falsy('0', '').default(false)
 });
 
 const productImageDeleteSchema = Joi.object({
   id: Joi.string().required()
 });
 
+const productImageOrderSchema = Joi.object({
+  image_ids: Joi.array().items(Joi.string().max(100)).max(PRODUCT_IMAGES_MAX).unique().required()
+});
+
+// primary: true moves the image to the front of the gallery
+const productImageUpdateSchema = Joi.object({
+  alt: Joi.string().allow('').max(300),
+  primary: Joi.boolean().valid(true)
+}).min(1);
+
 const productUpdateSchema = Joi.object({
   title: Joi.string().min(1).max(200),
   description: Joi.string().allow('').max(2000),
   price_cents: Joi.number().integer().min(0),
   currency: Joi.string().length(3).uppercase(),
   status: Joi.string().valid('active', 'inactive', 'deleted'),
-  image_url: Joi.string().uri().optional().allow('', null)
+  image_url: Joi.string().uri().optional().allow('', null),
+  category_id: Joi.string().max(100).allow(null)
+}).min(1);
+
+// Import columns not covered by the product schemas; stock is absent for products with variants
+const productImportKeysSchema = Joi.object({
+  slug: Joi.string().lowercase().pattern(/^[a-z0-9](?:[a-z0-9-]{0,78}[a-z0-9])?$/),
+  stock: Joi.number().integer().min(0)
+});
+
+// POST /api/seller/products/:id/sales; the sale runs [starts_at, ends_at), starting now by default
+const priceScheduleSchema = Joi.object({
+  sale_price_cents: Joi.number().integer().min(0).required(),
+  starts_at: Joi.date().iso(),
+  ends_at: Joi.date().iso().required()
+});
+
+const reviewCreateSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5).required(),
+  title: Joi.string().trim().allow('').max(120).default(''),
+  body: Joi.string().trim().allow('').max(4000).default('')
+});
+
+const reviewUpdateSchema = Joi.object({
+  rating: Joi.number().integer().min(1).max(5),
+  title: Joi.string().trim().allow('').max(120),
+  body: Joi.string().trim().allow('').max(4000)
 }).min(1);
 
+const reviewReplySchema = Joi.object({
+  reply: Joi.string().trim().min(1).max(2000).required()
+});
+
+const reviewListQuerySchema = Joi.object({
+  limit: Joi.number().integer().min(1).max(REVIEWS_MAX_LIMIT).default(REVIEWS_DEFAULT_LIMIT),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
+// Products with variants are stocked per variant: pass variant_id (product_id is then optional)
 const productStockUpdateSchema = Joi.object({
-  product_id: Joi.string().min(1).required(),
+  product_id: Joi.string().min(1),
+  variant_id: Joi.string().min(1).max(100),
   qty: Joi.number().integer().min(1).max(999).required(),
   operation: Joi.string().valid('set', 'add', 'remove').default('set')
+}).or('product_id', 'variant_id');
+
+// Replaces the product's option types; existing variants must still fit them
+const productOptionsSchema = Joi.object({
+  options: Joi.array()
+    .items(
+      Joi.object({
+        name: Joi.string().trim().min(1).max(40).required(),
+        values: Joi.array()
+          .items(Joi.string().trim().min(1).max(40))
+          .min(1)
+          .max(PRODUCT_OPTION_VALUES_MAX)
+          .unique()
+          .required()
+      })
+    )
+    .max(PRODUCT_OPTIONS_MAX)
+    .unique('name')
+    .required()
+});
+
+// options: option name -> value, one entry per product option; price_cents null = product price
+const productVariantCreateSchema = Joi.object({
+  sku: Joi.string().trim().min(1).max(64).required(),
+  options: Joi.object().pattern(Joi.string().max(40), Joi.string().trim().max(40)).required(),
+  price_cents: Joi.number().integer().min(0).allow(null).default(null),
+  stock: Joi.number().integer().min(0).default(0)
 });
 
+const productVariantUpdateSchema = Joi.object({
+  sku: Joi.string().trim().min(1).max(64),
+  options: Joi.object().pattern(Joi.string().max(40), Joi.string().trim().max(40)),
+  price_cents: Joi.number().integer().min(0).allow(null)
+}).min(1);
+
 const sellerOrderStatusSchema = Joi.object({
   order_id: Joi.string().required(),
   status: Joi.string()
@@ -52,21 +1203,44 @@ const sellerOrderStatusSchema = Joi.object({
     .required()
 });
 
+const storeSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  slug: Joi.string().trim().lowercase().pattern(/^[a-z0-9](?:[a-z0-9-]{1,58}[a-z0-9])$/),
+  description: Joi.string().allow('').max(2000).default(''),
+  return_policy: Joi.string().allow('').max(4000).default('')
+});
+
+const CATEGORY_SLUG_PATTERN = /^[a-z0-9](?:[a-z0-9-]{0,78}[a-z0-9])?$/;
+
+const categoryCreateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100).required(),
+  slug: Joi.string().trim().lowercase().pattern(CATEGORY_SLUG_PATTERN),
+  parent_id: Joi.string().max(100).allow(null).default(null)
+});
+
+// parent_id: null moves the category to the top level
+const categoryUpdateSchema = Joi.object({
+  name: Joi.string().trim().min(1).max(100),
+  slug: Joi.string().trim().lowercase().pattern(CATEGORY_SLUG_PATTERN),
+  parent_id: Joi.string().max(100).allow(null)
+}).min(1);
+
 const productStatusSchema = Joi.object({
   id: Joi.string().required(),
   status: Joi.string().valid('active', 'inactive', 'deleted').required()
 });
 
 // ---------- Router ----------
-const router = Router();
+const router = Router({ before: [csrfGuard, impersonationGuard] });
 
 // --- Change product status (explicit) ---
 router.post('/api/seller/products/status', async (request, env, ctx) => {
-  const auth = await getAuthFromRequest(request, env);
+  const auth = await getAuthFromRequest(request, env, { scope: 'catalog:write' });
   if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
-  if (auth.user.role !== 'seller' && auth.user.role !== 'admin') {
-    return json({ ok: false, error: 'Forbidden' }, { status: 403 });
-  }
+  const scopeError = requireScope(auth, 'catalog:write');
+  if (scopeError) return scopeError;
+  const permissionError = await requirePermission(env, auth, 'product.write.own');
+  if (permissionError) return permissionError;
 
   let body; try { body = await request.json(); } catch { 
     return json({ ok:false, error:'Invalid JSON body' }, { status:400 });
@@ -77,18 +1251,22 @@ router.post('/api/seller/products/status', async (request, env, ctx) => {
   // ownership check
   const row = await env.DB.prepare(`SELECT seller_id FROM products WHERE id = ?`).bind(value.id).first();
   if (!row) return json({ ok:false, error:'Product not found' }, { status:404 });
-  if (auth.user.role === 'seller' && row.seller_id !== auth.user.id) {
+  if (row.seller_id !== auth.user.id && !(await hasPermission(env, auth, 'product.write.any'))) {
     return json({ ok:false, error:'You can only modify your own products' }, { status:403 });
   }
+  if (value.status === 'active' && !(await canPublish(env, auth))) {
+    return json({ ok:false, error:PUBLISH_REQUIRES_VERIFIED_EMAIL }, { status:403 });
+  }
 
   const now = new Date().toISOString();
   await env.DB.prepare(`UPDATE products SET status = ?, updated_at = ? WHERE id = ?`)
     .bind(value.status, now, value.id).run();
+  await syncProductSearch(env, value.id);
 
   // cache bust
   if (env.PRODUCT_CACHE) {
     ctx.waitUntil(Promise.all([
-      env.PRODUCT_CACHE.delete(PRODUCTS_LIST_KEY),
+      bumpProductListVersion(env),
       env.PRODUCT_CACHE.delete(productKey(value.id))
     ]));
   }
@@ -98,17 +1276,9 @@ router.post('/api/seller/products/status', async (request, env, ctx) => {
 
 // ================== Public product endpoints ==================
 
-// ---- Seller products: upload / update product image ----
+// ---- Seller products: upload an image and make it the primary one ----
+// Kept for older clients; the gallery routes below handle several images.
 router.post('/api/seller/products/:id/image', async (request, env, ctx) => {
-  const auth = await getAuthFromRequest(request, env);
-  if (!auth) {
-    return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
-  }
-
-  if (auth.user.role !== 'seller' && auth.user.role !== 'admin') {
-    return json({ ok: false, error: 'Forbidden' }, { status: 403 });
-  }
-
   if (!env.PRODUCT_IMAGE_BUCKET) {
     return json(
       { ok: false, error: 'PRODUCT_IMAGE_BUCKET is not configured' },
@@ -116,32 +1286,9 @@ router.post('/api/seller/products/:id/image', async (request, env, ctx) => {
     );
   }
 
-  const productId = request.params?.id;
-  if (!productId) {
-    return json({ ok: false, error: 'Missing product id' }, { status: 400 });
-  }
-
   try {
-    const product = await env.DB.prepare(
-      `SELECT id, seller_id FROM products WHERE id = ?`
-    )
-      .bind(productId)
-      .first();
-
-    if (!product) {
-      return json({ ok: false, error: 'Product not found' }, { status: 404 });
-    }
-
-    if (
-      auth.user.role === 'seller' &&
-      product.seller_id &&
-      product.seller_id !== auth.user.id
-    ) {
-      return json(
-        { ok: false, error: 'You can only modify your own products' },
-        { status: 403 }
-      );
-    }
+    const { product, error: accessError } = await loadWritableProduct(request, env, request.params.id);
+    if (accessError) return accessError;
 
     const form = await request.formData();
     const file = form.get('file');
@@ -152,294 +1299,118 @@ router.post('/api/seller/products/:id/image', async (request, env, ctx) => {
       );
     }
 
-    const key = `products/${productId}`;
-    await env.PRODUCT_IMAGE_BUCKET.put(key, file, {
-      httpMetadata: {
-        contentType: file.type || 'image/jpeg'
-      }
-    });
-
-    const imageUrl = `/product-images/${productId}`;
-    const now = new Date().toISOString();
-
-    await env.DB.prepare(
-      `UPDATE products
-       SET image_url = ?, updated_at = ?
-       WHERE id = ?`
-    )
-      .bind(imageUrl, now, productId)
-      .run();
-
-    if (env.PRODUCT_CACHE) {
-      ctx.waitUntil(
-        Promise.all([
-          env.PRODUCT_CACHE.delete(PRODUCTS_LIST_KEY),
-          env.PRODUCT_CACHE.delete(productKey(productId))
-        ])
-      );
+    const result = await addProductImages(env, product, [file], [form.get('alt')], { primary: true });
+    if (result.error) {
+      return json({ ok: false, error: result.error }, { status: 400 });
     }
 
-    return json({ ok: true, image_url: imageUrl });
+    await bustProductCache(env, ctx, product.id);
+
+    return json({ ok: true, image_url: productImageUrl(result.added[0]), image_id: result.added[0] });
   } catch (err) {
     return json({ ok: false, error: String(err) }, { status: 500 });
   }
 });
 
-// ---- Public product image fetch from R2 ----
-router.get('/product-images/:id', async (request, env, ctx) => {
-  if (!env.PRODUCT_IMAGE_BUCKET) {
-    return new Response('PRODUCT_IMAGE_BUCKET not configured', { status: 500 });
-  }
-
-  const id = request.params?.id;
-  if (!id) {
-    return new Response('Missing id', { status: 400 });
-  }
-
-  const key = `products/${id}`;
-  const obj = await env.PRODUCT_IMAGE_BUCKET.get(key);
-
-  if (!obj || !obj.body) {
-    return new Response('Not found', { status: 404 });
-  }
-
-  const headers = new Headers();
-  headers.set(
-    'content-type',
-    (obj.httpMetadata && obj.httpMetadata.contentType) || 'image/jpeg'
-  );
-  headers.set('cache-control', 'public, max-age=3600');
-
-  return new Response(obj.body, { headers });
-});
-
-// ---- Products: list all active products (with KV cache) ----
-router.get('/api/products', async (request, env, ctx) => {
+// ---- Seller products: gallery ----
+router.get('/api/seller/products/:id/images', async (request, env, ctx) => {
   try {
-    // Try KV cache first
-    if (env.PRODUCT_CACHE) {
-      const cached = await env.PRODUCT_CACHE.get(PRODUCTS_LIST_KEY, {
-        type: 'json'
-      });
-      if (cached) {
-        return json({ ok: true, products: cached, cached: true });
-      }
-    }
-
-    const { results } = await env.DB.prepare(
-      `SELECT
-         p.id,
-         p.slug,
-         p.title,
-         p.description,
-         p.image_url,
-         p.price_cents,
-         p.currency,
-         p.status,
-         p.seller_id,
-         u.name_cipher AS seller_name_cipher,
-         i.stock,
-         i.reserved
-       FROM products p
-       LEFT JOIN users u ON u.id = p.seller_id
-       LEFT JOIN inventory i ON i.product_id = p.id
-       WHERE p.status = 'active'
-       ORDER BY p.created_at DESC`
-    ).all();
-
-    const products = await Promise.all(
-      (results || []).map(async (row) => {
-        let sellerName = null;
-        if (row.seller_name_cipher) {
-          try {
-            sellerName = await decryptText(env, row.seller_name_cipher);
-          } catch {
-            sellerName = null;
-          }
-        }
-
-        return {
-          id: row.id,
-          slug: row.slug,
-          title: row.title,
-          description: row.description,
-          image_url: row.image_url,
-          price_cents: row.price_cents,
-          currency: row.currency,
-          status: row.status,
-          stock: row.stock,
-          reserved: row.reserved,
-          seller: row.seller_id
-            ? {
-                id: row.seller_id,
-                name: sellerName
-              }
-            : null
-        };
-      })
-    );
-
-    // Put into KV cache (short TTL for demo, e.g. 60s)
-    if (env.PRODUCT_CACHE) {
-      ctx.waitUntil(
-        env.PRODUCT_CACHE.put(PRODUCTS_LIST_KEY, JSON.stringify(products), {
-          expirationTtl: 60
-        })
-      );
-    }
+    const { product, error: accessError } = await loadWritableProduct(request, env, request.params.id);
+    if (accessError) return accessError;
 
-    return json({ ok: true, products, cached: false });
+    await adoptLegacyImage(env, product);
+    const images = await listProductImages(env, product.id);
+    return json({ ok: true, images: images.map(productImageToJson) });
   } catch (err) {
     return json({ ok: false, error: String(err) }, { status: 500 });
   }
 });
 
-// ---- Product details: by id (with KV cache) ----
-router.get('/api/products/:id', async (request, env, ctx) => {
-  const id = request.params?.id;
-  if (!id) {
-    return json({ ok: false, error: 'Missing product id' }, { status: 400 });
+// multipart: one or more `file` fields, optional `alt` fields in the same order
+router.post('/api/seller/products/:id/images', async (request, env, ctx) => {
+  if (!env.PRODUCT_IMAGE_BUCKET) {
+    return json(
+      { ok: false, error: 'PRODUCT_IMAGE_BUCKET is not configured' },
+      { status: 500 }
+    );
   }
 
-  const key = productKey(id);
-
   try {
-    // KV first
-    if (env.PRODUCT_CACHE) {
-      const cached = await env.PRODUCT_CACHE.get(key, { type: 'json' });
-      if (cached) {
-        return json({ ok: true, product: cached, cached: true });
-      }
-    }
-
-    const row = await env.DB.prepare(
-      `SELECT
-         p.id,
-         p.slug,
-         p.title,
-         p.description,
-         p.image_url,
-         p.price_cents,
-         p.currency,
-         p.status,
-         p.seller_id,
-         u.name_cipher AS seller_name_cipher,
-         i.stock,
-         i.reserved
-       FROM products p
-       LEFT JOIN users u ON u.id = p.seller_id
-       LEFT JOIN inventory i ON i.product_id = p.id
-       WHERE p.id = ?`
-    )
-      .bind(id)
-      .first();
+    const { product, error: accessError } = await loadWritableProduct(request, env, request.params.id);
+    if (accessError) return accessError;
 
-    if (!row) {
-      return json({ ok: false, error: 'Product not found' }, { status: 404 });
+    const form = await request.formData();
+    const files = form.getAll('file').filter((f) => f instanceof File);
+    if (!files.length) {
+      return json({ ok: false, error: 'Missing file field' }, { status: 400 });
     }
 
-    let sellerName = null;
-    if (row.seller_name_cipher) {
-      try {
-        sellerName = await decryptText(env, row.seller_name_cipher);
-      } catch {
-        sellerName = null;
-      }
+    const result = await addProductImages(env, product, files, form.getAll('alt'));
+    if (result.error) {
+      return json({ ok: false, error: result.error }, { status: 400 });
     }
 
-    const product = {
-      id: row.id,
-      slug: row.slug,
-      title: row.title,
-      description: row.description,
-      image_url: row.image_url,
-      price_cents: row.price_cents,
-      currency: row.currency,
-      status: row.status,
-      stock: row.stock,
-      reserved: row.reserved,
-      seller: row.seller_id
-        ? {
-            id: row.seller_id,
-            name: sellerName
-          }
-        : null
-    };
-
-    if (env.PRODUCT_CACHE) {
-      ctx.waitUntil(
-        env.PRODUCT_CACHE.put(key, JSON.stringify(product), {
-          expirationTtl: 60
-        })
-      );
-    }
+    await bustProductCache(env, ctx, product.id);
 
-    return json({ ok: true, product, cached: false });
+    const images = await listProductImages(env, product.id);
+    return json({ ok: true, added: result.added, images: images.map(productImageToJson) }, { status: 201 });
   } catch (err) {
     return json({ ok: false, error: String(err) }, { status: 500 });
   }
 });
 
-// ================== Seller/admin endpoints ==================
-
-// These routes expect AUTH + role seller/admin, but they live in this worker
-// (edge router will forward /api/seller/* and /api/products/* here)
-
-// ---- Seller products: list own products ----
-router.get('/api/seller/products', async (request, env, ctx) => {
-  const auth = await getAuthFromRequest(request, env);
-  if (!auth) {
-    return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+router.put('/api/seller/products/:id/images/order', async (request, env, ctx) => {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
   }
 
-  if (auth.user.role !== 'seller' && auth.user.role !== 'admin') {
-    return json({ ok: false, error: 'Forbidden' }, { status: 403 });
+  const { error, value } = productImageOrderSchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return json(
+      {
+        ok: false,
+        error: 'Validation failed',
+        details: error.details.map((d) => d.message)
+      },
+      { status: 400 }
+    );
   }
 
   try {
-    const { results } = await env.DB.prepare(
-      `SELECT
-         p.id,
-         p.slug,
-         p.title,
-         p.description,
-         p.image_url,
-         p.price_cents,
-         p.currency,
-         p.status,
-         p.seller_id,
-         i.stock,
-         i.reserved,
-         p.created_at,
-         p.updated_at
-       FROM products p
-       LEFT JOIN inventory i ON i.product_id = p.id
-       WHERE p.seller_id = ?
-       ORDER BY p.created_at DESC`
-    )
-      .bind(auth.user.id)
-      .all();
+    const { product, error: accessError } = await loadWritableProduct(request, env, request.params.id);
+    if (accessError) return accessError;
 
-    return json({
-      ok: true,
-      products: results || []
-    });
+    await adoptLegacyImage(env, product);
+    const current = (await listProductImages(env, product.id)).map((img) => img.id);
+    if (
+      value.image_ids.length !== current.length ||
+      !value.image_ids.every((id) => current.includes(id))
+    ) {
+      return json(
+        { ok: false, error: 'image_ids must list every image of the product exactly once' },
+        { status: 400 }
+      );
+    }
+
+    await writeImageOrder(env, value.image_ids);
+    await syncPrimaryImage(env, product.id);
+    await bustProductCache(env, ctx, product.id);
+
+    const images = await listProductImages(env, product.id);
+    return json({ ok: true, images: images.map(productImageToJson) });
   } catch (err) {
     return json({ ok: false, error: String(err) }, { status: 500 });
   }
 });
 
-// ---- Seller products: create product ----
-router.post('/api/seller/products', async (request, env, ctx) => {
-  const auth = await getAuthFromRequest(request, env);
-  if (!auth) {
-    return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
-  }
-
-  if (auth.user.role !== 'seller' && auth.user.role !== 'admin') {
-    return json({ ok: false, error: 'Forbidden' }, { status: 403 });
-  }
-
+router.put('/api/seller/products/:id/images/:imageId', async (request, env, ctx) => {
   let body;
   try {
     body = await request.json();
@@ -447,7 +1418,7 @@ router.post('/api/seller/products', async (request, env, ctx) => {
     return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
   }
 
-  const { error, value } = productCreateSchema.validate(body, {
+  const { error, value } = productImageUpdateSchema.validate(body, {
     abortEarly: false,
     stripUnknown: true
   });
@@ -463,100 +1434,81 @@ router.post('/api/seller/products', async (request, env, ctx) => {
     );
   }
 
-  const now = new Date().toISOString();
-  const id = crypto.randomUUID();
-  let slug = slugify(value.title);
-  if (!slug) slug = id.slice(0, 8);
-  const imageUrl = value.image_url || null;
-
   try {
-    // Create product
-    await env.DB.prepare(
-      `INSERT INTO products (
-        id,
-        seller_id,
-        slug,
-        title,
-        description,
-        image_url,
-        price_cents,
-        currency,
-        status,
-        created_at,
-        updated_at
-      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
-    )
-      .bind(
-        id,
-        auth.user.id,
-        slug,
-        value.title,
-        value.description || '',
-        imageUrl,
-        value.price_cents,
-        value.currency,
-        'active',
-        now,
-        now
-      )
-      .run();
+    const { product, error: accessError } = await loadWritableProduct(request, env, request.params.id);
+    if (accessError) return accessError;
+
+    await adoptLegacyImage(env, product);
+    const images = await listProductImages(env, product.id);
+    const image = images.find((img) => img.id === request.params.imageId);
+    if (!image) {
+      return json({ ok: false, error: 'Image not found' }, { status: 404 });
+    }
 
-    // Initialize inventory
-    await env.DB.prepare(
-      `INSERT INTO inventory (product_id, stock, reserved, updated_at)
-       VALUES (?, ?, 0, ?)
-       ON CONFLICT(product_id)
-       DO UPDATE SET stock = excluded.stock, updated_at = excluded.updated_at`
+    if (value.alt !== undefined) {
+      await env.DB.prepare(`UPDATE product_images SET alt = ? WHERE id = ?`)
+        .bind(value.alt || null, image.id)
+        .run();
+    }
+    if (value.primary) {
+      await writeImageOrder(env, [image.id, ...images.filter((img) => img.id !== image.id).map((img) => img.id)]);
+      await syncPrimaryImage(env, product.id);
+    }
+
+    await bustProductCache(env, ctx, product.id);
+
+    const updated = await listProductImages(env, product.id);
+    return json({ ok: true, images: updated.map(productImageToJson) });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+router.delete('/api/seller/products/:id/images/:imageId', async (request, env, ctx) => {
+  try {
+    const { product, error: accessError } = await loadWritableProduct(request, env, request.params.id);
+    if (accessError) return accessError;
+
+    await adoptLegacyImage(env, product);
+    const image = await env.DB.prepare(
+      `SELECT id, r2_key FROM product_images WHERE id = ? AND product_id = ?`
     )
-      .bind(id, value.stock, now)
-      .run();
+      .bind(request.params.imageId, product.id)
+      .first();
+    if (!image) {
+      return json({ ok: false, error: 'Image not found' }, { status: 404 });
+    }
 
-    // Invalidate relevant caches
-    if (env.PRODUCT_CACHE) {
-      ctx.waitUntil(
-        Promise.all([
-          env.PRODUCT_CACHE.delete(PRODUCTS_LIST_KEY),
-          env.PRODUCT_CACHE.delete(productKey(id))
-        ])
-      );
+    await env.DB.prepare(`DELETE FROM product_images WHERE id = ?`).bind(image.id).run();
+    if (env.PRODUCT_IMAGE_BUCKET) {
+      try { await env.PRODUCT_IMAGE_BUCKET.delete(image.r2_key); } catch { /* ignore */ }
     }
 
-    return json(
-      {
-        ok: true,
-        product: {
-          id,
-          seller_id: auth.user.id,
-          slug,
-          title: value.title,
-          description: value.description || '',
-          price_cents: value.price_cents,
-          currency: value.currency,
-          image_url: imageUrl,
-          status: 'active',
-          stock: value.stock,
-          created_at: now,
-          updated_at: now
-        }
-      },
-      { status: 201 }
-    );
+    const remaining = await listProductImages(env, product.id);
+    await writeImageOrder(env, remaining.map((img) => img.id));
+    await syncPrimaryImage(env, product.id);
+    await bustProductCache(env, ctx, product.id);
+
+    return json({ ok: true, images: remaining.map((img, i) => productImageToJson({ ...img, sort: i })) });
   } catch (err) {
     return json({ ok: false, error: String(err) }, { status: 500 });
   }
 });
 
-// ---- Seller products: update product details (id in body) ----
-router.put('/api/seller/products', async (request, env, ctx) => {
-  const auth = await getAuthFromRequest(request, env);
-  if (!auth) {
-    return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
-  }
+// ================== Variants ==================
 
-  if (auth.user.role !== 'seller' && auth.user.role !== 'admin') {
-    return json({ ok: false, error: 'Forbidden' }, { status: 403 });
+router.get('/api/seller/products/:id/variants', async (request, env, ctx) => {
+  try {
+    const { product, error: accessError } = await loadWritableProduct(request, env, request.params.id);
+    if (accessError) return accessError;
+
+    return await productVariantsResponse(env, product.id);
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
   }
+});
 
+router.put('/api/seller/products/:id/options', async (request, env, ctx) => {
   let body;
   try {
     body = await request.json();
@@ -564,12 +1516,78 @@ router.put('/api/seller/products', async (request, env, ctx) => {
     return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
   }
 
-  const productId = body.id;
-  if (!productId) {
-    return json({ ok: false, error: 'Missing product id in body' }, { status: 400 });
+  const { error, value } = productOptionsSchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return json(
+      {
+        ok: false,
+        error: 'Validation failed',
+        details: error.details.map((d) => d.message)
+      },
+      { status: 400 }
+    );
   }
 
-  const { error, value } = productUpdateSchema.validate(body, {
+  try {
+    const { product, error: accessError } = await loadWritableProduct(request, env, request.params.id);
+    if (accessError) return accessError;
+
+    // Re-key existing variants against the new options (their order may have changed)
+    const variants = await listProductVariants(env, product.id);
+    const rekeyed = [];
+    for (const variant of variants) {
+      const { key, values, error: optionError } = variantOptionKey(value.options, JSON.parse(variant.options));
+      if (optionError) {
+        return json(
+          {
+            ok: false,
+            error: 'Existing variants do not fit these options; update or delete them first',
+            variant_id: variant.id
+          },
+          { status: 409 }
+        );
+      }
+      if (key !== variant.option_key) rekeyed.push({ id: variant.id, key, values });
+    }
+
+    await env.DB.batch([
+      env.DB.prepare(`DELETE FROM product_options WHERE product_id = ?`).bind(product.id),
+      ...value.options.map((option, i) =>
+        env.DB.prepare(
+          `INSERT INTO product_options (id, product_id, name, option_values, sort)
+           VALUES (?, ?, ?, ?, ?)`
+        ).bind(crypto.randomUUID(), product.id, option.name, JSON.stringify(option.values), i)
+      ),
+      ...rekeyed.map((v) =>
+        env.DB.prepare(`UPDATE product_variants SET options = ?, option_key = ? WHERE id = ?`).bind(
+          JSON.stringify(v.values),
+          v.key,
+          v.id
+        )
+      )
+    ]);
+
+    await bustProductCache(env, ctx, product.id);
+
+    return await productVariantsResponse(env, product.id);
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+router.post('/api/seller/products/:id/variants', async (request, env, ctx) => {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const { error, value } = productVariantCreateSchema.validate(body, {
     abortEarly: false,
     stripUnknown: true
   });
@@ -586,120 +1604,1969 @@ router.put('/api/seller/products', async (request, env, ctx) => {
   }
 
   try {
-    // Load product to check ownership
-    const product = await env.DB.prepare(
-      `SELECT id, seller_id FROM products WHERE id = ?`
-    )
-      .bind(productId)
-      .first();
+    const { auth, product, error: accessError } = await loadWritableProduct(request, env, request.params.id);
+    if (accessError) return accessError;
 
-    if (!product) {
-      return json({ ok: false, error: 'Product not found' }, { status: 404 });
+    const options = await listProductOptions(env, product.id);
+    const { key, values, error: optionError } = variantOptionKey(options, value.options);
+    if (optionError) {
+      return json({ ok: false, error: optionError }, { status: 400 });
     }
 
-    if (
-      auth.user.role === 'seller' &&
-      product.seller_id &&
-      product.seller_id !== auth.user.id
-    ) {
+    const variants = await listProductVariants(env, product.id);
+    if (variants.length >= PRODUCT_VARIANTS_MAX) {
       return json(
-        { ok: false, error: 'You can only modify your own products' },
-        { status: 403 }
+        { ok: false, error: `A product can have at most ${PRODUCT_VARIANTS_MAX} variants` },
+        { status: 400 }
       );
     }
 
+    const conflict = await findVariantConflict(env, product.id, { sku: value.sku, optionKey: key });
+    if (conflict) {
+      return json({ ok: false, error: conflict }, { status: 409 });
+    }
+
+    const id = crypto.randomUUID();
     const now = new Date().toISOString();
+    await env.DB.batch([
+      env.DB.prepare(
+        `INSERT INTO product_variants (id, product_id, sku, options, option_key, price_cents, status, created_at, updated_at)
+         VALUES (?, ?, ?, ?, ?, ?, 'active', ?, ?)`
+      ).bind(id, product.id, value.sku, JSON.stringify(values), key, value.price_cents, now, now),
+      env.DB.prepare(
+        `INSERT INTO variant_inventory (variant_id, stock, reserved, updated_at) VALUES (?, ?, 0, ?)`
+      ).bind(id, value.stock, now),
+      ...(value.price_cents !== null
+        ? [
+            priceHistoryStatement(env, {
+              productId: product.id,
+              variantId: id,
+              priceCents: value.price_cents,
+              currency: product.currency,
+              source: 'create',
+              changedBy: auth.user.id,
+              now
+            })
+          ]
+        : [])
+    ]);
+    await syncVariantStockTotal(env, product.id);
+    await bustProductCache(env, ctx, product.id);
+
+    return await productVariantsResponse(env, product.id, { status: 201 });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+router.put('/api/seller/products/:id/variants/:variantId', async (request, env, ctx) => {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const { error, value } = productVariantUpdateSchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return json(
+      {
+        ok: false,
+        error: 'Validation failed',
+        details: error.details.map((d) => d.message)
+      },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const { auth, product, error: accessError } = await loadWritableProduct(request, env, request.params.id);
+    if (accessError) return accessError;
+
+    const variant = (await listProductVariants(env, product.id)).find(
+      (v) => v.id === request.params.variantId
+    );
+    if (!variant) {
+      return json({ ok: false, error: 'Variant not found' }, { status: 404 });
+    }
+
     const fields = [];
     const binds = [];
-
-    if (value.title !== undefined) {
-      fields.push('title = ?');
-      binds.push(value.title);
+    let optionKey;
+    if (value.options !== undefined) {
+      const { key, values, error: optionError } = variantOptionKey(
+        await listProductOptions(env, product.id),
+        value.options
+      );
+      if (optionError) {
+        return json({ ok: false, error: optionError }, { status: 400 });
+      }
+      optionKey = key;
+      fields.push('options = ?', 'option_key = ?');
+      binds.push(JSON.stringify(values), key);
     }
-    if (value.description !== undefined) {
-      fields.push('description = ?');
-      binds.push(value.description);
+    if (value.sku !== undefined) {
+      fields.push('sku = ?');
+      binds.push(value.sku);
     }
     if (value.price_cents !== undefined) {
       fields.push('price_cents = ?');
       binds.push(value.price_cents);
     }
-    if (value.currency !== undefined) {
-      fields.push('currency = ?');
-      binds.push(value.currency);
+
+    const conflict = await findVariantConflict(env, product.id, { sku: value.sku, optionKey }, variant.id);
+    if (conflict) {
+      return json({ ok: false, error: conflict }, { status: 409 });
     }
-    if (value.status !== undefined) {
-      fields.push('status = ?');
-      binds.push(value.status);
+
+    fields.push('updated_at = ?');
+    binds.push(new Date().toISOString(), variant.id);
+    await env.DB.prepare(`UPDATE product_variants SET ${fields.join(', ')} WHERE id = ?`)
+      .bind(...binds)
+      .run();
+
+    if (value.price_cents !== undefined && value.price_cents !== variant.price_cents) {
+      await priceHistoryStatement(env, {
+        productId: product.id,
+        variantId: variant.id,
+        priceCents: value.price_cents,
+        currency: product.currency,
+        source: 'update',
+        changedBy: auth.user.id
+      }).run();
+      await recordAudit(env, {
+        actorUserId: auth.user.id,
+        action: 'product.price_change',
+        resource: `variant:${variant.id}`,
+        before: { price_cents: variant.price_cents },
+        after: { price_cents: value.price_cents },
+        meta: { product_id: product.id },
+        request
+      });
     }
-    if (value.image_url !== undefined) {
-      fields.push('image_url = ?');
-      binds.push(value.image_url || null);
+
+    await bustProductCache(env, ctx, product.id);
+
+    return await productVariantsResponse(env, product.id);
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// Soft delete: order_items keep pointing at the variant
+router.delete('/api/seller/products/:id/variants/:variantId', async (request, env, ctx) => {
+  try {
+    const { product, error: accessError } = await loadWritableProduct(request, env, request.params.id);
+    if (accessError) return accessError;
+
+    const result = await env.DB.prepare(
+      `UPDATE product_variants SET status = 'deleted', updated_at = ?
+       WHERE id = ? AND product_id = ? AND status = 'active'`
+    )
+      .bind(new Date().toISOString(), request.params.variantId, product.id)
+      .run();
+    if (!result.meta?.changes) {
+      return json({ ok: false, error: 'Variant not found' }, { status: 404 });
+    }
+
+    await env.DB.prepare(`DELETE FROM cart_items WHERE variant_id = ?`)
+      .bind(request.params.variantId)
+      .run();
+    await syncVariantStockTotal(env, product.id);
+    await bustProductCache(env, ctx, product.id);
+
+    return await productVariantsResponse(env, product.id);
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ================== Sale prices ==================
+
+router.get('/api/seller/products/:id/prices', async (request, env, ctx) => {
+  try {
+    const { product, error: accessError } = await loadWritableProduct(request, env, request.params.id);
+    if (accessError) return accessError;
+
+    return await productPricesResponse(env, product);
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+router.post('/api/seller/products/:id/sales', async (request, env, ctx) => {
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const { error, value } = priceScheduleSchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return json(
+      {
+        ok: false,
+        error: 'Validation failed',
+        details: error.details.map((d) => d.message)
+      },
+      { status: 400 }
+    );
+  }
+
+  const now = new Date().toISOString();
+  const startsAt = value.starts_at ? value.starts_at.toISOString() : now;
+  const endsAt = value.ends_at.toISOString();
+  if (endsAt <= startsAt || endsAt <= now) {
+    return json({ ok: false, error: 'A sale must end after it starts, and in the future' }, { status: 400 });
+  }
+
+  try {
+    const { auth, product, error: accessError } = await loadWritableProduct(request, env, request.params.id);
+    if (accessError) return accessError;
+
+    if (product.status === 'deleted') {
+      return json({ ok: false, error: 'Product not found' }, { status: 404 });
     }
+    if (value.sale_price_cents >= product.price_cents) {
+      return json({ ok: false, error: 'Sale price must be below the regular price' }, { status: 400 });
+    }
+
+    const overlap = await findOverlappingSale(env, product.id, startsAt, endsAt);
+    if (overlap) {
+      return json(
+        {
+          ok: false,
+          error: `Overlaps the sale from ${overlap.starts_at} to ${overlap.ends_at}`,
+          sale_id: overlap.id
+        },
+        { status: 409 }
+      );
+    }
+
+    const id = crypto.randomUUID();
+    await env.DB.prepare(
+      `INSERT INTO product_price_schedules
+         (id, product_id, sale_price_cents, starts_at, ends_at, created_by, created_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?)`
+    )
+      .bind(id, product.id, value.sale_price_cents, startsAt, endsAt, auth.user.id, now)
+      .run();
+
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'product.sale.schedule',
+      resource: `product:${product.id}`,
+      after: { sale_id: id, sale_price_cents: value.sale_price_cents, starts_at: startsAt, ends_at: endsAt },
+      request
+    });
+    await bustProductCache(env, ctx, product.id);
+
+    return await productPricesResponse(env, product, { status: 201 });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// Cancels a scheduled sale, or ends a running one now; the record stays in the history
+router.delete('/api/seller/products/:id/sales/:saleId', async (request, env, ctx) => {
+  try {
+    const { auth, product, error: accessError } = await loadWritableProduct(request, env, request.params.id);
+    if (accessError) return accessError;
+
+    const sale = await env.DB.prepare(
+      `SELECT id, sale_price_cents, starts_at, ends_at, cancelled_at, created_at
+       FROM product_price_schedules
+       WHERE id = ? AND product_id = ?`
+    )
+      .bind(request.params.saleId, product.id)
+      .first();
+    if (!sale) {
+      return json({ ok: false, error: 'Sale not found' }, { status: 404 });
+    }
+
+    const now = new Date().toISOString();
+    const state = priceScheduleToJson(sale, now).state;
+    if (state === 'ended') {
+      return json({ ok: false, error: 'Sale has already ended' }, { status: 409 });
+    }
+    if (state === 'cancelled') {
+      return json({ ok: false, error: 'Sale was already cancelled' }, { status: 409 });
+    }
+
+    await env.DB.prepare(`UPDATE product_price_schedules SET cancelled_at = ? WHERE id = ?`)
+      .bind(now, sale.id)
+      .run();
+
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'product.sale.cancel',
+      resource: `product:${product.id}`,
+      before: { state },
+      after: { state: 'cancelled', cancelled_at: now },
+      meta: { sale_id: sale.id },
+      request
+    });
+    await bustProductCache(env, ctx, product.id);
+
+    return await productPricesResponse(env, product);
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ================== Reviews ==================
+
+// ---- Public: reviews of a product, newest first (?limit=&offset=) ----
+// Signed-in viewers also get `viewer`: their own review and what they may do.
+router.get('/api/products/:id/reviews', async (request, env, ctx) => {
+  const { error, value } = reviewListQuerySchema.validate(
+    Object.fromEntries(new URL(request.url).searchParams),
+    { abortEarly: false, stripUnknown: true }
+  );
+  if (error) {
+    return json(
+      { ok: false, error: 'Validation failed', details: error.details.map((d) => d.message) },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const product = await env.DB.prepare(
+      `SELECT id, seller_id FROM products WHERE id = ? AND status != 'deleted'`
+    )
+      .bind(request.params.id)
+      .first();
+    if (!product) {
+      return json({ ok: false, error: 'Product not found' }, { status: 404 });
+    }
+
+    const auth = await getAuthFromRequest(request, env);
+    const viewerId = auth ? auth.user.id : null;
+
+    const [rating, { results }] = await Promise.all([
+      productRating(env, product.id),
+      env.DB.prepare(
+        `${REVIEW_SELECT_SQL}
+         WHERE r.product_id = ?
+         ORDER BY r.created_at DESC, r.id DESC
+         LIMIT ? OFFSET ?`
+      )
+        .bind(product.id, value.limit, value.offset)
+        .all()
+    ]);
+
+    let viewer = null;
+    if (auth) {
+      const own = await env.DB.prepare(`${REVIEW_SELECT_SQL} WHERE r.product_id = ? AND r.user_id = ?`)
+        .bind(product.id, viewerId)
+        .first();
+      viewer = {
+        review: own ? await reviewToJson(env, own, viewerId) : null,
+        can_review: !own && (await hasCompletedPurchase(env, viewerId, product.id)),
+        can_reply:
+          product.seller_id === viewerId && (await hasPermission(env, auth, 'review.reply.own')),
+        can_moderate: await hasPermission(env, auth, 'review.moderate')
+      };
+    }
+
+    return json({
+      ok: true,
+      rating,
+      reviews: await Promise.all((results || []).map((row) => reviewToJson(env, row, viewerId))),
+      total: rating.count,
+      limit: value.limit,
+      offset: value.offset,
+      viewer
+    });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+router.post('/api/products/:id/reviews', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) {
+    return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const { error, value } = reviewCreateSchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return json(
+      {
+        ok: false,
+        error: 'Validation failed',
+        details: error.details.map((d) => d.message)
+      },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const product = await env.DB.prepare(
+      `SELECT id FROM products WHERE id = ? AND status != 'deleted'`
+    )
+      .bind(request.params.id)
+      .first();
+    if (!product) {
+      return json({ ok: false, error: 'Product not found' }, { status: 404 });
+    }
+
+    if (!(await hasCompletedPurchase(env, auth.user.id, product.id))) {
+      return json(
+        { ok: false, error: 'Only buyers with a completed order for this product can review it' },
+        { status: 403 }
+      );
+    }
+
+    const existing = await env.DB.prepare(
+      `SELECT id FROM product_reviews WHERE product_id = ? AND user_id = ?`
+    )
+      .bind(product.id, auth.user.id)
+      .first();
+    if (existing) {
+      return json(
+        { ok: false, error: 'You have already reviewed this product', review_id: existing.id },
+        { status: 409 }
+      );
+    }
+
+    const id = crypto.randomUUID();
+    const now = new Date().toISOString();
+    await env.DB.prepare(
+      `INSERT INTO product_reviews (id, product_id, user_id, rating, title, body, created_at, updated_at)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+      .bind(id, product.id, auth.user.id, value.rating, value.title || null, value.body || null, now, now)
+      .run();
+
+    await bustProductCache(env, ctx, product.id);
+
+    return json(
+      {
+        ok: true,
+        review: await reviewToJson(env, await loadReview(env, product.id, id), auth.user.id),
+        rating: await productRating(env, product.id)
+      },
+      { status: 201 }
+    );
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+router.put('/api/products/:id/reviews/:reviewId', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) {
+    return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  }
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const { error, value } = reviewUpdateSchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return json(
+      {
+        ok: false,
+        error: 'Validation failed',
+        details: error.details.map((d) => d.message)
+      },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const review = await loadReview(env, request.params.id, request.params.reviewId);
+    if (!review) {
+      return json({ ok: false, error: 'Review not found' }, { status: 404 });
+    }
+    if (review.user_id !== auth.user.id) {
+      return json({ ok: false, error: 'You can only edit your own review' }, { status: 403 });
+    }
+
+    const fields = [];
+    const binds = [];
+    for (const key of ['rating', 'title', 'body']) {
+      if (value[key] !== undefined) {
+        fields.push(`${key} = ?`);
+        binds.push(key === 'rating' ? value[key] : value[key] || null);
+      }
+    }
+    fields.push('updated_at = ?');
+    binds.push(new Date().toISOString(), review.id);
+
+    await env.DB.prepare(`UPDATE product_reviews SET ${fields.join(', ')} WHERE id = ?`)
+      .bind(...binds)
+      .run();
+
+    await bustProductCache(env, ctx, review.product_id);
+
+    return json({
+      ok: true,
+      review: await reviewToJson(env, await loadReview(env, review.product_id, review.id), auth.user.id),
+      rating: await productRating(env, review.product_id)
+    });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// Authors delete their own review; moderators (review.moderate) any review
+router.delete('/api/products/:id/reviews/:reviewId', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) {
+    return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  }
+
+  try {
+    const review = await loadReview(env, request.params.id, request.params.reviewId);
+    if (!review) {
+      return json({ ok: false, error: 'Review not found' }, { status: 404 });
+    }
+
+    const isAuthor = review.user_id === auth.user.id;
+    if (!isAuthor && !(await hasPermission(env, auth, 'review.moderate'))) {
+      return json({ ok: false, error: 'You can only delete your own review' }, { status: 403 });
+    }
+
+    await env.DB.prepare(`DELETE FROM product_reviews WHERE id = ?`).bind(review.id).run();
+
+    if (!isAuthor) {
+      await recordAudit(env, {
+        actorUserId: auth.user.id,
+        action: 'review.delete',
+        resource: `review:${review.id}`,
+        before: { product_id: review.product_id, rating: review.rating },
+        meta: { author_user_id: review.user_id },
+        request
+      });
+    }
+
+    await bustProductCache(env, ctx, review.product_id);
+
+    return json({ ok: true, rating: await productRating(env, review.product_id) });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Seller: one public reply per review of their own products ----
+// POST adds the reply, PUT edits it.
+async function handleReviewReply(request, env, ctx, { edit }) {
+  const auth = await getAuthFromRequest(request, env, { scope: 'catalog:write' });
+  if (!auth) {
+    return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  }
+
+  const scopeError = requireScope(auth, 'catalog:write');
+  if (scopeError) return scopeError;
+
+  const permissionError = await requirePermission(env, auth, 'review.reply.own');
+  if (permissionError) return permissionError;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const { error, value } = reviewReplySchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return json(
+      {
+        ok: false,
+        error: 'Validation failed',
+        details: error.details.map((d) => d.message)
+      },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const review = await env.DB.prepare(
+      `SELECT r.id, r.product_id, r.seller_reply, p.seller_id
+       FROM product_reviews r
+       JOIN products p ON p.id = r.product_id
+       WHERE r.id = ?`
+    )
+      .bind(request.params.reviewId)
+      .first();
+    if (!review) {
+      return json({ ok: false, error: 'Review not found' }, { status: 404 });
+    }
+    if (review.seller_id !== auth.user.id) {
+      return json(
+        { ok: false, error: 'You can only reply to reviews of your own products' },
+        { status: 403 }
+      );
+    }
+    if (!edit && review.seller_reply) {
+      return json({ ok: false, error: 'This review already has a reply' }, { status: 409 });
+    }
+    if (edit && !review.seller_reply) {
+      return json({ ok: false, error: 'This review has no reply yet' }, { status: 404 });
+    }
+
+    await env.DB.prepare(
+      `UPDATE product_reviews SET seller_reply = ?, seller_reply_at = ? WHERE id = ?`
+    )
+      .bind(value.reply, new Date().toISOString(), review.id)
+      .run();
+
+    await bustProductCache(env, ctx, review.product_id);
+
+    return json(
+      { ok: true, review: await reviewToJson(env, await loadReview(env, review.product_id, review.id), auth.user.id) },
+      { status: edit ? 200 : 201 }
+    );
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+}
+
+router.post('/api/seller/reviews/:reviewId/reply', (request, env, ctx) =>
+  handleReviewReply(request, env, ctx, { edit: false })
+);
+router.put('/api/seller/reviews/:reviewId/reply', (request, env, ctx) =>
+  handleReviewReply(request, env, ctx, { edit: true })
+);
+
+// ---- Public product image fetch from R2 ----
+router.get('/product-images/:id', async (request, env, ctx) => {
+  if (!env.PRODUCT_IMAGE_BUCKET) {
+    return new Response('PRODUCT_IMAGE_BUCKET not configured', { status: 500 });
+  }
+
+  const id = request.params?.id;
+  if (!id) {
+    return new Response('Missing id', { status: 400 });
+  }
+
+  // Gallery images have their own R2 key; ids without a row are pre-gallery product ids
+  const image = await env.DB.prepare(`SELECT r2_key FROM product_images WHERE id = ?`)
+    .bind(id)
+    .first();
+  const key = image ? image.r2_key : `products/${id}`;
+  const obj = await env.PRODUCT_IMAGE_BUCKET.get(key);
+
+  if (!obj || !obj.body) {
+    return new Response('Not found', { status: 404 });
+  }
+
+  const headers = new Headers();
+  headers.set(
+    'content-type',
+    (obj.httpMetadata && obj.httpMetadata.contentType) || 'image/jpeg'
+  );
+  headers.set('cache-control', 'public, max-age=3600');
+
+  return new Response(obj.body, { headers });
+});
+
+// ---- Products: paginated listing of active products (with KV cache) ----
+// ?sort=newest|price_asc|price_desc|title, ?limit=, ?cursor=<next_cursor of the previous page>
+// Filters: ?category=<slug> (with descendants), ?seller=<id>, ?currency=, ?min_price=/?max_price= (cents), ?in_stock=1
+// ?q=<text> switches to ranked full-text search (not cached)
+router.get('/api/products', async (request, env, ctx) => {
+  const params = new URL(request.url).searchParams;
+  const q = (params.get('q') || '').trim().slice(0, 200);
+
+  const { error, value } = productListQuerySchema.validate(Object.fromEntries(params), {
+    abortEarly: false,
+    stripUnknown: true
+  });
+  if (error) {
+    return json(
+      { ok: false, error: 'Validation failed', details: error.details.map((d) => d.message) },
+      { status: 400 }
+    );
+  }
+
+  let after = null;
+  if (value.cursor) {
+    after = decodeListCursor(value.sort, value.cursor);
+    if (!after) {
+      return json({ ok: false, error: 'Invalid cursor' }, { status: 400 });
+    }
+  }
+
+  try {
+    let category = null;
+    if (value.category) {
+      category = await env.DB.prepare(`SELECT id FROM categories WHERE slug = ?`)
+        .bind(value.category)
+        .first();
+      if (!category) {
+        return json({ ok: false, error: 'Category not found' }, { status: 404 });
+      }
+    }
+
+    if (q) {
+      return await searchProducts(env, q, category);
+    }
+
+    // Try KV cache first; the key covers every validated parameter
+    let cacheKey = null;
+    if (env.PRODUCT_CACHE) {
+      const version = (await env.PRODUCT_CACHE.get(PRODUCTS_LIST_VERSION_KEY)) || '0';
+      const shape = Object.keys(value)
+        .sort()
+        .map((k) => `${k}=${value[k]}`)
+        .join('&');
+      cacheKey = productsListKey(version, await sha256Hex(shape));
+
+      const cached = await env.PRODUCT_CACHE.get(cacheKey, { type: 'json' });
+      if (cached) {
+        return json({ ok: true, ...cached, sort: value.sort, limit: value.limit, cached: true });
+      }
+    }
+
+    const page = await listProducts(env, value, category, after);
+
+    // Put into KV cache (short TTL for demo, e.g. 60s), unless a sale would outdate it sooner
+    if (cacheKey && !(await saleChangesWithin(env, PRODUCT_CACHE_TTL))) {
+      ctx.waitUntil(
+        env.PRODUCT_CACHE.put(cacheKey, JSON.stringify(page), {
+          expirationTtl: PRODUCT_CACHE_TTL
+        })
+      );
+    }
+
+    return json({ ok: true, ...page, sort: value.sort, limit: value.limit, cached: false });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Product details: by id (with KV cache) ----
+router.get('/api/products/:id', async (request, env, ctx) => {
+  const id = request.params?.id;
+  if (!id) {
+    return json({ ok: false, error: 'Missing product id' }, { status: 400 });
+  }
+
+  const key = productKey(id);
+
+  try {
+    // KV first
+    if (env.PRODUCT_CACHE) {
+      const cached = await env.PRODUCT_CACHE.get(key, { type: 'json' });
+      if (cached) {
+        return json({ ok: true, product: cached, cached: true });
+      }
+    }
+
+    const row = await env.DB.prepare(
+      `SELECT
+         p.id,
+         p.slug,
+         p.title,
+         p.description,
+         p.image_url,
+         ${PRODUCT_PRICE_COLUMNS_SQL},
+         p.currency,
+         p.status,
+         p.seller_id,
+         st.slug AS store_slug,
+         st.name AS store_name,
+         u.name_cipher AS seller_name_cipher,
+         p.category_id,
+         c.slug AS category_slug,
+         c.name AS category_name,
+         i.stock,
+         i.reserved
+       FROM products p
+       ${ACTIVE_SALE_JOIN_SQL}
+       LEFT JOIN stores st ON st.seller_id = p.seller_id
+       LEFT JOIN users u ON u.id = p.seller_id
+       LEFT JOIN categories c ON c.id = p.category_id
+       LEFT JOIN inventory i ON i.product_id = p.id
+       WHERE p.id = ?`
+    )
+      .bind(id)
+      .first();
+
+    if (!row) {
+      return json({ ok: false, error: 'Product not found' }, { status: 404 });
+    }
+
+    await addSellerNames(env, [row]);
+    const product = productToJson(row);
+    product.images = (await listProductImages(env, id)).map(productImageToJson);
+    // Pre-gallery products only have image_url
+    if (!product.images.length && product.image_url) {
+      product.images = [{ id: null, url: product.image_url, alt: '', sort: 0 }];
+    }
+    product.options = await listProductOptions(env, id);
+    product.variants = (await listProductVariants(env, id)).map(variantToJson);
+    product.rating = await productRating(env, id);
+
+    if (env.PRODUCT_CACHE && !(await saleChangesWithin(env, PRODUCT_CACHE_TTL, id))) {
+      ctx.waitUntil(
+        env.PRODUCT_CACHE.put(key, JSON.stringify(product), {
+          expirationTtl: PRODUCT_CACHE_TTL
+        })
+      );
+    }
+
+    return json({ ok: true, product, cached: false });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ================== Seller/admin endpoints ==================
+
+// These routes expect AUTH + the matching product/order permission, but they live in this worker
+// (edge router will forward /api/seller/* and /api/products/* here)
+
+// ---- Seller products: list own products ----
+router.get('/api/seller/products', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env, { scope: 'catalog:read' });
+  if (!auth) {
+    return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  }
+
+  const scopeError = requireScope(auth, 'catalog:read');
+  if (scopeError) return scopeError;
+
+  const permissionError = await requirePermission(env, auth, 'product.read.own');
+  if (permissionError) return permissionError;
+
+  try {
+    const { results } = await env.DB.prepare(
+      `SELECT
+         p.id,
+         p.slug,
+         p.title,
+         p.description,
+         p.image_url,
+         p.price_cents,
+         p.currency,
+         p.status,
+         p.seller_id,
+         p.category_id,
+         i.stock,
+         i.reserved,
+         p.created_at,
+         p.updated_at
+       FROM products p
+       LEFT JOIN inventory i ON i.product_id = p.id
+       WHERE p.seller_id = ?
+       ORDER BY p.created_at DESC`
+    )
+      .bind(auth.user.id)
+      .all();
+
+    return json({
+      ok: true,
+      products: results || []
+    });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Seller products: bulk import from CSV (upsert by slug) ----
+// Body: raw CSV or multipart `file`. Columns (header row, any order):
+// slug, title, description, price_cents, currency, stock, status. Empty cells leave
+// existing values alone. ?dry_run=1 only validates; a real import with any invalid
+// row writes nothing.
+router.post('/api/seller/products/import', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env, { scope: 'catalog:write' });
+  if (!auth) {
+    return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  }
+
+  const scopeError = requireScope(auth, 'catalog:write');
+  if (scopeError) return scopeError;
+
+  const permissionError = await requirePermission(env, auth, 'product.write.own');
+  if (permissionError) return permissionError;
+
+  const dryRun = ['1', 'true'].includes(new URL(request.url).searchParams.get('dry_run'));
+
+  try {
+    const { text, error: readError } = await readImportCsv(request);
+    if (readError) {
+      return json({ ok: false, error: readError }, { status: 400 });
+    }
+
+    const { rows, error: planError } = await planProductImport(env, auth, text);
+    if (planError) {
+      return json({ ok: false, error: planError }, { status: 400 });
+    }
+
+    const summary = {
+      rows: rows.length,
+      create: rows.filter((r) => r.action === 'create').length,
+      update: rows.filter((r) => r.action === 'update').length,
+      errors: rows.filter((r) => r.action === 'error').length
+    };
+    const report = () =>
+      rows.map(({ row, slug, action, errors, id }) => ({
+        row,
+        slug,
+        action,
+        ...(id ? { id } : {}),
+        ...(errors.length ? { errors } : {})
+      }));
+
+    if (dryRun) {
+      return json({ ok: true, dry_run: true, valid: summary.errors === 0, summary, rows: report() });
+    }
+    if (summary.errors) {
+      return json(
+        { ok: false, error: 'Import has invalid rows; nothing was imported', summary, rows: report() },
+        { status: 400 }
+      );
+    }
+
+    await applyProductImport(env, auth, rows);
+
+    for (const item of rows) {
+      if (item.action !== 'update') continue;
+      const before = { price_cents: item.product.price_cents, currency: item.product.currency };
+      const after = {
+        price_cents: item.value.price_cents ?? before.price_cents,
+        currency: item.value.currency ?? before.currency
+      };
+      if (auditDiff(before, after)) {
+        await recordAudit(env, {
+          actorUserId: auth.user.id,
+          action: 'product.price_change',
+          resource: `product:${item.id}`,
+          before,
+          after,
+          meta: { source: 'import' },
+          request
+        });
+      }
+
+      const currentStock = Number(item.product.stock || 0);
+      if (item.stock !== undefined && item.stock !== currentStock) {
+        await recordAudit(env, {
+          actorUserId: auth.user.id,
+          action: 'inventory.stock_change',
+          resource: `product:${item.id}`,
+          before: { stock: currentStock },
+          after: { stock: item.stock },
+          meta: { operation: 'set', qty: item.stock, source: 'import' },
+          request
+        });
+      }
+    }
+
+    if (env.PRODUCT_CACHE) {
+      ctx.waitUntil(
+        Promise.all([
+          bumpProductListVersion(env),
+          ...rows.map((item) => env.PRODUCT_CACHE.delete(productKey(item.id)))
+        ])
+      );
+    }
+
+    return json({ ok: true, dry_run: false, summary, rows: report() });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Seller products: export own catalog as CSV (same columns as the import) ----
+// Streamed page by page; stock is left empty for products with variants.
+router.get('/api/seller/products/export', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env, { scope: 'catalog:read' });
+  if (!auth) {
+    return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  }
+
+  const scopeError = requireScope(auth, 'catalog:read');
+  if (scopeError) return scopeError;
+
+  const permissionError = await requirePermission(env, auth, 'product.read.own');
+  if (permissionError) return permissionError;
+
+  const encoder = new TextEncoder();
+  const toLine = (cells) => cells.map(csvCell).join(',') + '\r\n';
+  let afterSlug = null;
+
+  const stream = new ReadableStream({
+    start(controller) {
+      controller.enqueue(encoder.encode(toLine(PRODUCT_CSV_COLUMNS)));
+    },
+    async pull(controller) {
+      try {
+        const { results } = await env.DB.prepare(
+          `SELECT
+             p.slug,
+             p.title,
+             p.description,
+             p.price_cents,
+             p.currency,
+             CASE WHEN EXISTS (
+               SELECT 1 FROM product_variants v WHERE v.product_id = p.id AND v.status = 'active'
+             ) THEN NULL ELSE i.stock END AS stock,
+             p.status
+           FROM products p
+           LEFT JOIN inventory i ON i.product_id = p.id
+           WHERE p.seller_id = ? AND p.status != 'deleted' AND p.slug > ?
+           ORDER BY p.slug
+           LIMIT ?`
+        )
+          .bind(auth.user.id, afterSlug ?? '', PRODUCT_EXPORT_PAGE_SIZE)
+          .all();
+
+        const rows = results || [];
+        if (rows.length) {
+          afterSlug = rows[rows.length - 1].slug;
+          controller.enqueue(
+            encoder.encode(rows.map((row) => toLine(PRODUCT_CSV_COLUMNS.map((col) => row[col]))).join(''))
+          );
+        }
+        if (rows.length < PRODUCT_EXPORT_PAGE_SIZE) controller.close();
+      } catch (err) {
+        controller.error(err);
+      }
+    }
+  });
+
+  const stamp = new Date().toISOString().slice(0, 10);
+  return new Response(stream, {
+    headers: {
+      'content-type': 'text/csv; charset=utf-8',
+      'content-disposition': `attachment; filename="products-${stamp}.csv"`,
+      'cache-control': 'no-store'
+    }
+  });
+});
+
+// ---- Seller products: create product ----
+router.post('/api/seller/products', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env, { scope: 'catalog:write' });
+  if (!auth) {
+    return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  }
+
+  const scopeError = requireScope(auth, 'catalog:write');
+  if (scopeError) return scopeError;
+
+  const permissionError = await requirePermission(env, auth, 'product.write.own');
+  if (permissionError) return permissionError;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const { error, value } = productCreateSchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return json(
+      {
+        ok: false,
+        error: 'Validation failed',
+        details: error.details.map((d) => d.message)
+      },
+      { status: 400 }
+    );
+  }
+
+  const now = new Date().toISOString();
+  const id = crypto.randomUUID();
+  let slug = slugify(value.title);
+  if (!slug) slug = id.slice(0, 8);
+  const imageUrl = value.image_url || null;
+  // Unverified sellers can still prepare listings; they stay hidden until verified
+  const status = (await canPublish(env, auth)) ? 'active' : 'inactive';
+
+  try {
+    if (value.category_id && !(await categoryExists(env, value.category_id))) {
+      return json({ ok: false, error: 'Unknown category' }, { status: 400 });
+    }
+
+    // Create product
+    await env.DB.prepare(
+      `INSERT INTO products (
+        id,
+        seller_id,
+        slug,
+        title,
+        description,
+        image_url,
+        price_cents,
+        currency,
+        status,
+        category_id,
+        created_at,
+        updated_at
+      ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+    )
+      .bind(
+        id,
+        auth.user.id,
+        slug,
+        value.title,
+        value.description || '',
+        imageUrl,
+        value.price_cents,
+        value.currency,
+        status,
+        value.category_id,
+        now,
+        now
+      )
+      .run();
+
+    await syncProductSearch(env, id);
+    await priceHistoryStatement(env, {
+      productId: id,
+      priceCents: value.price_cents,
+      currency: value.currency,
+      source: 'create',
+      changedBy: auth.user.id,
+      now
+    }).run();
+
+    // Initialize inventory
+    await env.DB.prepare(
+      `INSERT INTO inventory (product_id, stock, reserved, updated_at)
+       VALUES (?, ?, 0, ?)
+       ON CONFLICT(product_id)
+       DO UPDATE SET stock = excluded.stock, updated_at = excluded.updated_at`
+    )
+      .bind(id, value.stock, now)
+      .run();
+
+    // Invalidate relevant caches
+    if (env.PRODUCT_CACHE) {
+      ctx.waitUntil(
+        Promise.all([
+          bumpProductListVersion(env),
+          env.PRODUCT_CACHE.delete(productKey(id))
+        ])
+      );
+    }
+
+    return json(
+      {
+        ok: true,
+        product: {
+          id,
+          seller_id: auth.user.id,
+          slug,
+          title: value.title,
+          description: value.description || '',
+          price_cents: value.price_cents,
+          currency: value.currency,
+          image_url: imageUrl,
+          status,
+          category_id: value.category_id,
+          stock: value.stock,
+          created_at: now,
+          updated_at: now
+        }
+      },
+      { status: 201 }
+    );
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Seller products: update product details (id in body) ----
+router.put('/api/seller/products', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env, { scope: 'catalog:write' });
+  if (!auth) {
+    return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  }
+
+  const scopeError = requireScope(auth, 'catalog:write');
+  if (scopeError) return scopeError;
+
+  const permissionError = await requirePermission(env, auth, 'product.write.own');
+  if (permissionError) return permissionError;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const productId = body.id;
+  if (!productId) {
+    return json({ ok: false, error: 'Missing product id in body' }, { status: 400 });
+  }
+
+  const { error, value } = productUpdateSchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return json(
+      {
+        ok: false,
+        error: 'Validation failed',
+        details: error.details.map((d) => d.message)
+      },
+      { status: 400 }
+    );
+  }
+
+  try {
+    // Load product to check ownership
+    const product = await env.DB.prepare(
+      `SELECT id, seller_id, price_cents, currency FROM products WHERE id = ?`
+    )
+      .bind(productId)
+      .first();
+
+    if (!product) {
+      return json({ ok: false, error: 'Product not found' }, { status: 404 });
+    }
+
+    if (
+      product.seller_id &&
+      product.seller_id !== auth.user.id &&
+      !(await hasPermission(env, auth, 'product.write.any'))
+    ) {
+      return json(
+        { ok: false, error: 'You can only modify your own products' },
+        { status: 403 }
+      );
+    }
+
+    const now = new Date().toISOString();
+    const fields = [];
+    const binds = [];
+
+    if (value.title !== undefined) {
+      fields.push('title = ?');
+      binds.push(value.title);
+    }
+    if (value.description !== undefined) {
+      fields.push('description = ?');
+      binds.push(value.description);
+    }
+    if (value.price_cents !== undefined) {
+      fields.push('price_cents = ?');
+      binds.push(value.price_cents);
+    }
+    if (value.currency !== undefined) {
+      fields.push('currency = ?');
+      binds.push(value.currency);
+    }
+    if (value.status !== undefined) {
+      if (value.status === 'active' && !(await canPublish(env, auth))) {
+        return json(
+          { ok: false, error: PUBLISH_REQUIRES_VERIFIED_EMAIL },
+          { status: 403 }
+        );
+      }
+      fields.push('status = ?');
+      binds.push(value.status);
+    }
+    if (value.image_url !== undefined) {
+      fields.push('image_url = ?');
+      binds.push(value.image_url || null);
+    }
+    if (value.category_id !== undefined) {
+      if (value.category_id && !(await categoryExists(env, value.category_id))) {
+        return json({ ok: false, error: 'Unknown category' }, { status: 400 });
+      }
+      fields.push('category_id = ?');
+      binds.push(value.category_id);
+    }
+
+    if (fields.length === 0) {
+      return json(
+        { ok: false, error: 'No fields to update' },
+        { status: 400 }
+      );
+    }
+
+    fields.push('updated_at = ?');
+    binds.push(now);
+    binds.push(productId);
+
+    const sql = `UPDATE products SET ${fields.join(', ')} WHERE id = ?`;
+    await env.DB.prepare(sql).bind(...binds).run();
+    await syncProductSearch(env, productId);
+
+    const priceBefore = { price_cents: product.price_cents, currency: product.currency };
+    const priceAfter = {
+      price_cents: value.price_cents ?? product.price_cents,
+      currency: value.currency ?? product.currency
+    };
+    if (auditDiff(priceBefore, priceAfter)) {
+      await priceHistoryStatement(env, {
+        productId,
+        priceCents: priceAfter.price_cents,
+        currency: priceAfter.currency,
+        source: 'update',
+        changedBy: auth.user.id,
+        now
+      }).run();
+      await recordAudit(env, {
+        actorUserId: auth.user.id,
+        action: 'product.price_change',
+        resource: `product:${productId}`,
+        before: priceBefore,
+        after: priceAfter,
+        request
+      });
+    }
+
+    // Invalidate caches
+    if (env.PRODUCT_CACHE) {
+      ctx.waitUntil(
+        Promise.all([
+          bumpProductListVersion(env),
+          env.PRODUCT_CACHE.delete(productKey(productId))
+        ])
+      );
+    }
+
+    // Return updated product
+    const updated = await env.DB.prepare(
+      `SELECT
+         p.id,
+         p.seller_id,
+         p.slug,
+         p.title,
+         p.description,
+         p.price_cents,
+         p.currency,
+         p.status,
+         p.image_url,
+         p.category_id,
+         p.created_at,
+         p.updated_at,
+         i.stock,
+         i.reserved
+       FROM products p
+       LEFT JOIN inventory i ON i.product_id = p.id
+       WHERE p.id = ?`
+    )
+      .bind(productId)
+      .first();
+
+    return json({ ok: true, product: updated });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Seller products: update/add/remove stock (id + op in body) ----
+router.post('/api/seller/products/stock', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env, { scope: 'inventory:write' });
+  if (!auth) {
+    return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  }
+
+  const scopeError = requireScope(auth, 'inventory:write');
+  if (scopeError) return scopeError;
+
+  const permissionError = await requirePermission(env, auth, 'inventory.write.own');
+  if (permissionError) return permissionError;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const { error, value } = productStockUpdateSchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return json(
+      {
+        ok: false,
+        error: 'Validation failed',
+        details: error.details.map((d) => d.message)
+      },
+      { status: 400 }
+    );
+  }
+
+  const { variant_id, qty, operation } = value;
+
+  try {
+    let variant = null;
+    if (variant_id) {
+      variant = await env.DB.prepare(
+        `SELECT id, product_id FROM product_variants WHERE id = ? AND status = 'active'`
+      )
+        .bind(variant_id)
+        .first();
+      if (!variant || (value.product_id && value.product_id !== variant.product_id)) {
+        return json({ ok: false, error: 'Variant not found' }, { status: 404 });
+      }
+    }
+    const product_id = variant ? variant.product_id : value.product_id;
+
+    // Ensure product exists and seller owns it (or admin)
+    const product = await env.DB.prepare(
+      `SELECT id, seller_id FROM products WHERE id = ?`
+    )
+      .bind(product_id)
+      .first();
+
+    if (!product) {
+      return json({ ok: false, error: 'Product not found' }, { status: 404 });
+    }
+
+    if (
+      product.seller_id &&
+      product.seller_id !== auth.user.id &&
+      !(await hasPermission(env, auth, 'inventory.write.any'))
+    ) {
+      return json(
+        { ok: false, error: 'You can only modify your own products' },
+        { status: 403 }
+      );
+    }
+
+    if (!variant && (await listProductVariants(env, product_id)).length) {
+      return json(
+        { ok: false, error: 'This product has variants; pass variant_id to change its stock' },
+        { status: 400 }
+      );
+    }
+
+    // Load current inventory (if any)
+    const inv = variant
+      ? await env.DB.prepare(`SELECT stock, reserved FROM variant_inventory WHERE variant_id = ?`)
+          .bind(variant.id)
+          .first()
+      : await env.DB.prepare(
+          `SELECT stock, reserved
+           FROM inventory
+           WHERE product_id = ?`
+        )
+          .bind(product_id)
+          .first();
+
+    const currentStock = inv ? Number(inv.stock || 0) : 0;
+    let newStock;
+
+    if (operation === 'set') {
+      newStock = qty;
+    } else if (operation === 'add') {
+      newStock = currentStock + qty;
+    } else if (operation === 'remove') {
+      newStock = currentStock - qty;
+    } else {
+      return json(
+        { ok: false, error: 'Invalid operation' },
+        { status: 400 }
+      );
+    }
+
+    if (newStock < 0) {
+      return json(
+        { ok: false, error: 'Resulting stock cannot be negative' },
+        { status: 400 }
+      );
+    }
+
+    const now = new Date().toISOString();
+
+    if (variant) {
+      await env.DB.prepare(
+        `INSERT INTO variant_inventory (variant_id, stock, reserved, updated_at)
+         VALUES (?, ?, 0, ?)
+         ON CONFLICT(variant_id)
+         DO UPDATE SET stock = excluded.stock, updated_at = excluded.updated_at`
+      )
+        .bind(variant.id, newStock, now)
+        .run();
+      await syncVariantStockTotal(env, product_id);
+    } else {
+      await env.DB.prepare(
+        `INSERT INTO inventory (product_id, stock, reserved, updated_at)
+         VALUES (?, ?, 0, ?)
+         ON CONFLICT(product_id)
+         DO UPDATE SET stock = excluded.stock, updated_at = excluded.updated_at`
+      )
+        .bind(product_id, newStock, now)
+        .run();
+    }
+
+    if (newStock !== currentStock) {
+      await recordAudit(env, {
+        actorUserId: auth.user.id,
+        action: 'inventory.stock_change',
+        resource: variant ? `variant:${variant.id}` : `product:${product_id}`,
+        before: { stock: currentStock },
+        after: { stock: newStock },
+        meta: variant ? { operation, qty, product_id } : { operation, qty },
+        request
+      });
+    }
+
+    // Invalidate caches
+    if (env.PRODUCT_CACHE) {
+      ctx.waitUntil(
+        Promise.all([
+          bumpProductListVersion(env),
+          env.PRODUCT_CACHE.delete(productKey(product_id))
+        ])
+      );
+    }
+
+    return json({
+      ok: true,
+      product_id,
+      ...(variant ? { variant_id: variant.id } : {}),
+      stock: newStock
+    });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Seller products: soft-delete product (id in body) ----
+router.delete('/api/seller/products', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env, { scope: 'catalog:write' });
+  if (!auth) {
+    return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  }
+
+  const scopeError = requireScope(auth, 'catalog:write');
+  if (scopeError) return scopeError;
+
+  const permissionError = await requirePermission(env, auth, 'product.write.own');
+  if (permissionError) return permissionError;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
+  }
+
+  const productId = body.id;
+  if (!productId) {
+    return json({ ok: false, error: 'Missing product id in body' }, { status: 400 });
+  }
+
+  try {
+    const product = await env.DB.prepare(
+      `SELECT id, seller_id FROM products WHERE id = ?`
+    )
+      .bind(productId)
+      .first();
+
+    if (!product) {
+      return json({ ok: false, error: 'Product not found' }, { status: 404 });
+    }
+
+    if (
+      product.seller_id &&
+      product.seller_id !== auth.user.id &&
+      !(await hasPermission(env, auth, 'product.write.any'))
+    ) {
+      return json(
+        { ok: false, error: 'You can only modify your own products' },
+        { status: 403 }
+      );
+    }
+
+    const now = new Date().toISOString();
+
+    // Soft-delete: mark status 'deleted' and zero stock.
+    await env.DB.prepare(
+      `UPDATE products
+       SET status = 'deleted', updated_at = ?
+       WHERE id = ?`
+    )
+      .bind(now, productId)
+      .run();
+    await syncProductSearch(env, productId);
+
+    await env.DB.prepare(
+      `UPDATE inventory
+       SET stock = 0, updated_at = ?
+       WHERE product_id = ?`
+    )
+      .bind(now, productId)
+      .run();
+
+    // NOT deleting any order_items or orders.
+
+    // Invalidate caches
+    if (env.PRODUCT_CACHE) {
+      ctx.waitUntil(
+        Promise.all([
+          bumpProductListVersion(env),
+          env.PRODUCT_CACHE.delete(productKey(productId))
+        ])
+      );
+    }
+
+    return json({ ok: true });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+
+// ================== Orders ==================
+
+router.get('/api/seller/orders', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env, { scope: 'orders:read' });
+  if (!auth) {
+    return json(
+      { ok: false, error: 'Not authenticated' },
+      { status: 401 }
+    );
+  }
+
+  const scopeError = requireScope(auth, 'orders:read');
+  if (scopeError) return scopeError;
+
+  const permissionError = await requirePermission(env, auth, 'order.read.own');
+  if (permissionError) return permissionError;
+
+  try {
+    const { results } = await env.DB.prepare(
+      `SELECT
+         o.id          AS order_id,
+         o.user_id     AS buyer_id,
+         o.status      AS order_status,
+         o.subtotal_cents,
+         o.shipping_cents,
+         o.tax_cents,
+         o.total_cents,
+         o.currency,
+         o.created_at,
+         o.updated_at,
+         oi.product_id,
+         oi.title_snapshot,
+         oi.price_cents,
+         oi.qty,
+         u.name_cipher        AS buyer_name_cipher,
+         a.name_cipher        AS shipping_name_cipher,
+         a.line1_cipher,
+         a.line2_cipher,
+         a.city_cipher,
+         a.state_cipher,
+         a.postal_cipher,
+         a.country            AS shipping_country
+       FROM orders o
+       JOIN order_items oi ON oi.order_id = o.id
+       JOIN products p     ON p.id = oi.product_id
+       JOIN users   u      ON u.id = o.user_id
+       LEFT JOIN addresses a ON a.id = o.shipping_address_id
+       WHERE p.seller_id = ?
+       ORDER BY o.created_at DESC`
+    )
+      .bind(auth.user.id)
+      .all();
+
+    const map = new Map();
+
+    for (const row of results || []) {
+      let order = map.get(row.order_id);
+      if (!order) {
+        let buyerName = null;
+        let shippingAddress = null;
+
+        try {
+          if (row.buyer_name_cipher) {
+            buyerName = await decryptText(env, row.buyer_name_cipher);
+          }
+        } catch {
+          buyerName = null;
+        }
+
+        if (row.shipping_name_cipher) {
+          try {
+            const name  = await decryptText(env, row.shipping_name_cipher);
+            const line1 = await decryptText(env, row.line1_cipher);
+            const line2 = await decryptText(env, row.line2_cipher);
+            const city  = await decryptText(env, row.city_cipher);
+            const state = await decryptText(env, row.state_cipher);
+            const postal = await decryptText(env, row.postal_cipher);
+
+            shippingAddress = {
+              name,
+              line1,
+              line2,
+              city,
+              state,
+              postal,
+              country: row.shipping_country
+            };
+          } catch {
+            shippingAddress = null;
+          }
+        }
+
+        order = {
+          id: row.order_id,
+          buyer: {
+            id: row.buyer_id,
+            name: buyerName
+          },
+          shipping_address: shippingAddress,
+          status: row.order_status,
+          subtotal_cents: row.subtotal_cents,
+          shipping_cents: row.shipping_cents,
+          tax_cents: row.tax_cents,
+          total_cents: row.total_cents,
+          currency: row.currency,
+          created_at: row.created_at,
+          updated_at: row.updated_at,
+          items: []
+        };
+        map.set(row.order_id, order);
+      }
+
+      order.items.push({
+        product_id: row.product_id,
+        title: row.title_snapshot,
+        price_cents: row.price_cents,
+        qty: row.qty
+      });
+    }
+
+    return json({
+      ok: true,
+      orders: Array.from(map.values())
+    });
+  } catch (err) {
+    return json(
+      { ok: false, error: String(err) },
+      { status: 500 }
+    );
+  }
+});
+
+router.post('/api/seller/orders/status', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env, { scope: 'orders:write' });
+  if (!auth) {
+    return json(
+      { ok: false, error: 'Not authenticated' },
+      { status: 401 }
+    );
+  }
+
+  const scopeError = requireScope(auth, 'orders:write');
+  if (scopeError) return scopeError;
+
+  const permissionError = await requirePermission(env, auth, 'order.status.update');
+  if (permissionError) return permissionError;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (err) {
+    return json(
+      { ok: false, error: 'Invalid JSON body' },
+      { status: 400 }
+    );
+  }
+
+  const { error, value } = sellerOrderStatusSchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
+    return json(
+      {
+        ok: false,
+        error: 'Validation failed',
+        details: error.details.map((d) => d.message)
+      },
+      { status: 400 }
+    );
+  }
+
+  const { order_id, status } = value;
+  const now = new Date().toISOString();
+
+  try {
+    if (!(await hasPermission(env, auth, 'order.status.update.any'))) {
+      // Ensure this order has at least one item belonging to this seller
+      const row = await env.DB.prepare(
+        `SELECT COUNT(*) AS cnt
+         FROM order_items oi
+         JOIN products p ON p.id = oi.product_id
+         WHERE oi.order_id = ? AND p.seller_id = ?`
+      )
+        .bind(order_id, auth.user.id)
+        .first();
+
+      if (!row || Number(row.cnt || 0) === 0) {
+        return json(
+          { ok: false, error: 'You are not a seller on this order' },
+          { status: 403 }
+        );
+      }
+    }
+
+    const order = await env.DB.prepare(`SELECT status FROM orders WHERE id = ?`)
+      .bind(order_id)
+      .first();
+    if (!order) {
+      return json({ ok: false, error: 'Order not found' }, { status: 404 });
+    }
+
+    await env.DB.prepare(
+      `UPDATE orders
+       SET status = ?, updated_at = ?
+       WHERE id = ?`
+    )
+      .bind(status, now, order_id)
+      .run();
+
+    if (order.status !== status) {
+      await recordAudit(env, {
+        actorUserId: auth.user.id,
+        action: 'order.status_change',
+        resource: `order:${order_id}`,
+        before: { status: order.status },
+        after: { status },
+        request
+      });
+    }
+
+    return json({ ok: true });
+  } catch (err) {
+    return json(
+      { ok: false, error: String(err) },
+      { status: 500 }
+    );
+  }
+});
+
+router.delete('/api/seller/products/image', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env, { scope: 'catalog:write' });
+  if (!auth) return json({ ok:false, error:'Not authenticated' }, { status:401 });
+  const scopeError = requireScope(auth, 'catalog:write');
+  if (scopeError) return scopeError;
+  const permissionError = await requirePermission(env, auth, 'product.write.own');
+  if (permissionError) return permissionError;
 
-    if (fields.length === 0) {
-      return json(
-        { ok: false, error: 'No fields to update' },
-        { status: 400 }
-      );
-    }
+  let body; try { body = await request.json(); } catch {
+    return json({ ok:false, error:'Invalid JSON body' }, { status:400 });
+  }
+  const { error, value } = productImageDeleteSchema.validate(body, { abortEarly:false, stripUnknown:true });
+  if (error) return json({ ok:false, error:'Validation failed', details:error.details.map(d=>d.message) }, { status:400 });
 
-    fields.push('updated_at = ?');
-    binds.push(now);
-    binds.push(productId);
+  // load & ownership
+  const product = await env.DB.prepare(
+    `SELECT id, seller_id, image_url FROM products WHERE id = ?`
+  ).bind(value.id).first();
 
-    const sql = `UPDATE products SET ${fields.join(', ')} WHERE id = ?`;
-    await env.DB.prepare(sql).bind(...binds).run();
+  if (!product) return json({ ok:false, error:'Product not found' }, { status:404 });
+  if (product.seller_id !== auth.user.id && !(await hasPermission(env, auth, 'product.write.any'))) {
+    return json({ ok:false, error:'You can only modify your own products' }, { status:403 });
+  }
 
-    // Invalidate caches
-    if (env.PRODUCT_CACHE) {
-      ctx.waitUntil(
-        Promise.all([
-          env.PRODUCT_CACHE.delete(PRODUCTS_LIST_KEY),
-          env.PRODUCT_CACHE.delete(productKey(productId))
-        ])
-      );
+  // Removes the primary image; the next gallery image (if any) takes its place
+  await adoptLegacyImage(env, product);
+  const [primary] = await listProductImages(env, product.id);
+  if (primary) {
+    await env.DB.prepare(`DELETE FROM product_images WHERE id = ?`).bind(primary.id).run();
+    if (env.PRODUCT_IMAGE_BUCKET) {
+      try { await env.PRODUCT_IMAGE_BUCKET.delete(primary.r2_key); } catch { /* ignore */ }
     }
+    await syncPrimaryImage(env, product.id);
+  } else {
+    await env.DB.prepare(`UPDATE products SET image_url = NULL, updated_at = ? WHERE id = ?`)
+      .bind(new Date().toISOString(), value.id).run();
+  }
 
-    // Return updated product
-    const updated = await env.DB.prepare(
-      `SELECT
-         p.id,
-         p.seller_id,
-         p.slug,
-         p.title,
-         p.description,
-         p.price_cents,
-         p.currency,
-         p.status,
-         p.image_url,
-         p.created_at,
-         p.updated_at,
-         i.stock,
-         i.reserved
-       FROM products p
-       LEFT JOIN inventory i ON i.product_id = p.id
-       WHERE p.id = ?`
-    )
-      .bind(productId)
+  const updated = await env.DB.prepare(`SELECT image_url, updated_at FROM products WHERE id = ?`)
+    .bind(value.id).first();
+
+  if (env.PRODUCT_CACHE) {
+    ctx.waitUntil(Promise.all([
+      bumpProductListVersion(env),
+      env.PRODUCT_CACHE.delete(productKey(value.id))
+    ]));
+  }
+
+  return json({ ok:true, id:value.id, image_url:updated.image_url, updated_at:updated.updated_at });
+});
+
+// ================== Seller stores ==================
+
+// ---- Seller store: get own profile ----
+router.get('/api/seller/store', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env, { scope: 'catalog:read' });
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const scopeError = requireScope(auth, 'catalog:read');
+  if (scopeError) return scopeError;
+  const permissionError = await requirePermission(env, auth, 'store.manage.own');
+  if (permissionError) return permissionError;
+
+  try {
+    const row = await env.DB.prepare(`SELECT * FROM stores WHERE seller_id = ?`)
+      .bind(auth.user.id)
       .first();
 
-    return json({ ok: true, product: updated });
+    return json({ ok: true, store: row ? storeToJson(row) : null });
   } catch (err) {
     return json({ ok: false, error: String(err) }, { status: 500 });
   }
 });
 
-// ---- Seller products: update/add/remove stock (id + op in body) ----
-router.post('/api/seller/products/stock', async (request, env, ctx) => {
-  const auth = await getAuthFromRequest(request, env);
-  if (!auth) {
-    return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
-  }
-
-  if (auth.user.role !== 'seller' && auth.user.role !== 'admin') {
-    return json({ ok: false, error: 'Forbidden' }, { status: 403 });
-  }
+// ---- Seller store: create or update own profile ----
+router.put('/api/seller/store', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env, { scope: 'catalog:write' });
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const scopeError = requireScope(auth, 'catalog:write');
+  if (scopeError) return scopeError;
+  const permissionError = await requirePermission(env, auth, 'store.manage.own');
+  if (permissionError) return permissionError;
 
   let body;
   try {
@@ -708,353 +3575,354 @@ router.post('/api/seller/products/stock', async (request, env, ctx) => {
     return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
   }
 
-  const { error, value } = productStockUpdateSchema.validate(body, {
+  const { error, value } = storeSchema.validate(body, {
     abortEarly: false,
     stripUnknown: true
   });
 
   if (error) {
     return json(
-      {
-        ok: false,
-        error: 'Validation failed',
-        details: error.details.map((d) => d.message)
-      },
+      { ok: false, error: 'Validation failed', details: error.details.map((d) => d.message) },
       { status: 400 }
     );
   }
 
-  const { product_id, qty, operation } = value;
+  const slug = value.slug || slugify(value.name);
+  if (slug.length < 3) {
+    return json({ ok: false, error: 'Choose a shop URL of at least 3 characters' }, { status: 400 });
+  }
 
   try {
-    // Ensure product exists and seller owns it (or admin)
-    const product = await env.DB.prepare(
-      `SELECT id, seller_id FROM products WHERE id = ?`
+    const taken = await env.DB.prepare(
+      `SELECT seller_id FROM stores WHERE slug = ? AND seller_id != ?`
     )
-      .bind(product_id)
+      .bind(slug, auth.user.id)
       .first();
 
-    if (!product) {
-      return json({ ok: false, error: 'Product not found' }, { status: 404 });
-    }
-
-    if (
-      auth.user.role === 'seller' &&
-      product.seller_id &&
-      product.seller_id !== auth.user.id
-    ) {
-      return json(
-        { ok: false, error: 'You can only modify your own products' },
-        { status: 403 }
-      );
+    if (taken) {
+      return json({ ok: false, error: 'That shop URL is already taken' }, { status: 409 });
     }
 
-    // Load current inventory (if any)
-    const inv = await env.DB.prepare(
-      `SELECT stock, reserved
-       FROM inventory
-       WHERE product_id = ?`
+    const now = new Date().toISOString();
+    const row = await env.DB.prepare(
+      `INSERT INTO stores (
+        id, seller_id, slug, name, description, logo_url, return_policy, created_at, updated_at
+      ) VALUES (?, ?, ?, ?, ?, NULL, ?, ?, ?)
+      ON CONFLICT(seller_id) DO UPDATE SET
+        slug = excluded.slug,
+        name = excluded.name,
+        description = excluded.description,
+        return_policy = excluded.return_policy,
+        updated_at = excluded.updated_at
+      RETURNING *`
     )
-      .bind(product_id)
+      .bind(
+        crypto.randomUUID(),
+        auth.user.id,
+        slug,
+        value.name,
+        value.description,
+        value.return_policy,
+        now,
+        now
+      )
       .first();
 
-    const currentStock = inv ? Number(inv.stock || 0) : 0;
-    let newStock;
+    await bustSellerProductCache(env, ctx, auth.user.id);
 
-    if (operation === 'set') {
-      newStock = qty;
-    } else if (operation === 'add') {
-      newStock = currentStock + qty;
-    } else if (operation === 'remove') {
-      newStock = currentStock - qty;
-    } else {
-      return json(
-        { ok: false, error: 'Invalid operation' },
-        { status: 400 }
-      );
+    return json({ ok: true, store: storeToJson(row) });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Seller store: upload / replace logo ----
+router.post('/api/seller/store/logo', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env, { scope: 'catalog:write' });
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const scopeError = requireScope(auth, 'catalog:write');
+  if (scopeError) return scopeError;
+  const permissionError = await requirePermission(env, auth, 'store.manage.own');
+  if (permissionError) return permissionError;
+
+  if (!env.PRODUCT_IMAGE_BUCKET) {
+    return json(
+      { ok: false, error: 'PRODUCT_IMAGE_BUCKET is not configured' },
+      { status: 500 }
+    );
+  }
+
+  try {
+    const store = await env.DB.prepare(`SELECT id FROM stores WHERE seller_id = ?`)
+      .bind(auth.user.id)
+      .first();
+
+    if (!store) {
+      return json({ ok: false, error: 'Create your store profile first' }, { status: 404 });
     }
 
-    if (newStock < 0) {
-      return json(
-        { ok: false, error: 'Resulting stock cannot be negative' },
-        { status: 400 }
-      );
+    const form = await request.formData();
+    const file = form.get('file');
+    if (!file || !(file instanceof File)) {
+      return json({ ok: false, error: 'Missing file field' }, { status: 400 });
     }
+    if (!STORE_LOGO_TYPES.includes(file.type)) {
+      return json({ ok: false, error: 'Logo must be a PNG, JPEG, WebP or GIF image' }, { status: 400 });
+    }
+    if (file.size > STORE_LOGO_MAX_BYTES) {
+      return json({ ok: false, error: 'Logo must be 2 MB or smaller' }, { status: 400 });
+    }
+
+    await env.PRODUCT_IMAGE_BUCKET.put(`stores/${store.id}`, file, {
+      httpMetadata: { contentType: file.type }
+    });
 
+    const logoUrl = `/store-logos/${store.id}`;
     const now = new Date().toISOString();
 
     await env.DB.prepare(
-      `INSERT INTO inventory (product_id, stock, reserved, updated_at)
-       VALUES (?, ?, 0, ?)
-       ON CONFLICT(product_id)
-       DO UPDATE SET stock = excluded.stock, updated_at = excluded.updated_at`
+      `UPDATE stores SET logo_url = ?, updated_at = ? WHERE id = ?`
     )
-      .bind(product_id, newStock, now)
+      .bind(logoUrl, now, store.id)
       .run();
 
-    // Invalidate caches
-    if (env.PRODUCT_CACHE) {
-      ctx.waitUntil(
-        Promise.all([
-          env.PRODUCT_CACHE.delete(PRODUCTS_LIST_KEY),
-          env.PRODUCT_CACHE.delete(productKey(product_id))
-        ])
-      );
-    }
-
-    return json({
-      ok: true,
-      product_id,
-      stock: newStock
-    });
+    return json({ ok: true, logo_url: logoUrl });
   } catch (err) {
     return json({ ok: false, error: String(err) }, { status: 500 });
   }
 });
 
-// ---- Seller products: soft-delete product (id in body) ----
-router.delete('/api/seller/products', async (request, env, ctx) => {
-  const auth = await getAuthFromRequest(request, env);
-  if (!auth) {
-    return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+// ---- Public store logo fetch from R2 ----
+router.get('/store-logos/:id', async (request, env, ctx) => {
+  if (!env.PRODUCT_IMAGE_BUCKET) {
+    return new Response('PRODUCT_IMAGE_BUCKET not configured', { status: 500 });
   }
 
-  if (auth.user.role !== 'seller' && auth.user.role !== 'admin') {
-    return json({ ok: false, error: 'Forbidden' }, { status: 403 });
+  const obj = await env.PRODUCT_IMAGE_BUCKET.get(`stores/${request.params.id}`);
+  if (!obj || !obj.body) {
+    return new Response('Not found', { status: 404 });
   }
 
-  let body;
-  try {
-    body = await request.json();
-  } catch {
-    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
-  }
+  const headers = new Headers();
+  headers.set(
+    'content-type',
+    (obj.httpMetadata && obj.httpMetadata.contentType) || 'image/png'
+  );
+  headers.set('cache-control', 'public, max-age=3600');
 
-  const productId = body.id;
-  if (!productId) {
-    return json({ ok: false, error: 'Missing product id in body' }, { status: 400 });
-  }
+  return new Response(obj.body, { headers });
+});
 
+// ---- Public store page data: profile + active products ----
+router.get('/api/stores/:slug', async (request, env, ctx) => {
   try {
-    const product = await env.DB.prepare(
-      `SELECT id, seller_id FROM products WHERE id = ?`
+    // Stores of locked, deleted or purged sellers are not public
+    const store = await env.DB.prepare(
+      `SELECT st.*
+       FROM stores st
+       JOIN users u ON u.id = st.seller_id
+       WHERE st.slug = ? AND u.status = 'active'`
     )
-      .bind(productId)
+      .bind(String(request.params.slug || '').toLowerCase())
       .first();
 
-    if (!product) {
-      return json({ ok: false, error: 'Product not found' }, { status: 404 });
+    if (!store) {
+      return json({ ok: false, error: 'Store not found' }, { status: 404 });
     }
 
-    if (
-      auth.user.role === 'seller' &&
-      product.seller_id &&
-      product.seller_id !== auth.user.id
-    ) {
-      return json(
-        { ok: false, error: 'You can only modify your own products' },
-        { status: 403 }
-      );
-    }
+    const { results } = await env.DB.prepare(
+      `SELECT
+         p.id,
+         p.slug,
+         p.title,
+         p.description,
+         p.image_url,
+         ${PRODUCT_PRICE_COLUMNS_SQL},
+         p.currency,
+         p.status,
+         p.seller_id,
+         i.stock,
+         i.reserved
+       FROM products p
+       ${ACTIVE_SALE_JOIN_SQL}
+       LEFT JOIN inventory i ON i.product_id = p.id
+       WHERE p.seller_id = ? AND p.status = 'active'
+       ORDER BY p.created_at DESC`
+    )
+      .bind(store.seller_id)
+      .all();
 
-    const now = new Date().toISOString();
+    const products = (results || []).map((row) =>
+      productToJson({ ...row, store_slug: store.slug, store_name: store.name })
+    );
 
-    // Soft-delete: mark status 'deleted' and zero stock.
-    await env.DB.prepare(
-      `UPDATE products
-       SET status = 'deleted', updated_at = ?
-       WHERE id = ?`
-    )
-      .bind(now, productId)
-      .run();
+    return json({ ok: true, store: storeToJson(store), products });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
 
-    await env.DB.prepare(
-      `UPDATE inventory
-       SET stock = 0, updated_at = ?
-       WHERE product_id = ?`
-    )
-      .bind(now, productId)
-      .run();
+// ================== Categories ==================
+
+// ---- Categories: full tree (with KV cache) ----
+router.get('/api/categories', async (request, env, ctx) => {
+  try {
+    if (env.PRODUCT_CACHE) {
+      const cached = await env.PRODUCT_CACHE.get(CATEGORY_TREE_KEY, { type: 'json' });
+      if (cached) {
+        return json({ ok: true, categories: cached, cached: true });
+      }
+    }
+
+    const { results } = await env.DB.prepare(
+      `SELECT id, name, slug, parent_id FROM categories ORDER BY name COLLATE NOCASE`
+    ).all();
 
-    // NOT deleting any order_items or orders.
+    const categories = buildCategoryTree(results || []);
 
-    // Invalidate caches
     if (env.PRODUCT_CACHE) {
       ctx.waitUntil(
-        Promise.all([
-          env.PRODUCT_CACHE.delete(PRODUCTS_LIST_KEY),
-          env.PRODUCT_CACHE.delete(productKey(productId))
-        ])
+        env.PRODUCT_CACHE.put(CATEGORY_TREE_KEY, JSON.stringify(categories), {
+          expirationTtl: 300
+        })
       );
     }
 
-    return json({ ok: true });
+    return json({ ok: true, categories, cached: false });
   } catch (err) {
     return json({ ok: false, error: String(err) }, { status: 500 });
   }
 });
 
+// ---- Categories: one category with breadcrumbs (root first) and direct children ----
+router.get('/api/categories/:slug', async (request, env, ctx) => {
+  try {
+    const category = await env.DB.prepare(
+      `SELECT id, name, slug, parent_id FROM categories WHERE slug = ?`
+    )
+      .bind(request.params.slug)
+      .first();
+
+    if (!category) {
+      return json({ ok: false, error: 'Category not found' }, { status: 404 });
+    }
 
-// ================== Orders ==================
+    const { results: ancestors } = await env.DB.prepare(
+      `WITH RECURSIVE ancestors(id, name, slug, parent_id, depth) AS (
+         SELECT id, name, slug, parent_id, 0 FROM categories WHERE id = ?
+         UNION
+         SELECT c.id, c.name, c.slug, c.parent_id, a.depth + 1
+         FROM categories c JOIN ancestors a ON c.id = a.parent_id
+         WHERE a.depth < 50
+       )
+       SELECT id, name, slug FROM ancestors ORDER BY depth DESC`
+    )
+      .bind(category.id)
+      .all();
 
-router.get('/api/seller/orders', async (request, env, ctx) => {
+    const { results: children } = await env.DB.prepare(
+      `SELECT id, name, slug, parent_id FROM categories
+       WHERE parent_id = ?
+       ORDER BY name COLLATE NOCASE`
+    )
+      .bind(category.id)
+      .all();
+
+    return json({
+      ok: true,
+      category,
+      breadcrumbs: ancestors || [],
+      children: children || []
+    });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// ---- Admin: create category ----
+router.post('/api/admin/categories', async (request, env, ctx) => {
   const auth = await getAuthFromRequest(request, env);
-  if (!auth) {
-    return json(
-      { ok: false, error: 'Not authenticated' },
-      { status: 401 }
-    );
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'admin.categories');
+  if (permissionError) return permissionError;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
   }
 
-  if (auth.user.role !== 'seller' && auth.user.role !== 'admin') {
+  const { error, value } = categoryCreateSchema.validate(body, {
+    abortEarly: false,
+    stripUnknown: true
+  });
+
+  if (error) {
     return json(
-      { ok: false, error: 'Forbidden' },
-      { status: 403 }
+      {
+        ok: false,
+        error: 'Validation failed',
+        details: error.details.map((d) => d.message)
+      },
+      { status: 400 }
     );
   }
 
-  try {
-    const { results } = await env.DB.prepare(
-      `SELECT
-         o.id          AS order_id,
-         o.user_id     AS buyer_id,
-         o.status      AS order_status,
-         o.subtotal_cents,
-         o.shipping_cents,
-         o.tax_cents,
-         o.total_cents,
-         o.currency,
-         o.created_at,
-         o.updated_at,
-         oi.product_id,
-         oi.title_snapshot,
-         oi.price_cents,
-         oi.qty,
-         u.name_cipher        AS buyer_name_cipher,
-         a.name_cipher        AS shipping_name_cipher,
-         a.line1_cipher,
-         a.line2_cipher,
-         a.city_cipher,
-         a.state_cipher,
-         a.postal_cipher,
-         a.country            AS shipping_country
-       FROM orders o
-       JOIN order_items oi ON oi.order_id = o.id
-       JOIN products p     ON p.id = oi.product_id
-       JOIN users   u      ON u.id = o.user_id
-       LEFT JOIN addresses a ON a.id = o.shipping_address_id
-       WHERE p.seller_id = ?
-       ORDER BY o.created_at DESC`
-    )
-      .bind(auth.user.id)
-      .all();
-
-    const map = new Map();
+  const id = crypto.randomUUID();
+  const slug = value.slug || slugify(value.name) || id.slice(0, 8);
 
-    for (const row of results || []) {
-      let order = map.get(row.order_id);
-      if (!order) {
-        let buyerName = null;
-        let shippingAddress = null;
+  try {
+    if (value.parent_id && !(await categoryExists(env, value.parent_id))) {
+      return json({ ok: false, error: 'Parent category not found' }, { status: 400 });
+    }
 
-        try {
-          if (row.buyer_name_cipher) {
-            buyerName = await decryptText(env, row.buyer_name_cipher);
-          }
-        } catch {
-          buyerName = null;
-        }
+    const inserted = await env.DB.prepare(
+      `INSERT INTO categories (id, name, slug, parent_id)
+       VALUES (?, ?, ?, ?)
+       ON CONFLICT(slug) DO NOTHING`
+    )
+      .bind(id, value.name, slug, value.parent_id)
+      .run();
 
-        if (row.shipping_name_cipher) {
-          try {
-            const name  = await decryptText(env, row.shipping_name_cipher);
-            const line1 = await decryptText(env, row.line1_cipher);
-            const line2 = await decryptText(env, row.line2_cipher);
-            const city  = await decryptText(env, row.city_cipher);
-            const state = await decryptText(env, row.state_cipher);
-            const postal = await decryptText(env, row.postal_cipher);
+    if (!inserted.meta || inserted.meta.changes !== 1) {
+      return json({ ok: false, error: 'That category slug is already taken' }, { status: 409 });
+    }
 
-            shippingAddress = {
-              name,
-              line1,
-              line2,
-              city,
-              state,
-              postal,
-              country: row.shipping_country
-            };
-          } catch {
-            shippingAddress = null;
-          }
-        }
+    const category = { id, name: value.name, slug, parent_id: value.parent_id };
 
-        order = {
-          id: row.order_id,
-          buyer: {
-            id: row.buyer_id,
-            name: buyerName
-          },
-          shipping_address: shippingAddress,
-          status: row.order_status,
-          subtotal_cents: row.subtotal_cents,
-          shipping_cents: row.shipping_cents,
-          tax_cents: row.tax_cents,
-          total_cents: row.total_cents,
-          currency: row.currency,
-          created_at: row.created_at,
-          updated_at: row.updated_at,
-          items: []
-        };
-        map.set(row.order_id, order);
-      }
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'category.create',
+      resource: `category:${id}`,
+      after: { name: category.name, slug, parent_id: category.parent_id },
+      request,
+      redact: false
+    });
 
-      order.items.push({
-        product_id: row.product_id,
-        title: row.title_snapshot,
-        price_cents: row.price_cents,
-        qty: row.qty
-      });
-    }
+    await bustCategoryCaches(env, ctx, []);
 
-    return json({
-      ok: true,
-      orders: Array.from(map.values())
-    });
+    return json({ ok: true, category }, { status: 201 });
   } catch (err) {
-    return json(
-      { ok: false, error: String(err) },
-      { status: 500 }
-    );
+    return json({ ok: false, error: String(err) }, { status: 500 });
   }
 });
 
-router.post('/api/seller/orders/status', async (request, env, ctx) => {
+// ---- Admin: rename and/or move category ----
+router.put('/api/admin/categories/:id', async (request, env, ctx) => {
   const auth = await getAuthFromRequest(request, env);
-  if (!auth) {
-    return json(
-      { ok: false, error: 'Not authenticated' },
-      { status: 401 }
-    );
-  }
-
-  if (auth.user.role !== 'seller' && auth.user.role !== 'admin') {
-    return json(
-      { ok: false, error: 'Forbidden' },
-      { status: 403 }
-    );
-  }
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'admin.categories');
+  if (permissionError) return permissionError;
 
   let body;
   try {
     body = await request.json();
-  } catch (err) {
-    return json(
-      { ok: false, error: 'Invalid JSON body' },
-      { status: 400 }
-    );
+  } catch {
+    return json({ ok: false, error: 'Invalid JSON body' }, { status: 400 });
   }
 
-  const { error, value } = sellerOrderStatusSchema.validate(body, {
+  const { error, value } = categoryUpdateSchema.validate(body, {
     abortEarly: false,
     stripUnknown: true
   });
@@ -1070,90 +3938,129 @@ router.post('/api/seller/orders/status', async (request, env, ctx) => {
     );
   }
 
-  const { order_id, status } = value;
-  const now = new Date().toISOString();
+  const id = request.params.id;
 
   try {
-    if (auth.user.role === 'seller') {
-      // Ensure this order has at least one item belonging to this seller
-      const row = await env.DB.prepare(
-        `SELECT COUNT(*) AS cnt
-         FROM order_items oi
-         JOIN products p ON p.id = oi.product_id
-         WHERE oi.order_id = ? AND p.seller_id = ?`
+    const existing = await env.DB.prepare(
+      `SELECT id, name, slug, parent_id FROM categories WHERE id = ?`
+    )
+      .bind(id)
+      .first();
+
+    if (!existing) {
+      return json({ ok: false, error: 'Category not found' }, { status: 404 });
+    }
+
+    if (value.parent_id) {
+      if (!(await categoryExists(env, value.parent_id))) {
+        return json({ ok: false, error: 'Parent category not found' }, { status: 400 });
+      }
+      // Moving under itself or one of its own descendants would detach the subtree
+      const loop = await env.DB.prepare(
+        `${CATEGORY_SUBTREE_SQL}
+         SELECT 1 AS hit FROM subtree WHERE id = ?`
       )
-        .bind(order_id, auth.user.id)
+        .bind(id, value.parent_id)
         .first();
-
-      if (!row || Number(row.cnt || 0) === 0) {
+      if (loop) {
         return json(
-          { ok: false, error: 'You are not a seller on this order' },
-          { status: 403 }
+          { ok: false, error: 'A category cannot be moved under itself or its descendants' },
+          { status: 400 }
         );
       }
     }
 
+    const updated = {
+      id,
+      name: value.name ?? existing.name,
+      slug: value.slug ?? existing.slug,
+      parent_id: value.parent_id !== undefined ? value.parent_id : existing.parent_id
+    };
+
+    if (updated.slug !== existing.slug) {
+      const taken = await env.DB.prepare(`SELECT id FROM categories WHERE slug = ? AND id != ?`)
+        .bind(updated.slug, id)
+        .first();
+      if (taken) {
+        return json({ ok: false, error: 'That category slug is already taken' }, { status: 409 });
+      }
+    }
+
     await env.DB.prepare(
-      `UPDATE orders
-       SET status = ?, updated_at = ?
-       WHERE id = ?`
+      `UPDATE categories SET name = ?, slug = ?, parent_id = ? WHERE id = ?`
     )
-      .bind(status, now, order_id)
+      .bind(updated.name, updated.slug, updated.parent_id, id)
       .run();
 
-    return json({ ok: true });
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'category.update',
+      resource: `category:${id}`,
+      before: { name: existing.name, slug: existing.slug, parent_id: existing.parent_id },
+      after: { name: updated.name, slug: updated.slug, parent_id: updated.parent_id },
+      request,
+      redact: false
+    });
+
+    await bustCategoryCaches(env, ctx, [id]);
+
+    return json({ ok: true, category: updated });
   } catch (err) {
-    return json(
-      { ok: false, error: String(err) },
-      { status: 500 }
-    );
+    return json({ ok: false, error: String(err) }, { status: 500 });
   }
 });
 
-router.delete('/api/seller/products/image', async (request, env, ctx) => {
+// ---- Admin: delete category; its children and products move up to its parent ----
+router.delete('/api/admin/categories/:id', async (request, env, ctx) => {
   const auth = await getAuthFromRequest(request, env);
-  if (!auth) return json({ ok:false, error:'Not authenticated' }, { status:401 });
-  if (auth.user.role !== 'seller' && auth.user.role !== 'admin') {
-    return json({ ok:false, error:'Forbidden' }, { status:403 });
-  }
-
-  let body; try { body = await request.json(); } catch {
-    return json({ ok:false, error:'Invalid JSON body' }, { status:400 });
-  }
-  const { error, value } = productImageDeleteSchema.validate(body, { abortEarly:false, stripUnknown:true });
-  if (error) return json({ ok:false, error:'Validation failed', details:error.details.map(d=>d.message) }, { status:400 });
+  if (!auth) return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  const permissionError = await requirePermission(env, auth, 'admin.categories');
+  if (permissionError) return permissionError;
 
-  // load & ownership
-  const product = await env.DB.prepare(
-    `SELECT seller_id, image_url FROM products WHERE id = ?`
-  ).bind(value.id).first();
+  const id = request.params.id;
 
-  if (!product) return json({ ok:false, error:'Product not found' }, { status:404 });
-  if (auth.user.role === 'seller' && product.seller_id !== auth.user.id) {
-    return json({ ok:false, error:'You can only modify your own products' }, { status:403 });
-  }
+  try {
+    const existing = await env.DB.prepare(
+      `SELECT id, name, slug, parent_id FROM categories WHERE id = ?`
+    )
+      .bind(id)
+      .first();
 
-  // Try to delete from R2 if it's our bucket path
-  if (product.image_url && product.image_url.startsWith('/product-images/')) {
-    const idPart = product.image_url.replace('/product-images/', '');
-    const key = `products/${idPart}`;
-    if (env.PRODUCT_IMAGE_BUCKET) {
-      try { await env.PRODUCT_IMAGE_BUCKET.delete(key); } catch { /* ignore */ }
+    if (!existing) {
+      return json({ ok: false, error: 'Category not found' }, { status: 404 });
     }
-  }
 
-  const now = new Date().toISOString();
-  await env.DB.prepare(`UPDATE products SET image_url = NULL, updated_at = ? WHERE id = ?`)
-    .bind(now, value.id).run();
+    // Collect affected products before they move so their cached payloads get dropped
+    await bustCategoryCaches(env, ctx, [id]);
 
-  if (env.PRODUCT_CACHE) {
-    ctx.waitUntil(Promise.all([
-      env.PRODUCT_CACHE.delete(PRODUCTS_LIST_KEY),
-      env.PRODUCT_CACHE.delete(productKey(value.id))
-    ]));
-  }
+    const now = new Date().toISOString();
+    const [children, products] = await env.DB.batch([
+      env.DB.prepare(`UPDATE categories SET parent_id = ? WHERE parent_id = ?`)
+        .bind(existing.parent_id, id),
+      env.DB.prepare(`UPDATE products SET category_id = ?, updated_at = ? WHERE category_id = ?`)
+        .bind(existing.parent_id, now, id),
+      env.DB.prepare(`DELETE FROM categories WHERE id = ?`).bind(id)
+    ]);
+
+    const reparented = {
+      categories: Number((children.meta && children.meta.changes) || 0),
+      products: Number((products.meta && products.meta.changes) || 0)
+    };
+
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'category.delete',
+      resource: `category:${id}`,
+      before: { name: existing.name, slug: existing.slug, parent_id: existing.parent_id },
+      meta: { reparented_to: existing.parent_id, ...reparented },
+      request,
+      redact: false
+    });
 
-  return json({ ok:true, id:value.id, image_url:null, updated_at:now });
+    return json({ ok: true, id, parent_id: existing.parent_id, reparented });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
 });
 
 router.get('/health', async (request, env, ctx) => {
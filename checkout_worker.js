@@ -1,12 +1,25 @@
 import { Router } from 'itty-router';
 import Joi from 'joi';
-import { json, getAuthFromRequest, decryptText, callLogger } from './common.js';
+import {
+  json,
+  getAuthFromRequest,
+  requireScope,
+  decryptText,
+  callLogger,
+  csrfGuard,
+  impersonationGuard,
+  recordAudit,
+  ACTIVE_SALE_JOIN_SQL,
+  EFFECTIVE_PRICE_SQL
+} from './common.js';
 
 // ---------- Joi schemas ----------
 
 // unified cart update schema
+// variant_id is required for products with variants
 const cartUpdateSchema = Joi.object({
   product_id: Joi.string().min(1).required(),
+  variant_id: Joi.string().max(100).allow(null).default(null),
   qty: Joi.number().integer().min(1).max(999).required(),
   operation: Joi.string().valid('set', 'add', 'remove').default('set')
 });
@@ -24,16 +37,73 @@ const checkoutPlaceSchema = Joi.object({
   billing_address_id: Joi.string().optional()
 });
 
+// ---------- Cart helpers ----------
+
+// "Size: M / Colour: Red"
+function variantLabel(options) {
+  return Object.entries(options)
+    .map(([name, value]) => `${name}: ${value}`)
+    .join(' / ');
+}
+
+// Cart lines priced (at the current sale price, if any) and stocked per variant where
+// the line has one. `unavailable`
+// explains why a line can't be ordered as-is (null when it can).
+async function loadCartItems(env, userId) {
+  const { results } = await env.DB.prepare(
+    `SELECT
+       ci.product_id,
+       ci.variant_id,
+       ci.qty,
+       p.title,
+       v.sku,
+       v.options AS variant_options,
+       v.status AS variant_status,
+       COALESCE(v.price_cents, ${EFFECTIVE_PRICE_SQL}) AS price_cents,
+       p.currency,
+       CASE WHEN ci.variant_id IS NULL THEN i.stock ELSE vi.stock END AS stock,
+       CASE WHEN ci.variant_id IS NULL THEN i.reserved ELSE vi.reserved END AS reserved,
+       (SELECT COUNT(*) FROM product_variants pv
+        WHERE pv.product_id = ci.product_id AND pv.status = 'active') AS variant_count
+     FROM cart_items ci
+     JOIN products p ON p.id = ci.product_id
+     ${ACTIVE_SALE_JOIN_SQL}
+     LEFT JOIN product_variants v ON v.id = ci.variant_id
+     LEFT JOIN inventory i ON i.product_id = ci.product_id
+     LEFT JOIN variant_inventory vi ON vi.variant_id = ci.variant_id
+     WHERE ci.user_id = ?`
+  )
+    .bind(userId)
+    .all();
+
+  return (results || []).map(({ variant_options, variant_status, variant_count, ...item }) => {
+    let unavailable = null;
+    if (item.variant_id && variant_status !== 'active') {
+      unavailable = 'This variant is no longer available';
+    } else if (!item.variant_id && variant_count > 0) {
+      unavailable = 'Choose a variant of this product';
+    }
+    return {
+      ...item,
+      variant_label: variant_options ? variantLabel(JSON.parse(variant_options)) : null,
+      unavailable
+    };
+  });
+}
+
 // ---------- Router ----------
-const router = Router();
+const router = Router({ before: [csrfGuard, impersonationGuard] });
 
 // ---- Orders: list current user's orders ----
 router.get('/api/orders', async (request, env, ctx) => {
-  const auth = await getAuthFromRequest(request, env);
+  const auth = await getAuthFromRequest(request, env, { scope: 'orders:read' });
   if (!auth) {
     return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
   }
 
+  const scopeError = requireScope(auth, 'orders:read');
+  if (scopeError) return scopeError;
+
   try {
     const { results } = await env.DB.prepare(
       `SELECT
@@ -66,7 +136,7 @@ router.get('/api/orders', async (request, env, ctx) => {
 });
 
 router.get('/api/orders/:id', async (request, env, ctx) => {
-  const auth = await getAuthFromRequest(request, env);
+  const auth = await getAuthFromRequest(request, env, { scope: 'orders:read' });
   if (!auth) {
     return json(
       { ok: false, error: 'Not authenticated' },
@@ -74,6 +144,9 @@ router.get('/api/orders/:id', async (request, env, ctx) => {
     );
   }
 
+  const scopeError = requireScope(auth, 'orders:read');
+  if (scopeError) return scopeError;
+
   const orderId = request.params?.id;
   if (!orderId) {
     return json(
@@ -113,6 +186,8 @@ router.get('/api/orders/:id', async (request, env, ctx) => {
     const itemsRes = await env.DB.prepare(
       `SELECT
          product_id,
+         variant_id,
+         sku_snapshot,
          title_snapshot,
          price_cents,
          qty
@@ -243,24 +318,7 @@ router.get('/api/cart', async (request, env, ctx) => {
   }
 
   try {
-    const { results } = await env.DB.prepare(
-      `SELECT
-         ci.product_id,
-         ci.qty,
-         p.title,
-         p.price_cents,
-         p.currency,
-         i.stock,
-         i.reserved
-       FROM cart_items ci
-       JOIN products p ON p.id = ci.product_id
-       LEFT JOIN inventory i ON i.product_id = ci.product_id
-       WHERE ci.user_id = ?`
-    )
-      .bind(auth.user.id)
-      .all();
-
-    const items = results || [];
+    const items = await loadCartItems(env, auth.user.id);
     const subtotal_cents = items.reduce(
       (sum, item) =>
         sum +
@@ -308,7 +366,7 @@ router.post('/api/cart/items', async (request, env, ctx) => {
     );
   }
 
-  const { product_id, qty, operation } = value;
+  const { product_id, variant_id, qty, operation } = value;
   const now = new Date().toISOString();
 
   try {
@@ -336,26 +394,62 @@ router.post('/api/cart/items', async (request, env, ctx) => {
       );
     }
 
-    // 2) Load inventory for this product
-    const inv = await env.DB.prepare(
-      `SELECT stock, reserved
-       FROM inventory
-       WHERE product_id = ?`
-    )
-      .bind(product_id)
-      .first();
+    // 2) Products with variants are bought (and stocked) per variant
+    if (variant_id) {
+      const variant = await env.DB.prepare(
+        `SELECT id FROM product_variants
+         WHERE id = ? AND product_id = ? AND status = 'active'`
+      )
+        .bind(variant_id, product_id)
+        .first();
+      if (!variant) {
+        return json(
+          { ok: false, error: 'Variant is not available' },
+          { status: 404 }
+        );
+      }
+    } else {
+      const variants = await env.DB.prepare(
+        `SELECT COUNT(*) AS n FROM product_variants
+         WHERE product_id = ? AND status = 'active'`
+      )
+        .bind(product_id)
+        .first();
+      if (variants && variants.n > 0 && operation !== 'remove') {
+        return json(
+          { ok: false, error: 'Choose a variant of this product' },
+          { status: 400 }
+        );
+      }
+    }
+
+    const inv = variant_id
+      ? await env.DB.prepare(
+          `SELECT stock, reserved
+           FROM variant_inventory
+           WHERE variant_id = ?`
+        )
+          .bind(variant_id)
+          .first()
+      : await env.DB.prepare(
+          `SELECT stock, reserved
+           FROM inventory
+           WHERE product_id = ?`
+        )
+          .bind(product_id)
+          .first();
 
     const stock = inv ? Number(inv.stock || 0) : 0;
     const reserved = inv ? Number(inv.reserved || 0) : 0;
     const available = stock - reserved;
 
-    // 3) Load current cart item (for this user + product)
+    // 3) Load current cart item (for this user + product + variant)
     const existing = await env.DB.prepare(
       `SELECT qty
        FROM cart_items
-       WHERE user_id = ? AND product_id = ?`
+       WHERE user_id = ? AND product_id = ? AND variant_id IS ?`
     )
-      .bind(auth.user.id, product_id)
+      .bind(auth.user.id, product_id, variant_id)
       .first();
 
     const currentQty = existing ? Number(existing.qty || 0) : 0;
@@ -421,9 +515,9 @@ router.post('/api/cart/items', async (request, env, ctx) => {
       if (existing) {
         await env.DB.prepare(
           `DELETE FROM cart_items
-           WHERE user_id = ? AND product_id = ?`
+           WHERE user_id = ? AND product_id = ? AND variant_id IS ?`
         )
-          .bind(auth.user.id, product_id)
+          .bind(auth.user.id, product_id, variant_id)
           .run();
       }
       return json({ ok: true, qty: 0 });
@@ -431,12 +525,12 @@ router.post('/api/cart/items', async (request, env, ctx) => {
 
     // 7) Upsert row with newQty
     await env.DB.prepare(
-      `INSERT INTO cart_items (user_id, product_id, qty, updated_at)
-       VALUES (?, ?, ?, ?)
-       ON CONFLICT(user_id, product_id)
+      `INSERT INTO cart_items (user_id, product_id, variant_id, qty, updated_at)
+       VALUES (?, ?, ?, ?, ?)
+       ON CONFLICT(user_id, product_id, IFNULL(variant_id, ''))
        DO UPDATE SET qty = excluded.qty, updated_at = excluded.updated_at`
     )
-      .bind(auth.user.id, product_id, newQty, now)
+      .bind(auth.user.id, product_id, variant_id, newQty, now)
       .run();
 
     return json({ ok: true, qty: newQty, available });
@@ -456,24 +550,7 @@ router.get('/api/checkout/summary', async (request, env, ctx) => {
 
   try {
     // Cart items
-    const cartRes = await env.DB.prepare(
-      `SELECT
-         ci.product_id,
-         ci.qty,
-         p.title,
-         p.price_cents,
-         p.currency,
-         i.stock,
-         i.reserved
-       FROM cart_items ci
-       JOIN products p ON p.id = ci.product_id
-       LEFT JOIN inventory i ON i.product_id = ci.product_id
-       WHERE ci.user_id = ?`
-    )
-      .bind(auth.user.id)
-      .all();
-
-    const items = cartRes.results || [];
+    const items = await loadCartItems(env, auth.user.id);
     if (items.length === 0) {
       return json({ ok: false, error: 'Cart is empty' }, { status: 400 });
     }
@@ -641,24 +718,7 @@ router.post('/api/checkout/place-order', async (request, env, ctx) => {
 
   try {
     // 1) Load cart items
-    const cartResult = await env.DB.prepare(
-      `SELECT
-         ci.product_id,
-         ci.qty,
-         p.title,
-         p.price_cents,
-         p.currency,
-         i.stock,
-         i.reserved
-       FROM cart_items ci
-       JOIN products p ON p.id = ci.product_id
-       LEFT JOIN inventory i ON i.product_id = ci.product_id
-       WHERE ci.user_id = ?`
-    )
-      .bind(auth.user.id)
-      .all();
-
-    const items = cartResult.results || [];
+    const items = await loadCartItems(env, auth.user.id);
     if (items.length === 0) {
       return json({ ok: false, error: 'Cart is empty' }, { status: 400 });
     }
@@ -674,11 +734,26 @@ router.post('/api/checkout/place-order', async (request, env, ctx) => {
       const reserved = Number(item.reserved || 0);
       const available = stock - reserved;
 
+      if (item.unavailable) {
+        return json(
+          {
+            ok: false,
+            error: `${item.unavailable}: ${item.title}`,
+            product_id: item.product_id,
+            variant_id: item.variant_id
+          },
+          { status: 400 }
+        );
+      }
+
+      // Stock is per variant for variant lines (loadCartItems)
       if (qty > available) {
         return json(
           {
             ok: false,
-            error: `Insufficient stock for product ${item.product_id}`,
+            error: item.variant_id
+              ? `Insufficient stock for variant ${item.sku} of product ${item.product_id}`
+              : `Insufficient stock for product ${item.product_id}`,
             available
           },
           { status: 400 }
@@ -821,21 +896,36 @@ router.post('/api/checkout/place-order', async (request, env, ctx) => {
           id,
           order_id,
           product_id,
+          variant_id,
+          sku_snapshot,
           title_snapshot,
           price_cents,
           qty
-        ) VALUES (?, ?, ?, ?, ?, ?)`
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?)`
       )
         .bind(
           crypto.randomUUID(),
           orderId,
           item.product_id,
-          item.title,
+          item.variant_id,
+          item.sku ?? null,
+          item.variant_label ? `${item.title} (${item.variant_label})` : item.title,
           price,
           qty
         )
         .run();
 
+      // The product's inventory row is the total over its variants, so both go down
+      if (item.variant_id) {
+        await env.DB.prepare(
+          `UPDATE variant_inventory
+           SET stock = stock - ?, updated_at = ?
+           WHERE variant_id = ?`
+        )
+          .bind(qty, now, item.variant_id)
+          .run();
+      }
+
       await env.DB.prepare(
         `UPDATE inventory
          SET stock = stock - ?, updated_at = ?
@@ -853,6 +943,15 @@ router.post('/api/checkout/place-order', async (request, env, ctx) => {
       .bind(auth.user.id)
       .run();
 
+    await recordAudit(env, {
+      actorUserId: auth.user.id,
+      action: 'order.place',
+      resource: `order:${orderId}`,
+      after: { status: 'placed', total_cents },
+      meta: { items: items.length },
+      request
+    });
+
     // 9) Notify realtime + logging services (non-blocking)
     try {
       if (env.REALTIME_SERVICE) {
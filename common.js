@@ -1,5 +1,6 @@
 // common.js
 import { } from 'itty-router'; // no-op import to keep bundlers happy in some setups
+import { DEFAULT_ROLE_PERMISSIONS, isPermission } from './permissions.js';
 
 // ---------- JSON helper ----------
 export const json = (body, init = {}) =>
@@ -43,6 +44,112 @@ export async function sha256Hex(str) {
   return bufferToHex(digest);
 }
 
+// Random hex token for links we mail out (reset, verification, ...)
+export function randomToken(byteLength = 32) {
+  return bufferToHex(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+// Compare two strings without bailing out at the first differing character
+export function timingSafeEqual(a, b) {
+  const x = String(a ?? '');
+  const y = String(b ?? '');
+  const len = Math.max(x.length, y.length);
+  let diff = x.length ^ y.length;
+  for (let i = 0; i < len; i++) {
+    diff |= (x.charCodeAt(i) || 0) ^ (y.charCodeAt(i) || 0);
+  }
+  return diff === 0;
+}
+
+// ---------- Password hashing ----------
+// Stored format: pbkdf2-sha256$<iterations>$<salt b64>$<hash b64>
+// Older rows hold a bare sha256Hex(password + '|' + pepper); they still verify
+// and are re-hashed by /api/auth/login after a successful sign-in.
+const PASSWORD_HASH_ALGO = 'pbkdf2-sha256';
+const DEFAULT_PASSWORD_ITERATIONS = 100000;
+const MAX_PASSWORD_ITERATIONS = 100000; // Workers rejects PBKDF2 above 100k
+
+function passwordIterations(env) {
+  const n = parseInt(env.PASSWORD_HASH_ITERATIONS || '', 10);
+  if (!Number.isFinite(n) || n < 1000) return DEFAULT_PASSWORD_ITERATIONS;
+  return Math.min(n, MAX_PASSWORD_ITERATIONS);
+}
+
+function pepperedPassword(env, password) {
+  const pepper = env.PASSWORD_PEPPER || 'dev-pepper';
+  return password + '|' + pepper;
+}
+
+async function pbkdf2(input, salt, iterations) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(input),
+    'PBKDF2',
+    false,
+    ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    key,
+    256
+  );
+  return new Uint8Array(bits);
+}
+
+export async function hashPassword(env, password) {
+  const iterations = passwordIterations(env);
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await pbkdf2(pepperedPassword(env, password), salt, iterations);
+  return [
+    PASSWORD_HASH_ALGO,
+    iterations,
+    bytesToBase64(salt),
+    bytesToBase64(hash)
+  ].join('$');
+}
+
+export async function verifyPassword(env, password, stored) {
+  if (!stored) return false;
+
+  const parts = stored.split('$');
+  if (parts.length === 4 && parts[0] === PASSWORD_HASH_ALGO) {
+    const iterations = parseInt(parts[1], 10);
+    if (!Number.isFinite(iterations) || iterations < 1) return false;
+    const hash = await pbkdf2(
+      pepperedPassword(env, password),
+      base64ToBytes(parts[2]),
+      iterations
+    );
+    return timingSafeEqual(bytesToBase64(hash), parts[3]);
+  }
+
+  // Legacy: unsalted SHA-256 hex
+  if (/^[0-9a-f]{64}$/.test(stored)) {
+    const legacy = await sha256Hex(pepperedPassword(env, password));
+    return timingSafeEqual(legacy, stored);
+  }
+
+  return false;
+}
+
+// Stand-in for accounts that don't exist: verifying against it costs the same
+// PBKDF2 work as a real hash, so unknown emails are not rejected any faster.
+export function dummyPasswordHash(env) {
+  return [
+    PASSWORD_HASH_ALGO,
+    passwordIterations(env),
+    'AAAAAAAAAAAAAAAAAAAAAA==',
+    'AAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAAA='
+  ].join('$');
+}
+
+// True for legacy hashes and for hashes made with a different iteration count
+export function passwordNeedsRehash(env, stored) {
+  const parts = (stored || '').split('$');
+  if (parts.length !== 4 || parts[0] !== PASSWORD_HASH_ALGO) return true;
+  return parseInt(parts[1], 10) !== passwordIterations(env);
+}
+
 export async function callLogger(level, event, context) {
   if (env.LOGGING_SERVICE) {
     const logReq = new Request('https://week1-edge.shyaamdps.workers.dev/api/log', {
@@ -75,24 +182,61 @@ function base64ToBytes(b64) {
   return bytes;
 }
 
-async function getEncryptionKey(env) {
-  const secret = env.DATA_ENCRYPTION_KEY;
+// ---- Key ring ----
+// DATA_ENCRYPTION_KEYS is a JSON object of key id -> base64 AES key and
+// DATA_ENCRYPTION_ACTIVE_KEY_ID picks the one used for new ciphertexts.
+// The old single DATA_ENCRYPTION_KEY is still honoured as key id 'v0', which
+// is also the key for ciphertexts written before they carried a key id.
+const LEGACY_KEY_ID = 'v0';
+
+function getKeyRing(env) {
+  let keys = {};
+  if (env.DATA_ENCRYPTION_KEYS) {
+    keys = typeof env.DATA_ENCRYPTION_KEYS === 'string'
+      ? JSON.parse(env.DATA_ENCRYPTION_KEYS)
+      : env.DATA_ENCRYPTION_KEYS;
+  }
+  if (env.DATA_ENCRYPTION_KEY && !keys[LEGACY_KEY_ID]) {
+    keys = { ...keys, [LEGACY_KEY_ID]: env.DATA_ENCRYPTION_KEY };
+  }
+  return keys;
+}
+
+export function activeKeyId(env) {
+  return env.DATA_ENCRYPTION_ACTIVE_KEY_ID || LEGACY_KEY_ID;
+}
+
+export function encryptionKeyIds(env) {
+  return Object.keys(getKeyRing(env));
+}
+
+// Key id a ciphertext was written with ('kid:base64'; bare base64 is legacy)
+export function ciphertextKeyId(value) {
+  if (!value) return null;
+  const idx = String(value).indexOf(':');
+  return idx > 0 ? String(value).slice(0, idx) : LEGACY_KEY_ID;
+}
+
+const importedKeys = new Map();
+
+async function getEncryptionKey(env, keyId) {
+  const secret = getKeyRing(env)[keyId];
   if (!secret) {
-    throw new Error('DATA_ENCRYPTION_KEY is not configured');
+    throw new Error(`Encryption key '${keyId}' is not configured`);
   }
-  const raw = base64ToBytes(secret);
-  return crypto.subtle.importKey(
-    'raw',
-    raw,
-    'AES-GCM',
-    false,
-    ['encrypt', 'decrypt']
-  );
+  const cacheKey = `${keyId}:${secret}`;
+  if (!importedKeys.has(cacheKey)) {
+    importedKeys.set(
+      cacheKey,
+      crypto.subtle.importKey('raw', base64ToBytes(secret), 'AES-GCM', false, ['encrypt', 'decrypt'])
+    );
+  }
+  return importedKeys.get(cacheKey);
 }
 
-export async function encryptText(env, plaintext) {
+export async function encryptText(env, plaintext, { keyId = activeKeyId(env) } = {}) {
   if (plaintext === null || plaintext === undefined) return null;
-  const key = await getEncryptionKey(env);
+  const key = await getEncryptionKey(env, keyId);
   const iv = crypto.getRandomValues(new Uint8Array(12));
   const encoded = new TextEncoder().encode(String(plaintext));
   const ciphertext = await crypto.subtle.encrypt(
@@ -103,15 +247,18 @@ export async function encryptText(env, plaintext) {
   const combined = new Uint8Array(iv.length + ciphertext.byteLength);
   combined.set(iv, 0);
   combined.set(new Uint8Array(ciphertext), iv.length);
-  return bytesToBase64(combined);
+  return `${keyId}:${bytesToBase64(combined)}`;
 }
 
-export async function decryptText(env, b64) {
-  if (!b64) return null;
-  const combined = base64ToBytes(b64);
+export async function decryptText(env, value) {
+  if (!value) return null;
+  const str = String(value);
+  const idx = str.indexOf(':');
+  const keyId = idx > 0 ? str.slice(0, idx) : LEGACY_KEY_ID;
+  const combined = base64ToBytes(idx > 0 ? str.slice(idx + 1) : str);
   const iv = combined.slice(0, 12);
   const data = combined.slice(12);
-  const key = await getEncryptionKey(env);
+  const key = await getEncryptionKey(env, keyId);
   const plaintextBuf = await crypto.subtle.decrypt(
     { name: 'AES-GCM', iv },
     key,
@@ -136,7 +283,74 @@ export function parseCookies(request) {
   return cookies;
 }
 
-export async function getAuthFromRequest(request, env) {
+// last_seen_at / last_used_at are only rewritten once they are this stale,
+// so normal traffic doesn't turn every authenticated request into a D1 write.
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
+// ---- Personal access tokens ----
+export const API_TOKEN_PREFIX = 'w1pat_';
+export const API_TOKEN_SCOPES = [
+  'catalog:read',
+  'catalog:write',
+  'inventory:write',
+  'orders:read',
+  'orders:write'
+];
+
+function getBearerToken(request) {
+  const header = request.headers.get('authorization') || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
+  return match ? match[1] : null;
+}
+
+async function getAuthFromApiToken(env, rawToken) {
+  if (!rawToken.startsWith(API_TOKEN_PREFIX)) return null;
+
+  const now = new Date().toISOString();
+
+  const token = await env.DB.prepare(
+    `SELECT id, user_id, name, scopes, last_used_at FROM api_tokens
+     WHERE token_hash = ? AND revoked_at IS NULL AND expires_at > ?`
+  )
+    .bind(await sha256Hex(rawToken), now)
+    .first();
+
+  if (!token) return null;
+
+  const user = await env.DB.prepare(
+    `SELECT id, role, status, email_verified_at, created_at, updated_at
+     FROM users WHERE id = ?`
+  )
+    .bind(token.user_id)
+    .first();
+
+  if (!user || user.status !== 'active') return null;
+
+  const lastUsed = token.last_used_at ? Date.parse(token.last_used_at) : 0;
+  if (Date.now() - lastUsed > SESSION_TOUCH_INTERVAL_MS) {
+    await env.DB.prepare(
+      `UPDATE api_tokens SET last_used_at = ? WHERE id = ?`
+    )
+      .bind(now, token.id)
+      .run();
+  }
+
+  return {
+    session: null,
+    user,
+    token: { id: token.id, name: token.name, scopes: JSON.parse(token.scopes || '[]') }
+  };
+}
+
+// Cookie sessions work everywhere. A bearer token is only considered when the
+// endpoint names the scope it needs; everything else stays cookie-only, so a
+// token can never manage the account (passwords, 2FA, other tokens).
+// Sessions with two_factor_setup_only (issued when the role policy requires 2FA and the
+// user hasn't enrolled yet) only authenticate routes that pass allowTwoFactorSetup.
+export async function getAuthFromRequest(request, env, { scope, allowTwoFactorSetup = false } = {}) {
+  const bearer = getBearerToken(request);
+  if (bearer) return scope ? getAuthFromApiToken(env, bearer) : null;
+
   const cookies = parseCookies(request);
   const sid = cookies.sid;
   if (!sid) return null;
@@ -151,9 +365,10 @@ export async function getAuthFromRequest(request, env) {
     .first();
 
   if (!session) return null;
+  if (session.two_factor_setup_only && !allowTwoFactorSetup) return null;
 
   const user = await env.DB.prepare(
-    `SELECT id, role, status, created_at, updated_at
+    `SELECT id, role, status, email_verified_at, created_at, updated_at
      FROM users WHERE id = ?`
   )
     .bind(session.user_id)
@@ -161,5 +376,350 @@ export async function getAuthFromRequest(request, env) {
 
   if (!user) return null;
 
-  return { session, user };
+  const lastSeen = session.last_seen_at ? Date.parse(session.last_seen_at) : 0;
+  if (Date.now() - lastSeen > SESSION_TOUCH_INTERVAL_MS) {
+    await env.DB.prepare(
+      `UPDATE sessions SET last_seen_at = ? WHERE id = ?`
+    )
+      .bind(now, session.id)
+      .run();
+    session.last_seen_at = now;
+  }
+
+  return { session, user, token: null };
+}
+
+// ---- CSRF ----
+// Each session gets a random csrf_token, mirrored into a readable `csrf_token`
+// cookie. Browsers must echo it in the x-csrf-token header on every mutating
+// request that rides on the sid cookie; Origin/Referer is checked as well.
+export const CSRF_COOKIE = 'csrf_token';
+export const CSRF_HEADER = 'x-csrf-token';
+
+const CSRF_SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function requestOrigin(request) {
+  const origin = request.headers.get('origin');
+  if (origin) return origin;
+  const referer = request.headers.get('referer');
+  if (!referer) return null;
+  try {
+    return new URL(referer).origin;
+  } catch {
+    return 'null';
+  }
+}
+
+function csrfRejected(error) {
+  return json({ ok: false, error }, { status: 403 });
+}
+
+// itty-router `before` hook: returns a 403 response to stop the request
+export async function csrfGuard(request, env) {
+  if (CSRF_SAFE_METHODS.includes(request.method)) return;
+
+  // Token clients never send the session cookie along, so there is nothing to forge
+  if (getBearerToken(request)) return;
+
+  const origin = requestOrigin(request);
+  if (origin) {
+    const allowed = [
+      new URL(request.url).origin,
+      ...String(env.ALLOWED_ORIGINS || '').split(',').map((o) => o.trim()).filter(Boolean)
+    ];
+    if (!allowed.includes(origin)) return csrfRejected('Cross-site request blocked');
+  }
+
+  const sid = parseCookies(request).sid;
+  if (!sid) return;
+
+  const session = await env.DB.prepare(
+    `SELECT csrf_token FROM sessions
+     WHERE id = ? AND revoked = 0 AND expires_at > ?`
+  )
+    .bind(sid, new Date().toISOString())
+    .first();
+
+  // Dead sessions fall through; the handler answers 401 as usual
+  if (!session) return;
+
+  if (!session.csrf_token) {
+    return csrfRejected('Session has no CSRF token, please sign in again');
+  }
+
+  const sent = request.headers.get(CSRF_HEADER);
+  if (!sent || !timingSafeEqual(sent, session.csrf_token)) {
+    return csrfRejected('Missing or invalid CSRF token');
+  }
+}
+
+// ---- Impersonation ----
+// Admin "view as user" sessions carry impersonator_user_id. Every mutating
+// request they make is audited; read-only ones are refused, and account
+// management stays off-limits even when writes were allowed.
+const IMPERSONATION_ALWAYS_ALLOWED = ['/api/auth/impersonation/end', '/api/auth/logout'];
+const IMPERSONATION_BLOCKED_PREFIXES = ['/api/users/me', '/api/auth/', '/api/admin/'];
+
+// itty-router `before` hook, runs after csrfGuard
+export async function impersonationGuard(request, env) {
+  if (CSRF_SAFE_METHODS.includes(request.method)) return;
+  if (getBearerToken(request)) return;
+
+  const sid = parseCookies(request).sid;
+  if (!sid) return;
+
+  const session = await env.DB.prepare(
+    `SELECT user_id, public_id, impersonator_user_id, impersonation_write FROM sessions
+     WHERE id = ? AND revoked = 0 AND expires_at > ?`
+  )
+    .bind(sid, new Date().toISOString())
+    .first();
+
+  if (!session || !session.impersonator_user_id) return;
+
+  const path = new URL(request.url).pathname;
+  if (IMPERSONATION_ALWAYS_ALLOWED.includes(path)) return;
+
+  const blocked =
+    !session.impersonation_write ||
+    IMPERSONATION_BLOCKED_PREFIXES.some((prefix) => path.startsWith(prefix));
+
+  await recordAudit(env, {
+    actorUserId: session.impersonator_user_id,
+    action: 'impersonation.request',
+    resource: `user:${session.user_id}`,
+    meta: { session: session.public_id, method: request.method, path, blocked },
+    request
+  });
+
+  if (blocked) {
+    return json(
+      {
+        ok: false,
+        error: session.impersonation_write
+          ? 'Not available while impersonating'
+          : 'Impersonation session is read-only'
+      },
+      { status: 403 }
+    );
+  }
+}
+
+// Returns a 403 response when a token-authenticated request lacks `scope`
+export function requireScope(auth, scope) {
+  if (!auth.token || auth.token.scopes.includes(scope)) return null;
+  return json(
+    { ok: false, error: `API token is missing the '${scope}' scope`, required_scope: scope },
+    { status: 403 }
+  );
+}
+
+// ---- Permissions ----
+// A role's permissions are the admin-customized list in role_policies.permissions,
+// or the defaults from permissions.js when none is stored.
+export async function getRolePermissions(env, role) {
+  const row = await env.DB.prepare(
+    `SELECT permissions FROM role_policies WHERE role = ?`
+  )
+    .bind(role)
+    .first();
+
+  if (row && row.permissions) {
+    return JSON.parse(row.permissions).filter(isPermission);
+  }
+  return DEFAULT_ROLE_PERMISSIONS[role] || [];
+}
+
+// Looked up once per request and kept on the auth object
+export async function hasPermission(env, auth, permission) {
+  if (!auth.permissions) {
+    auth.permissions = new Set(await getRolePermissions(env, auth.user.role));
+  }
+  return auth.permissions.has(permission);
+}
+
+// Returns a 403 response when the caller's role lacks `permission`
+export async function requirePermission(env, auth, permission) {
+  if (await hasPermission(env, auth, permission)) return null;
+  return json(
+    { ok: false, error: `Missing permission '${permission}'`, required_permission: permission },
+    { status: 403 }
+  );
+}
+
+// ---------- CSV ----------
+// Quotes every cell, and defuses values a spreadsheet would run as a formula
+export function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let str = String(value);
+  if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+  return `"${str.replace(/"/g, '""')}"`;
+}
+
+// RFC 4180 text -> array of rows (arrays of strings). Handles quoted cells with
+// commas, doubled quotes and line breaks; skips blank lines and a leading BOM.
+// Undoes csvCell's formula guard so exported files import unchanged.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endCell = () => {
+    row.push(/^'[=+\-@\t\r]/.test(cell) ? cell.slice(1) : cell);
+    cell = '';
+  };
+  const endRow = () => {
+    endCell();
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+  };
+
+  for (; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      endCell();
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      endRow();
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length) endRow();
+  return rows;
+}
+
+// ---------- Sale prices ----------
+// Shared by catalog (listings) and checkout (cart/order totals) so both charge the
+// same price. Join after `products p`; exposes the running sale as `sale`, if any.
+// A sale at or above the regular price is ignored.
+export const ACTIVE_SALE_JOIN_SQL = `LEFT JOIN product_price_schedules sale ON sale.id = (
+       SELECT s.id FROM product_price_schedules s
+       WHERE s.product_id = p.id
+         AND s.cancelled_at IS NULL
+         AND s.starts_at <= strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+         AND s.ends_at > strftime('%Y-%m-%dT%H:%M:%fZ', 'now')
+         AND s.sale_price_cents < p.price_cents
+       ORDER BY s.starts_at DESC
+       LIMIT 1
+     )`;
+
+// Price of `p` right now (needs ACTIVE_SALE_JOIN_SQL)
+export const EFFECTIVE_PRICE_SQL = 'COALESCE(sale.sale_price_cents, p.price_cents)';
+
+// ---------- Product cache (PRODUCT_CACHE KV) ----------
+// Listing pages are cached under a version that every product write bumps;
+// pages cached under an old version just age out.
+export const PRODUCTS_LIST_VERSION_KEY = 'products:list:version';
+export const productKey = (id) => `product:${id}`;
+
+export function bumpProductListVersion(env) {
+  return env.PRODUCT_CACHE.put(PRODUCTS_LIST_VERSION_KEY, crypto.randomUUID());
+}
+
+// ---------- Outbox ----------
+// Messages are queued in D1; a mail transport drains `outbox_messages`.
+// Recipient and body are encrypted because bodies carry one-time links.
+export async function enqueueOutboxMessage(env, { userId = null, to, template, subject, body }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+
+  await env.DB.prepare(
+    `INSERT INTO outbox_messages (
+      id, channel, template, user_id, to_cipher, subject, body_cipher, status, attempts, created_at
+    ) VALUES (?, 'email', ?, ?, ?, ?, ?, 'pending', 0, ?)`
+  )
+    .bind(
+      id,
+      template,
+      userId,
+      await encryptText(env, to),
+      subject,
+      await encryptText(env, body),
+      now
+    )
+    .run();
+
+  return id;
+}
+
+// ---------- Audit log ----------
+// Field names whose values never reach audit_logs; the diff still shows they changed.
+const AUDIT_REDACTED_FIELD = /(^|_)(name|email|phone|line1|line2|city|state|postal|password|secret|token|cipher|hash)(_|$)/i;
+export const AUDIT_REDACTED = '[redacted]';
+
+function redactAuditValue(key, value, redact = true) {
+  if (value === null || value === undefined) return null;
+  return redact && AUDIT_REDACTED_FIELD.test(key) ? AUDIT_REDACTED : value;
+}
+
+// { field: { from, to } } for every field that differs between two records
+export function auditDiff(before, after, { redact = true } = {}) {
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = {};
+  for (const key of keys) {
+    const from = before ? before[key] ?? null : null;
+    const to = after ? after[key] ?? null : null;
+    if (JSON.stringify(from) === JSON.stringify(to)) continue;
+    changes[key] = { from: redactAuditValue(key, from, redact), to: redactAuditValue(key, to, redact) };
+  }
+  return Object.keys(changes).length ? changes : null;
+}
+
+function redactAuditMeta(meta, redact) {
+  if (!meta) return null;
+  const out = {};
+  for (const [key, value] of Object.entries(meta)) out[key] = redactAuditValue(key, value, redact);
+  return out;
+}
+
+// Pass `before`/`after` snapshots to store a field diff, and `request` for ip/user agent/path.
+// `redact: false` keeps field values for records that hold no personal data (e.g. categories).
+export async function recordAudit(
+  env,
+  { actorUserId = null, action, resource, before = null, after = null, meta = null, request = null, redact = true }
+) {
+  const changes = before || after ? auditDiff(before, after, { redact }) : null;
+  const redactedMeta = redactAuditMeta(meta, redact);
+
+  let ip = null;
+  let userAgent = null;
+  let requestPath = null;
+  if (request) {
+    ip = request.headers.get('cf-connecting-ip') || null;
+    userAgent = request.headers.get('user-agent') || null;
+    requestPath = `${request.method} ${new URL(request.url).pathname}`;
+  }
+
+  await env.DB.prepare(
+    `INSERT INTO audit_logs
+       (id, actor_user_id, action, resource, changes, meta, ip, user_agent, request_path, created_at)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`
+  )
+    .bind(
+      crypto.randomUUID(),
+      actorUserId,
+      action,
+      resource,
+      changes ? JSON.stringify(changes) : null,
+      redactedMeta ? JSON.stringify(redactedMeta) : null,
+      ip,
+      userAgent,
+      requestPath,
+      new Date().toISOString()
+    )
+    .run();
 }
@@ -1,5 +1,5 @@
 import { Router } from 'itty-router';
-import { json } from './common.js';
+import { json, parseCookies, CSRF_COOKIE, CSRF_HEADER } from './common.js';
 
 // ---- Simple helper to proxy to a bound service ----
 async function proxyToService(service, request, newPath) {
@@ -26,6 +26,15 @@ function formatAmountRaw(v) {
   return n.toString();
 }
 
+// ---- Helper: escape text for HTML built on the server ----
+function escapeHtml(str) {
+  return String(str == null ? '' : str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
 // ---- Helper: call auth service to get current user ----
 async function getMe(env, request) {
   try {
@@ -47,9 +56,7 @@ async function getMe(env, request) {
 }
 
 // ---- Build nav based on auth status ----
-async function buildNav(env, request) {
-  const user = await getMe(env, request);
-
+function buildNav(user) {
   const links = [
     `<a href="/">Home</a>`,
     `<a href="/products">Products</a>`,
@@ -63,20 +70,88 @@ async function buildNav(env, request) {
   } else {
     links.push(`<a href="/profile">Profile</a>`);
     links.push(`<a href="/addresses">Addresses</a>`);
-    if (user.role === 'seller' || user.role === 'admin') {
+    const permissions = user.permissions || [];
+    if (permissions.includes('product.read.own')) {
       links.push(`<a href="/seller/products">My products</a>`);
+    }
+    if (permissions.includes('order.read.own')) {
       links.push(`<a href="/seller/orders">Sold orders</a>`);
     }
+    if (permissions.includes('admin.users')) {
+      links.push(`<a href="/admin/users">Admin</a>`);
+    }
     links.push(`<a href="#" id="navLogout">Logout</a>`);
   }
 
-  return `<nav>${links.join('')}</nav>`;
+  const searchForm = `
+    <form action="/search" method="get" role="search" class="nav-search">
+      <input type="search" name="q" placeholder="Search products" aria-label="Search products" maxlength="200" />
+    </form>`;
+
+  return `<nav>${searchForm}${links.join('')}</nav>`;
 }
 
 // ---- Render HTML layout (sync) ----
 function renderLayout(title, navHtml, body, options = {}) {
   const extraHead = options.extraHead || '';
   const pageScript = options.extraScript || '';
+  const csrfToken = /^[A-Za-z0-9_-]+$/.test(options.csrfToken || '') ? options.csrfToken : '';
+  const impersonation = options.impersonation || null;
+
+  // Shown on every page while an admin is viewing the store as someone else
+  const impersonationBanner = impersonation
+    ? `
+    <div id="impersonationBanner" style="background:#fff4ce;border:1px solid #e0b400;border-radius:4px;padding:0.5rem 0.75rem;margin-bottom:1rem;font-size:0.9rem;display:flex;justify-content:space-between;align-items:center;gap:0.75rem;">
+      <span>
+        Viewing as <strong>${escapeHtml(impersonation.email || 'user')}</strong>
+        (${impersonation.read_only ? 'read-only' : 'changes allowed, every change is audited'})
+        until ${escapeHtml(new Date(impersonation.expires_at).toISOString().slice(11, 16))} UTC
+      </span>
+      <button id="endImpersonation" class="btn sm secondary">Stop viewing as user</button>
+    </div>
+    <script>
+      (function() {
+        document.getElementById('endImpersonation').addEventListener('click', async () => {
+          try {
+            const res = await fetch('/api/auth/impersonation/end', { method: 'POST' });
+            const data = await res.json().catch(() => ({}));
+            window.location.href = data.user_id ? '/admin/users/' + encodeURIComponent(data.user_id) : '/login';
+          } catch (err) {
+            window.location.href = '/login';
+          }
+        });
+      })();
+    </script>`
+    : '';
+
+  // Adds the session's CSRF token to every same-origin mutating fetch().
+  // The cookie wins over the meta tag so a login on this page is picked up.
+  const csrfScript = `
+    <script>
+      (function() {
+        const meta = document.querySelector('meta[name="csrf-token"]');
+        const nativeFetch = window.fetch.bind(window);
+        function csrfToken() {
+          const prefix = ${JSON.stringify(CSRF_COOKIE + '=')};
+          const cookie = document.cookie.split('; ').find((c) => c.indexOf(prefix) === 0);
+          return cookie ? decodeURIComponent(cookie.slice(prefix.length)) : (meta ? meta.content : '');
+        }
+        window.fetch = function(input, init) {
+          init = init || {};
+          const isRequest = input instanceof Request;
+          const method = String(init.method || (isRequest ? input.method : 'GET')).toUpperCase();
+          const url = new URL(isRequest ? input.url : String(input), window.location.href);
+          const token = csrfToken();
+          if (token && url.origin === window.location.origin && ['GET', 'HEAD', 'OPTIONS'].indexOf(method) === -1) {
+            const headers = new Headers(init.headers || (isRequest ? input.headers : undefined));
+            headers.set(${JSON.stringify(CSRF_HEADER)}, token);
+            init = Object.assign({}, init, { headers });
+          }
+          return nativeFetch(input, init);
+        };
+      })();
+    </script>
+  `;
 
   const globalScript = `
     <script>
@@ -99,12 +174,19 @@ function renderLayout(title, navHtml, body, options = {}) {
 <html>
   <head>
     <meta charset="utf-8" />
+    <meta name="csrf-token" content="${csrfToken}" />
     <title>${title}</title>
+    ${csrfScript}
     <style>
       body { font-family: system-ui, -apple-system, BlinkMacSystemFont, sans-serif; margin: 2rem; max-width: 960px; }
       header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 1.5rem; }
       nav a { margin-left: 0.75rem; text-decoration: none; color: #0070f3; font-size: 0.9rem; }
       nav a:hover { text-decoration: underline; }
+      nav { display: flex; align-items: center; flex-wrap: wrap; }
+      .nav-search input { width: 12rem; }
+      mark { background: #fff1a8; color: inherit; padding: 0 0.05rem; }
+      .sale-price { color: #b3261e; }
+      .regular-price { color: #888; font-weight: normal; font-size: 0.85em; }
       .btn { padding: 0.4rem 0.9rem; border-radius: 4px; border: 1px solid #333; background: #111; color: white; cursor: pointer; font-size: 0.9rem; }
       .btn.secondary { background: #fff; color: #111; }
       .btn.sm { padding: 0.25rem 0.6rem; font-size: 0.8rem; }
@@ -124,6 +206,7 @@ function renderLayout(title, navHtml, body, options = {}) {
     ${extraHead}
   </head>
   <body>
+    ${impersonationBanner}
     <header>
       <h1>Week1 Ecommerce</h1>
       ${navHtml}
@@ -135,82 +218,300 @@ function renderLayout(title, navHtml, body, options = {}) {
 </html>`;
 
   return new Response(html, {
-    status: 200,
+    status: options.status || 200,
     headers: { 'content-type': 'text/html; charset=utf-8' }
   });
 }
 
 // ---- Async helper: get nav + render layout ----
 async function layout(env, request, title, body, options = {}) {
-  const nav = await buildNav(env, request);
-  return renderLayout(title, nav, body, options);
+  const user = await getMe(env, request);
+  const nav = buildNav(user);
+  const csrfToken = parseCookies(request)[CSRF_COOKIE];
+  const impersonation = user ? user.impersonation : null;
+  return renderLayout(title, nav, body, { ...options, csrfToken, impersonation });
 }
 
 // ================== SSR PAGES ==================
 
-// ---- Home: product list ----
-async function renderHomePage(env, request) {
-  const url = new URL(request.url);
-  url.pathname = '/api/products';
-  const apiReq = new Request(url.toString(), request);
-
-  const res = await env.CATALOG_SERVICE.fetch(apiReq);
-  if (!res.ok) {
-    return layout(
-      env,
-      request,
-      'Week1 Store – Home',
-      `<h2>Products</h2><p>Failed to load products (status ${res.status}).</p>`
-    );
-  }
-
-  const data = await res.json();
-  const products = data.products || [];
+// ---- Price of a listing; during a sale the regular price is shown struck through ----
+function priceHtml(p) {
+  const price = `$${formatAmountRaw(p.price_cents)}`;
+  if (!p.sale) return price;
+  return `<span class="sale-price">${price}</span> <s class="regular-price">$${formatAmountRaw(p.regular_price_cents)}</s>`;
+}
 
-  const itemsHtml = products
-    .map((p) => {
-      const price = formatAmountRaw(p.price_cents);
-      return `
-        <a class="card" href="/product/${p.id}" style="border:1px solid #ddd;border-radius:8px;padding:0.75rem;text-decoration:none;color:inherit;display:flex;gap:0.75rem;align-items:flex-start;margin-bottom:0.75rem;">
+// ---- Product card used by the home, shop and category listings ----
+function productCardHtml(p) {
+  return `
+        <a class="card" href="/product/${encodeURIComponent(p.id)}" style="border:1px solid #ddd;border-radius:8px;padding:0.75rem;text-decoration:none;color:inherit;display:flex;gap:0.75rem;align-items:flex-start;margin-bottom:0.75rem;">
           <div style="width:80px;height:80px;border-radius:6px;overflow:hidden;background:#fafafa;flex-shrink:0;display:flex;align-items:center;justify-content:center;">
             ${
               p.image_url
-                ? `<img src="${p.image_url}" alt="${p.title}" style="width:100%;height:100%;object-fit:cover;" />`
+                ? `<img src="${escapeHtml(p.image_url)}" alt="${escapeHtml(p.title)}" style="width:100%;height:100%;object-fit:cover;" />`
                 : `<span style="color:#aaa;font-size:0.8rem;">No image</span>`
             }
           </div>
           <div style="flex:1;">
-            <div style="font-weight:600;">${p.title}</div>
-            <div style="font-size:0.9rem;margin-top:0.15rem;">$${price}</div>
+            <div style="font-weight:600;">${escapeHtml(p.title)}</div>
+            <div style="font-size:0.9rem;margin-top:0.15rem;">${priceHtml(p)}</div>
             ${
-              p.seller && p.seller.name
-                ? `<div style="font-size:0.8rem;color:#666;margin-top:0.1rem;">by ${p.seller.name}</div>`
+              p.store
+                ? `<div style="font-size:0.8rem;color:#666;margin-top:0.1rem;">by ${escapeHtml(p.store.name)}</div>`
                 : ''
             }
           </div>
         </a>
       `;
-    })
+}
+
+// ---- Home / products: filterable, cursor-paginated product list ----
+// Listing parameters forwarded to GET /api/products as-is
+const PRODUCT_LIST_PARAMS = ['sort', 'category', 'seller', 'currency', 'min_price', 'max_price', 'in_stock', 'cursor'];
+const PRODUCT_LIST_PAGE_SIZE = 20;
+const PRODUCT_SORT_LABELS = {
+  newest: 'Newest',
+  price_asc: 'Price: low to high',
+  price_desc: 'Price: high to low',
+  title: 'Title A–Z'
+};
+
+// <option>s for a category tree, children indented under their parent
+function categoryOptionsHtml(categories, selected, depth = 0) {
+  return categories
+    .map(
+      (c) =>
+        `<option value="${escapeHtml(c.slug)}"${c.slug === selected ? ' selected' : ''}>${'&nbsp;&nbsp;'.repeat(depth)}${escapeHtml(c.name)}</option>` +
+        categoryOptionsHtml(c.children || [], selected, depth + 1)
+    )
     .join('');
+}
+
+async function renderHomePage(env, request) {
+  const pageParams = new URL(request.url).searchParams;
+  const filters = {};
+  for (const key of PRODUCT_LIST_PARAMS) {
+    const v = (pageParams.get(key) || '').trim();
+    if (v) filters[key] = v;
+  }
+
+  const url = new URL(request.url);
+  url.pathname = '/api/products';
+  url.search = new URLSearchParams({ ...filters, limit: String(PRODUCT_LIST_PAGE_SIZE) }).toString();
+
+  const [res, categories] = await Promise.all([
+    env.CATALOG_SERVICE.fetch(new Request(url.toString(), request)),
+    fetchCategoryTree(env, request)
+  ]);
+
+  // Same filters, different page (or none)
+  const pageHref = (cursor) => {
+    const params = new URLSearchParams(filters);
+    params.delete('cursor');
+    if (cursor) params.set('cursor', cursor);
+    const qs = params.toString();
+    return `/products${qs ? `?${qs}` : ''}`;
+  };
+
+  let listHtml;
+  if (res.status === 400) {
+    listHtml = `<p>Some filters are invalid. <a href="/products" class="link">Clear filters</a></p>`;
+  } else if (res.status === 404 && filters.category) {
+    listHtml = `<p>Unknown category. <a href="/products" class="link">Clear filters</a></p>`;
+  } else if (!res.ok) {
+    listHtml = `<p>Failed to load products (status ${res.status}).</p>`;
+  } else {
+    const data = await res.json();
+    const products = data.products || [];
+    const hasFilters = Object.keys(filters).some((k) => k !== 'cursor' && k !== 'sort');
+
+    listHtml = `
+      ${
+        products.map(productCardHtml).join('') ||
+        (hasFilters ? '<p>No products match these filters.</p>' : '<p>No products yet.</p>')
+      }
+      <div style="display:flex;justify-content:space-between;margin-top:0.5rem;">
+        <span>${filters.cursor ? `<a href="${escapeHtml(pageHref(null))}" class="link">← First page</a>` : ''}</span>
+        <span>${data.next_cursor ? `<a href="${escapeHtml(pageHref(data.next_cursor))}" class="link" rel="next">Next page →</a>` : ''}</span>
+      </div>
+    `;
+  }
+
+  const sort = filters.sort || 'newest';
+  const sidebarHtml = `
+    <aside style="width:220px;flex-shrink:0;">
+      <form action="/products" method="get" style="display:flex;flex-direction:column;gap:0.6rem;font-size:0.9rem;">
+        <label>Sort by
+          <select name="sort">
+            ${Object.entries(PRODUCT_SORT_LABELS)
+              .map(([v, label]) => `<option value="${v}"${v === sort ? ' selected' : ''}>${label}</option>`)
+              .join('')}
+          </select>
+        </label>
+        <label>Category
+          <select name="category">
+            <option value="">All categories</option>
+            ${categoryOptionsHtml(categories, filters.category)}
+          </select>
+        </label>
+        <div style="display:flex;gap:0.4rem;">
+          <label>Min price <input type="number" name="min_price" min="0" step="1" value="${escapeHtml(filters.min_price || '')}" /></label>
+          <label>Max price <input type="number" name="max_price" min="0" step="1" value="${escapeHtml(filters.max_price || '')}" /></label>
+        </div>
+        <label>Currency <input type="text" name="currency" maxlength="3" placeholder="Any" value="${escapeHtml(filters.currency || '')}" /></label>
+        <label style="display:flex;gap:0.4rem;align-items:center;">
+          <input type="checkbox" name="in_stock" value="1" style="width:auto;"${filters.in_stock ? ' checked' : ''} /> In stock only
+        </label>
+        ${filters.seller ? `<input type="hidden" name="seller" value="${escapeHtml(filters.seller)}" />` : ''}
+        <div style="display:flex;gap:0.5rem;align-items:center;">
+          <button type="submit" class="btn sm">Apply</button>
+          <a href="/products" class="link">Clear</a>
+        </div>
+      </form>
+    </aside>
+  `;
 
   const body = `
     <h2>Products</h2>
     <p style="font-size:0.9rem;color:#555;">Browse products below. Click on a product to view details and add it to your cart.</p>
-    <div>
-      ${itemsHtml || '<p>No products yet.</p>'}
+    ${categoryLinksHtml(categories)}
+    <div style="display:flex;gap:1.5rem;align-items:flex-start;flex-wrap:wrap;">
+      ${sidebarHtml}
+      <div style="flex:1;min-width:260px;">
+        ${listHtml}
+      </div>
     </div>
   `;
 
   return layout(env, request, 'Week1 Store – Home', body);
 }
 
+// ---- Product reviews (product page) ----
+const REVIEWS_PAGE_SIZE = 10;
+
+function starsText(rating) {
+  const n = Math.max(0, Math.min(5, Math.round(Number(rating) || 0)));
+  return '★'.repeat(n) + '☆'.repeat(5 - n);
+}
+
+function reviewFormHtml(viewer) {
+  if (!viewer) {
+    return `<p style="font-size:0.9rem;"><a href="/login" class="link">Log in</a> to review products you have bought.</p>`;
+  }
+  const own = viewer.review;
+  if (!own && !viewer.can_review) {
+    return `<p style="font-size:0.9rem;color:#555;">Only buyers with a completed order for this product can review it.</p>`;
+  }
+  const rating = own ? own.rating : 5;
+  return `
+    <form id="reviewForm" data-review-id="${own ? escapeHtml(own.id) : ''}" style="max-width:480px;margin:1rem 0;">
+      <h4 style="margin:0 0 0.5rem;">${own ? 'Your review' : 'Write a review'}</h4>
+      <div>
+        <label>Rating</label>
+        <select name="rating">
+          ${[5, 4, 3, 2, 1]
+            .map((n) => `<option value="${n}"${n === rating ? ' selected' : ''}>${starsText(n)} (${n})</option>`)
+            .join('')}
+        </select>
+      </div>
+      <div>
+        <label>Title</label>
+        <input type="text" name="title" maxlength="120" value="${escapeHtml(own ? own.title : '')}" />
+      </div>
+      <div>
+        <label>Review</label>
+        <textarea name="body" rows="3" maxlength="4000">${escapeHtml(own ? own.body : '')}</textarea>
+      </div>
+      <button type="submit" class="btn sm">${own ? 'Update review' : 'Post review'}</button>
+      ${own ? `<button type="button" class="btn secondary sm btn-review-delete" data-review-id="${escapeHtml(own.id)}">Delete</button>` : ''}
+    </form>
+  `;
+}
+
+function reviewHtml(review, viewer) {
+  const reply = review.seller_reply;
+  const replyForm = viewer && viewer.can_reply
+    ? `
+      <form class="review-reply-form" data-review-id="${escapeHtml(review.id)}" data-method="${reply ? 'PUT' : 'POST'}" style="margin-top:0.5rem;">
+        <textarea name="reply" rows="2" maxlength="2000" placeholder="Reply publicly as the seller">${escapeHtml(reply ? reply.body : '')}</textarea>
+        <button type="submit" class="btn secondary sm" style="margin-top:0.3rem;">${reply ? 'Update reply' : 'Reply'}</button>
+      </form>`
+    : '';
+  const canDelete = viewer && (review.mine || viewer.can_moderate);
+  return `
+    <div class="review" style="border-top:1px solid #eee;padding:0.75rem 0;">
+      <div><span title="${review.rating} out of 5" style="color:#c48a00;">${starsText(review.rating)}</span>
+        ${review.title ? `<strong style="margin-left:0.4rem;">${escapeHtml(review.title)}</strong>` : ''}</div>
+      <div style="font-size:0.8rem;color:#666;margin-top:0.15rem;">
+        by ${escapeHtml(review.author.name)} · <span class="pill">Verified purchase</span> · ${escapeHtml(new Date(review.created_at).toLocaleDateString('en-US'))}
+      </div>
+      ${review.body ? `<p style="white-space:pre-wrap;font-size:0.9rem;margin:0.4rem 0 0;">${escapeHtml(review.body)}</p>` : ''}
+      ${
+        reply
+          ? `<div style="margin-top:0.5rem;padding:0.5rem 0.75rem;background:#f6f6f6;border-radius:6px;font-size:0.85rem;">
+               <strong>Seller reply</strong>
+               <p style="white-space:pre-wrap;margin:0.25rem 0 0;">${escapeHtml(reply.body)}</p>
+             </div>`
+          : ''
+      }
+      ${replyForm}
+      ${
+        canDelete && !review.mine
+          ? `<button type="button" class="btn secondary sm btn-review-delete" data-review-id="${escapeHtml(review.id)}" style="margin-top:0.4rem;">Delete review</button>`
+          : ''
+      }
+    </div>
+  `;
+}
+
+function reviewsSectionHtml(data, page) {
+  if (!data) {
+    return `<section id="reviews" style="margin-top:2rem;"><h3>Reviews</h3><p>Reviews could not be loaded.</p></section>`;
+  }
+  const { rating, reviews, total, viewer } = data;
+  const pages = Math.max(1, Math.ceil(total / REVIEWS_PAGE_SIZE));
+  const pagerHtml = pages > 1
+    ? `
+      <div style="display:flex;justify-content:space-between;font-size:0.9rem;margin-top:0.5rem;">
+        <span>${page > 1 ? `<a href="?reviews_page=${page - 1}#reviews" class="link">← Newer reviews</a>` : ''}</span>
+        <span style="color:#666;">Page ${page} of ${pages}</span>
+        <span>${page < pages ? `<a href="?reviews_page=${page + 1}#reviews" class="link">Older reviews →</a>` : ''}</span>
+      </div>`
+    : '';
+
+  return `
+    <section id="reviews" style="margin-top:2rem;">
+      <h3>Reviews</h3>
+      <p style="font-size:0.95rem;">
+        ${
+          rating.count
+            ? `<span style="color:#c48a00;">${starsText(rating.average)}</span> ${rating.average} out of 5 · ${rating.count} review${rating.count === 1 ? '' : 's'}`
+            : 'No reviews yet.'
+        }
+      </p>
+      ${reviewFormHtml(viewer)}
+      <div id="reviewsMsg" class="msg"></div>
+      ${reviews.map((r) => reviewHtml(r, viewer)).join('')}
+      ${pagerHtml}
+    </section>
+  `;
+}
+
 // ---- Product detail page ----
 async function renderProductPage(env, request, productId) {
   const url = new URL(request.url);
   url.pathname = `/api/products/${encodeURIComponent(productId)}`;
 
+  const reviewsPage = Math.max(1, parseInt(url.searchParams.get('reviews_page'), 10) || 1);
+  const reviewsUrl = new URL(request.url);
+  reviewsUrl.pathname = `/api/products/${encodeURIComponent(productId)}/reviews`;
+  reviewsUrl.search = `?limit=${REVIEWS_PAGE_SIZE}&offset=${(reviewsPage - 1) * REVIEWS_PAGE_SIZE}`;
+
   const apiReq = new Request(url.toString(), request);
-  const res = await env.CATALOG_SERVICE.fetch(apiReq);
+  const [res, reviewsRes] = await Promise.all([
+    env.CATALOG_SERVICE.fetch(apiReq),
+    env.CATALOG_SERVICE.fetch(new Request(reviewsUrl.toString(), request))
+  ]);
 
   if (!res.ok) {
     return layout(
@@ -223,29 +524,93 @@ async function renderProductPage(env, request, productId) {
 
   const data = await res.json();
   const p = data.product || data;
+  const reviewsData = reviewsRes.ok ? await reviewsRes.json() : null;
 
   const title = p.title || 'Product';
   const price = Number(p.price_cents ?? 0); // raw, e.g. 130
-  const img = p.image_url || '';
-  const sellerName = p.seller && p.seller.name ? p.seller.name : 'Unknown seller';
+  const saleEndsText = p.sale
+    ? new Date(p.sale.ends_at).toLocaleString('en-US', { timeZone: 'UTC', dateStyle: 'medium', timeStyle: 'short' }) + ' UTC'
+    : '';
+  const images = p.images && p.images.length
+    ? p.images
+    : p.image_url
+      ? [{ url: p.image_url, alt: '' }]
+      : [];
+  const mainImage = images[0] || null;
+  const thumbsHtml = images.length > 1
+    ? `
+      <div id="galleryThumbs" style="display:flex;gap:0.4rem;margin-top:0.5rem;flex-wrap:wrap;max-width:320px;">
+        ${images
+          .map(
+            (im, i) => `
+          <button type="button" class="gallery-thumb" data-src="${escapeHtml(im.url)}" data-alt="${escapeHtml(im.alt || title)}" aria-label="Show image ${i + 1}" style="padding:0;border:2px solid ${i === 0 ? '#111' : '#ddd'};border-radius:6px;background:none;cursor:pointer;">
+            <img src="${escapeHtml(im.url)}" alt="${escapeHtml(im.alt || '')}" style="width:56px;height:56px;object-fit:cover;border-radius:4px;display:block;" />
+          </button>`
+          )
+          .join('')}
+      </div>`
+    : '';
+  const sellerHtml = p.store
+    ? `<a href="/shop/${encodeURIComponent(p.store.slug)}" class="link">${escapeHtml(p.store.name)}</a>`
+    : 'Unknown seller';
   const stockText = p.stock != null ? p.stock : 'Unknown';
 
+  // One <select> per option type; the script maps the chosen values to a variant
+  const options = p.options || [];
+  const variants = p.variants || [];
+  const variantsHtml = variants.length
+    ? `
+      <div id="variantPicker" style="margin-top:0.75rem;display:flex;gap:0.75rem;flex-wrap:wrap;">
+        ${options
+          .map(
+            (o) => `
+          <label style="font-size:0.9rem;">${escapeHtml(o.name)}
+            <select class="variant-option" data-option="${escapeHtml(o.name)}">
+              <option value="">Choose…</option>
+              ${o.values.map((v) => `<option value="${escapeHtml(v)}">${escapeHtml(v)}</option>`).join('')}
+            </select>
+          </label>`
+          )
+          .join('')}
+      </div>`
+    : '';
+
   const body = `
     <a href="/" class="link">← Back to home</a>
     <div style="display:flex;gap:2rem;margin-top:1rem;">
       <div>
         ${
-          img
-            ? `<img src="${img}" alt="${title}" style="max-width:320px;border-radius:8px;object-fit:cover;" />`
+          mainImage
+            ? `<img id="galleryMain" src="${escapeHtml(mainImage.url)}" alt="${escapeHtml(mainImage.alt || title)}" style="max-width:320px;border-radius:8px;object-fit:cover;" />`
             : `<div style="width:320px;height:320px;border-radius:8px;border:1px solid #ddd;display:flex;align-items:center;justify-content:center;color:#aaa;">No image</div>`
         }
+        ${thumbsHtml}
       </div>
       <div style="max-width:480px;">
         <h2>${title}</h2>
-        <div class="price" style="font-size:1.4rem;font-weight:bold;margin-top:0.5rem;">$${price}</div>
-        <div class="seller" style="color:#555;margin-top:0.3rem;">Sold by: <strong>${sellerName}</strong></div>
-        <div style="margin-top:0.3rem;font-size:0.9rem;">In stock: <strong>${stockText}</strong></div>
+        <div class="price" id="productPrice" style="font-size:1.4rem;font-weight:bold;margin-top:0.5rem;">
+          <span id="productPriceNow"${p.sale ? ' class="sale-price"' : ''}>$${price}</span>
+          ${p.sale ? `<s id="productPriceWas" class="regular-price">$${formatAmountRaw(p.regular_price_cents)}</s>` : ''}
+        </div>
+        ${
+          p.sale
+            ? `<div id="saleNote" class="sale-price" style="font-size:0.85rem;">On sale until ${escapeHtml(saleEndsText)}</div>`
+            : ''
+        }
+        ${
+          p.rating && p.rating.count
+            ? `<a href="#reviews" class="link" style="font-size:0.9rem;"><span style="color:#c48a00;">${starsText(p.rating.average)}</span> ${p.rating.average} (${p.rating.count} review${p.rating.count === 1 ? '' : 's'})</a>`
+            : ''
+        }
+        <div class="seller" style="color:#555;margin-top:0.3rem;">Sold by: <strong>${sellerHtml}</strong></div>
+        <div style="margin-top:0.3rem;font-size:0.9rem;">In stock: <strong id="productStock">${stockText}</strong></div>
+        ${
+          p.category
+            ? `<div style="margin-top:0.3rem;font-size:0.9rem;">Category: <a href="/category/${encodeURIComponent(p.category.slug)}" class="link">${escapeHtml(p.category.name)}</a></div>`
+            : ''
+        }
         <p style="margin-top:1rem;white-space:pre-wrap;font-size:0.95rem;">${p.description || ''}</p>
+        ${variantsHtml}
         <div class="actions" style="margin-top:1rem;display:flex;gap:0.5rem;">
           <button class="btn" id="btn-add">Add to cart</button>
           <button class="btn secondary" id="btn-buy">Buy now</button>
@@ -253,23 +618,58 @@ async function renderProductPage(env, request, productId) {
         <div id="product-msg" class="msg"></div>
       </div>
     </div>
+    ${reviewsSectionHtml(reviewsData, reviewsPage)}
   `;
 
   const extraScript = `
     <script>
       (function() {
         const productId = ${JSON.stringify(p.id)};
+        const variants = ${JSON.stringify(variants).replace(/</g, '\\u003c')};
         const msgEl = document.getElementById('product-msg');
+        let selectedVariant = null;
+
+        const picker = document.getElementById('variantPicker');
+        if (picker) {
+          picker.addEventListener('change', () => {
+            const chosen = {};
+            picker.querySelectorAll('.variant-option').forEach((sel) => {
+              chosen[sel.getAttribute('data-option')] = sel.value;
+            });
+            selectedVariant = variants.find((v) =>
+              Object.keys(v.options).every((name) => v.options[name] === chosen[name])
+            ) || null;
+            const priceNow = document.getElementById('productPriceNow');
+            const priceWas = document.getElementById('productPriceWas');
+            priceNow.textContent = '$' + (selectedVariant ? selectedVariant.price_cents : ${JSON.stringify(price)});
+            if (priceWas) {
+              // Variants with their own price aren't part of the sale
+              const onSale = !selectedVariant || selectedVariant.price_override_cents == null;
+              priceNow.className = onSale ? 'sale-price' : '';
+              priceWas.style.display = onSale ? '' : 'none';
+              document.getElementById('saleNote').style.display = onSale ? '' : 'none';
+            }
+            document.getElementById('productStock').textContent = selectedVariant
+              ? String(selectedVariant.stock - selectedVariant.reserved)
+              : ${JSON.stringify(String(stockText))};
+          });
+        }
 
         async function addToCart(redirectToCheckout) {
           msgEl.textContent = '';
           msgEl.className = 'msg';
+          if (variants.length && !selectedVariant) {
+            msgEl.textContent = 'Choose an option first.';
+            msgEl.className = 'msg error';
+            return;
+          }
           try {
             const res = await fetch('/api/cart/items', {
               method: 'POST',
               headers: { 'content-type': 'application/json' },
               body: JSON.stringify({
                 product_id: productId,
+                variant_id: selectedVariant ? selectedVariant.id : null,
                 qty: 1,
                 operation: 'add'
               })
@@ -293,6 +693,77 @@ async function renderProductPage(env, request, productId) {
 
         document.getElementById('btn-add')?.addEventListener('click', () => addToCart(false));
         document.getElementById('btn-buy')?.addEventListener('click', () => addToCart(true));
+
+        // Reviews: post/update own review, delete, seller replies; reload on success
+        const reviewsMsg = document.getElementById('reviewsMsg');
+        async function sendReview(method, path, payload) {
+          reviewsMsg.textContent = '';
+          reviewsMsg.className = 'msg';
+          try {
+            const res = await fetch(path, {
+              method,
+              headers: { 'content-type': 'application/json' },
+              body: payload ? JSON.stringify(payload) : undefined
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.ok) {
+              reviewsMsg.textContent = data.error || 'Request failed.';
+              reviewsMsg.className = 'msg error';
+              return;
+            }
+            window.location.reload();
+          } catch (e) {
+            reviewsMsg.textContent = 'Network error.';
+            reviewsMsg.className = 'msg error';
+          }
+        }
+        const reviewsBase = '/api/products/' + encodeURIComponent(productId) + '/reviews';
+
+        const reviewForm = document.getElementById('reviewForm');
+        if (reviewForm) {
+          reviewForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            const reviewId = reviewForm.getAttribute('data-review-id');
+            const payload = {
+              rating: Number(reviewForm.elements.namedItem('rating').value),
+              title: reviewForm.elements.namedItem('title').value,
+              body: reviewForm.elements.namedItem('body').value
+            };
+            if (reviewId) sendReview('PUT', reviewsBase + '/' + encodeURIComponent(reviewId), payload);
+            else sendReview('POST', reviewsBase, payload);
+          });
+        }
+
+        document.getElementById('reviews')?.addEventListener('click', (e) => {
+          const btn = e.target.closest('.btn-review-delete');
+          if (!btn || !confirm('Delete this review?')) return;
+          sendReview('DELETE', reviewsBase + '/' + encodeURIComponent(btn.getAttribute('data-review-id')));
+        });
+
+        document.querySelectorAll('.review-reply-form').forEach((form) => {
+          form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            sendReview(
+              form.getAttribute('data-method'),
+              '/api/seller/reviews/' + encodeURIComponent(form.getAttribute('data-review-id')) + '/reply',
+              { reply: form.elements.namedItem('reply').value }
+            );
+          });
+        });
+
+        const thumbs = document.getElementById('galleryThumbs');
+        const mainImg = document.getElementById('galleryMain');
+        if (thumbs && mainImg) {
+          thumbs.addEventListener('click', (e) => {
+            const btn = e.target.closest('.gallery-thumb');
+            if (!btn) return;
+            mainImg.src = btn.getAttribute('data-src');
+            mainImg.alt = btn.getAttribute('data-alt');
+            thumbs.querySelectorAll('.gallery-thumb').forEach((b) => {
+              b.style.borderColor = b === btn ? '#111' : '#ddd';
+            });
+          });
+        }
       })();
     </script>
   `;
@@ -300,6 +771,212 @@ async function renderProductPage(env, request, productId) {
   return layout(env, request, `${title} – Week1 Store`, body, { extraScript });
 }
 
+// ---- Public shop page ----
+async function renderShopPage(env, request, slug) {
+  const url = new URL(request.url);
+  url.pathname = `/api/stores/${encodeURIComponent(slug)}`;
+  url.search = '';
+
+  const res = await env.CATALOG_SERVICE.fetch(new Request(url.toString(), request));
+  if (!res.ok) {
+    return layout(
+      env,
+      request,
+      'Shop – Not found',
+      `<h2>Shop not found</h2><p><a href="/" class="link">Browse all products</a></p>`,
+      { status: res.status === 404 ? 404 : 502 }
+    );
+  }
+
+  const data = await res.json();
+  const store = data.store;
+  const products = data.products || [];
+
+  const itemsHtml = products.map(productCardHtml).join('');
+
+  const body = `
+    <div style="display:flex;gap:1rem;align-items:center;">
+      ${
+        store.logo_url
+          ? `<img src="${escapeHtml(store.logo_url)}" alt="" style="width:72px;height:72px;border-radius:8px;object-fit:cover;border:1px solid #eee;" />`
+          : ''
+      }
+      <div>
+        <h2 style="margin:0;">${escapeHtml(store.name)}</h2>
+        <div style="font-size:0.85rem;color:#666;">Selling on Week1 Store since ${escapeHtml(new Date(store.created_at).toLocaleDateString('en-US', { year: 'numeric', month: 'long' }))}</div>
+      </div>
+    </div>
+    ${store.description ? `<p style="white-space:pre-wrap;margin-top:1rem;">${escapeHtml(store.description)}</p>` : ''}
+
+    <h3 style="margin-top:1.5rem;">Products</h3>
+    <div>
+      ${itemsHtml || '<p>This shop has no products for sale right now.</p>'}
+    </div>
+
+    ${
+      store.return_policy
+        ? `<h3 style="margin-top:1.5rem;">Return policy</h3><p style="white-space:pre-wrap;font-size:0.9rem;">${escapeHtml(store.return_policy)}</p>`
+        : ''
+    }
+  `;
+
+  return layout(env, request, `${escapeHtml(store.name)} – Week1 Store`, body);
+}
+
+// ---- Search results page ----
+async function renderSearchPage(env, request) {
+  const q = (new URL(request.url).searchParams.get('q') || '').trim();
+
+  let resultsHtml = '';
+  if (q) {
+    const url = new URL(request.url);
+    url.pathname = '/api/products';
+    url.search = `?q=${encodeURIComponent(q)}`;
+
+    const res = await env.CATALOG_SERVICE.fetch(new Request(url.toString(), request));
+    if (!res.ok) {
+      resultsHtml = `<p>Search failed (status ${res.status}).</p>`;
+    } else {
+      const products = (await res.json()).products || [];
+      // title_html / snippet_html arrive HTML-escaped from the catalog, with <mark> around matches
+      resultsHtml = products.length
+        ? `
+          <p style="font-size:0.85rem;color:#555;">${products.length} result${products.length === 1 ? '' : 's'}</p>
+          ${products
+            .map(
+              (p) => `
+            <a class="card" href="/product/${encodeURIComponent(p.id)}" style="border:1px solid #ddd;border-radius:8px;padding:0.75rem;text-decoration:none;color:inherit;display:flex;gap:0.75rem;align-items:flex-start;margin-bottom:0.75rem;">
+              <div style="width:80px;height:80px;border-radius:6px;overflow:hidden;background:#fafafa;flex-shrink:0;display:flex;align-items:center;justify-content:center;">
+                ${
+                  p.image_url
+                    ? `<img src="${escapeHtml(p.image_url)}" alt="${escapeHtml(p.title)}" style="width:100%;height:100%;object-fit:cover;" />`
+                    : `<span style="color:#aaa;font-size:0.8rem;">No image</span>`
+                }
+              </div>
+              <div style="flex:1;">
+                <div style="font-weight:600;">${p.search ? p.search.title_html : escapeHtml(p.title)}</div>
+                <div style="font-size:0.9rem;margin-top:0.15rem;">${priceHtml(p)}</div>
+                ${
+                  p.search && p.search.snippet_html
+                    ? `<div style="font-size:0.85rem;color:#444;margin-top:0.25rem;">${p.search.snippet_html}</div>`
+                    : ''
+                }
+                ${
+                  p.store
+                    ? `<div style="font-size:0.8rem;color:#666;margin-top:0.1rem;">by ${escapeHtml(p.store.name)}</div>`
+                    : ''
+                }
+              </div>
+            </a>`
+            )
+            .join('')}`
+        : `<p>No products match “${escapeHtml(q)}”.</p>`;
+    }
+  }
+
+  const body = `
+    <h2>Search</h2>
+    <form action="/search" method="get" role="search" style="display:flex;gap:0.5rem;max-width:480px;margin-bottom:1rem;">
+      <input type="search" name="q" value="${escapeHtml(q)}" placeholder="Search products" aria-label="Search products" maxlength="200" autofocus />
+      <button type="submit" class="btn">Search</button>
+    </form>
+    ${resultsHtml}
+  `;
+
+  return layout(env, request, q ? `${escapeHtml(q)} – Search – Week1 Store` : 'Search – Week1 Store', body);
+}
+
+// Top-level categories from the catalog; an empty list if the catalog is unreachable
+async function fetchCategoryTree(env, request) {
+  const url = new URL(request.url);
+  url.pathname = '/api/categories';
+  url.search = '';
+  try {
+    const res = await env.CATALOG_SERVICE.fetch(new Request(url.toString(), request));
+    if (!res.ok) return [];
+    const data = await res.json();
+    return data.categories || [];
+  } catch {
+    return [];
+  }
+}
+
+function categoryLinksHtml(categories) {
+  if (!categories.length) return '';
+  return `
+    <div style="display:flex;flex-wrap:wrap;gap:0.4rem;margin:0.75rem 0;">
+      ${categories
+        .map(
+          (c) =>
+            `<a href="/category/${encodeURIComponent(c.slug)}" class="btn secondary sm">${escapeHtml(c.name)}</a>`
+        )
+        .join('')}
+    </div>
+  `;
+}
+
+// ---- Category page: breadcrumbs, subcategories and products (incl. subcategories) ----
+async function renderCategoryPage(env, request, slug) {
+  const categoryUrl = new URL(request.url);
+  categoryUrl.pathname = `/api/categories/${encodeURIComponent(slug)}`;
+  categoryUrl.search = '';
+
+  const productsUrl = new URL(request.url);
+  productsUrl.pathname = '/api/products';
+  productsUrl.search = `?category=${encodeURIComponent(slug)}`;
+
+  const [categoryRes, productsRes] = await Promise.all([
+    env.CATALOG_SERVICE.fetch(new Request(categoryUrl.toString(), request)),
+    env.CATALOG_SERVICE.fetch(new Request(productsUrl.toString(), request))
+  ]);
+
+  if (!categoryRes.ok) {
+    return layout(
+      env,
+      request,
+      'Category – Not found',
+      `<h2>Category not found</h2><p><a href="/" class="link">Browse all products</a></p>`,
+      { status: categoryRes.status === 404 ? 404 : 502 }
+    );
+  }
+
+  const data = await categoryRes.json();
+  const productsData = productsRes.ok ? await productsRes.json() : {};
+  const products = productsData.products || [];
+  const crumbs = data.breadcrumbs || [];
+
+  const breadcrumbsHtml = [
+    `<a href="/" class="link">Home</a>`,
+    ...crumbs.map((c, i) =>
+      i === crumbs.length - 1
+        ? `<span>${escapeHtml(c.name)}</span>`
+        : `<a href="/category/${encodeURIComponent(c.slug)}" class="link">${escapeHtml(c.name)}</a>`
+    )
+  ].join(' › ');
+
+  const body = `
+    <nav aria-label="Breadcrumb" style="font-size:0.9rem;color:#555;">${breadcrumbsHtml}</nav>
+    <h2 style="margin-top:0.5rem;">${escapeHtml(data.category.name)}</h2>
+    ${categoryLinksHtml(data.children || [])}
+    <div>
+      ${
+        products.length
+          ? products.map(productCardHtml).join('')
+          : productsRes.ok
+            ? '<p>No products in this category yet.</p>'
+            : `<p>Failed to load products (status ${productsRes.status}).</p>`
+      }
+    </div>
+    ${
+      productsData.next_cursor
+        ? `<p><a href="/products?category=${encodeURIComponent(slug)}&amp;cursor=${encodeURIComponent(productsData.next_cursor)}" class="link" rel="next">More in ${escapeHtml(data.category.name)} →</a></p>`
+        : ''
+    }
+  `;
+
+  return layout(env, request, `${escapeHtml(data.category.name)} – Week1 Store`, body);
+}
+
 // ---- Login page ----
 async function renderLoginPage(env, request) {
   const body = `
@@ -316,9 +993,34 @@ async function renderLoginPage(env, request) {
       <button type="submit" class="btn">Login</button>
       <a href="/signup" class="link" style="margin-left:0.5rem;font-size:0.85rem;">Create account</a>
       <div style="margin-top:0.4rem;">
-        <a href="#" id="forgotLink" class="link" style="font-size:0.8rem;">Forgot password (instant reset demo)</a>
+        <a href="/forgot-password" class="link" style="font-size:0.8rem;">Forgot password?</a>
+      </div>
+    </form>
+    <form id="twoFactorForm" style="max-width:360px;margin-top:1rem;display:none;">
+      <p style="font-size:0.9rem;color:#555;">Enter the 6-digit code from your authenticator app, or one of your recovery codes.</p>
+      <div>
+        <label>Authentication code</label>
+        <input name="code" autocomplete="one-time-code" required />
       </div>
+      <button type="submit" class="btn">Verify</button>
     </form>
+    <div id="twoFactorSetup" style="max-width:480px;margin-top:1rem;display:none;font-size:0.9rem;">
+      <p>Your role requires two-factor authentication. Add this key to your authenticator app (or open the link on your phone), then enter the 6-digit code it shows to finish signing in.</p>
+      <div>Key: <code id="twoFactorSecret"></code></div>
+      <div style="margin-top:0.3rem;word-break:break-all;"><a id="twoFactorUri" class="link" href="#">Open in authenticator app</a></div>
+      <form id="twoFactorSetupForm" style="margin-top:0.5rem;">
+        <div>
+          <label>Code</label>
+          <input name="code" autocomplete="one-time-code" required />
+        </div>
+        <button type="submit" class="btn">Enable 2FA and continue</button>
+      </form>
+    </div>
+    <div id="twoFactorRecovery" style="max-width:480px;margin-top:1rem;display:none;font-size:0.9rem;">
+      <p>Save these recovery codes somewhere safe. Each one can be used once if you lose your device; they will not be shown again.</p>
+      <pre id="twoFactorRecoveryCodes" style="background:#fafafa;padding:0.5rem;border-radius:4px;"></pre>
+      <a href="/" class="btn">Continue</a>
+    </div>
     <div id="loginMsg" class="msg"></div>
   `;
 
@@ -326,7 +1028,72 @@ async function renderLoginPage(env, request) {
     <script>
       (function() {
         const form = document.getElementById('loginForm');
+        const twoFactorForm = document.getElementById('twoFactorForm');
         const msg = document.getElementById('loginMsg');
+        let challenge = null;
+
+        const setupBox = document.getElementById('twoFactorSetup');
+        const setupForm = document.getElementById('twoFactorSetupForm');
+
+        // The session from this login only works for enrolling until 2FA is confirmed
+        async function startTwoFactorSetup() {
+          form.style.display = 'none';
+          try {
+            const res = await fetch('/api/users/me/2fa/setup', { method: 'POST' });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.ok) {
+              msg.textContent = data.error || 'Failed to start 2FA setup.';
+              msg.className = 'msg error';
+              return;
+            }
+            document.getElementById('twoFactorSecret').textContent = data.secret;
+            document.getElementById('twoFactorUri').href = data.otpauth_uri;
+            setupBox.style.display = '';
+            setupForm.elements.code.focus();
+          } catch (err) {
+            msg.textContent = 'Error starting 2FA setup.';
+            msg.className = 'msg error';
+          }
+        }
+
+        setupForm.addEventListener('submit', async (e) => {
+          e.preventDefault();
+          msg.textContent = '';
+          msg.className = 'msg';
+          try {
+            const res = await fetch('/api/users/me/2fa/confirm', {
+              method: 'POST',
+              headers: { 'content-type': 'application/json' },
+              body: JSON.stringify({ code: setupForm.elements.code.value })
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.ok) {
+              msg.textContent = data.error || 'Failed to confirm 2FA.';
+              msg.className = 'msg error';
+              return;
+            }
+            setupBox.style.display = 'none';
+            document.getElementById('twoFactorRecoveryCodes').textContent = (data.recovery_codes || []).join('\\n');
+            document.getElementById('twoFactorRecovery').style.display = '';
+            msg.textContent = 'Two-factor authentication enabled. You are now logged in.';
+            msg.className = 'msg ok';
+          } catch (err) {
+            msg.textContent = 'Error confirming 2FA.';
+            msg.className = 'msg error';
+          }
+        });
+
+        function loggedIn(data) {
+          if (data.two_factor_setup_required) {
+            startTwoFactorSetup();
+            return;
+          }
+          msg.textContent = data.restored
+            ? 'Welcome back! Your account has been restored. Redirecting…'
+            : 'Logged in! Redirecting…';
+          msg.className = 'msg ok';
+          setTimeout(() => { window.location.href = '/'; }, 600);
+        }
 
         form.addEventListener('submit', async (e) => {
           e.preventDefault();
@@ -338,54 +1105,188 @@ async function renderLoginPage(env, request) {
             password: formData.get('password')
           };
           try {
-            const res = await fetch('/api/auth/login', {
+            const res = await fetch('/api/auth/login', {
+              method: 'POST',
+              headers: { 'content-type': 'application/json' },
+              body: JSON.stringify(body)
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.ok) {
+              msg.textContent = data.error || 'Login failed.';
+              msg.className = 'msg error';
+              return;
+            }
+            if (data.two_factor_required) {
+              challenge = data.challenge;
+              form.style.display = 'none';
+              twoFactorForm.style.display = '';
+              twoFactorForm.elements.code.focus();
+              return;
+            }
+            loggedIn(data);
+          } catch (err) {
+            msg.textContent = 'Error logging in.';
+            msg.className = 'msg error';
+          }
+        });
+
+        twoFactorForm.addEventListener('submit', async (e) => {
+          e.preventDefault();
+          msg.textContent = '';
+          msg.className = 'msg';
+          try {
+            const res = await fetch('/api/auth/login/2fa', {
+              method: 'POST',
+              headers: { 'content-type': 'application/json' },
+              body: JSON.stringify({ challenge, code: twoFactorForm.elements.code.value })
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.ok) {
+              msg.textContent = data.error || 'Verification failed.';
+              msg.className = 'msg error';
+              if (res.status === 401 && /challenge/i.test(data.error || '')) {
+                twoFactorForm.style.display = 'none';
+                form.style.display = '';
+              }
+              return;
+            }
+            loggedIn(data);
+          } catch (err) {
+            msg.textContent = 'Error verifying code.';
+            msg.className = 'msg error';
+          }
+        });
+      })();
+    </script>
+  `;
+
+  return layout(env, request, 'Login – Week1 Store', body, { extraScript });
+}
+
+// ---- Forgot password page (step 1: request a reset link) ----
+async function renderForgotPasswordPage(env, request) {
+  const body = `
+    <h2>Forgot password</h2>
+    <p style="font-size:0.9rem;color:#555;">Enter your account email and we'll send you a link to choose a new password.</p>
+    <form id="forgotForm" style="max-width:360px;margin-top:1rem;">
+      <div>
+        <label>Email</label>
+        <input name="email" type="email" required />
+      </div>
+      <button type="submit" class="btn">Send reset link</button>
+      <a href="/login" class="link" style="margin-left:0.5rem;font-size:0.85rem;">Back to login</a>
+    </form>
+    <div id="forgotMsg" class="msg"></div>
+  `;
+
+  const extraScript = `
+    <script>
+      (function() {
+        const form = document.getElementById('forgotForm');
+        const msg = document.getElementById('forgotMsg');
+
+        form.addEventListener('submit', async (e) => {
+          e.preventDefault();
+          msg.textContent = '';
+          msg.className = 'msg';
+          const fd = new FormData(form);
+          try {
+            const res = await fetch('/api/auth/forgot-password', {
+              method: 'POST',
+              headers: { 'content-type': 'application/json' },
+              body: JSON.stringify({ email: fd.get('email') })
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.ok) {
+              msg.textContent = data.error || 'Failed to request a reset link.';
+              msg.className = 'msg error';
+              return;
+            }
+            msg.textContent = 'If an account exists for that email, a reset link is on its way.';
+            msg.className = 'msg ok';
+            form.reset();
+          } catch (err) {
+            msg.textContent = 'Error requesting reset link.';
+            msg.className = 'msg error';
+          }
+        });
+      })();
+    </script>
+  `;
+
+  return layout(env, request, 'Forgot password – Week1 Store', body, { extraScript });
+}
+
+// ---- Reset password page (step 2: token from the emailed link) ----
+async function renderResetPasswordPage(env, request) {
+  // Tokens are hex; drop anything else before embedding it in the page
+  const token = (new URL(request.url).searchParams.get('token') || '').replace(/[^a-f0-9]/gi, '');
+
+  const body = `
+    <h2>Choose a new password</h2>
+    <form id="resetForm" style="max-width:360px;margin-top:1rem;">
+      <div>
+        <label>New password</label>
+        <input name="new_password" type="password" required minlength="8" />
+      </div>
+      <div>
+        <label>Confirm new password</label>
+        <input name="confirm_password" type="password" required minlength="8" />
+      </div>
+      <button type="submit" class="btn">Reset password</button>
+    </form>
+    <div id="resetMsg" class="msg"></div>
+  `;
+
+  const extraScript = `
+    <script>
+      (function() {
+        const token = ${JSON.stringify(token)};
+        const form = document.getElementById('resetForm');
+        const msg = document.getElementById('resetMsg');
+
+        if (!token) {
+          msg.innerHTML = 'This reset link is incomplete. <a href="/forgot-password" class="link">Request a new one</a>.';
+          msg.className = 'msg error';
+          form.style.display = 'none';
+          return;
+        }
+
+        form.addEventListener('submit', async (e) => {
+          e.preventDefault();
+          msg.textContent = '';
+          msg.className = 'msg';
+          const fd = new FormData(form);
+          if (fd.get('new_password') !== fd.get('confirm_password')) {
+            msg.textContent = 'Passwords do not match.';
+            msg.className = 'msg error';
+            return;
+          }
+          try {
+            const res = await fetch('/api/auth/reset-password', {
               method: 'POST',
               headers: { 'content-type': 'application/json' },
-              body: JSON.stringify(body)
+              body: JSON.stringify({ token, new_password: fd.get('new_password') })
             });
             const data = await res.json().catch(() => ({}));
             if (!res.ok || !data.ok) {
-              msg.textContent = data.error || 'Login failed.';
+              msg.textContent = data.error || 'Failed to reset password.';
               msg.className = 'msg error';
               return;
             }
-            msg.textContent = 'Logged in! Redirecting…';
+            msg.textContent = 'Password updated! Redirecting to login…';
             msg.className = 'msg ok';
-            setTimeout(() => { window.location.href = '/'; }, 600);
+            setTimeout(() => { window.location.href = '/login'; }, 800);
           } catch (err) {
-            msg.textContent = 'Error logging in.';
+            msg.textContent = 'Error resetting password.';
             msg.className = 'msg error';
           }
         });
-
-        document.getElementById('forgotLink').addEventListener('click', async (e) => {
-          e.preventDefault();
-          const email = prompt('Enter your email to reset (demo: new password = "new-password-123")');
-          if (!email) return;
-          try {
-            const res = await fetch('/api/auth/forgot-password', {
-              method: 'POST',
-              headers: { 'content-type': 'application/json' },
-              body: JSON.stringify({
-                email,
-                new_password: 'new-password-123'
-              })
-            });
-            const data = await res.json().catch(() => ({}));
-            if (!res.ok || !data.ok) {
-              alert(data.error || 'Reset failed');
-            } else {
-              alert('Password reset to "new-password-123". Please login with that.');
-            }
-          } catch (err) {
-            alert('Error performing reset');
-          }
-        });
       })();
     </script>
   `;
 
-  return layout(env, request, 'Login – Week1 Store', body, { extraScript });
+  return layout(env, request, 'Reset password – Week1 Store', body, { extraScript });
 }
 
 // ---- Signup page ----
@@ -409,13 +1310,7 @@ async function renderSignupPage(env, request) {
         <label>Password</label>
         <input name="password" type="password" required minlength="8" />
       </div>
-      <div>
-        <label>Role</label>
-        <select name="role">
-          <option value="buyer">Buyer</option>
-          <option value="seller">Seller</option>
-        </select>
-      </div>
+      <p style="font-size:0.8rem;color:#555;">Want to sell? Apply from your profile once your account is set up.</p>
       <button type="submit" class="btn">Sign up</button>
       <a href="/login" class="link" style="margin-left:0.5rem;font-size:0.85rem;">Already have an account?</a>
     </form>
@@ -437,8 +1332,7 @@ async function renderSignupPage(env, request) {
             name: fd.get('name'),
             email: fd.get('email'),
             phone: fd.get('phone') || null,
-            password: fd.get('password'),
-            role: fd.get('role') || 'buyer'
+            password: fd.get('password')
           };
           try {
             const res = await fetch('/api/users/register', {
@@ -452,9 +1346,9 @@ async function renderSignupPage(env, request) {
               msg.className = 'msg error';
               return;
             }
-            msg.textContent = 'Account created! Redirecting to login…';
+            msg.textContent = 'Account created! Check your email for a link to confirm your address. Redirecting to login…';
             msg.className = 'msg ok';
-            setTimeout(() => { window.location.href = '/login'; }, 800);
+            setTimeout(() => { window.location.href = '/login'; }, 1500);
           } catch (err) {
             msg.textContent = 'Error signing up.';
             msg.className = 'msg error';
@@ -486,6 +1380,14 @@ async function renderCartPage(env, request) {
         const container = document.getElementById('cartContainer');
         const msg = document.getElementById('cartMsg');
 
+        function esc(str) {
+          return String(str == null ? '' : str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        }
+
         async function loadCart() {
           container.textContent = 'Loading…';
           msg.textContent = '';
@@ -510,8 +1412,11 @@ async function renderCartPage(env, request) {
               const unit = Number(item.price_cents || 0);
               const line = unit * Number(item.qty || 0);
               return \`
-                <tr data-product-id="\${item.product_id}">
-                  <td>\${item.title}</td>
+                <tr data-product-id="\${item.product_id}" data-variant-id="\${item.variant_id || ''}">
+                  <td>
+                    \${esc(item.title)}\${item.variant_label ? ' – ' + esc(item.variant_label) : ''}
+                    \${item.unavailable ? '<div class="msg error" style="font-size:0.8rem;">' + esc(item.unavailable) + '</div>' : ''}
+                  </td>
                   <td>$\${unit}</td>
                   <td>
                     <button class="btn sm btn-minus">-</button>
@@ -542,6 +1447,7 @@ async function renderCartPage(env, request) {
           const row = btn.closest('tr');
           if (!row) return;
           const productId = row.getAttribute('data-product-id');
+          const variantId = row.getAttribute('data-variant-id') || null;
           let op;
           if (btn.classList.contains('btn-plus')) {
             op = 'add';
@@ -556,6 +1462,7 @@ async function renderCartPage(env, request) {
               headers: { 'content-type': 'application/json' },
               body: JSON.stringify({
                 product_id: productId,
+                variant_id: variantId,
                 qty: 1,
                 operation: op
               })
@@ -601,6 +1508,14 @@ async function renderCheckoutPage(env, request) {
         const container = document.getElementById('checkoutContainer');
         const msg = document.getElementById('checkoutMsg');
 
+        function esc(str) {
+          return String(str == null ? '' : str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        }
+
         async function loadSummary() {
           container.textContent = 'Loading…';
           msg.textContent = '';
@@ -625,7 +1540,7 @@ async function renderCheckoutPage(env, request) {
               const line = unit * Number(item.qty || 0);
               return \`
                 <tr>
-                  <td>\${item.title}</td>
+                  <td>\${esc(item.title)}\${item.variant_label ? ' – ' + esc(item.variant_label) : ''}</td>
                   <td>$\${unit}</td>
                   <td>\${item.qty}</td>
                   <td>$\${line}</td>
@@ -911,6 +1826,10 @@ async function renderProfilePage(env, request) {
           <div>
             <label>Email (read-only)</label>
             <input name="email" disabled />
+            <div style="font-size:0.8rem;margin-top:0.25rem;">
+              <span id="emailVerifyStatus"></span>
+              <button type="button" id="resendVerification" class="btn sm secondary" style="display:none;margin-left:0.5rem;">Resend verification email</button>
+            </div>
           </div>
           <div>
             <label>Phone</label>
@@ -922,6 +1841,74 @@ async function renderProfilePage(env, request) {
         <div id="profileMsg" class="msg"></div>
       </div>
     </div>
+
+    <h3 id="2fa" style="margin-top:1.5rem;">Two-factor authentication</h3>
+    <div id="twoFactorStatus" style="font-size:0.9rem;">Loading…</div>
+    <div id="twoFactorSetup" style="display:none;max-width:480px;margin-top:0.5rem;font-size:0.9rem;">
+      <p>Add this key to your authenticator app (or open the link on your phone), then enter the 6-digit code it shows.</p>
+      <div>Key: <code id="twoFactorSecret"></code></div>
+      <div style="margin-top:0.3rem;word-break:break-all;"><a id="twoFactorUri" class="link" href="#">Open in authenticator app</a></div>
+      <form id="twoFactorConfirmForm" style="margin-top:0.5rem;">
+        <div>
+          <label>Code</label>
+          <input name="code" autocomplete="one-time-code" required />
+        </div>
+        <button type="submit" class="btn sm">Confirm</button>
+      </form>
+    </div>
+    <div id="twoFactorRecovery" style="display:none;max-width:480px;margin-top:0.5rem;font-size:0.9rem;">
+      <p>Save these recovery codes somewhere safe. Each one can be used once if you lose your device; they will not be shown again.</p>
+      <pre id="twoFactorRecoveryCodes" style="background:#fafafa;padding:0.5rem;border-radius:4px;"></pre>
+    </div>
+    <div style="margin-top:0.5rem;display:flex;gap:0.5rem;">
+      <button id="twoFactorEnable" class="btn sm" style="display:none;">Enable 2FA</button>
+      <button id="twoFactorNewCodes" class="btn sm secondary" style="display:none;">New recovery codes</button>
+      <button id="twoFactorDisable" class="btn sm secondary" style="display:none;">Disable 2FA</button>
+    </div>
+    <div id="twoFactorMsg" class="msg"></div>
+
+    <h3 id="sell" style="margin-top:1.5rem;">Sell on Week1 Store</h3>
+    <div id="sellerAppStatus" style="font-size:0.9rem;">Loading…</div>
+    <form id="sellerAppForm" style="display:none;max-width:480px;margin-top:0.5rem;">
+      <div>
+        <label>Business name</label>
+        <input name="business_name" required />
+      </div>
+      <div>
+        <label>Contact name</label>
+        <input name="contact_name" required />
+      </div>
+      <div>
+        <label>Contact email</label>
+        <input name="contact_email" type="email" required />
+      </div>
+      <div>
+        <label>Contact phone</label>
+        <input name="contact_phone" required />
+      </div>
+      <div>
+        <label>About your business (optional)</label>
+        <textarea name="description" rows="3"></textarea>
+      </div>
+      <div>
+        <label>Documents (PDF or images, up to 5)</label>
+        <input name="documents" type="file" multiple accept="application/pdf,image/*" />
+      </div>
+      <button type="submit" class="btn sm">Submit application</button>
+    </form>
+    <div id="sellerAppMsg" class="msg"></div>
+
+    <h3 id="export" style="margin-top:1.5rem;">Your data</h3>
+    <p style="font-size:0.9rem;color:#555;">Download a copy of your profile, addresses, orders, cart and sessions as JSON.</p>
+    <div id="exportStatus" style="font-size:0.9rem;"></div>
+    <button id="exportStart" class="btn sm secondary" style="margin-top:0.5rem;">Request data export</button>
+    <div id="exportMsg" class="msg"></div>
+
+    <h3 id="sessions" style="margin-top:1.5rem;">Active sessions</h3>
+    <p style="font-size:0.9rem;color:#555;">Devices currently signed in to your account.</p>
+    <div id="sessionList" style="font-size:0.9rem;">Loading…</div>
+    <button id="revokeOtherSessions" class="btn sm secondary" style="margin-top:0.5rem;">Log out all other sessions</button>
+    <div id="sessionMsg" class="msg"></div>
   `;
 
   const extraScript = `
@@ -964,6 +1951,10 @@ async function renderProfilePage(env, request) {
             form.elements.email.value = u.email || '';
             form.elements.phone.value = u.phone || '';
             setAvatar(u.avatar_url || '');
+            document.getElementById('emailVerifyStatus').innerHTML = u.email_verified_at
+              ? '<span class="pill">verified</span>'
+              : '<span class="pill">not verified</span>' + (u.role === 'seller' ? ' Verify your email to publish products.' : '');
+            document.getElementById('resendVerification').style.display = u.email_verified_at ? 'none' : '';
           } catch (err) {
             msg.textContent = 'Error loading profile.';
             msg.className = 'msg error';
@@ -999,6 +1990,28 @@ async function renderProfilePage(env, request) {
           }
         });
 
+        // Resend email verification link
+        document.getElementById('resendVerification').addEventListener('click', async () => {
+          msg.textContent = '';
+          msg.className = 'msg';
+          try {
+            const res = await fetch('/api/auth/verify-email/resend', { method: 'POST' });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.ok) {
+              msg.textContent = data.error || 'Failed to send verification email.';
+              msg.className = 'msg error';
+              return;
+            }
+            msg.textContent = data.email_verified
+              ? 'Your email is already verified.'
+              : 'Verification email sent. Check your inbox.';
+            msg.className = 'msg ok';
+          } catch (err) {
+            msg.textContent = 'Error sending verification email.';
+            msg.className = 'msg error';
+          }
+        });
+
         // Upload avatar
         avatarForm.addEventListener('submit', async (e) => {
           e.preventDefault();
@@ -1036,7 +2049,7 @@ async function renderProfilePage(env, request) {
 
         // Delete account
         deleteBtn.addEventListener('click', async () => {
-          if (!confirm('Are you sure? This will delete your account.')) return;
+          if (!confirm('Are you sure? This will delete your account. You can restore it by signing in again within the grace period.')) return;
           try {
             const res = await fetch('/api/users/me', { method: 'DELETE' });
             const data = await res.json().catch(() => ({}));
@@ -1044,14 +2057,358 @@ async function renderProfilePage(env, request) {
               alert(data.error || 'Failed to delete account.');
               return;
             }
-            alert('Account deleted.');
+            alert(data.restore_until
+              ? 'Account deleted. Sign in before ' + new Date(data.restore_until).toLocaleDateString() + ' to restore it.'
+              : 'Account deleted.');
             window.location.href = '/signup';
           } catch (err) {
             alert('Error deleting account.');
           }
         });
 
+        // Two-factor authentication
+        const tfStatus = document.getElementById('twoFactorStatus');
+        const tfSetup = document.getElementById('twoFactorSetup');
+        const tfConfirmForm = document.getElementById('twoFactorConfirmForm');
+        const tfRecovery = document.getElementById('twoFactorRecovery');
+        const tfEnableBtn = document.getElementById('twoFactorEnable');
+        const tfNewCodesBtn = document.getElementById('twoFactorNewCodes');
+        const tfDisableBtn = document.getElementById('twoFactorDisable');
+        const tfMsg = document.getElementById('twoFactorMsg');
+
+        function tfSay(text, ok) {
+          tfMsg.textContent = text;
+          tfMsg.className = ok ? 'msg ok' : 'msg error';
+        }
+
+        function showRecoveryCodes(codes) {
+          document.getElementById('twoFactorRecoveryCodes').textContent = (codes || []).join('\\n');
+          tfRecovery.style.display = '';
+        }
+
+        async function postTwoFactor(path, body) {
+          const res = await fetch('/api/users/me/2fa' + path, {
+            method: 'POST',
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify(body || {})
+          });
+          const data = await res.json().catch(() => ({}));
+          return { res, data };
+        }
+
+        async function loadTwoFactor() {
+          try {
+            const res = await fetch('/api/users/me/2fa');
+            if (res.status === 401) {
+              tfStatus.textContent = '';
+              return;
+            }
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.ok) {
+              tfStatus.textContent = data.error || 'Failed to load 2FA status.';
+              return;
+            }
+            tfStatus.innerHTML = data.enabled
+              ? 'Enabled <span class="pill">' + data.recovery_codes_remaining + ' recovery codes left</span>'
+              : 'Not enabled' + (data.required_for_role ? ' <span class="pill">required for your role</span>' : '');
+            tfEnableBtn.style.display = data.enabled ? 'none' : '';
+            tfNewCodesBtn.style.display = data.enabled ? '' : 'none';
+            tfDisableBtn.style.display = data.enabled && !data.required_for_role ? '' : 'none';
+          } catch (err) {
+            tfStatus.textContent = 'Error loading 2FA status.';
+          }
+        }
+
+        tfEnableBtn.addEventListener('click', async () => {
+          tfMsg.textContent = '';
+          try {
+            const { res, data } = await postTwoFactor('/setup');
+            if (!res.ok || !data.ok) return tfSay(data.error || 'Failed to start 2FA setup.');
+            document.getElementById('twoFactorSecret').textContent = data.secret;
+            document.getElementById('twoFactorUri').href = data.otpauth_uri;
+            tfSetup.style.display = '';
+            tfRecovery.style.display = 'none';
+          } catch (err) {
+            tfSay('Error starting 2FA setup.');
+          }
+        });
+
+        tfConfirmForm.addEventListener('submit', async (e) => {
+          e.preventDefault();
+          try {
+            const { res, data } = await postTwoFactor('/confirm', { code: tfConfirmForm.elements.code.value });
+            if (!res.ok || !data.ok) return tfSay(data.error || 'Failed to confirm 2FA.');
+            tfSetup.style.display = 'none';
+            tfConfirmForm.reset();
+            showRecoveryCodes(data.recovery_codes);
+            tfSay('Two-factor authentication enabled.', true);
+            await loadTwoFactor();
+          } catch (err) {
+            tfSay('Error confirming 2FA.');
+          }
+        });
+
+        tfNewCodesBtn.addEventListener('click', async () => {
+          const code = prompt('Enter a code from your authenticator app');
+          if (!code) return;
+          try {
+            const { res, data } = await postTwoFactor('/recovery-codes', { code });
+            if (!res.ok || !data.ok) return tfSay(data.error || 'Failed to create recovery codes.');
+            showRecoveryCodes(data.recovery_codes);
+            tfSay('New recovery codes created; the old ones no longer work.', true);
+            await loadTwoFactor();
+          } catch (err) {
+            tfSay('Error creating recovery codes.');
+          }
+        });
+
+        tfDisableBtn.addEventListener('click', async () => {
+          const code = prompt('Enter a code from your authenticator app (or a recovery code) to disable 2FA');
+          if (!code) return;
+          try {
+            const { res, data } = await postTwoFactor('/disable', { code });
+            if (!res.ok || !data.ok) return tfSay(data.error || 'Failed to disable 2FA.');
+            tfRecovery.style.display = 'none';
+            tfSay('Two-factor authentication disabled.', true);
+            await loadTwoFactor();
+          } catch (err) {
+            tfSay('Error disabling 2FA.');
+          }
+        });
+
+        function esc(str) {
+          return String(str == null ? '' : str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        }
+
+        // Seller application
+        const sellerAppStatus = document.getElementById('sellerAppStatus');
+        const sellerAppForm = document.getElementById('sellerAppForm');
+        const sellerAppMsg = document.getElementById('sellerAppMsg');
+
+        async function loadSellerApplication() {
+          try {
+            const res = await fetch('/api/users/me/seller-application');
+            if (res.status === 401) {
+              sellerAppStatus.textContent = '';
+              return;
+            }
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.ok) {
+              sellerAppStatus.textContent = data.error || 'Failed to load seller application.';
+              return;
+            }
+            const app = data.application;
+            sellerAppForm.style.display = 'none';
+            if (data.role !== 'buyer') {
+              sellerAppStatus.innerHTML = 'Your account can sell products. <a href="/seller/products" class="link">Go to your products</a>.';
+            } else if (app && app.status === 'pending') {
+              sellerAppStatus.innerHTML = 'Your application for <strong>' + esc(app.business_name) + '</strong> is <span class="pill">pending review</span>.';
+            } else {
+              sellerAppStatus.innerHTML = app && app.status === 'rejected'
+                ? 'Your last application was not approved' + (app.review_note ? ': ' + esc(app.review_note) : '.') + ' You can apply again below.'
+                : 'Apply to list your own products in the store.';
+              sellerAppForm.style.display = '';
+            }
+          } catch (err) {
+            sellerAppStatus.textContent = 'Error loading seller application.';
+          }
+        }
+
+        sellerAppForm.addEventListener('submit', async (e) => {
+          e.preventDefault();
+          sellerAppMsg.textContent = '';
+          sellerAppMsg.className = 'msg';
+          try {
+            const res = await fetch('/api/users/me/seller-application', {
+              method: 'POST',
+              body: new FormData(sellerAppForm)
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.ok) {
+              sellerAppMsg.textContent = (data.error || 'Failed to submit application.') + (data.details ? ' ' + data.details.join(', ') : '');
+              sellerAppMsg.className = 'msg error';
+              return;
+            }
+            sellerAppForm.reset();
+            sellerAppMsg.textContent = 'Application submitted. We will email you once it has been reviewed.';
+            sellerAppMsg.className = 'msg ok';
+            await loadSellerApplication();
+          } catch (err) {
+            sellerAppMsg.textContent = 'Error submitting application.';
+            sellerAppMsg.className = 'msg error';
+          }
+        });
+
+        // Data export
+        const exportStatus = document.getElementById('exportStatus');
+        const exportStartBtn = document.getElementById('exportStart');
+        const exportMsg = document.getElementById('exportMsg');
+        let exportPoll = null;
+
+        async function loadExport() {
+          try {
+            const res = await fetch('/api/users/me/export');
+            if (res.status === 401) return;
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.ok) {
+              exportStatus.textContent = data.error || 'Failed to load export status.';
+              return;
+            }
+            const ex = data.export;
+            const busy = ex && (ex.status === 'pending' || ex.status === 'running');
+            exportStartBtn.disabled = !!busy;
+            if (!ex) {
+              exportStatus.textContent = '';
+            } else if (busy) {
+              exportStatus.innerHTML = 'Preparing your export… <span class="pill">' + ex.progress + '%</span>' +
+                (ex.step ? ' (' + esc(ex.step) + ')' : '');
+            } else if (ex.status === 'ready' && new Date(ex.expires_at) > new Date()) {
+              exportStatus.innerHTML = 'Your export is ready: <button type="button" class="btn sm" id="exportDownload">Download JSON</button>' +
+                ' (available until ' + esc(new Date(ex.expires_at).toLocaleString()) + ')';
+              document.getElementById('exportDownload').addEventListener('click', downloadExport);
+            } else if (ex.status === 'ready') {
+              exportStatus.textContent = 'Your last export has expired. Request a new one.';
+            } else {
+              exportStatus.textContent = 'The last export failed. Please try again.';
+            }
+            clearTimeout(exportPoll);
+            if (busy) exportPoll = setTimeout(loadExport, 2000);
+          } catch (err) {
+            exportStatus.textContent = 'Error loading export status.';
+          }
+        }
+
+        // Download links are minted on demand, so polling never invalidates one
+        async function downloadExport() {
+          exportMsg.textContent = '';
+          exportMsg.className = 'msg';
+          try {
+            const res = await fetch('/api/users/me/export/link', { method: 'POST' });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.ok) {
+              exportMsg.textContent = data.error || 'Failed to get download link.';
+              exportMsg.className = 'msg error';
+              await loadExport();
+              return;
+            }
+            window.location.href = data.export.download_url;
+          } catch (err) {
+            exportMsg.textContent = 'Error getting download link.';
+            exportMsg.className = 'msg error';
+          }
+        }
+
+        exportStartBtn.addEventListener('click', async () => {
+          exportMsg.textContent = '';
+          exportMsg.className = 'msg';
+          try {
+            const res = await fetch('/api/users/me/export', { method: 'POST' });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.ok) {
+              exportMsg.textContent = data.error || 'Failed to start export.';
+              exportMsg.className = 'msg error';
+            }
+            await loadExport();
+          } catch (err) {
+            exportMsg.textContent = 'Error starting export.';
+            exportMsg.className = 'msg error';
+          }
+        });
+
+        // Active sessions
+        const sessionList = document.getElementById('sessionList');
+        const sessionMsg = document.getElementById('sessionMsg');
+
+        function sessionSay(text, ok) {
+          sessionMsg.textContent = text;
+          sessionMsg.className = ok ? 'msg ok' : 'msg error';
+        }
+
+        async function loadSessions() {
+          try {
+            const res = await fetch('/api/users/me/sessions');
+            if (res.status === 401) {
+              sessionList.textContent = '';
+              return;
+            }
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.ok) {
+              sessionList.textContent = data.error || 'Failed to load sessions.';
+              return;
+            }
+            const rows = (data.sessions || []).map((s) => {
+              const label = s.name || s.user_agent || 'Unknown device';
+              return '<tr data-id="' + esc(s.id) + '">' +
+                '<td>' + esc(label) + (s.current ? ' <span class="pill">this device</span>' : '') + '</td>' +
+                '<td>' + esc(s.ip || '-') + '</td>' +
+                '<td>' + esc(new Date(s.last_seen_at).toLocaleString()) + '</td>' +
+                '<td>' + esc(new Date(s.issued_at).toLocaleString()) + '</td>' +
+                '<td style="white-space:nowrap;">' +
+                '<button class="btn sm secondary" data-action="rename">Rename</button> ' +
+                '<button class="btn sm secondary" data-action="revoke">' + (s.current ? 'Log out' : 'Revoke') + '</button>' +
+                '</td></tr>';
+            }).join('');
+            sessionList.innerHTML = rows
+              ? '<table><thead><tr><th>Device</th><th>IP</th><th>Last seen</th><th>Signed in</th><th></th></tr></thead><tbody>' + rows + '</tbody></table>'
+              : 'No active sessions.';
+          } catch (err) {
+            sessionList.textContent = 'Error loading sessions.';
+          }
+        }
+
+        sessionList.addEventListener('click', async (e) => {
+          const btn = e.target.closest('button[data-action]');
+          if (!btn) return;
+          const id = btn.closest('[data-id]').getAttribute('data-id');
+          try {
+            if (btn.getAttribute('data-action') === 'rename') {
+              const name = prompt('Name this device', '');
+              if (name === null) return;
+              const res = await fetch('/api/users/me/sessions/' + encodeURIComponent(id), {
+                method: 'PUT',
+                headers: { 'content-type': 'application/json' },
+                body: JSON.stringify({ name })
+              });
+              const data = await res.json().catch(() => ({}));
+              if (!res.ok || !data.ok) return sessionSay(data.error || 'Failed to rename session.');
+            } else {
+              const res = await fetch('/api/users/me/sessions/' + encodeURIComponent(id), { method: 'DELETE' });
+              const data = await res.json().catch(() => ({}));
+              if (!res.ok || !data.ok) return sessionSay(data.error || 'Failed to revoke session.');
+              if (data.current) {
+                window.location.href = '/login';
+                return;
+              }
+              sessionSay('Session revoked.', true);
+            }
+            await loadSessions();
+          } catch (err) {
+            sessionSay('Error updating session.');
+          }
+        });
+
+        document.getElementById('revokeOtherSessions').addEventListener('click', async () => {
+          if (!confirm('Log out of every other device?')) return;
+          try {
+            const res = await fetch('/api/users/me/sessions/revoke-others', { method: 'POST' });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.ok) return sessionSay(data.error || 'Failed to revoke sessions.');
+            sessionSay('Logged out of ' + data.revoked + ' other session(s).', true);
+            await loadSessions();
+          } catch (err) {
+            sessionSay('Error revoking sessions.');
+          }
+        });
+
         loadProfile();
+        loadTwoFactor();
+        loadSellerApplication();
+        loadExport();
+        loadSessions();
       })();
     </script>
   `;
@@ -1317,13 +2674,70 @@ async function renderSellerProductsPage(env, request) {
         <input name="stock" type="number" value="0" />
       </div>
       <div>
-        <label>Image</label>
-        <input name="image" type="file" accept="image/*" />
+        <label>Category</label>
+        <select name="category_id">
+          <option value="">No category</option>
+        </select>
+      </div>
+      <div>
+        <label>Add images</label>
+        <input name="image" type="file" accept="image/png,image/jpeg,image/webp,image/gif" multiple />
       </div>
       <button type="submit" class="btn">Save product</button>
       <button type="button" id="sellerProductClear" class="btn secondary" style="margin-left:0.5rem;">Clear form</button>
     </form>
     <div id="sellerProductsMsg" class="msg"></div>
+
+    <div id="sellerGallery" style="display:none;margin-top:1rem;">
+      <h4 style="margin-bottom:0.25rem;">Images</h4>
+      <p style="font-size:0.85rem;color:#555;margin-top:0;">The first image is the primary one shown in listings.</p>
+      <div id="sellerGalleryList" style="display:flex;gap:0.75rem;flex-wrap:wrap;"></div>
+      <div id="sellerGalleryMsg" class="msg"></div>
+    </div>
+
+    <h3 style="margin-top:1.5rem;">Import / export (CSV)</h3>
+    <p style="font-size:0.9rem;color:#555;">
+      Columns: slug, title, description, price_cents, currency, stock, status. Rows whose slug matches one
+      of your products update it; other rows create new products. Empty cells keep the current value.
+      <a href="/api/seller/products/export" class="link">Download your catalog</a>
+    </p>
+    <form id="importForm" style="max-width:480px;margin-top:0.5rem;">
+      <div>
+        <label>CSV file</label>
+        <input name="file" type="file" accept=".csv,text/csv" required />
+      </div>
+      <button type="submit" class="btn secondary" data-dry-run="1">Check file</button>
+      <button type="submit" class="btn" style="margin-left:0.5rem;">Import</button>
+    </form>
+    <div id="importMsg" class="msg"></div>
+    <ul id="importErrors" style="font-size:0.85rem;"></ul>
+
+    <h3 style="margin-top:1.5rem;">Shop profile</h3>
+    <p style="font-size:0.9rem;color:#555;">Buyers see your shop name on every listing. <span id="storeLink"></span></p>
+    <form id="storeForm" style="max-width:480px;margin-top:0.5rem;">
+      <div>
+        <label>Shop name</label>
+        <input name="name" required maxlength="100" />
+      </div>
+      <div>
+        <label>Shop URL (/shop/…)</label>
+        <input name="slug" placeholder="generated from the name" maxlength="60" />
+      </div>
+      <div>
+        <label>Description</label>
+        <textarea name="description" rows="3"></textarea>
+      </div>
+      <div>
+        <label>Return policy</label>
+        <textarea name="return_policy" rows="3"></textarea>
+      </div>
+      <div>
+        <label>Logo</label>
+        <input name="logo" type="file" accept="image/png,image/jpeg,image/webp,image/gif" />
+      </div>
+      <button type="submit" class="btn">Save shop</button>
+    </form>
+    <div id="storeMsg" class="msg"></div>
   `;
 
   const extraScript = `
@@ -1335,13 +2749,129 @@ async function renderSellerProductsPage(env, request) {
         const clearBtn = document.getElementById('sellerProductClear');
         const imageInput = form.elements.image;
 
-        function fillForm(p) {
-          form.elements.id.value = p.id || '';
-          form.elements.title.value = p.title || '';
-          form.elements.description.value = p.description || '';
-          form.elements.price.value = Number(p.price_cents || 0);
-          form.elements.stock.value = Number(p.stock || 0);
-          if (imageInput) imageInput.value = '';
+        function fillForm(p) {
+          form.elements.id.value = p.id || '';
+          form.elements.title.value = p.title || '';
+          form.elements.description.value = p.description || '';
+          form.elements.price.value = Number(p.price_cents || 0);
+          form.elements.stock.value = Number(p.stock || 0);
+          form.elements.category_id.value = p.category_id || '';
+          if (imageInput) imageInput.value = '';
+          loadGallery(p.id || '');
+        }
+
+        const gallery = document.getElementById('sellerGallery');
+        const galleryList = document.getElementById('sellerGalleryList');
+        const galleryMsg = document.getElementById('sellerGalleryMsg');
+        let galleryProductId = '';
+        let galleryImages = [];
+
+        function renderGallery() {
+          galleryList.innerHTML = '';
+          if (!galleryImages.length) {
+            galleryList.textContent = 'No images yet.';
+            return;
+          }
+          galleryImages.forEach((img, i) => {
+            const card = document.createElement('div');
+            card.setAttribute('data-image-id', img.id);
+            card.style.cssText = 'border:1px solid #ddd;border-radius:6px;padding:0.4rem;width:150px;font-size:0.8rem;';
+            card.innerHTML =
+              '<img style="width:100%;height:100px;object-fit:cover;border-radius:4px;" />' +
+              '<input class="gallery-alt" placeholder="Alt text" maxlength="300" style="width:100%;margin-top:0.3rem;" />' +
+              '<div style="display:flex;gap:0.25rem;flex-wrap:wrap;margin-top:0.3rem;">' +
+              '<button type="button" class="btn sm secondary" data-act="left" title="Move earlier">◀</button>' +
+              '<button type="button" class="btn sm secondary" data-act="right" title="Move later">▶</button>' +
+              '<button type="button" class="btn sm secondary" data-act="alt">Save alt</button>' +
+              (i === 0 ? '<span style="align-self:center;">Primary</span>' : '<button type="button" class="btn sm secondary" data-act="primary">Make primary</button>') +
+              '<button type="button" class="btn sm secondary" data-act="delete">Delete</button>' +
+              '</div>';
+            card.querySelector('img').src = img.url;
+            card.querySelector('img').alt = img.alt || '';
+            card.querySelector('.gallery-alt').value = img.alt || '';
+            galleryList.appendChild(card);
+          });
+        }
+
+        async function galleryRequest(path, options) {
+          galleryMsg.textContent = '';
+          galleryMsg.className = 'msg';
+          const res = await fetch('/api/seller/products/' + encodeURIComponent(galleryProductId) + '/images' + path, options);
+          const data = await res.json().catch(() => ({}));
+          if (!res.ok || !data.ok) {
+            galleryMsg.textContent = data.error || 'Image update failed.';
+            galleryMsg.className = 'msg error';
+            return false;
+          }
+          galleryImages = data.images || [];
+          renderGallery();
+          return true;
+        }
+
+        async function loadGallery(productId) {
+          galleryProductId = productId;
+          galleryImages = [];
+          gallery.style.display = productId ? 'block' : 'none';
+          galleryList.textContent = productId ? 'Loading…' : '';
+          if (productId) {
+            try { await galleryRequest('', {}); } catch (err) { galleryList.textContent = 'Error loading images.'; }
+          }
+        }
+
+        galleryList.addEventListener('click', async (e) => {
+          const btn = e.target.closest('button[data-act]');
+          if (!btn) return;
+          const card = btn.closest('[data-image-id]');
+          const imageId = card.getAttribute('data-image-id');
+          const act = btn.getAttribute('data-act');
+          const jsonOpts = (method, body) => ({
+            method,
+            headers: { 'content-type': 'application/json' },
+            body: JSON.stringify(body)
+          });
+          try {
+            if (act === 'left' || act === 'right') {
+              const ids = galleryImages.map((img) => img.id);
+              const from = ids.indexOf(imageId);
+              const to = act === 'left' ? from - 1 : from + 1;
+              if (to < 0 || to >= ids.length) return;
+              ids.splice(to, 0, ids.splice(from, 1)[0]);
+              await galleryRequest('/order', jsonOpts('PUT', { image_ids: ids }));
+            } else if (act === 'alt') {
+              const alt = card.querySelector('.gallery-alt').value;
+              if (await galleryRequest('/' + encodeURIComponent(imageId), jsonOpts('PUT', { alt }))) {
+                galleryMsg.textContent = 'Alt text saved.';
+                galleryMsg.className = 'msg ok';
+              }
+            } else if (act === 'primary') {
+              await galleryRequest('/' + encodeURIComponent(imageId), jsonOpts('PUT', { primary: true }));
+            } else if (act === 'delete') {
+              if (!confirm('Delete this image?')) return;
+              await galleryRequest('/' + encodeURIComponent(imageId), { method: 'DELETE' });
+            }
+            loadProducts();
+          } catch (err) {
+            galleryMsg.textContent = 'Error updating images.';
+            galleryMsg.className = 'msg error';
+          }
+        });
+
+        async function loadCategories() {
+          try {
+            const res = await fetch('/api/categories');
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.ok) return;
+            const select = form.elements.category_id;
+            (function addOptions(nodes, depth) {
+              for (const node of nodes) {
+                const opt = document.createElement('option');
+                opt.value = node.id;
+                opt.textContent = '— '.repeat(depth) + node.name;
+                select.appendChild(opt);
+                addOptions(node.children || [], depth + 1);
+              }
+            })(data.categories || [], 0);
+          } catch (err) {}
         }
 
         function clearForm() {
@@ -1379,7 +2909,7 @@ async function renderSellerProductsPage(env, request) {
               const stock = Number(p.stock || 0);
               const img = p.image_url || '';
               return \`
-                <tr data-id="\${p.id}" data-title="\${p.title || ''}" data-description="\${p.description || ''}" data-price="\${price}" data-stock="\${stock}">
+                <tr data-id="\${p.id}" data-title="\${p.title || ''}" data-description="\${p.description || ''}" data-price="\${price}" data-stock="\${stock}" data-category="\${p.category_id || ''}">
                   <td>
                     \${img ? '<img src="' + img + '" style="width:32px;height:32px;object-fit:cover;border-radius:4px;margin-right:0.4rem;vertical-align:middle;" />' : ''}
                     <span>\${p.title}</span>
@@ -1413,7 +2943,8 @@ async function renderSellerProductsPage(env, request) {
             title: row.getAttribute('data-title'),
             description: row.getAttribute('data-description'),
             price_cents: Number(row.getAttribute('data-price') || 0),
-            stock: Number(row.getAttribute('data-stock') || 0)
+            stock: Number(row.getAttribute('data-stock') || 0),
+            category_id: row.getAttribute('data-category') || ''
           };
           fillForm(p);
           window.scrollTo({ top: form.offsetTop - 20, behavior: 'smooth' });
@@ -1432,7 +2963,8 @@ async function renderSellerProductsPage(env, request) {
           const description = fd.get('description') || '';
           const price = Number(fd.get('price') || 0);
           const stock = Number(fd.get('stock') || 0);
-          const imageFile = imageInput && imageInput.files && imageInput.files[0];
+          const categoryId = fd.get('category_id') || null;
+          const imageFiles = imageInput && imageInput.files ? Array.from(imageInput.files) : [];
 
           try {
             let productId = id;
@@ -1445,7 +2977,8 @@ async function renderSellerProductsPage(env, request) {
                 price_cents: price,
                 stock,
                 image_url: null,
-                currency: 'USD'
+                currency: 'USD',
+                category_id: categoryId
               };
               const res = await fetch('/api/seller/products', {
                 method: 'POST',
@@ -1465,7 +2998,8 @@ async function renderSellerProductsPage(env, request) {
                 id: productId,
                 title,
                 description,
-                price_cents: price
+                price_cents: price,
+                category_id: categoryId
               };
               const res = await fetch('/api/seller/products', {
                 method: 'PUT',
@@ -1491,11 +3025,11 @@ async function renderSellerProductsPage(env, request) {
               }).catch(() => {});
             }
 
-            // Upload image if provided
-            if (productId && imageFile) {
+            // Append any selected images to the gallery
+            if (productId && imageFiles.length) {
               const fd2 = new FormData();
-              fd2.append('file', imageFile);
-              const resImg = await fetch('/api/seller/products/' + encodeURIComponent(productId) + '/image', {
+              imageFiles.forEach((file) => fd2.append('file', file));
+              const resImg = await fetch('/api/seller/products/' + encodeURIComponent(productId) + '/images', {
                 method: 'POST',
                 body: fd2
               });
@@ -1503,6 +3037,8 @@ async function renderSellerProductsPage(env, request) {
               if (!resImg.ok || !dataImg.ok) {
                 msg.textContent = (dataImg.error || 'Product saved, but image upload failed.');
                 msg.className = 'msg error';
+                await loadProducts();
+                return;
               }
             }
 
@@ -1516,12 +3052,140 @@ async function renderSellerProductsPage(env, request) {
           }
         });
 
+        document.addEventListener('seller-products-changed', loadProducts);
+        loadCategories();
         loadProducts();
       })();
     </script>
   `;
 
-  return layout(env, request, 'My products – Week1 Store', body, { extraScript });
+  const storeScript = `
+    <script>
+      (function() {
+        const form = document.getElementById('storeForm');
+        const msg = document.getElementById('storeMsg');
+        const link = document.getElementById('storeLink');
+
+        function say(text, ok) {
+          msg.textContent = text;
+          msg.className = ok ? 'msg ok' : 'msg error';
+        }
+
+        function show(store) {
+          if (!store) return;
+          form.elements.name.value = store.name || '';
+          form.elements.slug.value = store.slug || '';
+          form.elements.description.value = store.description || '';
+          form.elements.return_policy.value = store.return_policy || '';
+          link.innerHTML = '';
+          const a = document.createElement('a');
+          a.href = '/shop/' + encodeURIComponent(store.slug);
+          a.className = 'link';
+          a.textContent = 'View your shop';
+          link.appendChild(a);
+        }
+
+        async function loadStore() {
+          try {
+            const res = await fetch('/api/seller/store');
+            const data = await res.json().catch(() => ({}));
+            if (res.ok && data.ok) show(data.store);
+          } catch (err) {}
+        }
+
+        form.addEventListener('submit', async (e) => {
+          e.preventDefault();
+          msg.textContent = '';
+          msg.className = 'msg';
+          const body = {
+            name: form.elements.name.value,
+            description: form.elements.description.value,
+            return_policy: form.elements.return_policy.value
+          };
+          if (form.elements.slug.value.trim()) body.slug = form.elements.slug.value.trim();
+          try {
+            const res = await fetch('/api/seller/store', {
+              method: 'PUT',
+              headers: { 'content-type': 'application/json' },
+              body: JSON.stringify(body)
+            });
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.ok) return say(data.error || 'Failed to save shop.');
+            show(data.store);
+
+            const logo = form.elements.logo.files[0];
+            if (logo) {
+              const fd = new FormData();
+              fd.append('file', logo);
+              const up = await fetch('/api/seller/store/logo', { method: 'POST', body: fd });
+              const upData = await up.json().catch(() => ({}));
+              if (!up.ok || !upData.ok) return say(upData.error || 'Shop saved, but the logo upload failed.');
+              form.elements.logo.value = '';
+            }
+            say('Shop saved.', true);
+          } catch (err) {
+            say('Error saving shop.');
+          }
+        });
+
+        loadStore();
+      })();
+    </script>
+  `;
+
+  const importScript = `
+    <script>
+      (function() {
+        const form = document.getElementById('importForm');
+        const msg = document.getElementById('importMsg');
+        const errorList = document.getElementById('importErrors');
+
+        function say(text, ok) {
+          msg.textContent = text;
+          msg.className = ok ? 'msg ok' : 'msg error';
+        }
+
+        form.addEventListener('submit', async (e) => {
+          e.preventDefault();
+          const dryRun = !!(e.submitter && e.submitter.dataset.dryRun);
+          const file = form.elements.file.files[0];
+          errorList.innerHTML = '';
+          if (!file) return say('Choose a CSV file first.');
+          const fd = new FormData();
+          fd.append('file', file);
+          try {
+            const res = await fetch('/api/seller/products/import' + (dryRun ? '?dry_run=1' : ''), {
+              method: 'POST',
+              body: fd
+            });
+            const data = await res.json().catch(() => ({}));
+            (data.rows || []).filter(r => r.errors).forEach(r => {
+              const li = document.createElement('li');
+              li.textContent = 'Row ' + r.row + (r.slug ? ' (' + r.slug + ')' : '') + ': ' + r.errors.join('; ');
+              errorList.appendChild(li);
+            });
+            if (!data.summary) return say(data.error || 'Import failed.');
+            const counts = data.summary.create + ' new, ' + data.summary.update + ' updated';
+            if (dryRun) {
+              return data.valid
+                ? say('File looks good: ' + counts + '.', true)
+                : say(data.summary.errors + ' row(s) have errors; fix them before importing.');
+            }
+            if (!res.ok || !data.ok) return say(data.error || 'Import failed.');
+            say('Imported: ' + counts + '.', true);
+            form.reset();
+            document.dispatchEvent(new Event('seller-products-changed'));
+          } catch (err) {
+            say('Error importing products.');
+          }
+        });
+      })();
+    </script>
+  `;
+
+  return layout(env, request, 'My products – Week1 Store', body, {
+    extraScript: extraScript + importScript + storeScript
+  });
 }
 
 // ---- Seller: orders sold ----
@@ -1652,6 +3316,354 @@ async function renderSellerOrdersPage(env, request) {
   return layout(env, request, 'Sold orders – Week1 Store', body, { extraScript });
 }
 
+// ---- Admin pages: only rendered for admins ----
+async function adminOnly(env, request, title, permission = 'admin.users') {
+  const user = await getMe(env, request);
+  if (user && (user.permissions || []).includes(permission)) return null;
+
+  const body = user
+    ? `<h2>Forbidden</h2><p>You need an admin account to view this page.</p>`
+    : `<h2>Admin</h2><p>You are not logged in. <a href="/login" class="link">Login</a>.</p>`;
+  return layout(env, request, title, body, { status: user ? 403 : 401 });
+}
+
+// ---- Admin: users list + search ----
+async function renderAdminUsersPage(env, request) {
+  const title = 'Users – Admin – Week1 Store';
+  const denied = await adminOnly(env, request, title);
+  if (denied) return denied;
+
+  const body = `
+    <h2>Users</h2>
+    <p style="font-size:0.9rem;color:#555;">Search by exact email, phone number or user id.</p>
+    <form id="userSearchForm" style="display:flex;gap:0.5rem;align-items:flex-end;max-width:720px;">
+      <div style="flex:2;">
+        <label>Email, phone or id</label>
+        <input name="q" />
+      </div>
+      <div style="flex:1;">
+        <label>Role</label>
+        <select name="role">
+          <option value="">Any</option>
+          <option value="buyer">Buyer</option>
+          <option value="seller">Seller</option>
+          <option value="admin">Admin</option>
+        </select>
+      </div>
+      <div style="flex:1;">
+        <label>Status</label>
+        <select name="status">
+          <option value="">Any</option>
+          <option value="active">Active</option>
+          <option value="locked">Locked</option>
+          <option value="deleted">Deleted</option>
+        </select>
+      </div>
+      <div>
+        <button type="submit" class="btn">Search</button>
+      </div>
+    </form>
+    <div id="usersContainer" style="margin-top:1rem;">Loading…</div>
+    <div style="margin-top:0.5rem;display:flex;gap:0.5rem;align-items:center;font-size:0.85rem;">
+      <button id="usersPrev" class="btn sm secondary">Previous</button>
+      <button id="usersNext" class="btn sm secondary">Next</button>
+      <span id="usersPageInfo"></span>
+    </div>
+    <div id="usersMsg" class="msg"></div>
+  `;
+
+  const extraScript = `
+    <script>
+      (function() {
+        const PAGE_SIZE = 20;
+        const form = document.getElementById('userSearchForm');
+        const container = document.getElementById('usersContainer');
+        const msg = document.getElementById('usersMsg');
+        const prevBtn = document.getElementById('usersPrev');
+        const nextBtn = document.getElementById('usersNext');
+        const pageInfo = document.getElementById('usersPageInfo');
+        let offset = 0;
+
+        function esc(str) {
+          return String(str == null ? '' : str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        }
+
+        async function loadUsers() {
+          container.textContent = 'Loading…';
+          msg.textContent = '';
+          msg.className = 'msg';
+          const params = new URLSearchParams({ limit: String(PAGE_SIZE), offset: String(offset) });
+          for (const key of ['q', 'role', 'status']) {
+            const v = form.elements[key].value.trim();
+            if (v) params.set(key, v);
+          }
+          try {
+            const res = await fetch('/api/admin/users?' + params.toString());
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.ok) {
+              container.textContent = '';
+              msg.textContent = data.error || 'Failed to load users.';
+              msg.className = 'msg error';
+              return;
+            }
+            const rows = (data.users || []).map((u) =>
+              '<tr>' +
+                '<td><a class="link" href="/admin/users/' + encodeURIComponent(u.id) + '">' + esc(u.name || '(no name)') + '</a></td>' +
+                '<td>' + esc(u.email) + '</td>' +
+                '<td>' + esc(u.role) + '</td>' +
+                '<td><span class="pill">' + esc(u.status) + '</span></td>' +
+                '<td>' + esc(new Date(u.created_at).toLocaleDateString()) + '</td>' +
+              '</tr>'
+            ).join('');
+            container.innerHTML = rows
+              ? '<table><thead><tr><th>Name</th><th>Email</th><th>Role</th><th>Status</th><th>Joined</th></tr></thead><tbody>' + rows + '</tbody></table>'
+              : 'No users found.';
+            const shown = (data.users || []).length;
+            pageInfo.textContent = data.total ? (offset + 1) + '–' + (offset + shown) + ' of ' + data.total : '';
+            prevBtn.disabled = offset === 0;
+            nextBtn.disabled = offset + shown >= data.total;
+          } catch (err) {
+            container.textContent = '';
+            msg.textContent = 'Error loading users.';
+            msg.className = 'msg error';
+          }
+        }
+
+        form.addEventListener('submit', (e) => {
+          e.preventDefault();
+          offset = 0;
+          loadUsers();
+        });
+        prevBtn.addEventListener('click', () => {
+          offset = Math.max(0, offset - PAGE_SIZE);
+          loadUsers();
+        });
+        nextBtn.addEventListener('click', () => {
+          offset += PAGE_SIZE;
+          loadUsers();
+        });
+
+        loadUsers();
+      })();
+    </script>
+  `;
+
+  return layout(env, request, title, body, { extraScript });
+}
+
+// ---- Admin: single user (role, lock/unlock/delete, sessions) ----
+async function renderAdminUserDetailPage(env, request, userId) {
+  const title = 'User – Admin – Week1 Store';
+  const denied = await adminOnly(env, request, title);
+  if (denied) return denied;
+
+  // User ids are UUIDs; drop anything else before embedding it in the page
+  const safeId = String(userId || '').replace(/[^a-zA-Z0-9-]/g, '');
+
+  const body = `
+    <a href="/admin/users" class="link">← Back to users</a>
+    <h2 style="margin-top:0.75rem;">User <code>${safeId}</code></h2>
+    <div id="adminUser" style="font-size:0.9rem;">Loading…</div>
+
+    <div style="margin-top:1rem;display:flex;gap:0.5rem;align-items:flex-end;max-width:480px;">
+      <div style="flex:1;">
+        <label>Role</label>
+        <select id="adminUserRole">
+          <option value="buyer">Buyer</option>
+          <option value="seller">Seller</option>
+          <option value="admin">Admin</option>
+        </select>
+      </div>
+      <button id="adminSaveRole" class="btn sm">Change role</button>
+    </div>
+    <div style="margin-top:0.75rem;display:flex;gap:0.5rem;">
+      <button id="adminLock" class="btn sm secondary">Lock</button>
+      <button id="adminUnlock" class="btn sm secondary">Unlock</button>
+      <button id="adminDelete" class="btn sm secondary">Delete</button>
+    </div>
+    <div style="margin-top:0.75rem;display:flex;gap:0.5rem;align-items:center;">
+      <button id="adminImpersonate" class="btn sm secondary">View as user</button>
+      <label style="display:flex;gap:0.3rem;align-items:center;margin:0;">
+        <input type="checkbox" id="adminImpersonateWrite" style="width:auto;" /> allow changes
+      </label>
+    </div>
+    <div id="adminUserMsg" class="msg"></div>
+
+    <h3 style="margin-top:1.5rem;">Active sessions</h3>
+    <div id="adminSessions" style="font-size:0.9rem;">Loading…</div>
+    <button id="adminRevokeAll" class="btn sm secondary" style="margin-top:0.5rem;">Revoke all sessions</button>
+  `;
+
+  const extraScript = `
+    <script>
+      (function() {
+        const userId = ${JSON.stringify(safeId)};
+        const base = '/api/admin/users/' + encodeURIComponent(userId);
+        const userEl = document.getElementById('adminUser');
+        const sessionsEl = document.getElementById('adminSessions');
+        const roleSelect = document.getElementById('adminUserRole');
+        const msg = document.getElementById('adminUserMsg');
+
+        function esc(str) {
+          return String(str == null ? '' : str)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        }
+
+        function say(text, ok) {
+          msg.textContent = text;
+          msg.className = ok ? 'msg ok' : 'msg error';
+        }
+
+        async function call(method, path, body) {
+          const res = await fetch(base + path, {
+            method,
+            headers: body ? { 'content-type': 'application/json' } : {},
+            body: body ? JSON.stringify(body) : undefined
+          });
+          const data = await res.json().catch(() => ({}));
+          return { res, data };
+        }
+
+        async function loadUser() {
+          try {
+            const { res, data } = await call('GET', '');
+            if (!res.ok || !data.ok) {
+              userEl.textContent = data.error || 'Failed to load user.';
+              sessionsEl.textContent = '';
+              return;
+            }
+            const u = data.user;
+            userEl.innerHTML =
+              '<div><strong>' + esc(u.name || '(no name)') + '</strong> <span class="pill">' + esc(u.status) + '</span></div>' +
+              '<div>Email: ' + esc(u.email) + (u.email_verified_at ? ' <span class="pill">verified</span>' : ' <span class="pill">unverified</span>') + '</div>' +
+              '<div>Phone: ' + esc(u.phone || '-') + '</div>' +
+              '<div>2FA: ' + (u.two_factor_enabled ? 'enabled' : 'off') + '</div>' +
+              (u.locked_until ? '<div>Locked until ' + esc(new Date(u.locked_until).toLocaleString()) + '</div>' : '') +
+              '<div>Joined ' + esc(new Date(u.created_at).toLocaleString()) + '</div>';
+            roleSelect.value = u.role;
+
+            const rows = (data.sessions || []).map((s) =>
+              '<tr data-id="' + esc(s.id) + '">' +
+                '<td>' + esc(s.name || s.user_agent || 'Unknown device') + (s.impersonator_user_id ? ' <span class="pill">admin view</span>' : '') + '</td>' +
+                '<td>' + esc(s.ip || '-') + '</td>' +
+                '<td>' + esc(new Date(s.last_seen_at).toLocaleString()) + '</td>' +
+                '<td><button class="btn sm secondary" data-action="revoke">Revoke</button></td>' +
+              '</tr>'
+            ).join('');
+            sessionsEl.innerHTML = rows
+              ? '<table><thead><tr><th>Device</th><th>IP</th><th>Last seen</th><th></th></tr></thead><tbody>' + rows + '</tbody></table>'
+              : 'No active sessions.';
+          } catch (err) {
+            userEl.textContent = 'Error loading user.';
+          }
+        }
+
+        async function act(method, path, body, okText) {
+          try {
+            const { res, data } = await call(method, path, body);
+            if (!res.ok || !data.ok) return say(data.error || 'Action failed.');
+            say(okText, true);
+            await loadUser();
+          } catch (err) {
+            say('Error performing action.');
+          }
+        }
+
+        document.getElementById('adminSaveRole').addEventListener('click', () =>
+          act('PUT', '/role', { role: roleSelect.value }, 'Role updated.'));
+        document.getElementById('adminLock').addEventListener('click', () => {
+          if (confirm('Lock this account and sign it out everywhere?')) act('POST', '/lock', null, 'Account locked.');
+        });
+        document.getElementById('adminUnlock').addEventListener('click', () =>
+          act('POST', '/unlock', null, 'Account unlocked.'));
+        document.getElementById('adminDelete').addEventListener('click', () => {
+          if (confirm('Delete this account?')) act('DELETE', '', null, 'Account deleted.');
+        });
+        document.getElementById('adminImpersonate').addEventListener('click', async () => {
+          const reason = prompt('Reason for viewing as this user (recorded in the audit log):');
+          if (!reason) return;
+          try {
+            const { res, data } = await call('POST', '/impersonate', {
+              reason,
+              allow_write: document.getElementById('adminImpersonateWrite').checked
+            });
+            if (!res.ok || !data.ok) return say(data.error || 'Could not start impersonation.');
+            window.location.href = '/';
+          } catch (err) {
+            say('Error starting impersonation.');
+          }
+        });
+        document.getElementById('adminRevokeAll').addEventListener('click', () =>
+          act('POST', '/sessions/revoke-all', null, 'All sessions revoked.'));
+        sessionsEl.addEventListener('click', (e) => {
+          const btn = e.target.closest('button[data-action="revoke"]');
+          if (!btn) return;
+          const id = btn.closest('[data-id]').getAttribute('data-id');
+          act('DELETE', '/sessions/' + encodeURIComponent(id), null, 'Session revoked.');
+        });
+
+        loadUser();
+      })();
+    </script>
+  `;
+
+  return layout(env, request, title, body, { extraScript });
+}
+
+// ---- Verify email page (link from the verification email) ----
+async function renderVerifyEmailPage(env, request) {
+  // Tokens are hex; drop anything else before embedding it in the page
+  const token = (new URL(request.url).searchParams.get('token') || '').replace(/[^a-f0-9]/gi, '');
+
+  const body = `
+    <h2>Confirm your email</h2>
+    <div id="verifyMsg" class="msg">Checking your link…</div>
+  `;
+
+  const extraScript = `
+    <script>
+      (function() {
+        const token = ${JSON.stringify(token)};
+        const msg = document.getElementById('verifyMsg');
+
+        async function verify() {
+          if (!token) {
+            msg.innerHTML = 'This verification link is incomplete. You can request a new one from your <a href="/profile" class="link">profile</a>.';
+            msg.className = 'msg error';
+            return;
+          }
+          try {
+            const res = await fetch('/api/auth/verify-email?token=' + encodeURIComponent(token));
+            const data = await res.json().catch(() => ({}));
+            if (!res.ok || !data.ok) {
+              msg.innerHTML = (data.error || 'Verification failed.') +
+                ' You can request a new link from your <a href="/profile" class="link">profile</a>.';
+              msg.className = 'msg error';
+              return;
+            }
+            msg.innerHTML = 'Your email address is confirmed. <a href="/profile" class="link">Go to your profile</a>.';
+            msg.className = 'msg ok';
+          } catch (err) {
+            msg.textContent = 'Error verifying email.';
+            msg.className = 'msg error';
+          }
+        }
+
+        verify();
+      })();
+    </script>
+  `;
+
+  return layout(env, request, 'Verify email – Week1 Store', body, { extraScript });
+}
+
 // ================== ROUTER ==================
 const router = Router();
 
@@ -1745,9 +3757,25 @@ router.get('/products', (request, env, ctx) => renderHomePage(env, request));
 router.get('/product/:id', (request, env, ctx) =>
   renderProductPage(env, request, request.params.id)
 );
+router.get('/shop/:slug', (request, env, ctx) =>
+  renderShopPage(env, request, request.params.slug)
+);
+router.get('/category/:slug', (request, env, ctx) =>
+  renderCategoryPage(env, request, request.params.slug)
+);
+router.get('/search', (request, env, ctx) => renderSearchPage(env, request));
 
 router.get('/login', (request, env, ctx) => renderLoginPage(env, request));
 router.get('/signup', (request, env, ctx) => renderSignupPage(env, request));
+router.get('/forgot-password', (request, env, ctx) =>
+  renderForgotPasswordPage(env, request)
+);
+router.get('/verify-email', (request, env, ctx) =>
+  renderVerifyEmailPage(env, request)
+);
+router.get('/reset-password', (request, env, ctx) =>
+  renderResetPasswordPage(env, request)
+);
 router.get('/cart', (request, env, ctx) => renderCartPage(env, request));
 router.get('/checkout', (request, env, ctx) => renderCheckoutPage(env, request));
 router.get('/orders', (request, env, ctx) => renderOrdersPage(env, request));
@@ -1762,6 +3790,12 @@ router.get('/seller/products', (request, env, ctx) =>
 router.get('/seller/orders', (request, env, ctx) =>
   renderSellerOrdersPage(env, request)
 );
+router.get('/admin/users', (request, env, ctx) =>
+  renderAdminUsersPage(env, request)
+);
+router.get('/admin/users/:id', (request, env, ctx) =>
+  renderAdminUserDetailPage(env, request, request.params.id)
+);
 
 // ============= API GATEWAY =============
 
@@ -1769,6 +3803,9 @@ router.get('/seller/orders', (request, env, ctx) =>
 router.all('/api/users/*', (request, env, ctx) =>
   proxyToService(env.AUTH_SERVICE, request)
 );
+router.all('/api/data-exports/*', (request, env, ctx) =>
+  proxyToService(env.AUTH_SERVICE, request)
+);
 router.all('/api/auth/*', (request, env, ctx) =>
   proxyToService(env.AUTH_SERVICE, request)
 );
@@ -1792,6 +3829,21 @@ router.all('/api/products', (request, env, ctx) =>
 router.all('/api/seller/*', (request, env, ctx) =>
   proxyToService(env.CATALOG_SERVICE, request)
 );
+router.all('/api/stores/*', (request, env, ctx) =>
+  proxyToService(env.CATALOG_SERVICE, request)
+);
+router.all('/api/categories', (request, env, ctx) =>
+  proxyToService(env.CATALOG_SERVICE, request)
+);
+router.all('/api/categories/*', (request, env, ctx) =>
+  proxyToService(env.CATALOG_SERVICE, request)
+);
+router.all('/api/admin/categories', (request, env, ctx) =>
+  proxyToService(env.CATALOG_SERVICE, request)
+);
+router.all('/api/admin/categories/*', (request, env, ctx) =>
+  proxyToService(env.CATALOG_SERVICE, request)
+);
 
 // Cart / checkout / orders
 router.all('/api/cart/*', (request, env, ctx) =>
@@ -1821,6 +3873,11 @@ router.get('/product-images/*', (request, env, ctx) =>
   proxyToService(env.CATALOG_SERVICE, request)
 );
 
+// Store logos
+router.get('/store-logos/*', (request, env, ctx) =>
+  proxyToService(env.CATALOG_SERVICE, request)
+);
+
 // Realtime WebSocket
 router.get('/ws/orders', (request, env, ctx) =>
   proxyToService(env.REALTIME_SERVICE, request)
@@ -1830,6 +3887,32 @@ router.post('/internal/order-status', (request, env, ctx) =>
   proxyToService(env.REALTIME_SERVICE, request)
 );
 
+// Admin (auth-owned settings)
+router.all('/api/admin/2fa-policy', (request, env, ctx) =>
+  proxyToService(env.AUTH_SERVICE, request)
+);
+router.all('/api/admin/users', (request, env, ctx) =>
+  proxyToService(env.AUTH_SERVICE, request)
+);
+router.all('/api/admin/users/*', (request, env, ctx) =>
+  proxyToService(env.AUTH_SERVICE, request)
+);
+router.all('/api/admin/seller-applications', (request, env, ctx) =>
+  proxyToService(env.AUTH_SERVICE, request)
+);
+router.all('/api/admin/seller-applications/*', (request, env, ctx) =>
+  proxyToService(env.AUTH_SERVICE, request)
+);
+router.all('/api/admin/key-rotation', (request, env, ctx) =>
+  proxyToService(env.AUTH_SERVICE, request)
+);
+router.all('/api/admin/permissions', (request, env, ctx) =>
+  proxyToService(env.AUTH_SERVICE, request)
+);
+router.all('/api/admin/permissions/*', (request, env, ctx) =>
+  proxyToService(env.AUTH_SERVICE, request)
+);
+
 // Logging
 router.all('/api/admin/logging-config', (request, env, ctx) =>
   proxyToService(env.LOGGING_SERVICE, request)
@@ -1837,6 +3920,12 @@ router.all('/api/admin/logging-config', (request, env, ctx) =>
 router.all('/api/log', (request, env, ctx) =>
   proxyToService(env.LOGGING_SERVICE, request)
 );
+router.all('/api/admin/audit-logs', (request, env, ctx) =>
+  proxyToService(env.LOGGING_SERVICE, request)
+);
+router.all('/api/admin/audit-logs/*', (request, env, ctx) =>
+  proxyToService(env.LOGGING_SERVICE, request)
+);
 
 // Fallback 404
 router.all('*', () =>
@@ -1,6 +1,13 @@
 import { Router } from 'itty-router';
 import Joi from 'joi';
-import { json, getAuthFromRequest } from './common.js';
+import {
+  json,
+  getAuthFromRequest,
+  requirePermission,
+  csvCell,
+  csrfGuard,
+  impersonationGuard
+} from './common.js';
 
 // ----- Joi Schemas -----
 const logConfigSchema = Joi.object({
@@ -24,6 +31,18 @@ const logEventSchema = Joi.object({
   ctx: Joi.object().unknown(true).optional()
 });
 
+// `resource` and `action` match exactly, or by prefix with a trailing '*'
+// (e.g. 'product:*', 'auth.*'). `from` is inclusive, `to` exclusive.
+const auditQuerySchema = Joi.object({
+  actor: Joi.string().trim().max(100),
+  resource: Joi.string().trim().max(200),
+  action: Joi.string().trim().max(100),
+  from: Joi.date().iso(),
+  to: Joi.date().iso(),
+  limit: Joi.number().integer().min(1).max(200).default(50),
+  offset: Joi.number().integer().min(0).default(0)
+});
+
 // ----- Helpers: config in KV -----
 const LOG_CONFIG_KEY = 'log_config:global';
 
@@ -69,8 +88,86 @@ function buildLogKey(mode, nowIso, level) {
   return `${baseDate}/${mode}/${hh}-${mi}-${ss}-${level}-${id}.json`;
 }
 
+// ----- Helpers: audit log -----
+const AUDIT_EXPORT_MAX_ROWS = 10000;
+const AUDIT_CSV_COLUMNS = [
+  'id',
+  'created_at',
+  'actor_user_id',
+  'action',
+  'resource',
+  'changes',
+  'meta',
+  'ip',
+  'user_agent',
+  'request_path'
+];
+
+function auditWhere(value) {
+  const where = [];
+  const binds = [];
+
+  const match = (column, pattern) => {
+    if (pattern.endsWith('*')) {
+      where.push(`${column} LIKE ? ESCAPE '\\'`);
+      binds.push(pattern.slice(0, -1).replace(/[\\%_]/g, '\\$&') + '%');
+    } else {
+      where.push(`${column} = ?`);
+      binds.push(pattern);
+    }
+  };
+
+  if (value.actor) {
+    where.push('actor_user_id = ?');
+    binds.push(value.actor);
+  }
+  if (value.resource) match('resource', value.resource);
+  if (value.action) match('action', value.action);
+  if (value.from) {
+    where.push('created_at >= ?');
+    binds.push(value.from.toISOString());
+  }
+  if (value.to) {
+    where.push('created_at < ?');
+    binds.push(value.to.toISOString());
+  }
+
+  return { whereSql: where.length ? `WHERE ${where.join(' AND ')}` : '', binds };
+}
+
+function auditRowToJson(row) {
+  const parse = (raw) => {
+    if (!raw) return null;
+    try {
+      return JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  };
+  return {
+    id: row.id,
+    created_at: row.created_at,
+    actor_user_id: row.actor_user_id,
+    action: row.action,
+    resource: row.resource,
+    changes: parse(row.changes),
+    meta: parse(row.meta),
+    ip: row.ip,
+    user_agent: row.user_agent,
+    request_path: row.request_path
+  };
+}
+
+function parseAuditQuery(request) {
+  const url = new URL(request.url);
+  return auditQuerySchema.validate(Object.fromEntries(url.searchParams), {
+    abortEarly: false,
+    stripUnknown: true
+  });
+}
+
 // ----- Router -----
-const router = Router();
+const router = Router({ before: [csrfGuard, impersonationGuard] });
 
 // Admin: get logging config
 router.get('/api/admin/logging-config', async (request, env, ctx) => {
@@ -78,9 +175,8 @@ router.get('/api/admin/logging-config', async (request, env, ctx) => {
   if (!auth) {
     return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
   }
-  if (auth.user.role !== 'admin') {
-    return json({ ok: false, error: 'Forbidden' }, { status: 403 });
-  }
+  const permissionError = await requirePermission(env, auth, 'logging.config');
+  if (permissionError) return permissionError;
 
   const mode = await getLogMode(env);
   return json({ ok: true, mode });
@@ -92,9 +188,8 @@ router.put('/api/admin/logging-config', async (request, env, ctx) => {
   if (!auth) {
     return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
   }
-  if (auth.user.role !== 'admin') {
-    return json({ ok: false, error: 'Forbidden' }, { status: 403 });
-  }
+  const permissionError = await requirePermission(env, auth, 'logging.config');
+  if (permissionError) return permissionError;
 
   let body;
   try {
@@ -189,6 +284,106 @@ router.post('/api/log', async (request, env, ctx) => {
   }
 });
 
+// Admin: search the audit log
+router.get('/api/admin/audit-logs', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) {
+    return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  }
+  const permissionError = await requirePermission(env, auth, 'admin.audit');
+  if (permissionError) return permissionError;
+
+  const { error, value } = parseAuditQuery(request);
+  if (error) {
+    return json(
+      {
+        ok: false,
+        error: 'Validation failed',
+        details: error.details.map((d) => d.message)
+      },
+      { status: 400 }
+    );
+  }
+
+  const { whereSql, binds } = auditWhere(value);
+
+  try {
+    const total = await env.DB.prepare(`SELECT COUNT(*) AS cnt FROM audit_logs ${whereSql}`)
+      .bind(...binds)
+      .first();
+
+    const { results } = await env.DB.prepare(
+      `SELECT * FROM audit_logs ${whereSql}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ? OFFSET ?`
+    )
+      .bind(...binds, value.limit, value.offset)
+      .all();
+
+    return json({
+      ok: true,
+      entries: (results || []).map(auditRowToJson),
+      total: Number((total && total.cnt) || 0),
+      limit: value.limit,
+      offset: value.offset
+    });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
+// Admin: same filters as the search, as a CSV download
+router.get('/api/admin/audit-logs/export', async (request, env, ctx) => {
+  const auth = await getAuthFromRequest(request, env);
+  if (!auth) {
+    return json({ ok: false, error: 'Not authenticated' }, { status: 401 });
+  }
+  const permissionError = await requirePermission(env, auth, 'admin.audit');
+  if (permissionError) return permissionError;
+
+  const { error, value } = parseAuditQuery(request);
+  if (error) {
+    return json(
+      {
+        ok: false,
+        error: 'Validation failed',
+        details: error.details.map((d) => d.message)
+      },
+      { status: 400 }
+    );
+  }
+
+  const { whereSql, binds } = auditWhere(value);
+
+  try {
+    const { results } = await env.DB.prepare(
+      `SELECT * FROM audit_logs ${whereSql}
+       ORDER BY created_at DESC, id DESC
+       LIMIT ?`
+    )
+      .bind(...binds, AUDIT_EXPORT_MAX_ROWS)
+      .all();
+
+    const lines = [AUDIT_CSV_COLUMNS.join(',')];
+    for (const row of results || []) {
+      lines.push(AUDIT_CSV_COLUMNS.map((col) => csvCell(row[col])).join(','));
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    return new Response(lines.join('\r\n') + '\r\n', {
+      headers: {
+        'content-type': 'text/csv; charset=utf-8',
+        'content-disposition': `attachment; filename="audit-log-${stamp}.csv"`,
+        'cache-control': 'no-store',
+        // Lets the caller tell a capped export from a complete one
+        'x-export-truncated': String((results || []).length === AUDIT_EXPORT_MAX_ROWS)
+      }
+    });
+  } catch (err) {
+    return json({ ok: false, error: String(err) }, { status: 500 });
+  }
+});
+
 router.get('/health', async (request, env, ctx) => {
   let kv = { ok: false };
   let r2 = { ok: false };
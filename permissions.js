@@ -0,0 +1,51 @@
+// permissions.js
+// Role -> permission model shared by every worker. Routes ask for a permission
+// (see requirePermission in common.js) instead of comparing role strings.
+//
+// `*.own` permissions cover the caller's own records; the matching `*.any`
+// permission extends them to everyone's.
+
+export const ROLES = ['buyer', 'seller', 'admin'];
+
+export const PERMISSIONS = {
+  'product.read.own': 'List own products in the seller dashboard',
+  'product.write.own': 'Create, edit, publish and delete own products',
+  'product.write.any': "Edit any seller's products",
+  'product.publish.unverified': 'Publish products without a verified email address',
+  'store.manage.own': 'Edit own shop profile and logo',
+  'review.reply.own': 'Reply publicly to reviews of own products',
+  'review.moderate': 'Delete any product review',
+  'inventory.write.own': 'Adjust stock of own products',
+  'inventory.write.any': "Adjust stock of any seller's products",
+  'order.read.own': 'See orders containing own products',
+  'order.status.update': 'Update the status of orders containing own products',
+  'order.status.update.any': 'Update the status of any order',
+  'api_tokens.create': 'Create personal access tokens',
+  'logging.config': 'View and change the logging configuration',
+  'admin.users': 'Search, lock, delete and change roles of user accounts',
+  'admin.impersonate': 'View the store as another user',
+  'admin.seller_applications': 'Review seller applications',
+  'admin.security': 'Manage 2FA policy and encryption key rotation',
+  'admin.permissions': 'View and change role permissions',
+  'admin.audit': 'Search and export the audit log',
+  'admin.categories': 'Create, rename, move and delete product categories'
+};
+
+export const DEFAULT_ROLE_PERMISSIONS = {
+  buyer: [],
+  seller: [
+    'product.read.own',
+    'product.write.own',
+    'store.manage.own',
+    'review.reply.own',
+    'inventory.write.own',
+    'order.read.own',
+    'order.status.update',
+    'api_tokens.create'
+  ],
+  admin: Object.keys(PERMISSIONS)
+};
+
+export function isPermission(name) {
+  return Object.prototype.hasOwnProperty.call(PERMISSIONS, name);
+}
@@ -27,10 +27,18 @@ CREATE TABLE users (
   phone_hash TEXT,
   phone_cipher BLOB,
   name_cipher BLOB,
-  password_hash TEXT NOT NULL,
+  password_hash TEXT NOT NULL,           -- pbkdf2-sha256$iter$salt$hash (legacy: sha256 hex)
   role TEXT NOT NULL DEFAULT 'buyer',     -- 'admin' | 'seller' | 'buyer'
   status TEXT NOT NULL DEFAULT 'active',  -- 'active', 'locked', etc.
   avatar_url TEXT,
+  totp_secret_cipher BLOB,                -- encrypted base32 TOTP secret
+  totp_enabled_at TEXT,                   -- NULL until enrollment is confirmed
+  totp_last_step INTEGER,                 -- last accepted 30s step (replay guard)
+  locked_until TEXT,                      -- set with status 'locked' by login throttling; NULL = manual lock
+  email_verified_at TEXT,                 -- NULL until the emailed verification link is opened
+  deleted_at TEXT,                        -- set with status 'deleted'; restorable until the grace period ends
+  deleted_by TEXT,                        -- user id that requested deletion (self-deletions are restorable)
+  purged_at TEXT,                         -- PII shredded by the purge job; row kept so orders still reconcile
   created_at TEXT NOT NULL,
   updated_at TEXT NOT NULL
 );
@@ -42,13 +50,158 @@ CREATE TABLE sessions (
   expires_at TEXT NOT NULL,
   revoked INTEGER NOT NULL DEFAULT 0,
   ip TEXT,
-  user_agent TEXT
+  user_agent TEXT,
+  public_id TEXT UNIQUE,     -- id shown in the sessions API (never the cookie value)
+  name TEXT,                 -- optional user-chosen device label
+  last_seen_at TEXT,         -- refreshed at most every few minutes
+  csrf_token TEXT,           -- echoed back in x-csrf-token on mutating requests
+  impersonator_user_id TEXT REFERENCES users(id), -- admin behind a "view as user" session
+  impersonation_write INTEGER NOT NULL DEFAULT 0, -- 0 = read-only impersonation
+  two_factor_setup_only INTEGER NOT NULL DEFAULT 0 -- 1 = may only enrol 2FA (required by the role policy)
 );
 
 CREATE INDEX idx_users_email_hash ON users(email_hash);
 CREATE INDEX idx_users_role ON users(role);
+CREATE INDEX idx_users_deleted ON users(status, deleted_at);
 CREATE INDEX idx_sessions_user ON sessions(user_id);
 
+-- ======================
+-- ACCOUNT TOKENS & OUTBOX
+-- ======================
+
+-- Single-use tokens mailed to users (password reset, ...). Only the
+-- SHA-256 of the token is stored; the raw value lives in the outbox message.
+CREATE TABLE auth_tokens (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  purpose TEXT NOT NULL,                  -- 'password_reset' | 'login_2fa' | 'email_verify'
+  token_hash TEXT NOT NULL UNIQUE,
+  expires_at TEXT NOT NULL,
+  used_at TEXT,
+  attempts INTEGER NOT NULL DEFAULT 0,    -- failed uses (2FA challenges)
+  created_at TEXT NOT NULL
+);
+
+-- Outgoing messages waiting for a mail transport to pick them up
+CREATE TABLE outbox_messages (
+  id TEXT PRIMARY KEY,
+  channel TEXT NOT NULL DEFAULT 'email',
+  template TEXT NOT NULL,                 -- e.g. 'password_reset'
+  user_id TEXT REFERENCES users(id),      -- recipient account (cleared with it on purge)
+  to_cipher BLOB NOT NULL,                -- encrypted recipient
+  subject TEXT NOT NULL,
+  body_cipher BLOB NOT NULL,              -- encrypted body (contains one-time links)
+  status TEXT NOT NULL DEFAULT 'pending', -- 'pending' | 'sent' | 'failed'
+  attempts INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT NOT NULL,
+  sent_at TEXT
+);
+
+-- Hashed one-time 2FA recovery codes
+CREATE TABLE user_recovery_codes (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  used_at TEXT,
+  created_at TEXT NOT NULL
+);
+
+-- Per-role security policy and permissions managed by admins
+CREATE TABLE role_policies (
+  role TEXT PRIMARY KEY,                  -- 'admin' | 'seller' | 'buyer'
+  require_2fa INTEGER NOT NULL DEFAULT 0,
+  permissions TEXT,                       -- JSON array; NULL = defaults from permissions.js
+  updated_at TEXT NOT NULL
+);
+
+-- Personal access tokens (Authorization: Bearer w1pat_...); only the hash is stored
+CREATE TABLE api_tokens (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  token_prefix TEXT NOT NULL,             -- first characters, to recognise a token in the UI
+  token_hash TEXT NOT NULL UNIQUE,
+  scopes TEXT NOT NULL,                   -- JSON array, e.g. ["inventory:write"]
+  expires_at TEXT NOT NULL,
+  last_used_at TEXT,
+  revoked_at TEXT,
+  created_at TEXT NOT NULL
+);
+
+-- Failed login counters; key is 'acct:<email_hash>' or 'ip:<address>'
+CREATE TABLE login_attempts (
+  key TEXT PRIMARY KEY,
+  failures INTEGER NOT NULL DEFAULT 0,
+  last_failed_at TEXT NOT NULL,
+  blocked_until TEXT                     -- backoff: no attempts accepted before this
+);
+
+-- "Download my data" bundles; the JSON file lives in USER_FILES_BUCKET
+CREATE TABLE data_exports (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'pending', -- 'pending' | 'running' | 'ready' | 'failed'
+  progress INTEGER NOT NULL DEFAULT 0,    -- 0..100
+  step TEXT,                              -- section currently being collected
+  object_key TEXT,
+  size_bytes INTEGER,
+  download_token_hash TEXT,
+  expires_at TEXT,                        -- download link expiry
+  error TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  completed_at TEXT
+);
+
+-- Re-encryption runs after switching DATA_ENCRYPTION_ACTIVE_KEY_ID; resumable via
+-- (table_index, cursor) and advanced in batches by the admin endpoint and the cron.
+CREATE TABLE key_rotation_jobs (
+  id TEXT PRIMARY KEY,
+  target_key_id TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'running', -- 'running' | 'completed' | 'failed'
+  table_index INTEGER NOT NULL DEFAULT 0, -- position in the worker's list of encrypted tables
+  cursor TEXT,                            -- last primary key processed in that table
+  rows_scanned INTEGER NOT NULL DEFAULT 0,
+  values_reencrypted INTEGER NOT NULL DEFAULT 0,
+  error TEXT,
+  started_by TEXT REFERENCES users(id),
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  completed_at TEXT
+);
+
+CREATE INDEX idx_data_exports_user ON data_exports(user_id, created_at);
+CREATE INDEX idx_api_tokens_user ON api_tokens(user_id);
+CREATE INDEX idx_auth_tokens_user ON auth_tokens(user_id, purpose);
+CREATE INDEX idx_recovery_codes_user ON user_recovery_codes(user_id);
+CREATE INDEX idx_outbox_status ON outbox_messages(status, created_at);
+CREATE INDEX idx_outbox_user ON outbox_messages(user_id);
+
+-- ======================
+-- SELLER APPLICATIONS
+-- ======================
+
+-- Buyers become sellers only through an approved application (or an admin role change)
+CREATE TABLE seller_applications (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  business_name TEXT NOT NULL,
+  contact_name_cipher BLOB,
+  contact_email_cipher BLOB,
+  contact_phone_cipher BLOB,
+  description TEXT,
+  documents TEXT,                         -- JSON [{id, filename, content_type, size}], files in USER_FILES_BUCKET
+  status TEXT NOT NULL DEFAULT 'pending', -- 'pending' | 'approved' | 'rejected'
+  review_note TEXT,
+  reviewed_by TEXT REFERENCES users(id),
+  reviewed_at TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_seller_applications_user ON seller_applications(user_id);
+CREATE INDEX idx_seller_applications_status ON seller_applications(status, created_at);
+
 -- ======================
 -- CATEGORIES & PRODUCTS
 -- ======================
@@ -56,10 +209,12 @@ CREATE INDEX idx_sessions_user ON sessions(user_id);
 CREATE TABLE categories (
   id TEXT PRIMARY KEY,
   name TEXT NOT NULL,
-  slug TEXT NOT NULL UNIQUE,
-  parent_id TEXT REFERENCES categories(id) ON DELETE SET NULL
+  slug TEXT NOT NULL UNIQUE,              -- /category/:slug
+  parent_id TEXT REFERENCES categories(id) ON DELETE SET NULL  -- NULL = top level
 );
 
+CREATE INDEX idx_categories_parent ON categories(parent_id);
+
 CREATE TABLE products (
   id TEXT PRIMARY KEY,
   slug TEXT NOT NULL UNIQUE,
@@ -75,14 +230,31 @@ CREATE TABLE products (
   updated_at TEXT NOT NULL
 );
 
-CREATE TABLE product_images (
+-- Public shop profile of a seller (/shop/:slug); one per seller
+CREATE TABLE stores (
   id TEXT PRIMARY KEY,
+  seller_id TEXT NOT NULL UNIQUE REFERENCES users(id),
+  slug TEXT NOT NULL UNIQUE,
+  name TEXT NOT NULL,                     -- display name shown on listings instead of the seller's own name
+  description TEXT,
+  logo_url TEXT,                          -- /store-logos/:id (R2: PRODUCT_IMAGE_BUCKET stores/<id>)
+  return_policy TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+-- Product gallery; the lowest `sort` is the primary image (mirrored into products.image_url)
+CREATE TABLE product_images (
+  id TEXT PRIMARY KEY,                    -- served at /product-images/:id
   product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
-  r2_key TEXT NOT NULL,
+  r2_key TEXT NOT NULL,                   -- PRODUCT_IMAGE_BUCKET products/<product_id>/<id>
   alt TEXT,
-  sort INTEGER NOT NULL DEFAULT 0
+  sort INTEGER NOT NULL DEFAULT 0,
+  created_at TEXT
 );
 
+CREATE INDEX idx_product_images_product ON product_images(product_id, sort);
+
 CREATE TABLE inventory (
   product_id TEXT PRIMARY KEY REFERENCES products(id) ON DELETE CASCADE,
   stock INTEGER NOT NULL DEFAULT 0,
@@ -90,25 +262,127 @@ CREATE TABLE inventory (
   updated_at TEXT NOT NULL
 );
 
+-- Option types of a product (Size, Colour, ...) in display order
+CREATE TABLE product_options (
+  id TEXT PRIMARY KEY,
+  product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  name TEXT NOT NULL,
+  option_values TEXT NOT NULL,            -- JSON array of allowed values, e.g. ["S","M","L"]
+  sort INTEGER NOT NULL DEFAULT 0,
+  UNIQUE (product_id, name)
+);
+
+-- One purchasable combination of option values. Products with active variants are
+-- bought per variant; their inventory row holds the sum of the variants' stock.
+CREATE TABLE product_variants (
+  id TEXT PRIMARY KEY,
+  product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  sku TEXT NOT NULL,
+  options TEXT NOT NULL,                  -- JSON object option name -> value, e.g. {"Size":"M"}
+  option_key TEXT NOT NULL,               -- values in option order, for uniqueness
+  price_cents INTEGER,                    -- NULL = product price
+  status TEXT NOT NULL DEFAULT 'active',  -- 'active' | 'deleted' (kept for order history)
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_product_variants_product ON product_variants(product_id, status);
+CREATE UNIQUE INDEX idx_product_variants_sku ON product_variants(sku) WHERE status = 'active';
+CREATE UNIQUE INDEX idx_product_variants_options ON product_variants(product_id, option_key) WHERE status = 'active';
+
+CREATE TABLE variant_inventory (
+  variant_id TEXT PRIMARY KEY REFERENCES product_variants(id) ON DELETE CASCADE,
+  stock INTEGER NOT NULL DEFAULT 0,
+  reserved INTEGER NOT NULL DEFAULT 0,
+  updated_at TEXT NOT NULL
+);
+
+-- One review per buyer per product, only from buyers with a completed order for it.
+-- The product's seller may add one public reply.
+CREATE TABLE product_reviews (
+  id TEXT PRIMARY KEY,
+  product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  rating INTEGER NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  title TEXT,
+  body TEXT,
+  seller_reply TEXT,
+  seller_reply_at TEXT,
+  created_at TEXT NOT NULL,
+  updated_at TEXT NOT NULL,
+  UNIQUE (product_id, user_id)
+);
+
+CREATE INDEX idx_product_reviews_product ON product_reviews(product_id, created_at);
+
+-- Time-boxed sale prices. A product's schedules never overlap; the one covering "now"
+-- replaces products.price_cents (and the price of variants without their own price).
+-- Cancelled sales are kept (cancelled_at set) so past prices stay visible.
+CREATE TABLE product_price_schedules (
+  id TEXT PRIMARY KEY,
+  product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  sale_price_cents INTEGER NOT NULL,
+  starts_at TEXT NOT NULL,
+  ends_at TEXT NOT NULL,                  -- exclusive
+  created_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+  created_at TEXT NOT NULL,
+  cancelled_at TEXT
+);
+
+CREATE INDEX idx_price_schedules_product ON product_price_schedules(product_id, starts_at);
+CREATE INDEX idx_price_schedules_starts ON product_price_schedules(starts_at);
+CREATE INDEX idx_price_schedules_ends ON product_price_schedules(ends_at);
+
+-- Every change of a product's (or variant's) regular price, newest last
+CREATE TABLE product_price_history (
+  id TEXT PRIMARY KEY,
+  product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  variant_id TEXT REFERENCES product_variants(id) ON DELETE CASCADE,
+  price_cents INTEGER,                    -- NULL = variant went back to the product price
+  currency TEXT NOT NULL,
+  source TEXT NOT NULL,                   -- 'create' | 'update' | 'import'
+  changed_by TEXT REFERENCES users(id) ON DELETE SET NULL,
+  created_at TEXT NOT NULL
+);
+
+CREATE INDEX idx_price_history_product ON product_price_history(product_id, created_at);
+
 CREATE INDEX idx_products_slug ON products(slug);
 CREATE INDEX idx_products_status ON products(status);
 CREATE INDEX idx_products_category ON products(category_id);
+-- Keyset pagination of the public listing (GET /api/products)
+CREATE INDEX idx_products_status_created ON products(status, created_at, id);
+CREATE INDEX idx_products_status_price ON products(status, price_cents, id);
+CREATE INDEX idx_products_seller ON products(seller_id);
+
+-- Full-text search over listings (GET /api/products?q=). catalog_worker keeps it in
+-- sync on product create/update/delete; deleted products are left out.
+CREATE VIRTUAL TABLE products_fts USING fts5(
+  product_id UNINDEXED,
+  title,
+  description,
+  tokenize = 'porter unicode61'
+);
+
+INSERT INTO products_fts (product_id, title, description)
+SELECT id, title, COALESCE(description, '') FROM products WHERE status != 'deleted';
 CREATE INDEX idx_inventory_updated_at ON inventory(updated_at);
 
 -- ======================
 -- SINGLE CART TABLE
 -- ======================
 
--- One logical cart per user: each row is one item in that user's cart
+-- One logical cart per user: each row is one item (product, or variant of it) in that user's cart
 CREATE TABLE cart_items (
   user_id TEXT NOT NULL REFERENCES users(id) ON DELETE CASCADE,
   product_id TEXT NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  variant_id TEXT REFERENCES product_variants(id) ON DELETE CASCADE,  -- NULL for products without variants
   qty INTEGER NOT NULL,
-  updated_at TEXT NOT NULL,
-  PRIMARY KEY (user_id, product_id)
+  updated_at TEXT NOT NULL
 );
 
 CREATE INDEX idx_cart_items_user ON cart_items(user_id);
+CREATE UNIQUE INDEX idx_cart_items_line ON cart_items(user_id, product_id, IFNULL(variant_id, ''));
 
 -- ======================
 -- ADDRESSES
@@ -171,7 +445,9 @@ CREATE TABLE order_items (
   id TEXT PRIMARY KEY,
   order_id TEXT NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
   product_id TEXT NOT NULL REFERENCES products(id),
-  title_snapshot TEXT NOT NULL,
+  variant_id TEXT REFERENCES product_variants(id),
+  sku_snapshot TEXT,
+  title_snapshot TEXT NOT NULL,           -- includes the variant's options, e.g. "Tee (Size: M)"
   price_cents INTEGER NOT NULL,
   qty INTEGER NOT NULL
 );
@@ -201,13 +477,20 @@ CREATE TABLE payments (
 CREATE TABLE audit_logs (
   id TEXT PRIMARY KEY,
   actor_user_id TEXT REFERENCES users(id),
-  action TEXT NOT NULL,
-  resource TEXT NOT NULL,
+  action TEXT NOT NULL,                   -- e.g. 'auth.login', 'product.price_change'
+  resource TEXT NOT NULL,                 -- '<type>:<id>', e.g. 'user:…', 'order:…'
+  changes TEXT,                           -- JSON { field: { from, to } }, PII values redacted
   meta TEXT,
+  ip TEXT,
+  user_agent TEXT,
+  request_path TEXT,                      -- 'METHOD /path' of the request that caused it
   created_at TEXT NOT NULL
 );
 
-CREATE INDEX idx_audit_logs_actor ON audit_logs(actor_user_id);
+CREATE INDEX idx_audit_logs_actor ON audit_logs(actor_user_id, created_at);
+CREATE INDEX idx_audit_logs_action ON audit_logs(action, created_at);
+CREATE INDEX idx_audit_logs_resource ON audit_logs(resource, created_at);
+CREATE INDEX idx_audit_logs_created ON audit_logs(created_at);
 
 -- ======================
 -- OPTIONAL: seed a couple of shipping methods